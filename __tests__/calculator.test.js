@@ -1,7 +1,17 @@
-const { calculateNetIncome } = require('../lib/calculator');
+const fs = require('fs');
+const path = require('path');
+const {
+  calculateNetIncome,
+  getResultReferences,
+} = require('../lib/calculator');
+const { buildDataset } = require('../lib/dataset');
+const { getGermanReferenceData } = require('./helpers/deReferenceData');
+const { getUKReferenceData } = require('./helpers/gbReferenceData');
 const { getTestReferenceData } = require('./helpers/testData');
 
 const referenceData = getTestReferenceData();
+// The test data taxpayer holds NHR status; these tests cover the standard regime
+referenceData.referenceData.PT.simulationParameters = [];
 
 const REQUIRED_EXPENSE_RATIO_SERVICES = 0.15;
 const FREELANCE_COEFFICIENT_SERVICES = 0.7;
@@ -113,6 +123,147 @@ describe('Calculator Core', () => {
     expect(results.monthly[0].taxType).toBe('PROGRESSIVE');
   });
 
+  test('applies split-year residency overrides', () => {
+    const incomeRecords = [3, 9].map(month => ({
+      year: 2025,
+      month,
+      day: 15,
+      amount: 3000,
+      incomeType: 'employment',
+      sourceCountry: 'PT',
+      currency: 'EUR',
+    }));
+
+    const results = calculateNetIncome({
+      incomeRecords,
+      referenceData: {
+        PT: referenceData.referenceData.PT,
+        DE: getGermanReferenceData(),
+      },
+      exchangeRates: referenceData.exchangeRates,
+      taxResidency: {
+        2025: [
+          {
+            year: 2025,
+            country: 'PT',
+            method: 'manual',
+            startMonth: 1,
+            startDay: 1,
+            endMonth: 6,
+            endDay: 30,
+          },
+          {
+            year: 2025,
+            country: 'DE',
+            method: 'manual',
+            startMonth: 7,
+            startDay: 1,
+            endMonth: 12,
+            endDay: 31,
+          },
+        ],
+      },
+    });
+
+    expect(results.monthly.map(r => [r.month, r.ResidencyCountry])).toEqual([
+      [3, 'PT'],
+      [9, 'DE'],
+    ]);
+    expect(results.annual.map(a => a.ResidencyCountry)).toEqual(['PT', 'DE']);
+  });
+
+  test('taxes only the UK part of a split year in the UK', () => {
+    const incomeRecords = [5, 10].map(month => ({
+      year: 2025,
+      month,
+      day: 15,
+      amount: 3000,
+      incomeType: 'employment',
+      sourceCountry: 'GB',
+      currency: 'GBP',
+    }));
+    const home = (Country, AvailableFrom, AvailableTo) => ({
+      Year: 2025,
+      Country,
+      AccommodationType: 'Owned',
+      AvailableFrom,
+      AvailableTo,
+      IsPermanentHome: true,
+    });
+
+    const results = calculateNetIncome({
+      incomeRecords,
+      referenceData: {
+        PT: referenceData.referenceData.PT,
+        GB: getUKReferenceData(),
+      },
+      exchangeRates: [
+        {
+          Year: 2025,
+          Month: 10,
+          FromCurrency: 'GBP',
+          ToCurrency: 'EUR',
+          Rate: 1.17,
+        },
+      ],
+      // Leaves a UK home for one in Portugal on 1 September 2025
+      location: [
+        { Date: '2025-01-01', FromCountry: 'GB', ToCountry: 'GB' },
+        { Date: '2025-09-01', FromCountry: 'GB', ToCountry: 'PT' },
+      ],
+      accommodation: [
+        home('GB', '2020-01-01', '2025-08-31'),
+        home('PT', '2025-09-01', '2030-12-31'),
+      ],
+      taxResidency: { 2024: [{ year: 2024, country: 'GB' }] },
+    });
+
+    expect(results.monthly.map(r => [r.month, r.ResidencyCountry])).toEqual([
+      [5, 'GB'],
+      [10, 'PT'],
+    ]);
+    expect(results.annual.map(a => a.ResidencyCountry)).toEqual([
+      'GB',
+      'GB',
+      'PT',
+    ]);
+  });
+
+  test('assigns UK income to the tax year it was earned in', () => {
+    const incomeRecords = [
+      [2025, 5],
+      [2026, 3],
+    ].map(([year, month]) => ({
+      year,
+      month,
+      day: 25,
+      amount: 4000,
+      incomeType: 'employment',
+      sourceCountry: 'GB',
+      currency: 'GBP',
+    }));
+
+    // Strict: March 2026 must use the 2025/26 rows, not look for 2026 rows
+    const results = calculateNetIncome(
+      {
+        incomeRecords,
+        referenceData: { GB: getUKReferenceData() },
+        exchangeRates: [],
+      },
+      { referenceFallback: 'strict' }
+    );
+
+    expect(results.annual).toMatchObject([
+      { Year: '2025/26', ResidencyCountry: 'GB', GrossIncome: '8000.00' },
+    ]);
+    expect(results.annualByType).toMatchObject([
+      { Year: '2025/26', IncomeType: 'employment' },
+    ]);
+    expect(
+      getResultReferences(results.monthly[1]).taxAmount.map(r => r.Year)
+    ).toContain(2025);
+  });
+
   test('handles dividend aggregation', () => {
     const incomeRecords = [
       {
@@ -136,6 +287,53 @@ describe('Calculator Core', () => {
     expect(results.monthly[0].taxType).toBe('AGGREGATED_50');
   });
 
+  test('applies the NHR status of the simulation parameters', () => {
+    const results = calculateNetIncome({
+      incomeRecords: [
+        {
+          year: 2025,
+          month: 1,
+          day: 15,
+          amount: 5000,
+          incomeType: 'employment',
+          sourceCountry: 'PT',
+          currency: 'EUR',
+        },
+      ],
+      referenceData: getTestReferenceData().referenceData,
+      exchangeRates: referenceData.exchangeRates,
+    });
+
+    expect(results.monthly[0].taxType).toBe('NHR_FLAT_20');
+  });
+
+  test('aggregates dividends by default when eligible', () => {
+    const results = calculateNetIncome({
+      incomeRecords: [
+        {
+          year: 2025,
+          month: 1,
+          day: 15,
+          amount: 10000,
+          incomeType: 'dividend',
+          sourceCountry: 'PT',
+          currency: 'EUR',
+        },
+      ],
+      referenceData: {
+        PT: {
+          ...referenceData.referenceData.PT,
+          simulationParameters: [
+            { Parameter: 'DividendAggregationEligible', Value: 'true' },
+          ],
+        },
+      },
+      exchangeRates: referenceData.exchangeRates,
+    });
+
+    expect(results.monthly[0].taxType).toBe('AGGREGATED_50');
+  });
+
   test('handles multiple income records', () => {
     const incomeRecords = [
       {
@@ -209,6 +407,183 @@ describe('Calculator Core', () => {
   });
 });
 
+describe('Reference row metadata', () => {
+  const dataDir = path.join(__dirname, 'test-data-cli');
+  const read = file => fs.readFileSync(path.join(dataDir, file), 'utf8');
+  const socialSecurity = [
+    'Year,IAS,EmploymentRate,FreelanceRate,FreelanceCoefficient,FreelanceCapMonthly,DividendRate,EffectiveFrom,Status,Source',
+    '2025,522.50,0.11,0.214,0.70,6270.00,0,,,',
+    '2025,522.50,0.12,0.214,0.70,6270.00,0,2025-07-01,,Decreto-Lei 1/2025',
+    '2025,522.50,0.10,0.214,0.70,6270.00,0,,proposed,OE 2025 proposal',
+  ].join('\n');
+
+  function buildData() {
+    const reference = {};
+    for (const file of fs.readdirSync(path.join(dataDir, 'PT'))) {
+      if (file !== 'Income.csv') reference[file] = read(`PT/${file}`);
+    }
+    reference['SocialSecurity.csv'] = socialSecurity;
+
+    return buildDataset({
+      income: { PT: 'Year,Month,GrossIncome\n2025,3,3000\n2025,9,3000\n' },
+      exchangeRates: read('ExchangeRates.csv'),
+      reference: { PT: reference },
+    });
+  }
+
+  test('applies mid-year changes from their EffectiveFrom date', () => {
+    const results = calculateNetIncome(buildData());
+
+    expect(results.monthly.map(r => r.socialSecurity)).toEqual([330, 360]);
+    expect(getResultReferences(results.monthly[1]).socialSecurity).toEqual([
+      {
+        table: 'socialSecurity',
+        file: 'PT/SocialSecurity.csv',
+        row: 3,
+        Year: 2025,
+        Source: 'Decreto-Lei 1/2025',
+        Status: 'enacted',
+        EffectiveFrom: '2025-07-01',
+        EffectiveTo: null,
+      },
+    ]);
+    expect(
+      getResultReferences(results.annual[0]).SocialSecurity.map(r => r.row)
+    ).toEqual([3]);
+  });
+
+  test('uses proposed rows only when asked to', () => {
+    const results = calculateNetIncome(buildData(), {
+      proposedReference: true,
+    });
+
+    expect(results.monthly.map(r => r.socialSecurity)).toEqual([300, 360]);
+    expect(
+      getResultReferences(results.monthly[0]).socialSecurity.map(r => [
+        r.row,
+        r.Status,
+      ])
+    ).toEqual([[4, 'proposed']]);
+  });
+
+  test('records the rows of the latest year behind each figure', () => {
+    const results = calculateNetIncome({
+      incomeRecords: [
+        {
+          year: 2025,
+          month: 1,
+          day: 15,
+          amount: 5000,
+          incomeType: 'employment',
+          sourceCountry: 'PT',
+          currency: 'EUR',
+        },
+      ],
+      referenceData: referenceData.referenceData,
+      exchangeRates: referenceData.exchangeRates,
+    });
+    const references = getResultReferences(results.monthly[0]);
+
+    expect(Object.keys(references)).toEqual([
+      'taxAmount',
+      'socialSecurity',
+      'solidarityTax',
+    ]);
+    expect(references.socialSecurity).toEqual([
+      {
+        table: 'socialSecurity',
+        file: 'PT/SocialSecurity.csv',
+        row: 2,
+        Year: 2025,
+        Source: null,
+        Status: 'enacted',
+        EffectiveFrom: null,
+        EffectiveTo: null,
+      },
+    ]);
+    expect(getResultReferences({})).toEqual({});
+  });
+});
+
+describe('Reference fallback', () => {
+  const salary = year => [
+    {
+      year,
+      month: 1,
+      day: 28,
+      amount: 5000,
+      incomeType: 'employment',
+      sourceCountry: 'DE',
+      currency: 'EUR',
+    },
+  ];
+  const germanData = () => {
+    const data = getGermanReferenceData();
+    data.churchTax = [
+      { Year: 2025, Land: 'BW', Rate: 0.08 },
+      { Year: 2025, Land: 'BE', Rate: 0.09 },
+      { Year: 2026, Land: 'BE', Rate: 0.09 },
+    ];
+    return data;
+  };
+  const calculate = (year, options) =>
+    calculateNetIncome(
+      {
+        incomeRecords: salary(year),
+        referenceData: { DE: germanData() },
+        exchangeRates: [],
+      },
+      options
+    );
+
+  test('reuses the latest earlier year and warns by default', () => {
+    const results = calculate(2026);
+    const previous = calculate(2025);
+
+    expect(results.monthly[0].taxAmount).toBe(previous.monthly[0].taxAmount);
+    expect(previous.warnings).toEqual([]);
+    expect(results.warnings).toContainEqual({
+      country: 'DE',
+      table: 'taxFormula',
+      year: 2026,
+      fallbackYear: 2025,
+      file: null,
+      message:
+        'DE taxFormula has no reference rows for 2026; the 2025 rows are used',
+    });
+    expect(results.warnings.map(w => w.message)).toContain(
+      'DE churchTax (Land BW) has no reference rows for 2026; the 2025 rows are used'
+    );
+    expect(
+      getResultReferences(results.monthly[0]).taxAmount.map(r => r.Year)
+    ).toContain(2025);
+  });
+
+  test('reuses the earlier year silently', () => {
+    const results = calculate(2026, { referenceFallback: 'silent' });
+
+    expect(results.warnings).toEqual([]);
+    expect(results.monthly[0].taxAmount).toBe(
+      calculate(2025).monthly[0].taxAmount
+    );
+  });
+
+  test('fails without rows for the year under the strict policy', () => {
+    expect(() => calculate(2026, { referenceFallback: 'strict' })).toThrow(
+      /^DE \w+ has no reference rows for 2026 \(latest is 2025\)$/
+    );
+    expect(
+      calculate(2025, { referenceFallback: 'strict' }).monthly
+    ).toHaveLength(1);
+  });
+
+  test('rejects unknown policies', () => {
+    expect(() => calculate(2025, { referenceFallback: 'latest' })).toThrow(
+      'referenceFallback must be one of: strict, warn, silent (got latest)'
+    );
+  });
+});
+
 describe('Progressive Tax Calculation', () => {
   const { calculateProgressiveTax } = require('../lib/residency/pt');
 
@@ -457,4 +832,25 @@ describe('Freelance Tax', () => {
     expect(result.taxableIncome).toBe(5000); // 7000 - 2000 (no shortfall with 2000 expenses)
     expect(result.expenseShortfall).toBe(0);
   });
+
+  test('records without expenses are taxed on the coefficient base', () => {
+    const results = calculateNetIncome({
+      incomeRecords: [
+        {
+          year: 2025,
+          month: 1,
+          day: 15,
+          amount: 10000,
+          incomeType: 'freelance',
+          sourceCountry: 'PT',
+          currency: 'EUR',
+        },
+      ],
+      referenceData: referenceData.referenceData,
+      exchangeRates: referenceData.exchangeRates,
+    });
+
+    expect(results.monthly[0].taxableIncome).toBe(7000);
+    expect(results.monthly[0].taxAmount).toBeGreaterThan(0);
+  });
 });
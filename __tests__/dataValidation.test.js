@@ -0,0 +1,446 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  formatValidationIssue,
+  validateIncomeDataCompleteness,
+} = require('../lib/dataValidation');
+const { loadData } = require('../lib/loader');
+const { getUKReferenceData } = require('./helpers/gbReferenceData');
+const { getTestReferenceData } = require('./helpers/testData');
+
+function record(overrides = {}) {
+  const base = {
+    Year: 2025,
+    Month: 1,
+    GrossIncome: 3000,
+    IncomeType: 'employment',
+    SourceCountry: 'PT',
+  };
+  const row = { ...base, ...overrides };
+  return {
+    ...row,
+    amount: row.GrossIncome,
+    currency: row.SourceCurrency || 'EUR',
+    incomeType: row.IncomeType,
+    sourceCountry: row.SourceCountry,
+    year: row.Year,
+    month: row.Month,
+    day: row.Day ?? 15,
+  };
+}
+
+function dataset(incomeRecords, overrides = {}) {
+  const { referenceData } = getTestReferenceData();
+  return {
+    incomeRecords,
+    exchangeRates: [
+      {
+        Year: 2025,
+        Month: 1,
+        FromCurrency: 'GBP',
+        ToCurrency: 'EUR',
+        Rate: 1.17,
+      },
+    ],
+    referenceData: { PT: referenceData.PT },
+    ...overrides,
+  };
+}
+
+describe('validateIncomeDataCompleteness', () => {
+  test('accepts a complete dataset', () => {
+    const report = validateIncomeDataCompleteness(
+      dataset([
+        record(),
+        record({ SourceCurrency: 'GBP', SourceCountry: 'GB' }),
+      ])
+    );
+
+    expect(report).toEqual({ valid: true, errors: [], warnings: [] });
+  });
+
+  test('reports every income record problem in one pass', () => {
+    const report = validateIncomeDataCompleteness(
+      dataset([
+        record({ Year: 2019 }),
+        record({ Month: 13 }),
+        record({ Month: 2, Day: 30 }),
+        record({ GrossIncome: -100 }),
+        record({ IncomeType: 'salary' }),
+        record({ SourceCurrency: 'eur' }),
+        record({ SourceCountry: 'Portugal' }),
+      ])
+    );
+
+    expect(report.valid).toBe(false);
+    expect(report.errors.map(e => [e.file, e.row, e.column])).toEqual([
+      ['PT/Income.csv', 2, 'Year'],
+      ['PT/Income.csv', 3, 'Month'],
+      ['PT/Income.csv', 4, 'Day'],
+      ['PT/Income.csv', 5, 'GrossIncome'],
+      ['PT/Income.csv', 6, 'IncomeType'],
+      ['PT/Income.csv', 7, 'SourceCurrency'],
+      ['Portugal/Income.csv', 8, 'SourceCountry'],
+    ]);
+    expect(report.errors[2].message).toBe('Day 30 does not exist in 2025-02');
+  });
+
+  test('requires year, month and amount', () => {
+    const report = validateIncomeDataCompleteness(
+      dataset([
+        record({ Year: null, year: null, Month: null, GrossIncome: null }),
+      ])
+    );
+
+    expect(report.errors.map(e => e.message)).toEqual(
+      expect.arrayContaining([
+        'Year is required',
+        'Month is required',
+        'GrossIncome is required',
+      ])
+    );
+  });
+
+  test('validates exchange rate rows', () => {
+    const report = validateIncomeDataCompleteness(
+      dataset([record()], {
+        exchangeRates: [
+          {
+            Year: 2025,
+            Month: 1,
+            FromCurrency: 'GBP',
+            ToCurrency: 'EUR',
+            Rate: 1.17,
+          },
+          {
+            Year: 2025,
+            Month: 1,
+            FromCurrency: 'GBP',
+            ToCurrency: 'EUR',
+            Rate: 1.18,
+          },
+          {
+            Year: 2025,
+            Month: 14,
+            FromCurrency: '£',
+            ToCurrency: 'EUR',
+            Rate: 0,
+          },
+          {
+            Year: 2025,
+            Month: null,
+            FromCurrency: 'USD',
+            ToCurrency: 'EUR',
+            Rate: 0.92,
+          },
+        ],
+      })
+    );
+
+    expect(report.errors.map(e => [e.file, e.row, e.column])).toEqual([
+      ['ExchangeRates.csv', 4, 'Month'],
+      ['ExchangeRates.csv', 4, 'FromCurrency'],
+      ['ExchangeRates.csv', 4, 'Rate'],
+    ]);
+    expect(report.warnings).toEqual([
+      {
+        severity: 'warning',
+        file: 'ExchangeRates.csv',
+        row: 3,
+        column: 'Rate',
+        message: 'Duplicate rate GBP → EUR for 2025-1; row 2 is used',
+      },
+    ]);
+  });
+
+  test('reports missing exchange rates for the residency currency', () => {
+    const report = validateIncomeDataCompleteness(
+      dataset([
+        record({ SourceCurrency: 'GBP', SourceCountry: 'GB', Month: 2 }),
+        record({ SourceCurrency: 'USD', SourceCountry: 'US' }),
+        record(),
+      ])
+    );
+
+    expect(report.errors.map(e => e.message)).toEqual([
+      'Missing exchange rate GBP → EUR for 2025-2 in ExchangeRates.csv',
+      'Missing exchange rate USD → EUR for 2025-1 in ExchangeRates.csv',
+    ]);
+  });
+
+  test('reports reference rows missing for the UK tax year of income', () => {
+    // 2025 starts in UK tax year 2024/25; the fixtures only cover 2025/26
+    const ukIncome = [2, 5].map(Month =>
+      record({ Month, SourceCountry: 'GB', SourceCurrency: 'GBP' })
+    );
+    const report = validateIncomeDataCompleteness(
+      dataset(ukIncome, { referenceData: { GB: getUKReferenceData() } })
+    );
+
+    expect(report.errors.map(e => [e.file, e.column, e.message])).toEqual(
+      ['TaxBrackets', 'Deductions', 'SocialSecurity'].map(table => [
+        `GB/${table}.csv`,
+        'Year',
+        'No reference rows for tax year 2024/25 (2024-04-06 - 2025-04-05, earliest Year is 2025)',
+      ])
+    );
+    expect(
+      validateIncomeDataCompleteness(
+        dataset(ukIncome.slice(1), {
+          referenceData: { GB: getUKReferenceData() },
+        })
+      ).errors
+    ).toEqual([]);
+  });
+
+  test('reports missing reference files of residency countries', () => {
+    const data = dataset([record()]);
+    delete data.referenceData.PT.deductions;
+    data.referenceData.PT.specialRegimes = [];
+
+    const report = validateIncomeDataCompleteness(data);
+
+    expect(report.errors).toEqual([
+      {
+        severity: 'error',
+        file: 'PT/Deductions.csv',
+        row: null,
+        column: null,
+        message: 'Missing required reference file PT/Deductions.csv',
+      },
+      {
+        severity: 'error',
+        file: 'PT/SpecialRegimes.csv',
+        row: null,
+        column: null,
+        message: 'Reference file PT/SpecialRegimes.csv has no data rows',
+      },
+    ]);
+  });
+
+  test('reports unsupported country directories', () => {
+    const report = validateIncomeDataCompleteness(
+      dataset([record()], {
+        referenceData: { ...getTestReferenceData().referenceData, XX: {} },
+      })
+    );
+
+    expect(report.errors.map(e => [e.file, e.message])).toEqual([
+      ['XX/', expect.stringContaining('Unsupported country: XX')],
+    ]);
+  });
+
+  test('reports a failed residency determination', () => {
+    const report = validateIncomeDataCompleteness(
+      dataset([record({ SourceCountry: 'US' })])
+    );
+
+    expect(report.errors.map(e => e.message)).toEqual([
+      'Residency determination failed: No tax residency determined for 2025',
+    ]);
+  });
+
+  test('validates presence files and residency overrides', () => {
+    const accommodation = {
+      Year: 2025,
+      Country: 'PT',
+      AccommodationType: 'Rented',
+      AvailableFrom: '2025-07-01',
+      AvailableTo: '2025-06-30',
+    };
+    const period = (country, startMonth, endMonth, endDay) => ({
+      year: 2025,
+      country,
+      method: 'manual',
+      startMonth,
+      startDay: 1,
+      endMonth,
+      endDay,
+    });
+
+    const report = validateIncomeDataCompleteness(
+      dataset([record()], {
+        accommodation: [accommodation],
+        workActivity: [{ Date: '2025-01-02', Country: 'PT', WorkHours: 25 }],
+        taxResidency: {
+          2025: [period('PT', 1, 7, 31), period('ES', 7, 6, 30)],
+        },
+      })
+    );
+
+    expect(
+      report.errors.map(e => [e.file, e.row, e.column, e.message])
+    ).toEqual([
+      [
+        'Accommodation.csv',
+        2,
+        'AvailableTo',
+        'AvailableTo 2025-06-30 is before AvailableFrom 2025-07-01',
+      ],
+      ['WorkActivity.csv', 2, 'WorkHours', 'WorkHours must be 0-24 (got 25)'],
+      [
+        'TaxResidency.csv',
+        null,
+        'ResidencyEndDate',
+        'Residency in ES ends before it starts in 2025',
+      ],
+      [
+        'TaxResidency.csv',
+        null,
+        'Country',
+        'Residency country ES has no ES/ data directory',
+      ],
+    ]);
+  });
+
+  test('reports overlapping residency periods', () => {
+    const report = validateIncomeDataCompleteness(
+      dataset([record()], {
+        taxResidency: {
+          2025: [
+            {
+              year: 2025,
+              country: 'PT',
+              startMonth: 1,
+              startDay: 1,
+              endMonth: 7,
+              endDay: 31,
+            },
+            {
+              year: 2025,
+              country: 'PT',
+              startMonth: 7,
+              startDay: 1,
+              endMonth: 12,
+              endDay: 31,
+            },
+          ],
+        },
+      })
+    );
+
+    expect(report.errors.map(e => e.message)).toEqual([
+      'Residency in PT overlaps residency in PT in 2025',
+    ]);
+  });
+
+  test('validates simulation parameters', () => {
+    const data = dataset([record()]);
+    data.referenceData.PT.simulationParameters = [
+      { Parameter: 'DividendAggregationEligible', Value: 'yes' },
+      { Parameter: 'Region', Value: 'scotland' },
+      { Parameter: 'ResidencyTest', Value: 'true' },
+    ];
+
+    const report = validateIncomeDataCompleteness(data);
+
+    expect(report.errors).toEqual([
+      {
+        severity: 'error',
+        file: 'PT/SimulationParameters.csv',
+        row: 2,
+        column: 'Value',
+        message: 'DividendAggregationEligible must be true or false (got yes)',
+      },
+    ]);
+    expect(report.warnings).toEqual([
+      {
+        severity: 'warning',
+        file: 'PT/SimulationParameters.csv',
+        row: 4,
+        column: 'Parameter',
+        message: 'Unknown parameter ResidencyTest',
+      },
+    ]);
+  });
+
+  test('rejects datasets without income records', () => {
+    expect(validateIncomeDataCompleteness({}).errors[0].message).toBe(
+      'Income records required'
+    );
+  });
+
+  test('uses CSV file and row numbers of loaded data', () => {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'validation-'));
+    try {
+      fs.mkdirSync(path.join(dataDir, 'PT'));
+      fs.writeFileSync(
+        path.join(dataDir, 'PT', 'Income.csv'),
+        'Year,Month,GrossIncome\n2025,1,3000\n2025,0,3000'
+      );
+
+      const report = validateIncomeDataCompleteness(loadData(dataDir));
+
+      expect(report.errors[0]).toEqual({
+        severity: 'error',
+        file: 'PT/Income.csv',
+        row: 3,
+        column: 'Month',
+        message: 'Month must be 1-12 (got 0)',
+      });
+    } finally {
+      fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+  });
+
+  test('reports schema problems of loaded files once per cell', () => {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'validation-'));
+    try {
+      fs.mkdirSync(path.join(dataDir, 'PT'));
+      fs.writeFileSync(
+        path.join(dataDir, 'PT', 'Income.csv'),
+        'Year,Month,GrossIncome,Bonus\n2025,Jan,3000,1'
+      );
+
+      const report = validateIncomeDataCompleteness(loadData(dataDir));
+
+      expect(report.errors.filter(e => e.file === 'PT/Income.csv')).toEqual([
+        {
+          severity: 'error',
+          file: 'PT/Income.csv',
+          row: 2,
+          column: 'Month',
+          message: 'Month must be an integer (got Jan)',
+        },
+      ]);
+      expect(report.warnings).toContainEqual({
+        severity: 'warning',
+        file: 'PT/Income.csv',
+        row: 1,
+        column: 'Bonus',
+        message: 'Unknown column Bonus',
+      });
+    } finally {
+      fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('formatValidationIssue', () => {
+  test('formats location and message', () => {
+    expect(
+      formatValidationIssue({
+        severity: 'error',
+        file: 'PT/Income.csv',
+        row: 3,
+        column: 'Month',
+        message: 'Month must be 1-12 (got 13)',
+      })
+    ).toBe(
+      'ERROR PT/Income.csv, row 3, column Month: Month must be 1-12 (got 13)'
+    );
+  });
+
+  test('omits missing location parts', () => {
+    expect(
+      formatValidationIssue({
+        severity: 'warning',
+        file: null,
+        row: null,
+        column: null,
+        message: 'Something',
+      })
+    ).toBe('WARNING Something');
+  });
+});
@@ -0,0 +1,314 @@
+const fs = require('fs');
+const path = require('path');
+const { calculateNetIncome } = require('../lib/calculator');
+const {
+  buildDataset,
+  getLoadIssues,
+  getRecordSource,
+  getReferenceProvenance,
+  layerReferenceRows,
+} = require('../lib/dataset');
+const { loadData } = require('../lib/loader');
+
+describe('buildDataset', () => {
+  test('builds the same dataset as loadData from CSV text', () => {
+    const dataDir = path.join(__dirname, 'test-data-cli');
+    const read = file => fs.readFileSync(path.join(dataDir, file), 'utf8');
+    const reference = {};
+    for (const file of fs.readdirSync(path.join(dataDir, 'PT'))) {
+      if (file !== 'Income.csv') reference[file] = read(`PT/${file}`);
+    }
+
+    const data = buildDataset({
+      income: { PT: read('PT/Income.csv') },
+      exchangeRates: read('ExchangeRates.csv'),
+      reference: { PT: reference },
+    });
+    const loaded = loadData(dataDir);
+
+    expect(data).toEqual(loaded);
+    expect(data.incomeRecords.map(getRecordSource)).toEqual(
+      loaded.incomeRecords.map(getRecordSource)
+    );
+    expect(getLoadIssues(data)).toEqual(getLoadIssues(loaded));
+    expect(calculateNetIncome(data)).toEqual(calculateNetIncome(loaded));
+  });
+
+  test('copies row arrays and numbers them like CSV lines', () => {
+    const income = [
+      { Year: '2025', Month: '1', GrossIncome: 3000, SourceCountry: 'GB' },
+      { Year: 2025, Month: 2, GrossIncome: 3000, SourceCurrency: 'GBP' },
+    ];
+
+    const data = buildDataset({
+      income,
+      reference: {
+        GB: {
+          taxBrackets: [
+            {
+              Year: '2025',
+              IncomeType: 'employment',
+              MinIncome: '12571',
+              Rate: '0.2',
+            },
+          ],
+        },
+      },
+    });
+
+    expect(data.incomeRecords[0]).toMatchObject({
+      Year: 2025,
+      Month: 1,
+      amount: 3000,
+      currency: 'EUR',
+      sourceCountry: 'GB',
+      day: 15,
+    });
+    expect(income[0]).not.toHaveProperty('amount');
+    expect(data.referenceData.GB.taxBrackets).toEqual([
+      expect.objectContaining({ Year: 2025, Rate: 0.2 }),
+    ]);
+    expect(getRecordSource(data.incomeRecords[1])).toEqual({
+      file: 'Income.csv',
+      row: 3,
+    });
+    expect(getLoadIssues(data)).toEqual([
+      {
+        severity: 'error',
+        file: 'Income.csv',
+        row: 3,
+        column: 'SourceCountry',
+        message: 'SourceCountry is required',
+      },
+    ]);
+  });
+
+  test('defaults SourceCountry to the country key', () => {
+    const data = buildDataset({
+      income: {
+        DE: [{ Year: 2025, Month: 1, GrossIncome: 4000 }],
+        de: 'Year,Month,GrossIncome\n2025,1,1\n',
+      },
+    });
+
+    expect(data.incomeRecords).toHaveLength(1);
+    expect(data.incomeRecords[0].sourceCountry).toBe('DE');
+    expect(data.referenceData).toEqual({ DE: {} });
+    expect(getRecordSource(data.incomeRecords[0])).toEqual({
+      file: 'DE/Income.csv',
+      row: 2,
+    });
+    expect(getLoadIssues(data)).toEqual([
+      {
+        severity: 'warning',
+        file: 'de/Income.csv',
+        row: null,
+        column: null,
+        message: 'de is not an ISO 3166-1 alpha-2 code; ignored',
+      },
+    ]);
+  });
+
+  test('passes FreelanceExpenses to the calculation as expenses', () => {
+    const data = buildDataset({
+      income: {
+        PT: 'Year,Month,GrossIncome,IncomeType,FreelanceExpenses\n2025,1,2000,freelance,300\n2025,2,2000,freelance,\n',
+      },
+    });
+
+    expect(data.incomeRecords.map(record => record.expenses)).toEqual([
+      300,
+      undefined,
+    ]);
+  });
+
+  test('reports unknown tables', () => {
+    const data = buildDataset({ income: [], rates: [] });
+
+    expect(data.incomeRecords).toEqual([]);
+    expect(getLoadIssues(data)).toEqual([
+      {
+        severity: 'warning',
+        file: null,
+        row: null,
+        column: null,
+        message: 'Unknown dataset table rates',
+      },
+    ]);
+  });
+
+  test('layers reference rows over the bundled defaults', () => {
+    const data = buildDataset({
+      income: { GB: 'Year,Month,GrossIncome\n2025,1,3000\n' },
+      reference: {
+        GB: {
+          'TaxBrackets.csv':
+            'Year,IncomeType,MinIncome,MaxIncome,Rate\n2025,income,12570,,0.3\n',
+        },
+      },
+      defaults: {
+        GB: {
+          'TaxBrackets.csv': [
+            'Year,IncomeType,MinIncome,MaxIncome,Rate,Region',
+            '2025,income,12570,50270,0.2,',
+            '2025,income,50270,,0.4,',
+            '2025,dividend,0,,0.0875,',
+            '2025,income,12570,,0.21,Scottish',
+          ].join('\n'),
+          'Deductions.csv': 'Year,Type,Amount\n2025,PersonalAllowance,12570\n',
+        },
+      },
+    });
+
+    expect(
+      data.referenceData.GB.taxBrackets.map(b => [
+        b.IncomeType,
+        b.Rate,
+        getRecordSource(b).file,
+      ])
+    ).toEqual([
+      ['income', 0.3, 'GB/TaxBrackets.csv'],
+      ['dividend', 0.0875, 'GB/TaxBrackets.csv (bundled)'],
+      ['income', 0.21, 'GB/TaxBrackets.csv (bundled)'],
+    ]);
+    expect(getReferenceProvenance(data)).toEqual([
+      {
+        country: 'GB',
+        key: 'taxBrackets',
+        file: 'GB/TaxBrackets.csv',
+        bundled: 2,
+        user: 1,
+        replaced: 2,
+      },
+      {
+        country: 'GB',
+        key: 'deductions',
+        file: 'GB/Deductions.csv (bundled)',
+        bundled: 1,
+        user: 0,
+        replaced: 0,
+      },
+    ]);
+  });
+
+  test('types the reference metadata columns', () => {
+    const data = buildDataset({
+      reference: {
+        PT: {
+          'SocialSecurity.csv': [
+            'Year,EmploymentRate,Source,EffectiveFrom,EffectiveTo,Status',
+            '2025,0.11,Lei 1/2025,2025-01-01,2025-06-30,enacted',
+            '2025,0.12,,2025-07-01,2025-06-30,draft',
+          ].join('\n'),
+        },
+      },
+    });
+
+    expect(data.referenceData.PT.socialSecurity[0]).toEqual({
+      Year: 2025,
+      EmploymentRate: 0.11,
+      Source: 'Lei 1/2025',
+      EffectiveFrom: '2025-01-01',
+      EffectiveTo: '2025-06-30',
+      Status: 'enacted',
+    });
+    expect(getLoadIssues(data)).toEqual([
+      {
+        severity: 'error',
+        file: 'PT/SocialSecurity.csv',
+        row: 3,
+        column: 'Status',
+        message: 'Status must be one of: enacted, proposed (got draft)',
+      },
+      {
+        severity: 'error',
+        file: 'PT/SocialSecurity.csv',
+        row: 3,
+        column: 'EffectiveTo',
+        message: 'EffectiveTo 2025-06-30 is before EffectiveFrom 2025-07-01',
+      },
+    ]);
+  });
+
+  test.each([
+    [null, 'Dataset input must be an object'],
+    [{ exchangeRates: {} }, 'ExchangeRates.csv must be an array or CSV text'],
+    [{ location: [null] }, 'Location.csv/1 must be an object'],
+    [{ reference: [] }, 'reference must be an object'],
+    [{ reference: { PT: 'x' } }, 'PT/ must be an object'],
+    [
+      { income: { PT: 'Year,Month\n"2025' } },
+      'PT/Income.csv: Invalid CSV at line 2, column 1: unterminated quoted field',
+    ],
+  ])('rejects malformed input %#', (input, message) => {
+    expect(() => buildDataset(input)).toThrow(message);
+  });
+});
+
+describe('layerReferenceRows', () => {
+  const schema = {
+    Year: { type: 'integer' },
+    Land: { type: 'string', key: true },
+    Rate: { type: 'number' },
+  };
+
+  test('replaces bundled groups by Year and key columns', () => {
+    const bundled = [
+      { Year: 2025, Land: 'BW', Rate: 0.08 },
+      { Year: 2025, Land: 'BE', Rate: 0.09 },
+      { Year: 2026, Land: 'BW', Rate: 0.08 },
+    ];
+
+    expect(
+      layerReferenceRows(
+        bundled,
+        [
+          { Year: 2025, Land: 'BE', Rate: 0.1 },
+          { Year: 2024, Land: 'BE', Rate: 0.09 },
+        ],
+        schema
+      )
+    ).toEqual({
+      rows: [
+        { Year: 2024, Land: 'BE', Rate: 0.09 },
+        { Year: 2025, Land: 'BW', Rate: 0.08 },
+        { Year: 2025, Land: 'BE', Rate: 0.1 },
+        { Year: 2026, Land: 'BW', Rate: 0.08 },
+      ],
+      replaced: 1,
+    });
+  });
+
+  test('keeps bundled groups next to user rows of another status or date', () => {
+    const bundled = [{ Year: 2026, Land: 'BE', Rate: 0.09 }];
+    const rows = [
+      { Year: 2026, Land: 'BE', Rate: 0.1, Status: 'proposed' },
+      { Year: 2026, Land: 'BE', Rate: 0.08, EffectiveFrom: '2026-07-01' },
+    ];
+
+    expect(layerReferenceRows(bundled, rows, schema)).toEqual({
+      rows: [bundled[0], ...rows],
+      replaced: 0,
+    });
+    expect(
+      layerReferenceRows(
+        bundled,
+        [{ Year: 2026, Land: 'BE', Rate: 0.1, Status: 'enacted' }],
+        schema
+      ).replaced
+    ).toBe(1);
+  });
+
+  test('keeps the bundled rows without user rows', () => {
+    const bundled = [{ Year: 2025, Land: 'BW', Rate: 0.08 }];
+
+    expect(layerReferenceRows(bundled, [], schema)).toEqual({
+      rows: bundled,
+      replaced: 0,
+    });
+    expect(layerReferenceRows(bundled, [{ Note: 1 }])).toEqual({
+      rows: [{ Note: 1 }],
+      replaced: 1,
+    });
+  });
+});
@@ -0,0 +1,173 @@
+/**
+ * German reference data fixtures (2025) shared by the DE unit tests.
+ */
+
+const TAX_FORMULA = [
+  {
+    Year: 2025,
+    Zone: 1,
+    MinIncome: 0,
+    MaxIncome: 12096,
+    Offset: 0,
+    Divisor: 1,
+    Quadratic: 0,
+    Linear: 0,
+    Constant: 0,
+  },
+  {
+    Year: 2025,
+    Zone: 2,
+    MinIncome: 12097,
+    MaxIncome: 17443,
+    Offset: 12096,
+    Divisor: 10000,
+    Quadratic: 932.3,
+    Linear: 1400,
+    Constant: 0,
+  },
+  {
+    Year: 2025,
+    Zone: 3,
+    MinIncome: 17444,
+    MaxIncome: 68480,
+    Offset: 17443,
+    Divisor: 10000,
+    Quadratic: 176.64,
+    Linear: 2397,
+    Constant: 1015.13,
+  },
+  {
+    Year: 2025,
+    Zone: 4,
+    MinIncome: 68481,
+    MaxIncome: 277825,
+    Offset: 0,
+    Divisor: 1,
+    Quadratic: 0,
+    Linear: 0.42,
+    Constant: -10911.92,
+  },
+  {
+    Year: 2025,
+    Zone: 5,
+    MinIncome: 277826,
+    MaxIncome: null,
+    Offset: 0,
+    Divisor: 1,
+    Quadratic: 0,
+    Linear: 0.45,
+    Constant: -19246.67,
+  },
+];
+
+const SOCIAL_SECURITY = [
+  {
+    Year: 2025,
+    Branch: 'pension',
+    EmployeeRate: 0.093,
+    AdditionalRate: 0,
+    ChildlessSurcharge: 0,
+    AnnualCeiling: 96600,
+  },
+  {
+    Year: 2025,
+    Branch: 'unemployment',
+    EmployeeRate: 0.013,
+    AdditionalRate: 0,
+    ChildlessSurcharge: 0,
+    AnnualCeiling: 96600,
+  },
+  {
+    Year: 2025,
+    Branch: 'health',
+    EmployeeRate: 0.073,
+    AdditionalRate: 0.0125,
+    ChildlessSurcharge: 0,
+    AnnualCeiling: 66150,
+  },
+  {
+    Year: 2025,
+    Branch: 'care',
+    EmployeeRate: 0.018,
+    AdditionalRate: 0,
+    ChildlessSurcharge: 0.006,
+    AnnualCeiling: 66150,
+  },
+];
+
+const DEDUCTIONS = [
+  {
+    Year: 2025,
+    EmployeeAllowance: 1230,
+    SpecialExpensesAllowance: 36,
+    SaverAllowance: 1000,
+    CapitalIncomeRate: 0.25,
+  },
+];
+
+const SECONDARY_TARIFF = {
+  Limit1: 13785,
+  Limit2: 34240,
+  Limit3: 222260,
+  MinimumRate: 0.14,
+  MarginalRate: 0.42,
+  TopRate: 0.45,
+};
+
+const TAX_CLASSES = [1, 2, 3, 4, 5, 6].map(taxClass => ({
+  Year: 2025,
+  TaxClass: taxClass,
+  Tariff: taxClass === 3 ? 'splitting' : taxClass >= 5 ? 'secondary' : 'basic',
+  EmployeeAllowance: taxClass === 6 ? 0 : 1230,
+  SpecialExpensesAllowance: taxClass === 6 ? 0 : 36,
+  SingleParentAllowance: taxClass === 2 ? 4260 : 0,
+  ...(taxClass >= 5 ? SECONDARY_TARIFF : {}),
+}));
+
+const SOLIDARITY = [
+  { Year: 2025, Rate: 0.055, Threshold: 19950, MitigationRate: 0.119 },
+];
+
+const CHURCH_TAX = [
+  { Year: 2025, Land: 'BW', Rate: 0.08 },
+  { Year: 2025, Land: 'BY', Rate: 0.08 },
+  { Year: 2025, Land: 'BE', Rate: 0.09 },
+  { Year: 2025, Land: 'NW', Rate: 0.09 },
+];
+
+const TRADE_TAX = [
+  { Year: 2025, Allowance: 24500, BaseRate: 0.035, CreditFactor: 4.0 },
+];
+
+const TRADE_TAX_RATES = [
+  { Year: 2025, Municipality: 'Berlin', Hebesatz: 410 },
+  { Year: 2025, Municipality: 'München', Hebesatz: 490 },
+];
+
+const FAMILY_BENEFITS = [
+  {
+    Year: 2025,
+    ChildBenefit: 255,
+    ChildAllowance: 9600,
+    ChildBenefitAgeLimit: 18,
+    ElterngeldIncomeLimit: 175000,
+  },
+];
+
+function getGermanReferenceData() {
+  return {
+    taxFormula: TAX_FORMULA.map(z => ({ ...z })),
+    socialSecurity: SOCIAL_SECURITY.map(s => ({ ...s })),
+    deductions: DEDUCTIONS.map(d => ({ ...d })),
+    taxClasses: TAX_CLASSES.map(c => ({ ...c })),
+    solidarity: SOLIDARITY.map(s => ({ ...s })),
+    churchTax: CHURCH_TAX.map(c => ({ ...c })),
+    tradeTax: TRADE_TAX.map(t => ({ ...t })),
+    tradeTaxRates: TRADE_TAX_RATES.map(r => ({ ...r })),
+    familyBenefits: FAMILY_BENEFITS.map(f => ({ ...f })),
+  };
+}
+
+module.exports = {
+  getGermanReferenceData,
+};
@@ -0,0 +1,104 @@
+/**
+ * UK reference data fixtures (2025/26) shared by the GB tests.
+ */
+
+const TAX_BRACKETS = [
+  {
+    Year: 2025,
+    IncomeType: 'income',
+    MinIncome: 12570,
+    MaxIncome: 50270,
+    Rate: 0.2,
+    TaxBand: 'basic',
+  },
+  {
+    Year: 2025,
+    IncomeType: 'income',
+    MinIncome: 50270,
+    MaxIncome: 125140,
+    Rate: 0.4,
+    TaxBand: 'higher',
+  },
+  {
+    Year: 2025,
+    IncomeType: 'income',
+    MinIncome: 125140,
+    MaxIncome: null,
+    Rate: 0.45,
+    TaxBand: 'additional',
+  },
+  {
+    Year: 2025,
+    IncomeType: 'dividend',
+    MinIncome: 0,
+    MaxIncome: 37700,
+    Rate: 0.0875,
+    TaxBand: 'basic',
+  },
+  {
+    Year: 2025,
+    IncomeType: 'dividend',
+    MinIncome: 37700,
+    MaxIncome: 125140,
+    Rate: 0.3375,
+    TaxBand: 'higher',
+  },
+  {
+    Year: 2025,
+    IncomeType: 'dividend',
+    MinIncome: 125140,
+    MaxIncome: null,
+    Rate: 0.3935,
+    TaxBand: 'additional',
+  },
+];
+
+const DEDUCTIONS = [
+  {
+    Year: 2025,
+    Type: 'PersonalAllowance',
+    Amount: 12570,
+    ReductionThreshold: 100000,
+    ReductionRate: 0.5,
+  },
+  { Year: 2025, Type: 'TradingAllowance', Amount: 1000, MaxIncome: 1000 },
+  { Year: 2025, Type: 'DividendAllowance', Amount: 500 },
+  {
+    Year: 2025,
+    Type: 'PersonalSavingsAllowance',
+    TaxBand: 'basic',
+    Amount: 1000,
+  },
+  {
+    Year: 2025,
+    Type: 'PersonalSavingsAllowance',
+    TaxBand: 'higher',
+    Amount: 500,
+  },
+  {
+    Year: 2025,
+    Type: 'PersonalSavingsAllowance',
+    TaxBand: 'additional',
+    Amount: 0,
+  },
+];
+
+const SOCIAL_SECURITY = [
+  { Year: 2025, Class: 1, Threshold: 12570, UpperThreshold: 50270, Rate: 0.08 },
+  { Year: 2025, Class: 1, Threshold: 50270, UpperThreshold: null, Rate: 0.02 },
+  { Year: 2025, Class: 2, SmallProfitThreshold: 12570, WeeklyRate: 3.45 },
+  { Year: 2025, Class: 4, Threshold: 12570, UpperThreshold: 50270, Rate: 0.06 },
+  { Year: 2025, Class: 4, Threshold: 50270, UpperThreshold: null, Rate: 0.02 },
+];
+
+function getUKReferenceData() {
+  return {
+    taxBrackets: TAX_BRACKETS.map(b => ({ ...b })),
+    deductions: DEDUCTIONS.map(d => ({ ...d })),
+    socialSecurity: SOCIAL_SECURITY.map(s => ({ ...s })),
+  };
+}
+
+module.exports = {
+  getUKReferenceData,
+};
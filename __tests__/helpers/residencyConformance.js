@@ -0,0 +1,84 @@
+/**
+ * Jest conformance suite for TaxResidency implementations.
+ *
+ * Runs the contract checks from lib/residency/conformance against a country
+ * and proves the OECD tie-breaker and calculator can use it. Call it from a
+ * test file with a factory returning a residency with reference data:
+ *
+ * describeResidencyConformance('ES', () => new SpainResidency(refData), {
+ *   samples: [{ grossIncome: 3000, incomeType: 'employment' }],
+ * });
+ */
+
+const {
+  RESIDENCY_METHODS,
+  checkResidencyConformance,
+  checkTaxResult,
+} = require('../../lib/residency/conformance');
+const { ResidencyDetermination } = require('../../lib/residency/determination');
+
+/**
+ * @param {string} label - Suite label (usually the country code)
+ * @param {Function} createResidency - Factory returning a residency instance
+ * @param {Object} options - See checkResidencyConformance()
+ */
+function describeResidencyConformance(label, createResidency, options = {}) {
+  const { year = 2025, samples = [] } = options;
+
+  describe(`${label} TaxResidency conformance`, () => {
+    let residency;
+
+    beforeEach(() => {
+      residency = createResidency();
+    });
+
+    test('implements every contract method', () => {
+      const missing = RESIDENCY_METHODS.filter(
+        method => typeof residency[method] !== 'function'
+      );
+      expect(missing).toEqual([]);
+    });
+
+    test('conforms to the contract', () => {
+      expect(checkResidencyConformance(residency, options)).toEqual([]);
+    });
+
+    if (samples.length > 0) {
+      test.each(samples.map(s => [s.incomeType, s]))(
+        'calculateTax(%s) returns the standard result shape',
+        (_incomeType, sample) => {
+          const result = residency.calculateTax(
+            sample.grossIncome,
+            sample.incomeType,
+            { year, ...sample.options }
+          );
+          expect(checkTaxResult(result)).toEqual([]);
+        }
+      );
+    }
+
+    test('can take part in the OECD tie-breaker', () => {
+      const code = residency.getCountryCode();
+      const other = createResidency();
+      const determination = new ResidencyDetermination(
+        new Map([
+          [code, residency],
+          ['ZZ', other],
+        ])
+      );
+
+      // Two equal claimants: the tie-breaker must run to the manual-override error
+      expect(() =>
+        determination.applyOECDTieBreaker(
+          year,
+          [{ country: code }, { country: 'ZZ' }],
+          { incomeRecords: [], location: [] }
+        )
+      ).toThrow('Cannot determine single tax residency');
+    });
+  });
+}
+
+module.exports = {
+  describeResidencyConformance,
+};
@@ -1,6 +1,8 @@
 const { execSync } = require('child_process');
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
+const { loadData } = require('../lib/loader');
 
 const SAMPLE_INCOME_CSV = `Year,Month,GrossIncome,IncomeType,SourceCountry,ResidencyCountry
 2025,1,5000,employment,PT,PT
@@ -10,9 +12,9 @@ const SAMPLE_INCOME_CSV = `Year,Month,GrossIncome,IncomeType,SourceCountry,Resid
 
 const SAMPLE_SIMULATION_PARAMS = `Parameter,Value
 NHRStatusAcquiredDate,2023-06-15
-DividendAggregation,false`;
+DividendAggregationEligible,false`;
 
-const SAMPLE_MONTHLY_PERSONAL_DEDUCTIONS = `Year,Month,Health,Education,Housing,IVABooksAndCulture
+const SAMPLE_MONTHLY_PERSONAL_DEDUCTIONS = `Year,Month,HealthExpenses,EducationExpenses,HousingExpenses,IVABooksCulture
 2025,1,0,0,0,0
 2025,2,0,0,0,0
 2025,3,0,0,0,0`;
@@ -24,6 +26,7 @@ describe('CLI Integration', () => {
   const monthlyPath = path.join(testDataDir, 'MonthlyResults.csv');
   const annualPath = path.join(testDataDir, 'AnnualSummary.csv');
   const byTypePath = path.join(testDataDir, 'AnnualByType.csv');
+  const referencePath = path.join(testDataDir, 'ReferenceRows.csv');
 
   beforeAll(() => {
     if (!fs.existsSync(testDataDir)) {
@@ -52,7 +55,7 @@ describe('CLI Integration', () => {
       'Year,Month,FromCurrency,ToCurrency,Rate\n2025,1,EUR,EUR,1.0\n2025,1,GBP,EUR,1.17'
     );
 
-    [monthlyPath, annualPath, byTypePath].forEach(p => {
+    [monthlyPath, annualPath, byTypePath, referencePath].forEach(p => {
       if (fs.existsSync(p)) fs.unlinkSync(p);
     });
   });
@@ -82,6 +85,11 @@ describe('CLI Integration', () => {
 
     const monthlyLines = monthlyContent.split('\n').filter(l => l.trim());
     expect(monthlyLines.length).toBeGreaterThan(1);
+
+    const referenceContent = fs.readFileSync(referencePath, 'utf8');
+    expect(referenceContent).toContain(
+      '2025,1,PT,employment,taxAmount,taxBrackets,PT/TaxBrackets.csv,2,2025,,enacted,,'
+    );
   });
 
   test('CLI fails with non-existent directory', () => {
@@ -92,6 +100,76 @@ describe('CLI Integration', () => {
     }).toThrow();
   });
 
+  test('CLI --validate checks the data without writing results', () => {
+    const output = execSync(
+      `node bin/net-income-calculator --validate "${testDataDir}"`,
+      { stdio: 'pipe' }
+    ).toString();
+
+    expect(output).toContain('Validation passed');
+    expect(output).not.toContain('Running calculation');
+  });
+
+  test('CLI reports all validation errors before calculating', () => {
+    const invalidDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cli-invalid-'));
+    try {
+      fs.mkdirSync(path.join(invalidDir, 'PT'));
+      fs.writeFileSync(
+        path.join(invalidDir, 'PT', 'Income.csv'),
+        'Year,Month,GrossIncome,IncomeType\n2025,13,5000,employment\n2025,1,-10,salary'
+      );
+
+      let stderr = '';
+      try {
+        execSync(
+          `node bin/net-income-calculator --no-bundled-reference "${invalidDir}"`,
+          { stdio: 'pipe' }
+        );
+      } catch (error) {
+        stderr = error.stderr.toString();
+      }
+
+      expect(stderr).toContain('PT/Income.csv, row 2, column Month');
+      expect(stderr).toContain('PT/Income.csv, row 3, column GrossIncome');
+      expect(stderr).toContain('PT/Income.csv, row 3, column IncomeType');
+      expect(stderr).toContain('Missing required reference file');
+      expect(stderr).toContain('Validation failed');
+    } finally {
+      fs.rmSync(invalidDir, { recursive: true, force: true });
+    }
+  });
+
+  test('CLI calculates a JSON dataset and writes results next to it', () => {
+    const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cli-json-'));
+    try {
+      const { referenceData, exchangeRates } = loadData(testDataDir);
+      const datasetPath = path.join(outputDir, 'dataset.json');
+      fs.writeFileSync(
+        datasetPath,
+        JSON.stringify({
+          incomeRecords: [
+            { Year: 2025, Month: 1, GrossIncome: 5000, SourceCountry: 'PT' },
+          ],
+          exchangeRates,
+          referenceData,
+        })
+      );
+
+      const output = execSync(
+        `node bin/net-income-calculator "${datasetPath}"`,
+        { stdio: 'pipe' }
+      ).toString();
+
+      expect(output).toContain('Found 1 income records.');
+      expect(output).toContain('Success!');
+      expect(fs.existsSync(path.join(outputDir, 'MonthlyResults.csv'))).toBe(
+        true
+      );
+    } finally {
+      fs.rmSync(outputDir, { recursive: true, force: true });
+    }
+  });
+
   test('CLI fails with missing arguments', () => {
     expect(() => {
       execSync('node bin/net-income-calculator', { stdio: 'pipe' });
@@ -0,0 +1,560 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { validateIncomeDataCompleteness } = require('../lib/dataValidation');
+const {
+  buildResidencyOverrides,
+  getLoadIssues,
+  getRecordSource,
+  getReferenceProvenance,
+  loadData,
+  loadDataDocument,
+  parseCSV,
+  parseDataDocument,
+} = require('../lib/loader');
+
+describe('parseCSV', () => {
+  test('converts numbers, booleans and empty values', () => {
+    expect(parseCSV('Year,Rate,Active,Note\n2025,0.15,true,\n')).toEqual([
+      { Year: 2025, Rate: 0.15, Active: true, Note: null },
+    ]);
+  });
+
+  test('keeps strings with the raw option', () => {
+    expect(parseCSV('Year,Rate,Note\n2025,0.15,\n', { raw: true })).toEqual([
+      { Year: '2025', Rate: '0.15', Note: null },
+    ]);
+  });
+
+  test('returns no rows without data lines', () => {
+    expect(parseCSV('')).toEqual([]);
+    expect(parseCSV('Year,Rate\n')).toEqual([]);
+  });
+
+  test('keeps commas, escaped quotes and line breaks in quoted fields', () => {
+    const csv =
+      'Employer,Description,GrossIncome\n' +
+      '"Acme, Lda","Said ""hi""\nand left",3000\n' +
+      '"  padded  ", plain ,1\n';
+
+    expect(parseCSV(csv)).toEqual([
+      {
+        Employer: 'Acme, Lda',
+        Description: 'Said "hi"\nand left',
+        GrossIncome: 3000,
+      },
+      { Employer: '  padded  ', Description: 'plain', GrossIncome: 1 },
+    ]);
+  });
+
+  test('handles CRLF line endings and a UTF-8 BOM', () => {
+    expect(parseCSV('\uFEFFYear,Month\r\n2025,1\r\n2025,2\r\n')).toEqual([
+      { Year: 2025, Month: 1 },
+      { Year: 2025, Month: 2 },
+    ]);
+  });
+
+  test('skips comment lines and blank lines but keeps # inside fields', () => {
+    const csv = [
+      '# Simulation parameters',
+      'Parameter,Value',
+      '',
+      '  # Residency',
+      'Threshold,183 # days',
+      '   ',
+      'Channel,"#general"',
+      'Tag,C#',
+      'Invoice,#12',
+    ].join('\n');
+
+    expect(parseCSV(csv)).toEqual([
+      { Parameter: 'Threshold', Value: '183 # days' },
+      { Parameter: 'Channel', Value: '#general' },
+      { Parameter: 'Tag', Value: 'C#' },
+      { Parameter: 'Invoice', Value: '#12' },
+    ]);
+    expect(
+      parseCSV(
+        'Year,Month,GrossIncome,Description,Employer\n2025,1,5000,Invoice #12,Acme'
+      )
+    ).toEqual([
+      {
+        Year: 2025,
+        Month: 1,
+        GrossIncome: 5000,
+        Description: 'Invoice #12',
+        Employer: 'Acme',
+      },
+    ]);
+  });
+
+  test('allows short rows and trailing empty fields', () => {
+    expect(parseCSV('A,B,C\n1\n1,2,3,,\n')).toEqual([
+      { A: 1 },
+      { A: 1, B: 2, C: 3 },
+    ]);
+  });
+
+  test.each([
+    ['A,B\n1,"open\n2,3', 2, 3, 'unterminated quoted field'],
+    ['A,B\n1,"x"y', 2, 6, "unexpected character 'y' after closing quote"],
+    ['A,B\n1,ab"c', 2, 5, 'quote inside unquoted field'],
+    ['A,B\n1,2\n1,2,3', 3, 5, 'row has 3 fields but the header has 2'],
+  ])(
+    'reports line and column of malformed CSV %#',
+    (csv, line, column, msg) => {
+      expect(() => parseCSV(csv)).toThrow(
+        `Invalid CSV at line ${line}, column ${column}: ${msg}`
+      );
+      expect(() => parseCSV(csv)).toThrow(
+        expect.objectContaining({ line, column })
+      );
+    }
+  );
+});
+
+describe('loadData', () => {
+  let dataDir;
+
+  beforeEach(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'loader-'));
+    fs.mkdirSync(path.join(dataDir, 'PT'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  test('records CSV line numbers of rows', () => {
+    fs.writeFileSync(
+      path.join(dataDir, 'PT', 'Income.csv'),
+      '# Income\nYear,Month,GrossIncome,Description\n\n2025,1,3000,"Salary,\nJanuary"\n2025,2,3000,\n'
+    );
+
+    const { incomeRecords } = loadData(dataDir);
+
+    expect(incomeRecords.map(getRecordSource)).toEqual([
+      { file: 'PT/Income.csv', row: 4 },
+      { file: 'PT/Income.csv', row: 6 },
+    ]);
+    expect(incomeRecords[0].Description).toBe('Salary,\nJanuary');
+  });
+
+  test('prefixes parse errors with the file name', () => {
+    fs.writeFileSync(
+      path.join(dataDir, 'PT', 'Income.csv'),
+      'Year,Month,GrossIncome\n2025,1,3000\n'
+    );
+    fs.writeFileSync(
+      path.join(dataDir, 'PT', 'TaxBrackets.csv'),
+      'Year,Rate\n2025,"0.1\n'
+    );
+
+    expect(() => loadData(dataDir)).toThrow(
+      'PT/TaxBrackets.csv: Invalid CSV at line 2, column 6: unterminated quoted field'
+    );
+  });
+
+  test('coerces files by their schema', () => {
+    fs.writeFileSync(
+      path.join(dataDir, 'PT', 'Income.csv'),
+      'Year,Month,GrossIncome,Employer\n2025,01,3000,0123\n'
+    );
+    fs.writeFileSync(
+      path.join(dataDir, 'PT', 'ForeignTaxCredit.csv'),
+      'Year,SourceCountry,WithholdingRateDividend\n2025,GB,0.10\n'
+    );
+
+    const data = loadData(dataDir, { bundledReference: false });
+
+    expect(data.incomeRecords[0]).toMatchObject({
+      Year: 2025,
+      Month: 1,
+      GrossIncome: 3000,
+      Employer: '0123',
+      IncomeType: 'employment',
+    });
+    expect(data.referenceData.PT.foreignTaxCredit).toEqual([
+      { Year: 2025, SourceCountry: 'GB', WithholdingRateDividend: 0.1 },
+    ]);
+    expect(getLoadIssues(data)).toEqual([]);
+  });
+
+  test('reads the optional PT MonthlyPersonalDeductions.csv without warnings', () => {
+    fs.writeFileSync(
+      path.join(dataDir, 'PT', 'Income.csv'),
+      'Year,Month,GrossIncome\n2025,1,3000\n'
+    );
+    fs.writeFileSync(
+      path.join(dataDir, 'PT', 'MonthlyPersonalDeductions.csv'),
+      'Year,Month,HealthExpenses,IVABooksCulture\n2025,1,120.50,15\n'
+    );
+
+    const data = loadData(dataDir);
+
+    expect(data.referenceData.PT.monthlyPersonalDeductions).toEqual([
+      { Year: 2025, Month: 1, HealthExpenses: 120.5, IVABooksCulture: 15 },
+    ]);
+    expect(getLoadIssues(data)).toEqual([]);
+  });
+
+  test('collects schema problems with file, row and column', () => {
+    fs.writeFileSync(
+      path.join(dataDir, 'PT', 'Income.csv'),
+      'Year,Month,GrossIncome,Bonus\n2025,Jan,3000,1\n'
+    );
+    fs.writeFileSync(
+      path.join(dataDir, 'PT', 'Notes.csv'),
+      'Year,Note\n2025,0123\n'
+    );
+
+    const data = loadData(dataDir);
+
+    expect(getLoadIssues(data)).toEqual([
+      {
+        severity: 'warning',
+        file: 'PT/Notes.csv',
+        row: null,
+        column: null,
+        message: 'Unknown reference file; column types are inferred',
+      },
+      {
+        severity: 'warning',
+        file: 'PT/Income.csv',
+        row: 1,
+        column: 'Bonus',
+        message: 'Unknown column Bonus',
+      },
+      {
+        severity: 'error',
+        file: 'PT/Income.csv',
+        row: 2,
+        column: 'Month',
+        message: 'Month must be an integer (got Jan)',
+      },
+    ]);
+    expect(data.referenceData.PT.notes).toEqual([{ Year: 2025, Note: 123 }]);
+  });
+
+  test('loads root-level presence and residency files', () => {
+    fs.writeFileSync(
+      path.join(dataDir, 'PT', 'Income.csv'),
+      'Year,Month,GrossIncome\n2025,1,3000\n'
+    );
+    fs.writeFileSync(
+      path.join(dataDir, 'Location.csv'),
+      'Date,FromCountry,ToCountry,DepartureTime,ArrivalTime,LocationType\n2025-01-01,GB,PT,09:00,12:30,Travel\n'
+    );
+    fs.writeFileSync(
+      path.join(dataDir, 'Accommodation.csv'),
+      'Year,Country,AccommodationType,AvailableFrom,AvailableTo,IsPermanentHome\n2025,PT,Owned,2025-01-01,2025-12-31,true\n'
+    );
+    fs.writeFileSync(
+      path.join(dataDir, 'TaxResidency.csv'),
+      'Year,Country,ResidencyStatus,ResidencyStartDate,ResidencyEndDate,CalculationMethod,Notes\n2025,PT,Resident,,,Manual,\n'
+    );
+
+    const data = loadData(dataDir);
+
+    expect(data.location).toEqual([
+      {
+        Date: '2025-01-01',
+        FromCountry: 'GB',
+        ToCountry: 'PT',
+        DepartureTime: '09:00',
+        ArrivalTime: '12:30',
+        LocationType: 'Travel',
+      },
+    ]);
+    expect(data.accommodation[0]).toMatchObject({
+      Year: 2025,
+      IsPermanentHome: true,
+    });
+    expect(data.workActivity).toEqual([]);
+    expect(data.taxResidency).toEqual({
+      2025: [
+        {
+          year: 2025,
+          country: 'PT',
+          method: 'manual',
+          startMonth: 1,
+          startDay: 1,
+          endMonth: 12,
+          endDay: 31,
+          calculationMethod: 'Manual',
+        },
+      ],
+    });
+    expect(getRecordSource(data.taxResidency[2025][0])).toEqual({
+      file: 'TaxResidency.csv',
+      row: 2,
+    });
+  });
+
+  test('layers the data directory over the bundled reference data', () => {
+    fs.writeFileSync(
+      path.join(dataDir, 'PT', 'Income.csv'),
+      'Year,Month,GrossIncome\n2025,1,3000\n'
+    );
+    fs.writeFileSync(
+      path.join(dataDir, 'PT', 'SolidarityTax.csv'),
+      'Year,Threshold1,Rate1\n2026,90000,0.03\n'
+    );
+
+    const data = loadData(dataDir);
+    const solidarity = data.referenceData.PT.solidarityTax;
+
+    expect(solidarity.map(row => [row.Year, row.Threshold1])).toEqual([
+      [2025, 80000],
+      [2026, 90000],
+    ]);
+    expect(getRecordSource(solidarity[0])).toEqual({
+      file: 'PT/SolidarityTax.csv (bundled)',
+      row: 2,
+    });
+    expect(getReferenceProvenance(data)).toContainEqual({
+      country: 'PT',
+      key: 'solidarityTax',
+      file: 'PT/SolidarityTax.csv',
+      bundled: 1,
+      user: 1,
+      replaced: 1,
+    });
+    expect(
+      loadData(dataDir, { bundledReference: false }).referenceData.PT
+    ).toEqual({ solidarityTax: [expect.objectContaining({ Year: 2026 })] });
+  });
+
+  test.each(['PT', 'GB', 'DE'])(
+    'bundles complete %s reference data',
+    countryCode => {
+      fs.mkdirSync(path.join(dataDir, countryCode), { recursive: true });
+      fs.writeFileSync(
+        path.join(dataDir, countryCode, 'Income.csv'),
+        'Year,Month,GrossIncome\n2025,1,3000\n'
+      );
+
+      const data = loadData(dataDir);
+
+      expect(getLoadIssues(data)).toEqual([]);
+      expect(
+        validateIncomeDataCompleteness(data).errors.filter(e =>
+          e.message.includes('reference file')
+        )
+      ).toEqual([]);
+    }
+  );
+});
+
+describe('loadDataDocument', () => {
+  test('coerces document sections by the file schemas', () => {
+    const document = {
+      incomeRecords: [
+        { Year: 2025, Month: '01', GrossIncome: 3000, SourceCountry: 'PT' },
+      ],
+      taxResidency: [
+        { Year: 2025, Country: 'PT', ResidencyStatus: 'Resident' },
+      ],
+      referenceData: {
+        PT: {
+          foreignTaxCredit: [
+            { Year: '2025', SourceCountry: 'GB', WithholdingRateDividend: 0.1 },
+          ],
+        },
+      },
+    };
+
+    const data = loadDataDocument(document, 'data.json');
+
+    expect(data.incomeRecords[0]).toMatchObject({
+      Month: 1,
+      IncomeType: 'employment',
+      amount: 3000,
+      sourceCountry: 'PT',
+    });
+    expect(document.incomeRecords[0].Month).toBe('01');
+    expect(data.referenceData.PT.foreignTaxCredit[0].Year).toBe(2025);
+    expect(data.taxResidency[2025][0]).toMatchObject({ country: 'PT' });
+    expect(data.location).toEqual([]);
+    expect(getRecordSource(data.incomeRecords[0])).toEqual({
+      file: 'data.json/incomeRecords',
+      row: 1,
+    });
+    expect(getLoadIssues(data)).toEqual([]);
+  });
+
+  test('collects schema problems with document path and position', () => {
+    const data = loadDataDocument(
+      {
+        incomeRecords: [
+          { Year: 2025, Month: 1, GrossIncome: 1, SourceCountry: 'PT' },
+          { Year: 2025, Month: 'Jan', GrossIncome: 1 },
+        ],
+        referenceData: { PT: { brackets: [{ Year: '2025' }] }, pt: {} },
+        settings: {},
+      },
+      'data.json'
+    );
+
+    expect(getLoadIssues(data)).toEqual([
+      {
+        severity: 'warning',
+        file: 'data.json',
+        row: null,
+        column: null,
+        message: 'Unknown dataset property settings',
+      },
+      {
+        severity: 'error',
+        file: 'data.json/incomeRecords',
+        row: 2,
+        column: 'Month',
+        message: 'Month must be an integer (got Jan)',
+      },
+      {
+        severity: 'error',
+        file: 'data.json/incomeRecords',
+        row: 2,
+        column: 'SourceCountry',
+        message: 'SourceCountry is required',
+      },
+      {
+        severity: 'warning',
+        file: 'data.json/referenceData/PT/brackets',
+        row: null,
+        column: null,
+        message: 'Unknown reference data; value types are inferred',
+      },
+      {
+        severity: 'warning',
+        file: 'data.json/referenceData/pt',
+        row: null,
+        column: null,
+        message: 'pt is not an ISO 3166-1 alpha-2 code; ignored',
+      },
+    ]);
+    expect(data.referenceData).toEqual({
+      PT: { brackets: [{ Year: 2025 }] },
+    });
+  });
+
+  test.each([
+    [[], 'data.json: dataset must be an object'],
+    [
+      { incomeRecords: [] },
+      'data.json: incomeRecords must contain income records',
+    ],
+    [{ incomeRecords: {} }, 'data.json/incomeRecords must be an array'],
+    [{ incomeRecords: [2025] }, 'data.json/incomeRecords/1 must be an object'],
+  ])('rejects malformed documents %#', (document, message) => {
+    expect(() => loadDataDocument(document, 'data.json')).toThrow(message);
+  });
+});
+
+describe('parseDataDocument', () => {
+  test('reads YAML scalars as strings for the file schemas', () => {
+    const document = parseDataDocument(
+      [
+        'incomeRecords:',
+        '  - Year: 2025',
+        '    Month: 01',
+        '    GrossIncome: 3000',
+        '    SourceCountry: PT',
+        '    Employer: 0123',
+        '    Description: ~',
+      ].join('\n'),
+      'yaml'
+    );
+
+    expect(document.incomeRecords[0]).toEqual({
+      Year: '2025',
+      Month: '01',
+      GrossIncome: '3000',
+      SourceCountry: 'PT',
+      Employer: '0123',
+      Description: null,
+    });
+    expect(loadDataDocument(document).incomeRecords[0]).toMatchObject({
+      Month: 1,
+      Employer: '0123',
+    });
+  });
+
+  test('prefixes syntax errors with the document name', () => {
+    expect(() => parseDataDocument('{"a": 1,}', 'json', 'data.json')).toThrow(
+      /^data\.json: Invalid JSON: /
+    );
+    expect(() =>
+      parseDataDocument('a: [1, 2\nb: 3', 'yaml', 'data.yaml')
+    ).toThrow(expect.objectContaining({ line: 2, column: 1 }));
+  });
+
+  test('loadData reads .json and .yaml files', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'loader-'));
+    try {
+      const file = path.join(dir, 'data.yml');
+      fs.writeFileSync(
+        file,
+        'incomeRecords:\n  - {Year: 2025, Month: 1, GrossIncome: 3000, SourceCountry: PT}\n'
+      );
+
+      const data = loadData(file);
+
+      expect(data.incomeRecords[0].amount).toBe(3000);
+      expect(getRecordSource(data.incomeRecords[0])).toEqual({
+        file: 'data.yml/incomeRecords',
+        row: 1,
+      });
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('buildResidencyOverrides', () => {
+  test('splits a year into date-ordered periods', () => {
+    const overrides = buildResidencyOverrides([
+      {
+        Year: 2025,
+        Country: 'GB',
+        ResidencyStatus: 'SplitYear',
+        ResidencyStartDate: '2025-07-01',
+        ResidencyEndDate: '2026-04-05',
+        Notes: 'Moved from PT July 1',
+      },
+      {
+        Year: 2025,
+        Country: 'PT',
+        ResidencyStatus: 'SplitYear',
+        ResidencyStartDate: '2024-01-01',
+        ResidencyEndDate: '2025-06-30',
+      },
+      { Year: 2025, Country: 'DE', ResidencyStatus: 'NonResident' },
+      { Year: 'next', Country: 'PT', ResidencyStatus: 'Resident' },
+    ]);
+
+    expect(overrides).toEqual({
+      2025: [
+        {
+          year: 2025,
+          country: 'PT',
+          method: 'manual',
+          startMonth: 1,
+          startDay: 1,
+          endMonth: 6,
+          endDay: 30,
+        },
+        {
+          year: 2025,
+          country: 'GB',
+          method: 'manual',
+          startMonth: 7,
+          startDay: 1,
+          endMonth: 12,
+          endDay: 31,
+          notes: 'Moved from PT July 1',
+        },
+      ],
+    });
+  });
+});
@@ -0,0 +1,219 @@
+const {
+  FILE_SCHEMAS,
+  SIMULATION_PARAMETERS,
+  applySchema,
+  buildSettings,
+  checkSchemas,
+  coerceValue,
+} = require('../lib/schemas');
+
+describe('coerceValue', () => {
+  test.each([
+    ['integer', '01', 1],
+    ['integer', '-3', -3],
+    ['number', '1.5e3', 1500],
+    ['boolean', 'TRUE', true],
+    ['string', '0123', '0123'],
+    ['date', '2025-02-28', '2025-02-28'],
+    ['time', '23:59', '23:59'],
+    ['country', 'PT', 'PT'],
+    ['currency', 'EUR', 'EUR'],
+    ['any', '0.28', 0.28],
+    ['any', 'overnight', 'overnight'],
+  ])('parses %s %p', (type, raw, expected) => {
+    expect(coerceValue(raw, { type })).toEqual({
+      value: expected,
+      valid: true,
+    });
+  });
+
+  test.each([
+    ['integer', '1.5'],
+    ['number', 'abc'],
+    ['boolean', 'yes'],
+    ['date', '2025-02-30'],
+    ['date', '15-01-2025'],
+    ['time', '24:00'],
+    ['country', 'Portugal'],
+    ['currency', 'eur'],
+  ])('rejects %s %p and keeps the raw value', (type, raw) => {
+    expect(coerceValue(raw, { type })).toEqual({ value: raw, valid: false });
+  });
+
+  test('checks already typed values', () => {
+    expect(coerceValue(2025, { type: 'integer' }).valid).toBe(true);
+    expect(coerceValue(2025.5, { type: 'integer' }).valid).toBe(false);
+    expect(coerceValue(1, { type: 'boolean' }).valid).toBe(false);
+  });
+
+  test('throws for unknown column types', () => {
+    expect(() => coerceValue('1', { type: 'decimal' })).toThrow(
+      'Unknown column type: decimal'
+    );
+  });
+});
+
+describe('applySchema', () => {
+  const schema = FILE_SCHEMAS['Income.csv'];
+
+  test('coerces by column type and applies defaults', () => {
+    const rows = [
+      { Year: '2025', Month: '01', GrossIncome: '3000.50', Employer: '0123' },
+    ];
+
+    expect(applySchema(rows, schema)).toEqual([]);
+    expect(rows[0]).toEqual({
+      Year: 2025,
+      Month: 1,
+      GrossIncome: 3000.5,
+      Employer: '0123',
+      IncomeType: 'employment',
+    });
+  });
+
+  test('reports invalid, missing and disallowed values per row', () => {
+    const rows = [
+      { Year: '2025', Month: 'Jan', IncomeType: 'salary' },
+      { Year: null, Month: '2', SourceCountry: 'Portugal' },
+    ];
+
+    expect(applySchema(rows, schema)).toEqual([
+      {
+        severity: 'error',
+        index: 0,
+        column: 'Month',
+        message: 'Month must be an integer (got Jan)',
+      },
+      {
+        severity: 'error',
+        index: 0,
+        column: 'IncomeType',
+        message: `IncomeType must be one of: ${schema.IncomeType.values.join(', ')} (got salary)`,
+      },
+      {
+        severity: 'error',
+        index: 1,
+        column: 'Year',
+        message: 'Year is required',
+      },
+      {
+        severity: 'error',
+        index: 1,
+        column: 'SourceCountry',
+        message:
+          'SourceCountry must be an ISO 3166-1 alpha-2 country code (got Portugal)',
+      },
+    ]);
+    expect(rows[0].Month).toBe('Jan');
+  });
+
+  test('reports unknown and missing columns once', () => {
+    const rows = [
+      { Year: '2025', Salary: '3000' },
+      { Year: '2025', Salary: '3100' },
+    ];
+
+    expect(applySchema(rows, schema)).toEqual([
+      {
+        severity: 'warning',
+        index: null,
+        column: 'Salary',
+        message: 'Unknown column Salary',
+      },
+      {
+        severity: 'error',
+        index: null,
+        column: 'Month',
+        message: 'Missing required column Month',
+      },
+    ]);
+    expect(rows[0].Salary).toBe('3000');
+  });
+
+  test('accepts files without data rows', () => {
+    expect(applySchema([], schema)).toEqual([]);
+  });
+});
+
+describe('buildSettings', () => {
+  const parameters = {
+    ...SIMULATION_PARAMETERS,
+    NHRStatusAcquiredDate: { type: 'date' },
+    Region: {
+      type: 'string',
+      values: ['default', 'scotland'],
+      default: 'default',
+    },
+  };
+
+  test('types values and applies defaults', () => {
+    const { settings, issues } = buildSettings(
+      [
+        { Parameter: 'ResidencyTest183Days', Value: 'false' },
+        { Parameter: 'ResidencyMinDaysForPermanentHome', Value: '3' },
+        { Parameter: 'NHRStatusAcquiredDate', Value: '2023-11-21' },
+        { Parameter: 'Region', Value: null },
+        { Parameter: 'SRT_TiesRequired', Value: 'true' },
+      ],
+      parameters
+    );
+
+    expect(issues).toEqual([]);
+    expect(settings).toEqual({
+      ResidencyTest183Days: false,
+      ResidencyDayCountingMethod: 'overnight',
+      ResidencyPermanentHomeTest: true,
+      ResidencyMinDaysForPermanentHome: 3,
+      NHRStatusAcquiredDate: '2023-11-21',
+      Region: 'default',
+    });
+  });
+
+  test('keeps defaults for invalid and duplicate values', () => {
+    const { settings, issues } = buildSettings(
+      [
+        { Parameter: 'Region', Value: 'wales' },
+        { Parameter: 'NHRStatusAcquiredDate', Value: '21/11/2023' },
+        { Parameter: 'ResidencyTest183Days', Value: true },
+        { Parameter: 'ResidencyTest183Days', Value: 'false' },
+      ],
+      parameters
+    );
+
+    expect(settings).toMatchObject({
+      Region: 'default',
+      NHRStatusAcquiredDate: null,
+      ResidencyTest183Days: true,
+    });
+    expect(issues).toEqual([
+      {
+        severity: 'error',
+        index: 0,
+        column: 'Value',
+        message: 'Region must be one of: default, scotland (got wales)',
+      },
+      {
+        severity: 'error',
+        index: 1,
+        column: 'Value',
+        message:
+          'NHRStatusAcquiredDate must be a date (YYYY-MM-DD) (got 21/11/2023)',
+      },
+      {
+        severity: 'warning',
+        index: 3,
+        column: 'Value',
+        message: 'Duplicate parameter ResidencyTest183Days; the first is used',
+      },
+    ]);
+  });
+});
+
+describe('checkSchemas', () => {
+  test('reports unknown column types', () => {
+    expect(checkSchemas(FILE_SCHEMAS)).toEqual([]);
+    expect(checkSchemas({ 'Rates.csv': { Year: { type: 'year' } } })).toEqual([
+      'Rates.csv column Year has unknown type year',
+    ]);
+  });
+});
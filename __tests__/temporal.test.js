@@ -0,0 +1,115 @@
+const {
+  getExactMatch,
+  getExactRows,
+  getTemporalMatch,
+  getTemporalRows,
+  selectRowsInForce,
+} = require('../lib/temporal');
+
+describe('temporal lookups', () => {
+  const rows = [
+    { Year: 2026, Type: 'PersonalAllowance', Amount: 13000 },
+    { Year: 2024, Type: 'PersonalAllowance', Amount: 12570 },
+    { Year: '2025', Type: 'DividendAllowance', Amount: 500 },
+    { Year: 2024, Type: 'DividendAllowance', Amount: 500 },
+    { Year: 2025, Type: 'PersonalSavingsAllowance', TaxBand: 'basic' },
+    { Year: 2025, Type: 'PersonalSavingsAllowance', TaxBand: 'higher' },
+  ];
+
+  test('do not depend on the order of the rows', () => {
+    expect(getTemporalMatch(rows, 2025, 'Type', 'PersonalAllowance')).toBe(
+      rows[1]
+    );
+    expect(getTemporalMatch(rows, 2030)).toBe(rows[0]);
+    expect(getTemporalMatch(rows, 2023)).toBeNull();
+    expect(getExactMatch(rows, 2025)).toBe(rows[2]);
+    expect(getTemporalRows(rows, 2025)).toEqual([rows[2], rows[4], rows[5]]);
+  });
+
+  test('filter by several columns at once', () => {
+    const filter = { Type: 'PersonalSavingsAllowance', TaxBand: 'higher' };
+
+    expect(getExactMatch(rows, 2025, filter)).toBe(rows[5]);
+    expect(getExactMatch(rows, 2024, filter)).toBeNull();
+    expect(getTemporalMatch(rows, 2027, filter)).toBe(rows[5]);
+    expect(getExactRows(rows, 2024, { Type: 'DividendAllowance' })).toEqual([
+      rows[3],
+    ]);
+    expect(getExactRows(rows, 2026, { Type: 'DividendAllowance' })).toEqual([]);
+  });
+
+  test('follow rows added after the first lookup', () => {
+    const data = [{ Year: 2024, Class: '1', Rate: 0.08 }];
+    expect(getExactRows(data, 2025, { Class: 1 })).toEqual([]);
+
+    data.push({ Year: 2025, Class: '1', Rate: 0.08 });
+    expect(getExactRows(data, 2025, { Class: 1 })).toEqual([data[1]]);
+    getExactRows(data, 2025).pop();
+    expect(getExactRows(data, 2025)).toHaveLength(1);
+  });
+
+  test('follow rows replaced or moved to another year', () => {
+    const data = [
+      { Year: 2024, Rate: 0.08 },
+      { Year: 2025, Rate: 0.09 },
+    ];
+    expect(getExactMatch(data, 2025)).toBe(data[1]);
+
+    data[1] = { Year: 2025, Rate: 0.1 };
+    expect(getExactMatch(data, 2025)).toBe(data[1]);
+    data.reverse();
+    expect(getTemporalMatch(data, 2025)).toBe(data[0]);
+    data[0].Year = 2026;
+    expect(getExactMatch(data, 2025)).toBeNull();
+    expect(getExactMatch(data, 2026)).toBe(data[0]);
+  });
+
+  test('reject data that is not an array', () => {
+    expect(() => getTemporalMatch(null, 2025)).toThrow('data must be an array');
+  });
+});
+
+describe('selectRowsInForce', () => {
+  test('returns tables without metadata as they are', () => {
+    const rows = [{ Year: 2025, Rate: 0.11 }];
+
+    expect(selectRowsInForce(rows, '2025-03-15')).toBe(rows);
+  });
+
+  test('keeps the group with the latest EffectiveFrom in force', () => {
+    const rows = [
+      { Year: 2024, MinIncome: 0, Rate: 0.145 },
+      { Year: 2024, MinIncome: 7703, Rate: 0.21 },
+      { Year: 2024, MinIncome: 0, Rate: 0.13, EffectiveFrom: '2024-01-01' },
+      { Year: 2025, MinIncome: 0, Rate: 0.13 },
+    ];
+
+    expect(selectRowsInForce(rows, '2023-12-31')).toEqual([
+      rows[0],
+      rows[1],
+      rows[3],
+    ]);
+    expect(selectRowsInForce(rows, '2024-06-30')).toEqual([rows[2], rows[3]]);
+  });
+
+  test('drops expired and proposed rows', () => {
+    const rows = [
+      { Year: 2025, Land: 'BW', Rate: 0.08, EffectiveTo: '2025-06-30' },
+      { Year: 2025, Land: 'BE', Rate: 0.09 },
+      { Year: 2025, Land: 'BE', Rate: 0.1, Status: 'proposed' },
+    ];
+
+    expect(selectRowsInForce(rows, '2025-07-01', { keys: ['Land'] })).toEqual([
+      rows[1],
+    ]);
+    expect(
+      selectRowsInForce(rows, '2025-01-01', { keys: ['Land'], proposed: true })
+    ).toEqual([rows[0], rows[2]]);
+  });
+
+  test('throws for non-array rows', () => {
+    expect(() => selectRowsInForce(null, '2025-01-01')).toThrow(
+      'rows must be an array'
+    );
+  });
+});
@@ -0,0 +1,42 @@
+/**
+ * Unit Test for German church tax
+ * Target: lib/residency/de/churchTax.js
+ */
+
+const {
+  calculateChurchTax,
+  getCapitalIncomeRateWithChurchTax,
+  getChurchTaxRate,
+} = require('../../../lib/residency/de/churchTax');
+
+describe('Germany - Kirchensteuer', () => {
+  const churchTaxData = [
+    { Year: 2025, Land: 'BY', Rate: 0.08 },
+    { Year: 2025, Land: 'BE', Rate: 0.09 },
+  ];
+
+  it('looks up the rate by Land', () => {
+    expect(getChurchTaxRate(2025, 'BY', churchTaxData)).toBe(0.08);
+    expect(getChurchTaxRate(2026, 'BE', churchTaxData)).toBe(0.09);
+  });
+
+  it('throws for an unknown Land', () => {
+    expect(() => getChurchTaxRate(2025, 'XX', churchTaxData)).toThrow(
+      'No church tax rate found for Land XX in year 2025'
+    );
+  });
+
+  it('applies the rate to the income tax', () => {
+    expect(calculateChurchTax(10000, 0.09)).toBeCloseTo(900, 2);
+    expect(calculateChurchTax(10000, 0)).toBe(0);
+    expect(calculateChurchTax(-5, 0.09)).toBe(0);
+  });
+
+  it('reduces the flat rate on capital income for church members', () => {
+    expect(getCapitalIncomeRateWithChurchTax(0.25, 0)).toBe(0.25);
+    expect(getCapitalIncomeRateWithChurchTax(0.25, 0.09)).toBeCloseTo(
+      0.2445,
+      4
+    );
+  });
+});
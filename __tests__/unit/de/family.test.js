@@ -0,0 +1,85 @@
+/**
+ * Unit Test for German family benefits
+ * Target: lib/residency/de/family.js
+ */
+
+const {
+  calculateChildBenefits,
+  countEligibleMonths,
+} = require('../../../lib/residency/de/family');
+
+describe('Germany - Kindergeld / Kinderfreibetrag', () => {
+  const familyBenefitsData = [
+    {
+      Year: 2025,
+      ChildBenefit: 255,
+      ChildAllowance: 9600,
+      ChildBenefitAgeLimit: 18,
+      ElterngeldIncomeLimit: 175000,
+    },
+  ];
+
+  describe('countEligibleMonths()', () => {
+    it('counts the full year for a child under the age limit', () => {
+      expect(countEligibleMonths({ BirthDate: '2018-05-10' }, 2025, 18)).toBe(
+        12
+      );
+    });
+
+    it('starts in the birth month', () => {
+      expect(countEligibleMonths({ BirthDate: '2025-09-01' }, 2025, 18)).toBe(
+        4
+      );
+    });
+
+    it('ends in the month the child reaches the age limit', () => {
+      expect(countEligibleMonths({ BirthDate: '2007-03-20' }, 2025, 18)).toBe(
+        3
+      );
+    });
+
+    it('uses EligibleUntil when given', () => {
+      expect(
+        countEligibleMonths(
+          { BirthDate: '2005-03-20', EligibleUntil: '2025-06-30' },
+          2025,
+          18
+        )
+      ).toBe(6);
+    });
+
+    it('returns 0 for children born after the year', () => {
+      expect(countEligibleMonths({ BirthDate: '2026-01-15' }, 2025, 18)).toBe(
+        0
+      );
+    });
+
+    it('throws for invalid dates', () => {
+      expect(() =>
+        countEligibleMonths({ Name: 'Anna', BirthDate: '10/05/2018' }, 2025, 18)
+      ).toThrow('Invalid BirthDate for dependant Anna: 10/05/2018');
+    });
+  });
+
+  describe('calculateChildBenefits()', () => {
+    it('throws when no data exists for the year', () => {
+      expect(() =>
+        calculateChildBenefits([], 2024, familyBenefitsData)
+      ).toThrow('No family benefits data found for year 2024');
+    });
+
+    it('prorates Kindergeld and allowances by eligible months', () => {
+      const result = calculateChildBenefits(
+        [
+          { Name: 'Anna', BirthDate: '2018-05-10' },
+          { Name: 'Ben', BirthDate: '2025-09-01' },
+        ],
+        2025,
+        familyBenefitsData
+      );
+      expect(result.children).toBe(2);
+      expect(result.childBenefit).toBe(16 * 255);
+      expect(result.childAllowance).toBeCloseTo(12800, 2);
+    });
+  });
+});
@@ -0,0 +1,140 @@
+const {
+  calculateGermanIncomeTax,
+  getTaxFormulaZones,
+} = require('../../../lib/residency/de/progressive');
+
+// Mock data (inline, not from files) - §32a EStG 2025
+const MOCK_TAX_FORMULA_2025 = [
+  {
+    Year: 2025,
+    Zone: 1,
+    MinIncome: 0,
+    MaxIncome: 12096,
+    Offset: 0,
+    Divisor: 1,
+    Quadratic: 0,
+    Linear: 0,
+    Constant: 0,
+  },
+  {
+    Year: 2025,
+    Zone: 2,
+    MinIncome: 12097,
+    MaxIncome: 17443,
+    Offset: 12096,
+    Divisor: 10000,
+    Quadratic: 932.3,
+    Linear: 1400,
+    Constant: 0,
+  },
+  {
+    Year: 2025,
+    Zone: 3,
+    MinIncome: 17444,
+    MaxIncome: 68480,
+    Offset: 17443,
+    Divisor: 10000,
+    Quadratic: 176.64,
+    Linear: 2397,
+    Constant: 1015.13,
+  },
+  {
+    Year: 2025,
+    Zone: 4,
+    MinIncome: 68481,
+    MaxIncome: 277825,
+    Offset: 0,
+    Divisor: 1,
+    Quadratic: 0,
+    Linear: 0.42,
+    Constant: -10911.92,
+  },
+  {
+    Year: 2025,
+    Zone: 5,
+    MinIncome: 277826,
+    MaxIncome: null,
+    Offset: 0,
+    Divisor: 1,
+    Quadratic: 0,
+    Linear: 0.45,
+    Constant: -19246.67,
+  },
+];
+
+describe('Germany - Income Tax Tariff (§32a EStG)', () => {
+  describe('getTaxFormulaZones()', () => {
+    test('returns zones for valid year sorted by MinIncome', () => {
+      const zones = getTaxFormulaZones(
+        2025,
+        [...MOCK_TAX_FORMULA_2025].reverse()
+      );
+      expect(zones).toHaveLength(5);
+      expect(zones[0].Zone).toBe(1);
+      expect(zones[4].Zone).toBe(5);
+    });
+
+    test('throws error for missing year', () => {
+      expect(() => getTaxFormulaZones(2020, MOCK_TAX_FORMULA_2025)).toThrow(
+        'No tax formula found for year 2020 in reference data'
+      );
+    });
+
+    test('throws error for invalid data', () => {
+      expect(() => getTaxFormulaZones(2025, null)).toThrow(
+        'taxFormulaData must be an array'
+      );
+    });
+  });
+
+  describe('calculateGermanIncomeTax()', () => {
+    test('returns 0 for zero or negative income', () => {
+      expect(calculateGermanIncomeTax(0, 2025, MOCK_TAX_FORMULA_2025)).toBe(0);
+      expect(calculateGermanIncomeTax(-500, 2025, MOCK_TAX_FORMULA_2025)).toBe(
+        0
+      );
+    });
+
+    test('returns 0 up to the Grundfreibetrag (12,096)', () => {
+      expect(calculateGermanIncomeTax(12096, 2025, MOCK_TAX_FORMULA_2025)).toBe(
+        0
+      );
+    });
+
+    test('calculates zone 2 polynomial', () => {
+      // y = (15000 - 12096) / 10000 = 0.2904
+      // (932.30 * 0.2904 + 1400) * 0.2904 = 485.18
+      expect(calculateGermanIncomeTax(15000, 2025, MOCK_TAX_FORMULA_2025)).toBe(
+        485
+      );
+    });
+
+    test('calculates zone 3 polynomial', () => {
+      // z = (50000 - 17443) / 10000 = 3.2557
+      // (176.64 * z + 2397) * z + 1015.13 = 10691.44
+      expect(calculateGermanIncomeTax(50000, 2025, MOCK_TAX_FORMULA_2025)).toBe(
+        10691
+      );
+    });
+
+    test('calculates zone 4 linear rate (42%)', () => {
+      // 0.42 * 100000 - 10911.92 = 31088.08
+      expect(
+        calculateGermanIncomeTax(100000, 2025, MOCK_TAX_FORMULA_2025)
+      ).toBe(31088);
+    });
+
+    test('calculates zone 5 linear rate (45%)', () => {
+      // 0.45 * 300000 - 19246.67 = 115753.33
+      expect(
+        calculateGermanIncomeTax(300000, 2025, MOCK_TAX_FORMULA_2025)
+      ).toBe(115753);
+    });
+
+    test('rounds taxable income down to full euros', () => {
+      expect(
+        calculateGermanIncomeTax(50000.99, 2025, MOCK_TAX_FORMULA_2025)
+      ).toBe(calculateGermanIncomeTax(50000, 2025, MOCK_TAX_FORMULA_2025));
+    });
+  });
+});
@@ -0,0 +1,547 @@
+/**
+ * Unit Test for GermanyResidency
+ * Target: lib/residency/de/residency.js
+ */
+
+const { calculateNetIncome } = require('../../../lib/calculator');
+const { getResidency } = require('../../../lib/residency');
+const GermanyResidency = require('../../../lib/residency/de/residency');
+const { getGermanReferenceData } = require('../../helpers/deReferenceData');
+
+describe('GermanyResidency', () => {
+  let residency;
+
+  beforeEach(() => {
+    residency = new GermanyResidency(getGermanReferenceData());
+  });
+
+  describe('Registry', () => {
+    it('is returned by getResidency for DE', () => {
+      const impl = getResidency('DE', getGermanReferenceData());
+      expect(impl).toBeInstanceOf(GermanyResidency);
+      expect(impl.getCountryCode()).toBe('DE');
+      expect(impl.getCurrency()).toBe('EUR');
+    });
+  });
+
+  describe('Metadata Methods', () => {
+    it('getFiscalYearMapping should return calendar year', () => {
+      expect(residency.getFiscalYearMapping().type).toBe('calendar');
+    });
+
+    it('getDeductionsModule should return module', () => {
+      expect(residency.getDeductionsModule()).toBeDefined();
+    });
+  });
+
+  describe('testResidency', () => {
+    const data = {
+      incomeRecords: [{ year: 2025, sourceCountry: 'DE' }],
+    };
+
+    it('is resident when German income exists for the year', () => {
+      expect(residency.testResidency(2025, data).isResident).toBe(true);
+      expect(residency.hasPermanentHome(2025, data)).toBe(true);
+      expect(residency.calculateVitalInterestsStrength(2025, data)).toBe(100);
+    });
+
+    it('is not resident without German income', () => {
+      expect(residency.testResidency(2026, data)).toEqual({
+        isResident: false,
+        test: 'no-income',
+      });
+      expect(residency.calculateVitalInterestsStrength(2026, data)).toBe(0);
+    });
+  });
+
+  describe('calculateTax', () => {
+    it('throws without reference data', () => {
+      residency.referenceData = null;
+      expect(() =>
+        residency.calculateTax(50000, 'employment', { year: 2025 })
+      ).toThrow('Reference data not set for GermanyResidency');
+    });
+
+    it('throws for unsupported income type', () => {
+      expect(() =>
+        residency.calculateTax(1000, 'rental', { year: 2025 })
+      ).toThrow('Unsupported income type: rental');
+    });
+
+    it('withholds monthly Lohnsteuer in tax class I by default', () => {
+      const result = residency.calculateTax(5000, 'employment', {
+        year: 2025,
+      });
+      // Annualised: 60000 - 12570 SS - 1230 - 36 = 46164 → 9356 / 12
+      expect(result.taxType).toBe('LOHNSTEUER');
+      expect(result.taxClass).toBe(1);
+      expect(result.socialSecurity).toBeCloseTo(1047.5, 2);
+      expect(result.taxableIncome).toBeCloseTo(3847, 2);
+      expect(result.taxAmount).toBe(779.66);
+      expect(result.netIncome).toBeCloseTo(5000 - 779.66 - 1047.5, 2);
+    });
+
+    it('reads the tax class from the income record', () => {
+      const withhold = taxClass =>
+        residency.calculateTax(5000, 'employment', {
+          year: 2025,
+          incomeRecord: { TaxClass: taxClass },
+        }).taxAmount;
+
+      expect(withhold(4)).toBe(779.66);
+      // Single parent relief: 46164 - 4260 = 41904
+      expect(withhold(2)).toBe(661.25);
+      // Splitting: 2 × tax(23082) / 12
+      expect(withhold('III')).toBe(403.66);
+      expect(withhold(5)).toBeGreaterThan(withhold(1));
+      expect(withhold(6)).toBeGreaterThan(withhold(5));
+    });
+
+    it('falls back to the TaxClass simulation parameter', () => {
+      residency.referenceData.simulationParameters = [
+        { Parameter: 'TaxClass', Value: 3 },
+      ];
+      expect(residency.getTaxClass({})).toBe(3);
+      expect(residency.getTaxClass({ TaxClass: 1 })).toBe(1);
+    });
+
+    it('throws for an invalid tax class', () => {
+      expect(() =>
+        residency.calculateTax(5000, 'employment', {
+          year: 2025,
+          incomeRecord: { TaxClass: 7 },
+        })
+      ).toThrow('Invalid tax class: 7');
+    });
+
+    it('breaks social insurance out per branch', () => {
+      const result = residency.calculateTax(5000, 'employment', {
+        year: 2025,
+      });
+      expect(result.pensionInsurance).toBeCloseTo(465, 2);
+      expect(result.unemploymentInsurance).toBeCloseTo(65, 2);
+      expect(result.healthInsurance).toBeCloseTo(427.5, 2);
+      expect(result.careInsurance).toBeCloseTo(90, 2);
+      expect(result.socialSecurity).toBeCloseTo(1047.5, 2);
+    });
+
+    it('applies the childless surcharge to care insurance', () => {
+      residency.referenceData.simulationParameters = [
+        { Parameter: 'Childless', Value: true },
+      ];
+      const result = residency.calculateTax(5000, 'employment', {
+        year: 2025,
+      });
+      // (1.8% + 0.6%) × 5000
+      expect(result.careInsurance).toBeCloseTo(120, 2);
+    });
+
+    it('withholds the solidarity surcharge on the annualised Lohnsteuer', () => {
+      const result = residency.calculateTax(10000, 'employment', {
+        year: 2025,
+      });
+      // Annual Lohnsteuer 31779, Milderungszone: 11.9% × (31779 - 19950)
+      expect(result.taxAmount).toBe(2648.25);
+      expect(result.solidarityTax).toBe(117.3);
+      expect(result.churchTax).toBe(0);
+    });
+
+    it('withholds church tax at the Land rate for church members', () => {
+      residency.referenceData.simulationParameters = [
+        { Parameter: 'ChurchMember', Value: true },
+        { Parameter: 'Land', Value: 'BE' },
+      ];
+      const result = residency.calculateTax(10000, 'employment', {
+        year: 2025,
+      });
+      // 9% × 31779 / 12
+      expect(result.churchTax).toBe(238.34);
+      expect(result.netIncome).toBeCloseTo(
+        10000 - 2648.25 - 117.3 - 238.34 - result.socialSecurity,
+        2
+      );
+    });
+
+    it('requires the Land for church members', () => {
+      residency.referenceData.simulationParameters = [
+        { Parameter: 'ChurchMember', Value: true },
+      ];
+      expect(() =>
+        residency.calculateTax(10000, 'employment', { year: 2025 })
+      ).toThrow('Land simulation parameter is required for church tax');
+    });
+
+    it('deducts expenses from freelance income', () => {
+      const result = residency.calculateTax(30000, 'freelance', {
+        year: 2025,
+        expenses: 5000,
+      });
+      expect(result.socialSecurity).toBe(0);
+      // (30000 - 5000) × 12 - 36, one twelfth per record
+      expect(result.taxableIncome).toBe(25000 - 3);
+    });
+
+    it('charges one twelfth of the annual tariff per freelance record', () => {
+      const monthly = residency.calculateTax(5000, 'freelance', {
+        year: 2025,
+      });
+      const { incomeTax } = residency.calculateAnnualAssessment(2025, {
+        freelance: 12 * 5000,
+      });
+      expect(monthly.taxAmount).toBe(Math.floor((incomeTax / 12) * 100) / 100);
+      expect(12 * monthly.taxAmount).toBeCloseTo(incomeTax, -1);
+    });
+
+    it('treats freelance income as a liberal profession by default', () => {
+      const result = residency.calculateTax(30000, 'freelance', {
+        year: 2025,
+      });
+      expect(result.freelanceType).toBe('professional');
+    });
+
+    it('reads the freelance type from the income record', () => {
+      const result = residency.calculateTax(30000, 'freelance', {
+        year: 2025,
+        incomeRecord: { FreelanceType: 'trade' },
+      });
+      expect(result.freelanceType).toBe('trade');
+    });
+
+    it('throws for an unknown freelance type', () => {
+      expect(() =>
+        residency.calculateTax(30000, 'freelance', {
+          year: 2025,
+          freelanceType: 'services',
+        })
+      ).toThrow('Invalid freelance type for Germany: services');
+    });
+
+    it('taxes each dividend at the flat rate before the saver allowance', () => {
+      const records = [600, 600].map(amount =>
+        residency.calculateTax(amount, 'dividend', { year: 2025 })
+      );
+      expect(records[0].taxType).toBe('CAPITAL_FLAT');
+      expect(records.map(r => r.taxAmount)).toEqual([150, 150]);
+    });
+  });
+
+  describe('calculateAnnualAssessment', () => {
+    it('assesses employment income with the basic tariff', () => {
+      const assessment = residency.calculateAnnualAssessment(2025, {
+        employment: 60000,
+        socialSecurity: 12570,
+      });
+      // 60000 - 1230 - 12570 - 36 = 46164
+      expect(assessment.taxableIncome).toBe(46164);
+      expect(assessment.incomeTax).toBe(9356);
+    });
+
+    it('applies the splitting tariff for joint assessment', () => {
+      residency.referenceData.simulationParameters = [
+        { Parameter: 'JointAssessment', Value: true },
+      ];
+      const assessment = residency.calculateAnnualAssessment(2025, {
+        employment: 60000,
+        socialSecurity: 12570,
+      });
+      // 60000 - 1230 - 12570 - 2 × 36 = 46128 → 2 × tax(23064)
+      expect(residency.isJointAssessment()).toBe(true);
+      expect(assessment.taxableIncome).toBe(46128);
+      expect(assessment.incomeTax).toBe(4836);
+    });
+
+    it('taxes capital income once after the saver allowance', () => {
+      const assessment = residency.calculateAnnualAssessment(2025, {
+        capital: 5000,
+      });
+      expect(assessment.incomeTax).toBe(0);
+      expect(assessment.capitalIncomeTax).toBe(1000);
+      expect(assessment.solidarityTax).toBeCloseTo(55, 2);
+    });
+
+    it('lowers the capital income rate for church members', () => {
+      residency.referenceData.simulationParameters = [
+        { Parameter: 'ChurchMember', Value: true },
+        { Parameter: 'Land', Value: 'BY' },
+      ];
+      const assessment = residency.calculateAnnualAssessment(2025, {
+        capital: 5000,
+      });
+      // 4000 × 0.25 / (1 + 0.25 × 0.08)
+      expect(assessment.capitalIncomeTax).toBeCloseTo(980.39, 2);
+      expect(assessment.churchTax).toBeCloseTo(78.43, 2);
+    });
+  });
+
+  describe('trade tax', () => {
+    it('credits trade tax against income tax for Gewerbetreibende', () => {
+      residency.referenceData.simulationParameters = [
+        { Parameter: 'Municipality', Value: 'München' },
+      ];
+      const professional = residency.calculateAnnualAssessment(2025, {
+        freelance: 80000,
+        expenses: 20000,
+      });
+      const trade = residency.calculateAnnualAssessment(2025, {
+        trade: 80000,
+        tradeExpenses: 20000,
+      });
+
+      expect(professional.tradeTax).toBe(0);
+      // (60000 - 24500) × 3.5% = 1242.50 Messbetrag × 490%
+      expect(trade.tradeTax).toBeCloseTo(6088.25, 2);
+      // 4 × 1242.50
+      expect(trade.tradeTaxCredit).toBeCloseTo(4970, 2);
+      expect(trade.incomeTax).toBe(professional.incomeTax - 4970);
+    });
+
+    it('limits the credit to the income tax on the trade income', () => {
+      residency.referenceData.simulationParameters = [
+        { Parameter: 'Municipality', Value: 'Berlin' },
+      ];
+      const assessment = residency.calculateAnnualAssessment(2025, {
+        trade: 30000,
+        employment: 60000,
+        socialSecurity: 12570,
+      });
+      // 5500 × 3.5% = 192.50 Messbetrag × 410%, credit 4 × 192.50
+      expect(assessment.tradeTax).toBeCloseTo(789.25, 2);
+      expect(assessment.tradeTaxCredit).toBeCloseTo(770, 2);
+    });
+
+    it('limits the credit to the tariff tax without the Kindergeld added back', () => {
+      residency.referenceData.simulationParameters = [
+        { Parameter: 'Municipality', Value: 'Berlin' },
+      ];
+      residency.referenceData.dependants = Array.from(
+        { length: 6 },
+        (_, i) => ({ Name: `Child ${i + 1}`, BirthDate: `201${i}-01-01` })
+      );
+      const assessment = residency.calculateAnnualAssessment(2025, {
+        trade: 55000,
+      });
+      // tax(55000 - 36 - 28800) = 3239 < 4 × 1067.50 Messbetrag
+      expect(assessment.childAllowance).toBe(28800);
+      expect(assessment.tradeTaxCredit).toBe(3239);
+      // Only the half Kindergeld of 6 × 255 × 12 is left
+      expect(assessment.incomeTax).toBe(9180);
+    });
+
+    it('requires the municipality for trade income', () => {
+      expect(() =>
+        residency.calculateAnnualAssessment(2025, { trade: 50000 })
+      ).toThrow('Municipality simulation parameter is required for trade tax');
+    });
+  });
+
+  describe('getAnnualAdjustments', () => {
+    beforeEach(() => {
+      residency.referenceData.dependants = [
+        { Name: 'Anna', BirthDate: '2018-05-10' },
+        { Name: 'Ben', BirthDate: '2025-09-01' },
+      ];
+    });
+
+    it('keeps the Kindergeld when it is worth more', () => {
+      const adjustments = residency.getAnnualAdjustments(38734, 2025);
+      expect(adjustments.childBenefit).toBe(4080);
+      expect(adjustments.childAllowance).toBe(0);
+      expect(adjustments.childBenefitOffset).toBe(0);
+      // Surcharges still use the allowances
+      expect(adjustments.surchargeAllowance).toBeCloseTo(6400, 2);
+    });
+
+    it('applies half the allowances for high single-assessed incomes', () => {
+      const assessment = residency.calculateAnnualAssessment(2025, {
+        employment: 150000,
+      });
+      // tax(148734) = 51556; tax(148734 - 6400) = 48868
+      // saving 2688 > half Kindergeld 2040 → 48868 + 2040
+      expect(assessment.childAllowance).toBeCloseTo(6400, 2);
+      expect(assessment.incomeTax).toBe(50908);
+      expect(assessment.solidarityTax).toBeCloseTo(48868 * 0.055, 2);
+    });
+
+    it('applies the full allowances for joint assessment', () => {
+      residency.referenceData.simulationParameters = [
+        { Parameter: 'JointAssessment', Value: true },
+      ];
+      const assessment = residency.calculateAnnualAssessment(2025, {
+        employment: 150000,
+      });
+      expect(assessment.childAllowance).toBeCloseTo(12800, 2);
+    });
+
+    it('flags taxable income above the Elterngeld limit', () => {
+      expect(
+        residency.getAnnualAdjustments(175000, 2025).elterngeldWarning
+      ).toBeNull();
+      expect(
+        residency.getAnnualAdjustments(175001, 2025).elterngeldWarning
+      ).toBe(
+        'Taxable income 175001.00 exceeds the Elterngeld income limit of 175000'
+      );
+    });
+  });
+
+  describe('calculateNetIncome integration', () => {
+    const monthlySalary = (taxClass, months = 12) =>
+      Array.from({ length: months }, (_, i) => ({
+        year: 2025,
+        month: i + 1,
+        day: 28,
+        amount: 5000,
+        incomeType: 'employment',
+        sourceCountry: 'DE',
+        currency: 'EUR',
+        TaxClass: taxClass,
+      }));
+
+    it('settles the withheld Lohnsteuer against the annual assessment', () => {
+      const results = calculateNetIncome({
+        incomeRecords: monthlySalary(1),
+        referenceData: { DE: getGermanReferenceData() },
+        exchangeRates: [],
+      });
+
+      expect(results.monthly).toHaveLength(12);
+      expect(results.monthly[0].ResidencyCountry).toBe('DE');
+      expect(results.monthly[0].taxAmount).toBe(779.66);
+
+      const annual = results.annual[0];
+      expect(annual.ResidencyCountry).toBe('DE');
+      expect(annual.GrossIncome).toBe('60000.00');
+      expect(annual.TaxAmount).toBe('9356.00');
+      expect(annual.TaxWithheld).toBe('9355.92');
+      expect(annual.TaxSettlement).toBe('0.08');
+      expect(annual.SolidarityTax).toBe('0.00');
+      expect(annual.ChurchTax).toBe('0.00');
+      expect(annual.PensionInsurance).toBe('5580.00');
+      expect(annual.HealthInsurance).toBe('5130.00');
+    });
+
+    it('settles the surcharges withheld with the Lohnsteuer', () => {
+      const referenceData = getGermanReferenceData();
+      referenceData.simulationParameters = [
+        { Parameter: 'ChurchMember', Value: true },
+        { Parameter: 'Land', Value: 'BY' },
+      ];
+      const results = calculateNetIncome({
+        incomeRecords: monthlySalary(1).map(r => ({ ...r, amount: 10000 })),
+        referenceData: { DE: referenceData },
+        exchangeRates: [],
+      });
+
+      expect(results.monthly[0].solidarityTax).toBe(117.3);
+      expect(results.monthly[0].churchTax).toBe(211.86);
+
+      const annual = results.annual[0];
+      // 11.9% × (31779 - 19950), 8% × 31779
+      expect(annual.SolidarityTax).toBe('1407.65');
+      expect(annual.ChurchTax).toBe('2542.32');
+      // Assessed 31779 + 1407.65 + 2542.32 vs 12 × (2648.25 + 117.3 + 211.86)
+      expect(annual.TaxSettlement).toBe('0.05');
+    });
+
+    it('caps social insurance by the ceilings of the year so far', () => {
+      const salary = monthlySalary(1).map(r => ({ ...r, amount: 4000 }));
+      const results = calculateNetIncome({
+        incomeRecords: [
+          { ...salary[11], day: 30, amount: 30000 },
+          ...salary,
+          { ...salary[0], day: 31, amount: 6000 },
+        ],
+        referenceData: { DE: getGermanReferenceData() },
+        exchangeRates: [],
+      });
+      const charged = results.monthly.map(r => [
+        r.month,
+        r.amount,
+        Math.round((r.healthInsurance / 0.0855) * 100) / 100,
+      ]);
+
+      // The second January payment shares January's 5512.50 ceiling
+      expect(charged[1]).toEqual([1, 6000, 1512.5]);
+      expect(charged[2]).toEqual([2, 4000, 4000]);
+      // The December bonus uses the ceiling earlier months left unused
+      expect(charged[13]).toEqual([12, 30000, 66150 - 12 * 4000 - 1512.5]);
+      expect(Number(results.annual[0].HealthInsurance)).toBeCloseTo(
+        66150 * 0.0855,
+        1
+      );
+    });
+
+    it('reports trade tax in the annual summary', () => {
+      const referenceData = getGermanReferenceData();
+      referenceData.simulationParameters = [
+        { Parameter: 'Municipality', Value: 'München' },
+      ];
+      const results = calculateNetIncome({
+        incomeRecords: [
+          {
+            year: 2025,
+            month: 12,
+            day: 31,
+            amount: 80000,
+            expenses: 20000,
+            incomeType: 'freelance',
+            freelanceType: 'trade',
+            sourceCountry: 'DE',
+            currency: 'EUR',
+          },
+        ],
+        referenceData: { DE: referenceData },
+        exchangeRates: [],
+      });
+
+      const annual = results.annual[0];
+      expect(annual.TradeTax).toBe('6088.25');
+      expect(annual.TradeTaxCredit).toBe('4970.00');
+      expect(annual.NetIncome).toBe(
+        (80000 - parseFloat(annual.TaxAmount) - 6088.25).toFixed(2)
+      );
+    });
+
+    it('reports family adjustments in the annual summary', () => {
+      const referenceData = getGermanReferenceData();
+      referenceData.dependants = [{ Name: 'Anna', BirthDate: '2018-05-10' }];
+      const results = calculateNetIncome({
+        incomeRecords: monthlySalary(1),
+        referenceData: { DE: referenceData },
+        exchangeRates: [],
+      });
+
+      const annual = results.annual[0];
+      expect(annual.ChildBenefit).toBe('3060.00');
+      // tax(46164) - tax(46164 - 4800) = 1597 > half Kindergeld 1530
+      expect(annual.ChildAllowance).toBe('4800.00');
+      expect(annual.TaxAmount).toBe((7759 + 1530).toFixed(2));
+      expect(annual.ElterngeldWarning).toBeUndefined();
+      expect(annual.NetIncome).toBe(
+        (
+          60000 +
+          3060 -
+          parseFloat(annual.TaxAmount) -
+          parseFloat(annual.SocialSecurity)
+        ).toFixed(2)
+      );
+    });
+
+    it('refunds over-withholding for a part-year employee', () => {
+      const results = calculateNetIncome({
+        incomeRecords: monthlySalary(1, 6),
+        referenceData: { DE: getGermanReferenceData() },
+        exchangeRates: [],
+      });
+
+      const annual = results.annual[0];
+      // 30000 - 6285 - 1230 - 36 = 22449 assessed vs 6 months withheld
+      expect(annual.TaxWithheld).toBe('4677.96');
+      expect(parseFloat(annual.TaxSettlement)).toBeLessThan(0);
+      expect(parseFloat(annual.TaxAmount)).toBeCloseTo(
+        parseFloat(annual.TaxWithheld) + parseFloat(annual.TaxSettlement),
+        2
+      );
+    });
+  });
+});
@@ -0,0 +1,104 @@
+/**
+ * Unit Test for German statutory social insurance
+ * Target: lib/residency/de/socialSecurity.js
+ */
+
+const {
+  calculateGermanSocialInsurance,
+  calculateGermanSocialSecurity,
+} = require('../../../lib/residency/de/socialSecurity');
+const { getGermanReferenceData } = require('../../helpers/deReferenceData');
+
+describe('Germany - Social Insurance (Sozialversicherung)', () => {
+  let socialSecurityData;
+
+  beforeEach(() => {
+    socialSecurityData = getGermanReferenceData().socialSecurity;
+  });
+
+  it('throws when no data exists for the year', () => {
+    expect(() =>
+      calculateGermanSocialInsurance(
+        5000,
+        'employment',
+        2024,
+        socialSecurityData
+      )
+    ).toThrow('No social security data found for year 2024');
+  });
+
+  it('calculates each branch below the ceilings', () => {
+    const result = calculateGermanSocialInsurance(
+      4000,
+      'employment',
+      2025,
+      socialSecurityData
+    );
+    expect(result.pension).toBeCloseTo(372, 2);
+    expect(result.unemployment).toBeCloseTo(52, 2);
+    // 7.3% + 1.25% Zusatzbeitrag
+    expect(result.health).toBeCloseTo(342, 2);
+    expect(result.care).toBeCloseTo(72, 2);
+    expect(result.total).toBeCloseTo(838, 2);
+  });
+
+  it('caps each branch at its monthly ceiling', () => {
+    const result = calculateGermanSocialInsurance(
+      10000,
+      'employment',
+      2025,
+      socialSecurityData
+    );
+    // Pension/unemployment: 96600 / 12 = 8050
+    expect(result.pension).toBeCloseTo(8050 * 0.093, 2);
+    expect(result.unemployment).toBeCloseTo(8050 * 0.013, 2);
+    // Health/care: 66150 / 12 = 5512.50
+    expect(result.health).toBeCloseTo(5512.5 * 0.0855, 2);
+    expect(result.care).toBeCloseTo(5512.5 * 0.018, 2);
+  });
+
+  it('charges the ceilings left by the earlier months of the year', () => {
+    const result = calculateGermanSocialInsurance(
+      10000,
+      'employment',
+      2025,
+      socialSecurityData,
+      {
+        months: 3,
+        contributoryPay: {
+          pension: 10000,
+          unemployment: 10000,
+          health: 10000,
+          care: 10000,
+        },
+      }
+    );
+    // Pension: 3 × 8050 - 10000 = 14150 left
+    expect(result.contributoryPay.pension).toBe(10000);
+    expect(result.pension).toBeCloseTo(930, 2);
+    // Health: 3 × 5512.50 - 10000 = 6537.50 left
+    expect(result.contributoryPay.health).toBe(6537.5);
+    expect(result.health).toBeCloseTo(6537.5 * 0.0855, 2);
+  });
+
+  it('adds the childless surcharge to care insurance only', () => {
+    const result = calculateGermanSocialInsurance(
+      4000,
+      'employment',
+      2025,
+      socialSecurityData,
+      { childless: true }
+    );
+    expect(result.care).toBeCloseTo(96, 2);
+    expect(result.pension).toBeCloseTo(372, 2);
+  });
+
+  it('returns 0 for freelance and capital income', () => {
+    expect(
+      calculateGermanSocialSecurity(4000, 'freelance', 2025, socialSecurityData)
+    ).toBe(0);
+    expect(
+      calculateGermanSocialSecurity(4000, 'dividend', 2025, socialSecurityData)
+    ).toBe(0);
+  });
+});
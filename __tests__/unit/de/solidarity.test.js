@@ -0,0 +1,57 @@
+/**
+ * Unit Test for the German solidarity surcharge
+ * Target: lib/residency/de/solidarity.js
+ */
+
+const {
+  calculateSolidaritySurcharge,
+} = require('../../../lib/residency/de/solidarity');
+
+describe('Germany - Solidaritätszuschlag', () => {
+  const solidarityData = [
+    { Year: 2025, Rate: 0.055, Threshold: 19950, MitigationRate: 0.119 },
+  ];
+
+  it('returns 0 for no tax', () => {
+    expect(calculateSolidaritySurcharge(0, 2025, solidarityData)).toBe(0);
+  });
+
+  it('throws when no data exists for the year', () => {
+    expect(() => calculateSolidaritySurcharge(30000, 2024, [])).toThrow(
+      'No solidarity surcharge data found for year 2024'
+    );
+  });
+
+  it('is exempt up to the threshold', () => {
+    expect(calculateSolidaritySurcharge(19950, 2025, solidarityData)).toBe(0);
+  });
+
+  it('caps the surcharge in the Milderungszone', () => {
+    // min(5.5% × 25000, 11.9% × (25000 - 19950))
+    expect(
+      calculateSolidaritySurcharge(25000, 2025, solidarityData)
+    ).toBeCloseTo(600.95, 2);
+  });
+
+  it('applies the full rate above the Milderungszone', () => {
+    expect(
+      calculateSolidaritySurcharge(50000, 2025, solidarityData)
+    ).toBeCloseTo(2750, 2);
+  });
+
+  it('doubles the threshold for the splitting tariff', () => {
+    expect(
+      calculateSolidaritySurcharge(39900, 2025, solidarityData, {
+        splitting: true,
+      })
+    ).toBe(0);
+  });
+
+  it('applies no threshold to capital income tax', () => {
+    expect(
+      calculateSolidaritySurcharge(1000, 2025, solidarityData, {
+        flatRate: true,
+      })
+    ).toBeCloseTo(55, 2);
+  });
+});
@@ -0,0 +1,85 @@
+/**
+ * Unit Test for German trade tax
+ * Target: lib/residency/de/tradeTax.js
+ */
+
+const {
+  calculateTradeTax,
+  calculateTradeTaxCredit,
+  getHebesatz,
+} = require('../../../lib/residency/de/tradeTax');
+
+describe('Germany - Gewerbesteuer', () => {
+  const tradeTaxData = [
+    { Year: 2025, Allowance: 24500, BaseRate: 0.035, CreditFactor: 4.0 },
+  ];
+  const tradeTaxRateData = [
+    { Year: 2025, Municipality: 'München', Hebesatz: 490 },
+  ];
+
+  describe('getHebesatz()', () => {
+    it('looks up the Hebesatz by municipality', () => {
+      expect(getHebesatz(2025, 'München', tradeTaxRateData)).toBe(490);
+    });
+
+    it('throws for an unknown municipality', () => {
+      expect(() => getHebesatz(2025, 'Köln', tradeTaxRateData)).toThrow(
+        'No trade tax Hebesatz found for Köln in year 2025'
+      );
+    });
+  });
+
+  describe('calculateTradeTax()', () => {
+    it('returns 0 for no profit', () => {
+      expect(calculateTradeTax(0, 2025, tradeTaxData, 490).tradeTax).toBe(0);
+    });
+
+    it('throws when no data exists for the year', () => {
+      expect(() => calculateTradeTax(50000, 2024, [], 490)).toThrow(
+        'No trade tax data found for year 2024'
+      );
+    });
+
+    it('is exempt up to the allowance', () => {
+      expect(calculateTradeTax(24599, 2025, tradeTaxData, 490).tradeTax).toBe(
+        0
+      );
+    });
+
+    it('applies the Messzahl and Hebesatz after the allowance', () => {
+      // floor(60050 / 100) × 100 - 24500 = 35500
+      const result = calculateTradeTax(60050, 2025, tradeTaxData, 490);
+      expect(result.tradeIncome).toBe(35500);
+      expect(result.baseAmount).toBeCloseTo(1242.5, 2);
+      expect(result.tradeTax).toBeCloseTo(6088.25, 2);
+    });
+  });
+
+  describe('calculateTradeTaxCredit()', () => {
+    const tradeTaxResult = { baseAmount: 1242.5, tradeTax: 6088.25 };
+
+    it('credits CreditFactor × Messbetrag', () => {
+      expect(
+        calculateTradeTaxCredit(tradeTaxResult, 10000, 1, 2025, tradeTaxData)
+      ).toBeCloseTo(4970, 2);
+    });
+
+    it('is limited to the trade tax due', () => {
+      expect(
+        calculateTradeTaxCredit(
+          { baseAmount: 1242.5, tradeTax: 4000 },
+          10000,
+          1,
+          2025,
+          tradeTaxData
+        )
+      ).toBe(4000);
+    });
+
+    it('is limited to the income tax on the trade income', () => {
+      expect(
+        calculateTradeTaxCredit(tradeTaxResult, 6000, 0.5, 2025, tradeTaxData)
+      ).toBe(3000);
+    });
+  });
+});
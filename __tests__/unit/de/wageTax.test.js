@@ -0,0 +1,101 @@
+/**
+ * Unit Test for German Lohnsteuer withholding
+ * Target: lib/residency/de/wageTax.js
+ */
+
+const {
+  calculateAnnualWageTax,
+  calculateMonthlyWageTax,
+  normalizeTaxClass,
+} = require('../../../lib/residency/de/wageTax');
+const { getGermanReferenceData } = require('../../helpers/deReferenceData');
+
+describe('Germany - Lohnsteuer (wage tax withholding)', () => {
+  let referenceData;
+
+  beforeEach(() => {
+    referenceData = getGermanReferenceData();
+  });
+
+  describe('normalizeTaxClass()', () => {
+    it('accepts numbers and Roman numerals', () => {
+      expect(normalizeTaxClass(1)).toBe(1);
+      expect(normalizeTaxClass('4')).toBe(4);
+      expect(normalizeTaxClass('iii')).toBe(3);
+      expect(normalizeTaxClass('VI')).toBe(6);
+    });
+
+    it('throws for invalid classes', () => {
+      expect(() => normalizeTaxClass(0)).toThrow('Invalid tax class: 0');
+      expect(() => normalizeTaxClass('VII')).toThrow('Invalid tax class');
+    });
+  });
+
+  describe('calculateAnnualWageTax()', () => {
+    it('throws when no class data exists for the year', () => {
+      expect(() =>
+        calculateAnnualWageTax(60000, 0, 2024, 1, referenceData)
+      ).toThrow('No tax class data found for class 1 in year 2024');
+    });
+
+    it('applies no allowances in class VI', () => {
+      const result = calculateAnnualWageTax(20000, 0, 2025, 6, referenceData);
+      expect(result.taxableIncome).toBe(20000);
+    });
+
+    describe('secondary tariff (classes V/VI)', () => {
+      it('applies the 14% minimum on low wages', () => {
+        expect(
+          calculateAnnualWageTax(10000, 0, 2025, 6, referenceData).wageTax
+        ).toBe(1400);
+      });
+
+      it('caps the marginal rate at 42% above the first limit', () => {
+        // 13785 × 14% = 1929, + (20000 - 13785) × 42%
+        expect(
+          calculateAnnualWageTax(20000, 0, 2025, 6, referenceData).wageTax
+        ).toBe(4539);
+      });
+
+      it('applies 45% above the top limit', () => {
+        const atLimit = calculateAnnualWageTax(
+          222260,
+          0,
+          2025,
+          6,
+          referenceData
+        ).wageTax;
+        const above = calculateAnnualWageTax(
+          232260,
+          0,
+          2025,
+          6,
+          referenceData
+        ).wageTax;
+        expect(above - atLimit).toBe(4500);
+      });
+    });
+  });
+
+  describe('calculateMonthlyWageTax()', () => {
+    it('returns 0 for no wage', () => {
+      expect(calculateMonthlyWageTax(0, 0, 2025, 1, referenceData)).toEqual({
+        taxableIncome: 0,
+        wageTax: 0,
+        annualWageTax: 0,
+      });
+    });
+
+    it('withholds one twelfth of the annualised tax, rounded down to cents', () => {
+      // Annual: 60000 - 12570 - 1230 - 36 = 46164 → 9356
+      const result = calculateMonthlyWageTax(
+        5000,
+        1047.5,
+        2025,
+        1,
+        referenceData
+      );
+      expect(result.wageTax).toBe(779.66);
+    });
+  });
+});
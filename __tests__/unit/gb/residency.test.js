@@ -0,0 +1,71 @@
+/**
+ * Unit Test for GBResidency
+ * Target: lib/residency/gb/residency.js
+ */
+
+const GBResidency = require('../../../lib/residency/gb/residency');
+const { getUKReferenceData } = require('../../helpers/gbReferenceData');
+
+const SCOTTISH_BRACKETS = [
+  {
+    Year: 2025,
+    IncomeType: 'income',
+    MinIncome: 12570,
+    MaxIncome: 43662,
+    Rate: 0.21,
+    TaxBand: 'basic',
+    Region: 'Scottish',
+  },
+  {
+    Year: 2025,
+    IncomeType: 'income',
+    MinIncome: 43662,
+    MaxIncome: null,
+    Rate: 0.42,
+    TaxBand: 'higher',
+    Region: 'Scottish',
+  },
+];
+
+describe('GBResidency', () => {
+  let referenceData;
+  let residency;
+
+  beforeEach(() => {
+    referenceData = getUKReferenceData();
+    referenceData.taxBrackets.push(...SCOTTISH_BRACKETS);
+    residency = new GBResidency(referenceData);
+  });
+
+  describe('Region', () => {
+    it('uses the UK-wide bands by default', () => {
+      expect(residency.getSettings().Region).toBe('default');
+      // 20% × (50000 - 12570)
+      expect(
+        residency.calculateTax(50000, 'employment', { year: 2025 }).taxAmount
+      ).toBe(7486);
+    });
+
+    it('selects the Scottish bands for Region scotland', () => {
+      referenceData.simulationParameters = [
+        { Parameter: 'Region', Value: 'scotland' },
+      ];
+      // 21% × (43662 - 12570) + 42% × (50000 - 43662)
+      expect(
+        residency.calculateTax(50000, 'employment', { year: 2025 }).taxAmount
+      ).toBeCloseTo(9191.28, 2);
+    });
+
+    it('lets the region option override the setting', () => {
+      referenceData.simulationParameters = [
+        { Parameter: 'Region', Value: 'scotland' },
+      ];
+      expect(
+        residency.calculateTax(50000, 'employment', {
+          year: 2025,
+          region: null,
+        }).taxAmount
+      ).toBe(7486);
+    });
+  });
+});
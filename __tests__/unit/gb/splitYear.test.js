@@ -0,0 +1,258 @@
+/**
+ * Unit Test for UK split-year treatment
+ * Target: lib/residency/gb/splitYear.js
+ */
+
+const {
+  ResidencyDetermination,
+} = require('../../../lib/residency/determination');
+const GBResidency = require('../../../lib/residency/gb/residency');
+const {
+  getPermittedLimit,
+  testSplitYear,
+} = require('../../../lib/residency/gb/splitYear');
+const { toDayNumber } = require('../../../lib/residency/presence');
+const PortugalResidency = require('../../../lib/residency/pt/residency');
+
+const settings = new GBResidency({}).getSettings();
+const fiscalYear = { startMonth: 4, startDay: 6 };
+
+const stay = (Date, country) => ({
+  Date,
+  FromCountry: country,
+  ToCountry: country,
+});
+const move = (Date, FromCountry, ToCountry) => ({
+  Date,
+  FromCountry,
+  ToCountry,
+  DepartureTime: '09:00',
+  ArrivalTime: '12:00',
+  LocationType: 'Travel',
+});
+const home = (Country, AvailableFrom, AvailableTo) => ({
+  Year: 2025,
+  Country,
+  AccommodationType: 'Owned',
+  AvailableFrom,
+  AvailableTo,
+  IsPermanentHome: true,
+});
+const workDays = (from, count, Country) =>
+  Array.from({ length: count }, (_, i) => {
+    const date = new Date(`${from}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + i);
+    return { Date: date.toISOString().slice(0, 10), Country, WorkHours: 8 };
+  });
+
+// Moves from a home in the UK to one in Portugal on 1 September 2025
+const leaving = {
+  location: [stay('2024-01-01', 'GB'), move('2025-09-01', 'GB', 'PT')],
+  accommodation: [
+    home('GB', '2020-01-01', '2025-08-31'),
+    home('PT', '2025-09-01', '2030-12-31'),
+  ],
+  taxResidency: { 2024: [{ year: 2024, country: 'GB' }] },
+};
+
+// Moves from Portugal to the UK on 1 July 2025
+const arriving = {
+  location: [stay('2024-01-01', 'PT'), move('2025-07-01', 'PT', 'GB')],
+};
+
+describe('testSplitYear', () => {
+  test('splits the year of a move abroad on ceasing to have a UK home', () => {
+    expect(testSplitYear(2025, leaving, settings, fiscalYear)).toEqual({
+      case: 3,
+      leaving: true,
+      overseasPart: { from: '2025-09-01', to: '2026-04-05' },
+      ukPart: { from: '2025-04-06', to: '2025-08-31' },
+    });
+    // 16 UK days after leaving
+    expect(
+      testSplitYear(
+        2025,
+        {
+          ...leaving,
+          location: [...leaving.location, move('2025-12-20', 'PT', 'GB')],
+        },
+        settings,
+        fiscalYear
+      )
+    ).toBeNull();
+  });
+
+  test('starts the overseas part with full-time work overseas', () => {
+    const data = {
+      location: [stay('2024-01-01', 'GB'), move('2025-10-01', 'GB', 'PT')],
+      accommodation: [
+        {
+          ...home('GB', '2025-04-06', '2025-09-30'),
+          AccommodationType: 'Rented',
+          IsPermanentHome: false,
+        },
+      ],
+      workActivity: workDays('2025-10-01', 600, 'PT'),
+      taxResidency: { 2024: [{ year: 2024, country: 'GB' }] },
+    };
+
+    expect(testSplitYear(2025, data, settings, fiscalYear)).toEqual({
+      case: 1,
+      leaving: true,
+      overseasPart: { from: '2025-10-01', to: '2026-04-05' },
+      ukPart: { from: '2025-04-06', to: '2025-09-30' },
+    });
+  });
+
+  test('starts the UK part with the earliest of Cases 5, 4 and 8', () => {
+    const work = workDays('2025-08-01', 400, 'GB');
+    const accommodation = [
+      home('PT', '2020-01-01', '2025-06-30'),
+      home('GB', '2025-07-01', '2030-12-31'),
+    ];
+
+    expect(
+      testSplitYear(
+        2025,
+        { ...arriving, workActivity: work },
+        settings,
+        fiscalYear
+      )
+    ).toEqual({
+      case: 5,
+      leaving: false,
+      overseasPart: { from: '2025-04-06', to: '2025-07-31' },
+      ukPart: { from: '2025-08-01', to: '2026-04-05' },
+    });
+    expect(
+      testSplitYear(
+        2025,
+        { ...arriving, workActivity: work, accommodation },
+        settings,
+        fiscalYear
+      )
+    ).toMatchObject({ case: 4, ukPart: { from: '2025-07-01' } });
+    expect(
+      testSplitYear(
+        2025,
+        {
+          ...arriving,
+          accommodation: [
+            { ...accommodation[0], AvailableTo: '2030-12-31' },
+            accommodation[1],
+          ],
+        },
+        settings,
+        fiscalYear
+      )
+    ).toMatchObject({ case: 8, ukPart: { from: '2025-07-01' } });
+  });
+
+  test('ends the overseas part with full-time work overseas', () => {
+    const data = {
+      location: [stay('2024-01-01', 'PT'), move('2025-10-01', 'PT', 'GB')],
+      workActivity: workDays('2024-01-01', 639, 'PT'),
+      accommodation: [home('GB', '2025-07-01', '2030-12-31')],
+    };
+
+    expect(testSplitYear(2025, data, settings, fiscalYear)).toEqual({
+      case: 6,
+      leaving: false,
+      overseasPart: { from: '2025-04-06', to: '2025-09-30' },
+      ukPart: { from: '2025-10-01', to: '2026-04-05' },
+    });
+  });
+
+  test('follows a partner from the SRT_PartnerSplitYearDate setting', () => {
+    const partner = { ...settings, SRT_PartnerSplitYearDate: '2025-06-01' };
+
+    expect(testSplitYear(2025, arriving, partner, fiscalYear)).toMatchObject({
+      case: 7,
+      ukPart: { from: '2025-07-01', to: '2026-04-05' },
+    });
+    expect(
+      testSplitYear(
+        2025,
+        { ...leaving, accommodation: [] },
+        { ...partner, SRT_PartnerSplitYearDate: '2025-08-15' },
+        fiscalYear
+      )
+    ).toMatchObject({
+      case: 2,
+      overseasPart: { from: '2025-09-01', to: '2026-04-05' },
+    });
+  });
+
+  test('leaves whole years and non-resident years unsplit', () => {
+    const settled = { location: [stay('2024-01-01', 'GB')] };
+
+    expect(testSplitYear(2025, settled, settings, fiscalYear)).toBeNull();
+    expect(testSplitYear(2026, leaving, settings, fiscalYear)).toBeNull();
+  });
+
+  test('reduces permitted limits by whole months outside the part', () => {
+    const range = { from: '2025-04-06', to: '2026-04-05' };
+    const end = toDayNumber(range.to);
+
+    expect(getPermittedLimit(90, toDayNumber('2025-10-06'), end, range)).toBe(
+      45
+    );
+    expect(getPermittedLimit(90, toDayNumber('2025-10-05'), end, range)).toBe(
+      52.5
+    );
+    expect(getPermittedLimit(30, toDayNumber(range.from), end, range)).toBe(30);
+  });
+});
+
+describe('split-year residency periods', () => {
+  const gb = new GBResidency({});
+  const pt = new PortugalResidency({});
+  const residency = { year: 2025, country: 'GB', method: 'automatic' };
+
+  test('gives each part of the tax year to its country', () => {
+    const determination = new ResidencyDetermination(
+      new Map([
+        ['GB', gb],
+        ['PT', pt],
+      ])
+    );
+    const splitYear = gb.getSplitYear(2025, leaving);
+
+    expect(determination.splitYear(2025, residency, leaving)).toEqual([
+      {
+        ...residency,
+        method: 'split-year',
+        splitYear,
+        startDate: '2025-04-06',
+        endDate: '2025-08-31',
+      },
+      {
+        year: 2025,
+        country: 'PT',
+        method: 'split-year',
+        splitYear,
+        startDate: '2025-09-01',
+        endDate: '2026-04-05',
+      },
+    ]);
+    expect(
+      determination.splitYear(2025, residency, {
+        ...arriving,
+        location: [stay('2024-01-01', 'PT'), move('2026-02-01', 'PT', 'GB')],
+        accommodation: [home('GB', '2026-02-01', '2030-12-31')],
+      })
+    ).toMatchObject([
+      { country: 'PT', endDate: '2026-01-31' },
+      { country: 'GB', startDate: '2026-02-01' },
+    ]);
+  });
+
+  test('drops the overseas part without a country to tax it', () => {
+    const determination = new ResidencyDetermination(new Map([['GB', gb]]));
+
+    expect(determination.splitYear(2025, residency, leaving)).toMatchObject([
+      { country: 'GB', endDate: '2025-08-31' },
+    ]);
+    expect(gb.getSplitYear(2025, {})).toBeNull();
+  });
+});
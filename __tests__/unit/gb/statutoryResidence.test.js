@@ -0,0 +1,270 @@
+/**
+ * Unit Test for the UK Statutory Residence Test
+ * Target: lib/residency/gb/statutoryResidence.js
+ */
+
+const GBResidency = require('../../../lib/residency/gb/residency');
+const {
+  getTiesNeeded,
+  testStatutoryResidence,
+} = require('../../../lib/residency/gb/statutoryResidence');
+
+const settings = new GBResidency({}).getSettings();
+const fiscalYear = { startMonth: 4, startDay: 6 };
+
+const move = (Date, FromCountry, ToCountry) => ({
+  Date,
+  FromCountry,
+  ToCountry,
+  DepartureTime: '09:00',
+  ArrivalTime: '12:00',
+  LocationType: 'Travel',
+});
+
+const workDays = (from, count, Country, WorkHours = 8) =>
+  Array.from({ length: count }, (_, i) => {
+    const date = new Date(`${from}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + i);
+    return { Date: date.toISOString().slice(0, 10), Country, WorkHours };
+  });
+
+// 100 UK nights in tax year 2025 (6 April - 14 July 2025)
+const location = [
+  move('2025-04-06', 'PT', 'GB'),
+  move('2025-07-15', 'GB', 'PT'),
+];
+const flat = {
+  Year: 2025,
+  Country: 'GB',
+  AccommodationType: 'Rented',
+  AvailableFrom: '2025-04-06',
+  AvailableTo: '2025-07-31',
+  IsPermanentHome: false,
+};
+
+describe('testStatutoryResidence', () => {
+  test('counts ties against the leaver and arriver tables', () => {
+    const data = {
+      location,
+      accommodation: [flat],
+      workActivity: workDays('2025-05-01', 45, 'GB'),
+      taxResidency: { 2024: [{ year: 2024, country: 'GB' }] },
+    };
+
+    expect(testStatutoryResidence(2025, data, settings, fiscalYear)).toEqual({
+      isResident: true,
+      test: 'sufficient-ties',
+      evidence: {
+        taxYear: { from: '2025-04-06', to: '2026-04-05' },
+        days: 100,
+        method: 'overnight',
+        residentInPriorYears: [2024],
+        passed: ['sufficient-ties'],
+        ties: ['accommodation', 'work'],
+        tiesNeeded: 2,
+      },
+    });
+
+    const arriver = testStatutoryResidence(
+      2025,
+      { ...data, taxResidency: {} },
+      settings,
+      fiscalYear
+    );
+    expect(arriver).toMatchObject({
+      isResident: false,
+      test: 'not-resident',
+      evidence: { ties: ['accommodation', 'work'], tiesNeeded: 3 },
+    });
+  });
+
+  test('applies the automatic overseas tests first', () => {
+    const arriver = testStatutoryResidence(
+      2025,
+      {
+        location: [
+          move('2025-04-06', 'PT', 'GB'),
+          move('2025-05-01', 'GB', 'PT'),
+        ],
+      },
+      settings,
+      fiscalYear
+    );
+    expect(arriver).toMatchObject({
+      isResident: false,
+      test: 'automatic-overseas',
+      evidence: { days: 25, passed: ['second-automatic-overseas'] },
+    });
+    expect(
+      testStatutoryResidence(
+        2025,
+        { location },
+        { ...settings, SRT_AutoOverseasArriverDaysThreshold: 101 },
+        fiscalYear
+      )
+    ).toMatchObject({
+      isResident: false,
+      test: 'automatic-overseas',
+      evidence: { days: 100, passed: ['second-automatic-overseas'] },
+    });
+
+    const fullTimeOverseas = testStatutoryResidence(
+      2025,
+      {
+        location: [
+          move('2025-04-06', 'PT', 'GB'),
+          move('2025-06-05', 'GB', 'PT'),
+        ],
+        workActivity: workDays('2025-04-06', 365, 'PT', 6),
+        taxResidency: { 2023: [{ year: 2023, country: 'GB' }] },
+      },
+      settings,
+      fiscalYear
+    );
+    expect(fullTimeOverseas).toMatchObject({
+      isResident: false,
+      test: 'automatic-overseas',
+      evidence: { days: 60, passed: ['third-automatic-overseas'] },
+    });
+  });
+
+  test('applies the automatic UK tests', () => {
+    const onlyHome = testStatutoryResidence(
+      2025,
+      { location, accommodation: [{ ...flat, IsPermanentHome: true }] },
+      settings,
+      fiscalYear
+    );
+    expect(onlyHome).toMatchObject({
+      isResident: true,
+      test: 'automatic-uk',
+      evidence: { passed: ['second-automatic-uk'] },
+    });
+
+    const overseasHome = testStatutoryResidence(
+      2025,
+      {
+        location,
+        accommodation: [
+          { ...flat, IsPermanentHome: true },
+          {
+            ...flat,
+            Country: 'PT',
+            AvailableFrom: '2025-01-01',
+            AvailableTo: '2026-12-31',
+            IsPermanentHome: true,
+          },
+        ],
+      },
+      settings,
+      fiscalYear
+    );
+    expect(overseasHome.evidence.passed).toEqual([]);
+
+    const fullTimeUK = testStatutoryResidence(
+      2025,
+      { location, workActivity: workDays('2025-01-01', 365, 'GB', 7) },
+      settings,
+      fiscalYear
+    );
+    expect(fullTimeUK.evidence.passed).toEqual(['third-automatic-uk']);
+  });
+
+  test('takes the previous tax years from the presence ledger', () => {
+    const data = {
+      location: [{ Date: '2021-01-01', FromCountry: 'GB', ToCountry: 'GB' }],
+    };
+
+    expect(
+      testStatutoryResidence(2025, data, settings, fiscalYear)
+    ).toMatchObject({
+      isResident: true,
+      test: 'automatic-uk',
+      evidence: {
+        days: 365,
+        residentInPriorYears: [2022, 2023, 2024],
+        passed: ['first-automatic-uk'],
+      },
+    });
+  });
+
+  test('honours the tie settings', () => {
+    const data = {
+      location,
+      accommodation: [flat],
+      workActivity: workDays('2025-05-01', 45, 'GB'),
+      taxResidency: { 2024: [{ year: 2024, country: 'GB' }] },
+    };
+
+    expect(
+      testStatutoryResidence(
+        2025,
+        data,
+        { ...settings, SRT_WorkTieRequired: false, SRT_FamilyInUK: true },
+        fiscalYear
+      ).evidence.ties
+    ).toEqual(['family', 'accommodation']);
+    expect(
+      testStatutoryResidence(
+        2025,
+        data,
+        { ...settings, SRT_TiesRequired: false },
+        fiscalYear
+      )
+    ).toMatchObject({ isResident: false, test: 'not-resident' });
+  });
+});
+
+describe('getTiesNeeded', () => {
+  test.each([
+    [15, true, null],
+    [16, true, 4],
+    [90, true, 3],
+    [120, true, 2],
+    [182, true, 1],
+    [45, false, null],
+    [46, false, 4],
+    [91, false, 3],
+    [121, false, 2],
+  ])('%i days (leaver: %s) need %p ties', (days, leaver, ties) => {
+    expect(getTiesNeeded(days, leaver)).toBe(ties);
+  });
+});
+
+describe('GBResidency residence', () => {
+  const residency = new GBResidency({});
+  const incomeRecords = [{ Year: 2025, SourceCountry: 'GB' }];
+
+  test('falls back to UK income without presence data', () => {
+    expect(residency.testResidency(2025, { incomeRecords })).toEqual({
+      isResident: true,
+      test: 'income-presence',
+    });
+  });
+
+  test('counts UK income in the tax year it is dated in', () => {
+    const march = [{ Year: 2026, Month: 3, Day: 31, SourceCountry: 'GB' }];
+
+    expect(
+      residency.testResidency(2025, { incomeRecords: march })
+    ).toMatchObject({ isResident: true });
+    expect(
+      residency.testResidency(2026, { incomeRecords: march })
+    ).toMatchObject({ isResident: false, test: 'no-income' });
+  });
+
+  test('applies the SRT to the tax year with presence data', () => {
+    expect(
+      residency.testResidency(2025, { incomeRecords, location })
+    ).toMatchObject({
+      isResident: false,
+      test: 'not-resident',
+      evidence: { days: 100, tiesNeeded: 3 },
+    });
+    expect(
+      residency.hasPermanentHome(2025, {
+        accommodation: [{ ...flat, IsPermanentHome: true }],
+      })
+    ).toBe(true);
+  });
+});
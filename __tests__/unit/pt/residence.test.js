@@ -0,0 +1,187 @@
+/**
+ * Unit Test for the Portuguese residence test
+ * Target: lib/residency/pt/residence.js
+ */
+
+const {
+  ResidencyDetermination,
+} = require('../../../lib/residency/determination');
+const {
+  findHabitualDwellings,
+  testPortugueseResidence,
+} = require('../../../lib/residency/pt/residence');
+const PortugalResidency = require('../../../lib/residency/pt/residency');
+
+const settings = {
+  ResidencyTest183Days: true,
+  ResidencyDayCountingMethod: 'overnight',
+  ResidencyPermanentHomeTest: true,
+  ResidencyMinDaysForPermanentHome: 1,
+};
+
+const move = (Date, FromCountry, ToCountry) => ({
+  Date,
+  FromCountry,
+  ToCountry,
+  DepartureTime: '09:00',
+  ArrivalTime: '12:00',
+  LocationType: 'Travel',
+});
+
+const home = {
+  Year: 2025,
+  Country: 'PT',
+  AccommodationType: 'Rented',
+  AvailableFrom: '2025-09-01',
+  AvailableTo: '2026-08-31',
+  IsPermanentHome: true,
+};
+
+describe('testPortugueseResidence', () => {
+  test('is resident after more than 183 days in a 12-month period', () => {
+    // 30 Sep 2025 - 1 Apr 2026: 93 nights in 2025, 184 in 12 months
+    const data = {
+      location: [
+        move('2025-09-30', 'GB', 'PT'),
+        move('2026-04-02', 'PT', 'GB'),
+      ],
+    };
+
+    expect(testPortugueseResidence(2025, data, settings)).toEqual({
+      isResident: true,
+      test: '183-days',
+      evidence: {
+        days: {
+          days: 184,
+          from: '2025-04-02',
+          to: '2026-04-01',
+          method: 'overnight',
+        },
+        daysInYear: 93,
+        dwelling: null,
+      },
+    });
+    expect(testPortugueseResidence(2026, data, settings).test).toBe('183-days');
+  });
+
+  test('is resident with a dwelling kept as habitual residence', () => {
+    const data = {
+      location: [
+        move('2025-09-01', 'GB', 'PT'),
+        move('2025-09-20', 'PT', 'GB'),
+      ],
+      accommodation: [
+        { ...home, Country: 'GB' },
+        { ...home, AccommodationType: 'Hotel', IsPermanentHome: false },
+        home,
+      ],
+    };
+
+    const result = testPortugueseResidence(2025, data, settings);
+
+    expect(result).toMatchObject({
+      isResident: true,
+      test: 'habitual-residence',
+      evidence: { daysInYear: 19 },
+    });
+    expect(result.evidence.dwelling).toBe(home);
+    expect(
+      testPortugueseResidence(2025, data, {
+        ...settings,
+        ResidencyMinDaysForPermanentHome: 20,
+      })
+    ).toMatchObject({ isResident: false, test: 'not-resident' });
+  });
+
+  test('honours the day counting method and disabled tests', () => {
+    const data = {
+      location: [
+        move('2025-01-01', 'GB', 'PT'),
+        move('2025-07-03', 'PT', 'GB'),
+      ],
+      accommodation: [home],
+    };
+
+    expect(testPortugueseResidence(2025, data, settings)).toMatchObject({
+      test: 'habitual-residence',
+      evidence: { days: { days: 183 } },
+    });
+    expect(
+      testPortugueseResidence(2025, data, {
+        ...settings,
+        ResidencyDayCountingMethod: 'partial_day',
+      })
+    ).toMatchObject({ test: '183-days', evidence: { days: { days: 184 } } });
+    expect(
+      testPortugueseResidence(2025, data, {
+        ...settings,
+        ResidencyPermanentHomeTest: false,
+      }).isResident
+    ).toBe(false);
+  });
+
+  test('finds dwellings available in a date range', () => {
+    expect(findHabitualDwellings([home], '2025-01-01', '2025-08-31')).toEqual(
+      []
+    );
+    expect(findHabitualDwellings([home], '2026-01-01', '2026-12-31')).toEqual([
+      home,
+    ]);
+  });
+});
+
+describe('PortugalResidency residence', () => {
+  const residency = new PortugalResidency({});
+  const incomeRecords = [
+    { Year: 2025, SourceCountry: 'PT' },
+    { Year: 2025, SourceCountry: 'GB' },
+    { Year: 2025, SourceCountry: 'GB' },
+    { Year: 2025, SourceCountry: 'PT' },
+  ];
+
+  test('falls back to Portuguese income without presence data', () => {
+    expect(residency.testResidency(2025, { incomeRecords })).toEqual({
+      isResident: true,
+      test: 'income-presence',
+    });
+    expect(residency.hasPermanentHome(2026, { incomeRecords })).toBe(false);
+  });
+
+  test('applies the presence rules with Location.csv rows', () => {
+    const data = {
+      incomeRecords,
+      location: [move('2025-11-01', 'GB', 'PT')],
+    };
+
+    expect(residency.testResidency(2025, data)).toMatchObject({
+      isResident: true,
+      test: '183-days',
+    });
+    expect(
+      new ResidencyDetermination(new Map([['PT', residency]])).determineForYear(
+        2025,
+        data
+      )
+    ).toEqual({
+      year: 2025,
+      country: 'PT',
+      method: 'automatic',
+      test: '183-days',
+      evidence: residency.testResidency(2025, data).evidence,
+    });
+    // Periods starting in 2024 reach the 60 nights of 2025
+    expect(residency.testResidency(2024, data)).toMatchObject({
+      isResident: false,
+      evidence: { days: { days: 60 }, daysInYear: 0 },
+    });
+  });
+
+  test('reads permanent homes and vital interests from the data', () => {
+    const data = { incomeRecords, accommodation: [home] };
+
+    expect(residency.hasPermanentHome(2025, data)).toBe(true);
+    expect(residency.hasPermanentHome(2024, data)).toBe(false);
+    expect(residency.calculateVitalInterestsStrength(2025, data)).toBe(50);
+    expect(residency.calculateVitalInterestsStrength(2024, data)).toBe(0);
+  });
+});
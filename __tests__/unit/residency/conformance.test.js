@@ -0,0 +1,253 @@
+const { TaxResidency } = require('../../../lib/residency/base');
+const {
+  assertResidencyConformance,
+  checkResidencyConformance,
+  checkTaxResult,
+} = require('../../../lib/residency/conformance');
+const GermanyResidency = require('../../../lib/residency/de/residency');
+const {
+  ResidencyDetermination,
+} = require('../../../lib/residency/determination');
+const GBResidency = require('../../../lib/residency/gb/residency');
+const PortugalResidency = require('../../../lib/residency/pt/residency');
+const { getGermanReferenceData } = require('../../helpers/deReferenceData');
+const { getUKReferenceData } = require('../../helpers/gbReferenceData');
+const {
+  describeResidencyConformance,
+} = require('../../helpers/residencyConformance');
+const { getTestReferenceData } = require('../../helpers/testData');
+
+const SAMPLES = [
+  { grossIncome: 3000, incomeType: 'employment' },
+  {
+    grossIncome: 3000,
+    incomeType: 'freelance',
+    options: { expenses: 0 },
+  },
+  { grossIncome: 1000, incomeType: 'dividend' },
+];
+
+describeResidencyConformance(
+  'PT',
+  () => new PortugalResidency(getTestReferenceData().referenceData.PT),
+  { samples: SAMPLES }
+);
+
+describeResidencyConformance(
+  'GB',
+  () => new GBResidency(getUKReferenceData()),
+  {
+    samples: [
+      ...SAMPLES,
+      { grossIncome: 2000, incomeType: 'interest' },
+      { grossIncome: 3000, incomeType: 'pension' },
+    ],
+  }
+);
+
+describeResidencyConformance(
+  'DE',
+  () => new GermanyResidency(getGermanReferenceData()),
+  {
+    samples: [
+      ...SAMPLES,
+      { grossIncome: 500, incomeType: 'interest' },
+      { grossIncome: 2000, incomeType: 'pension' },
+    ],
+  }
+);
+
+/**
+ * Country implementing only the required methods
+ */
+class MinimalResidency extends TaxResidency {
+  constructor(referenceData) {
+    super(referenceData);
+    this.countryCode = 'XA';
+  }
+
+  getCountryCode() {
+    return 'XA';
+  }
+
+  getCurrency() {
+    return 'EUR';
+  }
+
+  calculateTax(grossIncome) {
+    return {
+      taxableIncome: grossIncome,
+      taxAmount: grossIncome * 0.1,
+      socialSecurity: 0,
+      solidarityTax: 0,
+      isExempt: false,
+    };
+  }
+}
+
+describeResidencyConformance('Minimal', () => new MinimalResidency(null), {
+  samples: [{ grossIncome: 1000, incomeType: 'employment' }],
+});
+
+describe('TaxResidency defaults', () => {
+  const residency = new MinimalResidency(null);
+
+  test('tie-breaker hooks claim no home and no vital interests', () => {
+    expect(residency.hasPermanentHome(2025, {})).toBe(false);
+    expect(residency.calculateVitalInterestsStrength(2025, {})).toBe(0);
+  });
+
+  test('metadata defaults to a calendar year without withholding', () => {
+    expect(residency.getFiscalYearMapping().type).toBe('calendar');
+    expect(residency.getSpecialRegimeName()).toBe('None');
+    expect(residency.getDefaultCurrency()).toBe('EUR');
+    expect(residency.getWithholdingRates()).toEqual({
+      employment: 0,
+      freelance: 0,
+      dividend: 0,
+    });
+    expect(residency.getDeductionsModule()).toBeNull();
+  });
+
+  test('settings hold the common simulation parameters', () => {
+    expect(residency.getSettingsSchema()).toEqual({});
+    expect(residency.getSettings()).toEqual({
+      ResidencyTest183Days: true,
+      ResidencyDayCountingMethod: 'overnight',
+      ResidencyPermanentHomeTest: true,
+      ResidencyMinDaysForPermanentHome: 1,
+    });
+  });
+
+  test('component and annual hooks are neutral', () => {
+    expect(residency.calculateWithholdingForIncome(1000, 'dividend')).toBe(0);
+    expect(residency.getSocialSecurityAmount(1000, 'employment')).toBe(0);
+    expect(residency.getAnnualAdjustments(1000, 2025)).toEqual({});
+    expect(residency.calculateAnnualSummary({ year: 2025 }, [])).toBeNull();
+  });
+
+  test('tie-breaker falls through to the minimal country without crashing', () => {
+    const determination = new ResidencyDetermination(
+      new Map([
+        ['XA', residency],
+        ['DE', new GermanyResidency(getGermanReferenceData())],
+      ])
+    );
+    const data = {
+      incomeRecords: [{ Year: 2025, SourceCountry: 'DE', GrossIncome: 1 }],
+    };
+
+    expect(
+      determination.applyOECDTieBreaker(
+        2025,
+        [{ country: 'XA' }, { country: 'DE' }],
+        data
+      )
+    ).toMatchObject({ country: 'DE', method: 'tie-breaker-permanent-home' });
+  });
+});
+
+describe('checkResidencyConformance', () => {
+  test('reports missing contract methods of non-subclasses', () => {
+    const violations = checkResidencyConformance({
+      getCountryCode: () => 'XA',
+      getCurrency: () => 'EUR',
+      calculateTax: () => ({}),
+    });
+
+    expect(violations).toContain('missing method hasPermanentHome()');
+    expect(violations).toContain('missing method calculateAnnualSummary()');
+  });
+
+  test('reports invalid metadata and thrown errors', () => {
+    class BrokenResidency extends MinimalResidency {
+      getCountryCode() {
+        return 'Spain';
+      }
+
+      calculateVitalInterestsStrength() {
+        throw new Error('boom');
+      }
+    }
+
+    expect(checkResidencyConformance(new BrokenResidency(null))).toEqual([
+      'getCountryCode() must return an ISO 3166-1 alpha-2 code (got Spain)',
+      'calculateVitalInterestsStrength() threw: boom',
+    ]);
+  });
+
+  test('reports non-standard calculateTax() results', () => {
+    class PartialResidency extends MinimalResidency {
+      calculateTax() {
+        return { taxAmount: -1, taxableIncome: NaN };
+      }
+    }
+
+    const violations = checkResidencyConformance(new PartialResidency(null), {
+      samples: [{ grossIncome: 1000, incomeType: 'employment' }],
+    });
+
+    expect(violations).toHaveLength(1);
+    expect(violations[0]).toContain('taxableIncome must be a finite number');
+    expect(violations[0]).toContain('socialSecurity must be a finite number');
+    expect(violations[0]).toContain('isExempt must be a boolean');
+    expect(violations[0]).toContain('taxAmount must not be negative');
+  });
+
+  test('reports invalid reference figures', () => {
+    class MisattributedResidency extends MinimalResidency {
+      getReferenceFigures() {
+        return { taxAmount: 'taxBrackets' };
+      }
+    }
+
+    expect(checkResidencyConformance(new MisattributedResidency(null))).toEqual(
+      [
+        'getReferenceFigures() taxAmount must list reference data keys (got taxBrackets)',
+      ]
+    );
+  });
+
+  test('reports invalid reference schemas', () => {
+    class UnschemedResidency extends MinimalResidency {
+      getRequiredReferenceFiles() {
+        return ['Rates.csv', 'Brackets.csv'];
+      }
+
+      getReferenceSchemas() {
+        return { 'Rates.csv': { Year: { type: 'year' } } };
+      }
+    }
+
+    expect(checkResidencyConformance(new UnschemedResidency(null))).toEqual([
+      'getReferenceSchemas() Rates.csv column Year has unknown type year; no schema for required Brackets.csv',
+    ]);
+  });
+
+  test('reports invalid settings schemas', () => {
+    class UntypedResidency extends MinimalResidency {
+      getSettingsSchema() {
+        return { Region: { type: 'region' } };
+      }
+    }
+
+    expect(checkResidencyConformance(new UntypedResidency(null))).toEqual([
+      'getSettingsSchema() SimulationParameters.csv column Region has unknown type region',
+    ]);
+  });
+
+  test('checkTaxResult rejects non-objects', () => {
+    expect(checkTaxResult(null)).toEqual([
+      'calculateTax() must return an object',
+    ]);
+  });
+
+  test('assertResidencyConformance lists all violations', () => {
+    expect(() =>
+      assertResidencyConformance({ countryCode: 'XA', calculateTax() {} })
+    ).toThrow('XA does not conform to the TaxResidency contract');
+    expect(() =>
+      assertResidencyConformance(new MinimalResidency(null))
+    ).not.toThrow();
+  });
+});
@@ -0,0 +1,159 @@
+/**
+ * Unit Test for residency periods by tax year
+ * Target: lib/residency/determination.js
+ */
+
+const {
+  ResidencyDetermination,
+} = require('../../../lib/residency/determination');
+const GBResidency = require('../../../lib/residency/gb/residency');
+const PortugalResidency = require('../../../lib/residency/pt/residency');
+
+const determination = new ResidencyDetermination(
+  new Map([
+    ['GB', new GBResidency({})],
+    ['PT', new PortugalResidency({})],
+  ])
+);
+const ukIncome = dates =>
+  dates.map(([Year, Month]) => ({ Year, Month, SourceCountry: 'GB' }));
+const dates = periods =>
+  periods.map(({ country, taxYear, startDate, endDate }) => [
+    country,
+    taxYear,
+    startDate,
+    endDate,
+  ]);
+
+describe('determineResidency', () => {
+  test('determines the UK tax years income is dated in', () => {
+    const residency = determination.determineResidency(
+      { incomeRecords: ukIncome([[2025, 2]]) },
+      {}
+    );
+
+    expect(Array.from(residency.keys())).toEqual([2024]);
+    expect(residency.get(2024)).toMatchObject([
+      { country: 'GB', test: 'income-presence' },
+    ]);
+  });
+
+  test('leaves out calendar years earlier tax years cover', () => {
+    const incomeRecords = ukIncome([
+      [2025, 5],
+      [2026, 3],
+    ]);
+
+    expect(
+      Array.from(determination.determineResidency({ incomeRecords }, {}).keys())
+    ).toEqual([2025]);
+    expect(() =>
+      determination.determineResidency(
+        {
+          incomeRecords: [
+            ...incomeRecords,
+            { Year: 2026, SourceCountry: 'US' },
+          ],
+        },
+        {}
+      )
+    ).toThrow('No tax residency determined for 2026');
+  });
+});
+
+describe('determinePeriods', () => {
+  test('cuts UK residency at 6 April', () => {
+    const periods = determination.determinePeriods(
+      {
+        incomeRecords: ukIncome([
+          [2025, 2],
+          [2025, 5],
+          [2026, 3],
+        ]),
+      },
+      {}
+    );
+
+    expect(dates(periods)).toEqual([
+      ['GB', '2024/25', '2024-04-06', '2025-04-05'],
+      ['GB', '2025/26', '2025-04-06', '2026-04-05'],
+    ]);
+    expect(periods[1]).toMatchObject({
+      year: 2025,
+      method: 'automatic',
+      test: 'income-presence',
+    });
+  });
+
+  test('keeps income before a UK tax year with the previous country', () => {
+    const taxResidency = { 2024: { country: 'PT', method: 'manual' } };
+    const periods = determination.determinePeriods(
+      {
+        incomeRecords: ukIncome([
+          [2025, 2],
+          [2025, 5],
+        ]),
+        taxResidency,
+      },
+      taxResidency
+    );
+
+    expect(dates(periods)).toEqual([
+      ['PT', 2024, '2024-01-01', '2024-12-31'],
+      ['PT', 2025, '2025-01-01', '2025-04-05'],
+      ['GB', '2025/26', '2025-04-06', '2026-04-05'],
+    ]);
+  });
+
+  test('covers the tax year of overrides without dates', () => {
+    const taxResidency = { 2024: { year: 2024, country: 'GB' } };
+    const periods = determination.determinePeriods(
+      { incomeRecords: ukIncome([[2025, 5]]), taxResidency },
+      taxResidency
+    );
+
+    expect(dates(periods)).toEqual([
+      ['GB', '2024/25', '2024-04-06', '2025-04-05'],
+      ['GB', '2025/26', '2025-04-06', '2026-04-05'],
+    ]);
+  });
+
+  test('covers only the calendar dates of manual overrides', () => {
+    const taxResidency = {
+      2025: [
+        {
+          year: 2025,
+          country: 'GB',
+          method: 'manual',
+          startMonth: 1,
+          startDay: 1,
+          endMonth: 6,
+          endDay: 30,
+        },
+      ],
+    };
+    const periods = determination.determinePeriods(
+      { incomeRecords: ukIncome([[2025, 5]]), taxResidency },
+      taxResidency
+    );
+
+    expect(periods).toEqual([
+      {
+        year: 2024,
+        country: 'GB',
+        method: 'manual',
+        taxYear: '2024/25',
+        startDate: '2025-01-01',
+        endDate: '2025-04-05',
+      },
+      {
+        year: 2025,
+        country: 'GB',
+        method: 'manual',
+        taxYear: '2025/26',
+        startDate: '2025-04-06',
+        endDate: '2025-06-30',
+      },
+    ]);
+  });
+});
@@ -0,0 +1,239 @@
+const {
+  ResidencyDetermination,
+} = require('../../../lib/residency/determination');
+const GBResidency = require('../../../lib/residency/gb/residency');
+const {
+  PresenceLedger,
+  formatTaxYear,
+  getPresenceLedger,
+  getRecordDate,
+  getTaxYearOf,
+  getTaxYearRange,
+} = require('../../../lib/residency/presence');
+const PortugalResidency = require('../../../lib/residency/pt/residency');
+
+describe('PresenceLedger', () => {
+  const location = [
+    {
+      Date: '2025-09-30',
+      FromCountry: 'PT',
+      ToCountry: 'GB',
+      DepartureTime: '16:00',
+      ArrivalTime: '19:30',
+      LocationType: 'Travel',
+    },
+    {
+      Date: '2025-03-01',
+      FromCountry: 'GB',
+      ToCountry: 'PT',
+      DepartureTime: '09:00',
+      ArrivalTime: '12:30',
+      LocationType: 'Travel',
+    },
+    {
+      Date: '2025-06-10',
+      FromCountry: 'ES',
+      ToCountry: 'ES',
+      LocationType: 'Business',
+    },
+    {
+      Date: '2025-06-10',
+      FromCountry: 'PT',
+      ToCountry: 'ES',
+      DepartureTime: '07:00',
+      ArrivalTime: '08:00',
+      LocationType: 'Travel',
+    },
+    {
+      Date: '2025-06-11',
+      FromCountry: 'ES',
+      ToCountry: 'PT',
+      LocationType: 'Travel',
+    },
+  ];
+  const ledger = new PresenceLedger(location);
+
+  test('expands travel and stay rows into days in date order', () => {
+    expect(ledger.getDay('2025-02-28')).toBeNull();
+    expect(ledger.getDay('2025-03-01')).toEqual({
+      date: '2025-03-01',
+      countries: ['GB', 'PT'],
+      overnight: 'PT',
+      travel: true,
+    });
+    expect(ledger.getDay('2025-04-15')).toEqual({
+      date: '2025-04-15',
+      countries: ['PT'],
+      overnight: 'PT',
+      travel: false,
+    });
+    expect(ledger.getDay('2025-06-10').overnight).toBe('ES');
+    expect(ledger.getDay('2026-01-20')).toMatchObject({ overnight: 'GB' });
+    expect(ledger.getCountries()).toEqual(['GB', 'PT', 'ES']);
+  });
+
+  test.each([
+    ['overnight', 212, 1, 93],
+    ['partial_day', 214, 2, 94],
+    ['calendar_day', 210, 0, 92],
+  ])('counts %s days', (method, pt, es, gb) => {
+    expect(ledger.countDays('PT', '2025-01-01', '2025-12-31', method)).toBe(pt);
+    expect(ledger.countDays('ES', '2025-01-01', '2025-12-31', method)).toBe(es);
+    expect(ledger.countDays('GB', '2025-01-01', '2025-12-31', method)).toBe(gb);
+  });
+
+  test('counts nights in transit for no country', () => {
+    const overnight = new PresenceLedger([
+      { Date: '2025-01-01', FromCountry: 'GB', ToCountry: 'GB' },
+      {
+        Date: '2025-01-10',
+        FromCountry: 'GB',
+        ToCountry: 'BR',
+        DepartureTime: '22:00',
+        ArrivalTime: '06:00',
+      },
+    ]);
+
+    expect(overnight.getDay('2025-01-10')).toEqual({
+      date: '2025-01-10',
+      countries: ['GB'],
+      overnight: null,
+      travel: true,
+    });
+    expect(overnight.isPresent('BR', '2025-01-11', 'partial_day')).toBe(true);
+    expect(overnight.isPresent('BR', '2025-01-11', 'calendar_day')).toBe(false);
+    expect(overnight.countDays('GB', '2025-01-01', '2025-01-31')).toBe(9);
+    expect(overnight.countDays('BR', '2025-01-01', '2025-01-31')).toBe(21);
+  });
+
+  test('counts tax years and rolling windows', () => {
+    const fiscalYear = { startMonth: 4, startDay: 6 };
+
+    expect(getTaxYearRange(2025, fiscalYear)).toEqual({
+      from: '2025-04-06',
+      to: '2026-04-05',
+    });
+    expect(getTaxYearOf('2026-04-05', fiscalYear)).toBe(2025);
+    expect(getTaxYearOf('2026-04-06', fiscalYear)).toBe(2026);
+    expect(getTaxYearOf('2026-01-01')).toBe(2026);
+    expect(formatTaxYear(2025, fiscalYear)).toBe('2025/26');
+    expect(formatTaxYear(2099, fiscalYear)).toBe('2099/00');
+    expect(formatTaxYear(2025)).toBe(2025);
+    expect(getRecordDate({ year: 2026, month: 3 })).toBe('2026-03-15');
+    expect(getRecordDate({ Year: 2026, Month: 4, Day: 5 })).toBe('2026-04-05');
+    expect(getRecordDate({ Year: 2026 })).toBeNull();
+    expect(ledger.countDaysInTaxYear('GB', 2025, { fiscalYear })).toBe(188);
+    expect(
+      ledger.getMaxDaysInWindow('PT', {
+        from: '2025-01-01',
+        to: '2025-12-31',
+        method: 'partial_day',
+      })
+    ).toEqual({ days: 214, from: '2024-10-01', to: '2025-09-30' });
+    expect(
+      ledger.getMaxDaysInWindow('GB', {
+        from: '2025-01-01',
+        to: '2025-01-31',
+        length: 10,
+      })
+    ).toEqual({ days: 0, from: '2024-12-23', to: '2025-01-01' });
+  });
+
+  test('rejects unknown day counting methods', () => {
+    expect(() =>
+      ledger.countDays('PT', '2025-01-01', '2025-01-31', 'nights')
+    ).toThrow(
+      'Day counting method must be one of: overnight, partial_day, calendar_day (got nights)'
+    );
+  });
+});
+
+describe('getPresenceLedger', () => {
+  test('builds the ledger once per Location.csv array', () => {
+    const data = {
+      location: [{ Date: '2025-01-01', FromCountry: 'PT', ToCountry: 'PT' }],
+    };
+    const ledger = getPresenceLedger(data);
+
+    expect(getPresenceLedger({ ...data })).toBe(ledger);
+    data.location.push({
+      Date: '2025-07-01',
+      FromCountry: 'PT',
+      ToCountry: 'GB',
+    });
+    expect(getPresenceLedger(data)).not.toBe(ledger);
+    expect(
+      getPresenceLedger({}).countDays('PT', '2025-01-01', '2025-12-31')
+    ).toBe(0);
+  });
+
+  test('rebuilds the ledger when rows are edited or swapped', () => {
+    const location = [
+      { Date: '2025-01-01', FromCountry: 'PT', ToCountry: 'PT' },
+      { Date: '2025-07-01', FromCountry: 'PT', ToCountry: 'GB' },
+    ];
+    const count = country =>
+      getPresenceLedger({ location }).countDays(
+        country,
+        '2025-01-01',
+        '2025-12-31'
+      );
+    expect(count('PT')).toBe(181);
+
+    location[1].Date = '2025-04-01';
+    expect(count('PT')).toBe(90);
+    expect(count('GB')).toBe(275);
+
+    location[1].ToCountry = 'ES';
+    expect(count('GB')).toBe(0);
+    expect(count('ES')).toBe(275);
+
+    location.reverse();
+    location[0] = { ...location[0], Date: '2025-10-01' };
+    expect(count('PT')).toBe(273);
+    expect(count('ES')).toBe(92);
+  });
+});
+
+describe('habitual abode tie-breaker', () => {
+  test('counts each country by its own method and tax year', () => {
+    const pt = new PortugalResidency({
+      simulationParameters: [
+        { Parameter: 'ResidencyDayCountingMethod', Value: 'partial_day' },
+      ],
+    });
+    const gb = new GBResidency({});
+    pt.hasPermanentHome = () => false;
+    gb.hasPermanentHome = () => false;
+    pt.calculateVitalInterestsStrength = () => 50;
+    gb.calculateVitalInterestsStrength = () => 50;
+    const determination = new ResidencyDetermination(
+      new Map([
+        ['PT', pt],
+        ['GB', gb],
+      ])
+    );
+    const data = {
+      location: [
+        { Date: '2025-01-01', FromCountry: 'GB', ToCountry: 'GB' },
+        {
+          Date: '2025-07-02',
+          FromCountry: 'GB',
+          ToCountry: 'PT',
+          DepartureTime: '08:00',
+          ArrivalTime: '11:00',
+        },
+      ],
+    };
+
+    expect(determination.countDaysInCountry(2025, 'PT', data)).toBe(183);
+    expect(determination.countDaysInCountry(2025, 'GB', data)).toBe(87);
+    expect(
+      determination.applyOECDTieBreaker(
+        2025,
+        [{ country: 'PT' }, { country: 'GB' }],
+        data
+      )
+    ).toMatchObject({ country: 'PT', method: 'tie-breaker-habitual-abode' });
+  });
+});
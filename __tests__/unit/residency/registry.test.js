@@ -0,0 +1,207 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  discoverResidencies,
+  getResidency,
+  getResidencyMetadata,
+  hasResidency,
+  listAvailableCountries,
+  registerResidency,
+  unregisterResidency,
+  TaxResidency,
+} = require('../../../lib/residency');
+
+class TestResidency extends TaxResidency {
+  constructor(referenceData) {
+    super(referenceData);
+    this.countryCode = 'XA';
+    this.countryName = 'Testland';
+  }
+
+  calculateTax() {
+    return { taxAmount: 0 };
+  }
+
+  getCurrency() {
+    return 'XTS';
+  }
+}
+
+const BASE_PATH = path.resolve(__dirname, '../../../lib/residency/base');
+
+const PLUGIN_SOURCE = `
+const { TaxResidency } = require(${JSON.stringify(BASE_PATH)});
+
+class SpainResidency extends TaxResidency {
+  constructor(referenceData) {
+    super(referenceData);
+    this.countryCode = 'ES';
+    this.countryName = 'Spain';
+  }
+
+  calculateTax(grossIncome) {
+    return { taxAmount: grossIncome * 0.1 };
+  }
+
+  getCurrency() {
+    return 'EUR';
+  }
+}
+
+module.exports = SpainResidency;
+`;
+
+describe('Residency Registry', () => {
+  afterEach(() => {
+    unregisterResidency('XA');
+    unregisterResidency('ES');
+  });
+
+  describe('built-in countries', () => {
+    test('registers PT, GB and DE', () => {
+      expect(listAvailableCountries()).toEqual(
+        expect.arrayContaining(['PT', 'GB', 'DE'])
+      );
+      expect(hasResidency('PT')).toBe(true);
+      expect(hasResidency('gb')).toBe(true);
+    });
+
+    test('describes built-in countries', () => {
+      expect(getResidencyMetadata('DE')).toMatchObject({
+        code: 'DE',
+        name: 'Germany',
+        currency: 'EUR',
+      });
+      expect(getResidencyMetadata('GB').currency).toBe('GBP');
+    });
+
+    test('rejects unregistered countries', () => {
+      expect(hasResidency('ES')).toBe(false);
+      expect(getResidencyMetadata('ES')).toBeNull();
+      expect(() => getResidency('ES', {})).toThrow(
+        'Unsupported country: ES. Available countries:'
+      );
+    });
+  });
+
+  describe('registerResidency', () => {
+    test('registers a class and reflects it in the listing', () => {
+      const metadata = registerResidency('XA', TestResidency);
+
+      expect(metadata).toEqual({
+        code: 'XA',
+        name: 'Testland',
+        currency: 'XTS',
+      });
+      expect(hasResidency('XA')).toBe(true);
+      expect(listAvailableCountries()).toContain('XA');
+
+      const residency = getResidency('XA', { XA: {} });
+      expect(residency).toBeInstanceOf(TestResidency);
+      expect(residency.referenceData).toEqual({ XA: {} });
+    });
+
+    test('explicit metadata overrides derived metadata', () => {
+      registerResidency('xa', TestResidency, { name: 'Custom' });
+
+      expect(getResidencyMetadata('XA').name).toBe('Custom');
+    });
+
+    test('rejects duplicate registrations', () => {
+      expect(() => registerResidency('PT', TestResidency)).toThrow(
+        'Residency already registered for PT'
+      );
+    });
+
+    test('rejects classes without calculateTax()', () => {
+      expect(() => registerResidency('XA', class {})).toThrow(
+        'Residency for XA must be a class implementing calculateTax()'
+      );
+      expect(() => registerResidency('XA', {})).toThrow(
+        'must be a class implementing calculateTax()'
+      );
+    });
+
+    test('rejects invalid country codes', () => {
+      expect(() => registerResidency('ESP', TestResidency)).toThrow();
+    });
+
+    test('unregisterResidency removes the country', () => {
+      registerResidency('XA', TestResidency);
+
+      expect(unregisterResidency('XA')).toBe(true);
+      expect(hasResidency('XA')).toBe(false);
+      expect(unregisterResidency('XA')).toBe(false);
+    });
+  });
+
+  describe('discoverResidencies', () => {
+    let pluginDir;
+
+    beforeEach(() => {
+      pluginDir = fs.mkdtempSync(path.join(os.tmpdir(), 'residency-plugins-'));
+      fs.mkdirSync(path.join(pluginDir, 'es'));
+      fs.writeFileSync(
+        path.join(pluginDir, 'es', 'residency.js'),
+        PLUGIN_SOURCE
+      );
+      fs.mkdirSync(path.join(pluginDir, 'shared'));
+      fs.mkdirSync(path.join(pluginDir, 'nl'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(pluginDir, { recursive: true, force: true });
+    });
+
+    test('registers country packages found in a directory', () => {
+      expect(discoverResidencies(pluginDir)).toEqual(['ES']);
+
+      expect(hasResidency('ES')).toBe(true);
+      expect(hasResidency('NL')).toBe(false);
+      expect(getResidencyMetadata('ES')).toEqual({
+        code: 'ES',
+        name: 'Spain',
+        currency: 'EUR',
+        path: path.join(pluginDir, 'es'),
+      });
+      expect(getResidency('ES', {}).calculateTax(1000)).toEqual({
+        taxAmount: 100,
+      });
+    });
+
+    test('leaves the registry unchanged when a package fails', () => {
+      fs.mkdirSync(path.join(pluginDir, 'pt'));
+      fs.writeFileSync(
+        path.join(pluginDir, 'pt', 'residency.js'),
+        PLUGIN_SOURCE
+      );
+      const before = listAvailableCountries();
+
+      expect(() => discoverResidencies(pluginDir)).toThrow(
+        'Residency already registered for PT'
+      );
+      expect(listAvailableCountries()).toEqual(before);
+      expect(hasResidency('ES')).toBe(false);
+    });
+
+    test('registers the built-in countries without reading directories', () => {
+      jest.isolateModules(() => {
+        const readdirSync = jest.spyOn(fs, 'readdirSync');
+        try {
+          const registry = require('../../../lib/residency');
+          expect(registry.listAvailableCountries()).toEqual(['DE', 'GB', 'PT']);
+          expect(readdirSync).not.toHaveBeenCalled();
+        } finally {
+          readdirSync.mockRestore();
+        }
+      });
+    });
+
+    test('throws for a missing directory', () => {
+      expect(() =>
+        discoverResidencies(path.join(pluginDir, 'missing'))
+      ).toThrow('Residency directory not found');
+    });
+  });
+});
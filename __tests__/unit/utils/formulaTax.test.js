@@ -0,0 +1,114 @@
+const {
+  calculateFormulaTax,
+  getFormulaZones,
+} = require('../../../lib/utils/formulaTax');
+
+// Mock data (inline, not from files) - two-zone tariff per year
+const MOCK_FORMULA = [
+  {
+    Year: 2024,
+    Zone: 1,
+    MinIncome: 0,
+    MaxIncome: 10000,
+    Offset: 0,
+    Divisor: 1,
+    Quadratic: 0,
+    Linear: 0,
+    Constant: 0,
+  },
+  {
+    Year: 2024,
+    Zone: 2,
+    MinIncome: 10001,
+    MaxIncome: null,
+    Offset: 10000,
+    Divisor: 1,
+    Quadratic: 0,
+    Linear: 0.2,
+    Constant: 0,
+  },
+  {
+    Year: 2025,
+    Zone: 1,
+    MinIncome: 0,
+    MaxIncome: 12000,
+    Offset: 0,
+    Divisor: 1,
+    Quadratic: 0,
+    Linear: 0,
+    Constant: 0,
+  },
+  {
+    Year: 2025,
+    Zone: 2,
+    MinIncome: 12001,
+    MaxIncome: null,
+    Offset: 12000,
+    Divisor: 10000,
+    Quadratic: 100,
+    Linear: 2000,
+    Constant: 0,
+  },
+];
+
+describe('Formula Tax Engine', () => {
+  describe('getFormulaZones()', () => {
+    test('returns zones for the exact year', () => {
+      const zones = getFormulaZones(2024, MOCK_FORMULA);
+      expect(zones).toHaveLength(2);
+      expect(zones.every(z => z.Year === 2024)).toBe(true);
+    });
+
+    test('falls back to the most recent earlier year', () => {
+      const zones = getFormulaZones(2026, MOCK_FORMULA);
+      expect(zones.every(z => z.Year === 2025)).toBe(true);
+    });
+
+    test('throws when no year applies', () => {
+      expect(() => getFormulaZones(2020, MOCK_FORMULA)).toThrow(
+        'No tax formula found for year 2020 in reference data'
+      );
+    });
+
+    test('throws for invalid data', () => {
+      expect(() => getFormulaZones(2025, undefined)).toThrow(
+        'formulaData must be an array'
+      );
+    });
+  });
+
+  describe('calculateFormulaTax()', () => {
+    test('returns 0 for zero or negative income', () => {
+      expect(calculateFormulaTax(0, 2025, MOCK_FORMULA)).toBe(0);
+      expect(calculateFormulaTax(-1, 2025, MOCK_FORMULA)).toBe(0);
+    });
+
+    test('evaluates linear zones', () => {
+      // (15000 - 10000) * 0.2
+      expect(calculateFormulaTax(15000, 2024, MOCK_FORMULA)).toBeCloseTo(1000);
+    });
+
+    test('evaluates quadratic zones without rounding', () => {
+      // t = 0.50005; (100 * t + 2000) * t = 1025.105
+      expect(calculateFormulaTax(17000.5, 2025, MOCK_FORMULA)).toBeCloseTo(
+        1025.105,
+        3
+      );
+    });
+
+    test('rounds income and tax down with roundDown', () => {
+      // income 17000 → t = 0.5; (50 + 2000) * 0.5 = 1025
+      expect(
+        calculateFormulaTax(17000.5, 2025, MOCK_FORMULA, { roundDown: true })
+      ).toBe(1025);
+    });
+
+    test('applies the splitting tariff', () => {
+      // 2 × tax(15000) = 2 × 1000
+      expect(
+        calculateFormulaTax(30000, 2024, MOCK_FORMULA, { splitting: true })
+      ).toBeCloseTo(2000);
+      expect(calculateFormulaTax(30000, 2024, MOCK_FORMULA)).toBeCloseTo(4000);
+    });
+  });
+});
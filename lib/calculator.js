@@ -5,19 +5,57 @@
  * Delegates all country-specific logic to residency implementations.
  */
 
+const { getRecordSource, getReferenceDataKey } = require('./dataset');
 const { loadData } = require('./loader');
 const { getResidency } = require('./residency');
 const { ResidencyDetermination } = require('./residency/determination');
+const { selectRowsInForce } = require('./temporal');
 const { convertCurrency } = require('./utils/currency');
 
+/**
+ * Reference rows behind the figures of each result (see getResultReferences)
+ */
+const resultReferences = new WeakMap();
+
+/**
+ * Rows copied from an earlier year by a reference fallback, mapped to the
+ * rows they were copied from
+ */
+const projectedRows = new WeakMap();
+
+/**
+ * Policies for reference tables without rows for the year calculated:
+ * fail, reuse the latest earlier year with a warning, or reuse it silently
+ */
+const REFERENCE_FALLBACKS = ['strict', 'warn', 'silent'];
+
 /**
  * Calculate net income from income records
  *
+ * Each income record is calculated with the reference rows in force on
+ * its date and each annual summary with those in force at the end of its
+ * period (see selectRowsInForce()), so reference rows with EffectiveFrom
+ * and EffectiveTo dates model mid-year changes. The rows behind each
+ * figure are available from getResultReferences().
+ *
+ * Reference tables without rows for the year calculated fall back to the
+ * latest earlier year (per group of key columns, e.g. per Land) for every
+ * lookup alike, as set by `referenceFallback`. Each fallback is listed
+ * once in the `warnings` of the results, so projections show which
+ * figures rest on an earlier year's values.
+ *
  * @param {Object} data - Complete dataset from loadData()
- * @param {Object} _options - Calculation options
- * @returns {Object} Results with monthly, annual, byType arrays
+ * @param {Object} [options] - Calculation options
+ * @param {boolean} [options.proposedReference=false] - Use reference rows
+ *   with `Status: proposed` (a proposed budget scenario)
+ * @param {string} [options.referenceFallback='warn'] - `strict` (throw),
+ *   `warn` (reuse the earlier year and warn) or `silent` (reuse it)
+ * @returns {Object} Results with monthly, annual, byType arrays and
+ *   warnings ({ country, table, year, fallbackYear, file, message })
+ * @throws {Error} If the fallback policy is unknown, or a table lacks the
+ *   year calculated under the strict policy
  */
-function calculateNetIncome(data, _options = {}) {
+function calculateNetIncome(data, options = {}) {
   if (!data || !data.incomeRecords) {
     throw new Error('Income records required');
   }
@@ -36,115 +74,439 @@ function calculateNetIncome(data, _options = {}) {
     countries.set(countryCode, getResidency(countryCode, refData));
   }
 
+  const fallback = options.referenceFallback ?? 'warn';
+  if (!REFERENCE_FALLBACKS.includes(fallback)) {
+    throw new Error(
+      `referenceFallback must be one of: ${REFERENCE_FALLBACKS.join(', ')} (got ${fallback})`
+    );
+  }
+
+  const warnings = [];
+  const reference = createReferenceViews(countries, data.referenceData, {
+    proposed: Boolean(options.proposedReference),
+    fallback,
+    warnings,
+  });
+
   // Create residency determination orchestrator
   const determination = new ResidencyDetermination(countries);
 
-  // Determine residency for all years
-  const residencyByYear = determination.determineResidency(
-    data,
-    data.taxResidency || {}
-  );
+  // Determine residency periods by the tax year of each country
+  const periods = determination.determinePeriods(data, data.taxResidency || {});
 
   const results = {
     monthly: [],
     annual: [],
     annualByType: [],
+    warnings,
   };
 
-  // Iterate through years (sorted)
-  const sortedYears = Array.from(residencyByYear.keys()).sort((a, b) => a - b);
+  for (const period of periods) {
+    const residencyCountry = period.country;
+    const residencyImpl = countries.get(residencyCountry);
 
-  for (const year of sortedYears) {
-    const periods = residencyByYear.get(year);
+    if (!residencyImpl) {
+      throw new Error(
+        `Residency implementation not found for ${residencyCountry}`
+      );
+    }
 
-    // Process each residency period in the year
-    for (const period of periods) {
-      const residencyCountry = period.country;
-      const residencyImpl = countries.get(residencyCountry);
+    // Get all income for this period (in original currencies)
+    const periodIncomeRecords = getIncomeForPeriod(period, data.incomeRecords);
 
-      if (!residencyImpl) {
-        throw new Error(
-          `Residency implementation not found for ${residencyCountry}`
-        );
-      }
+    // Process each income record
+    const periodMonthlyResults = [];
+    const periodIncomeRecordsWithNet = [];
 
-      // Get all income for this period (in original currencies)
-      const periodIncomeRecords = getIncomeForPeriod(
-        period,
-        data.incomeRecords
+    for (const record of periodIncomeRecords) {
+      const recordImpl = reference.residencyOn(
+        residencyCountry,
+        toISODate(record.year, record.month, record.day ?? 15),
+        period.year
       );
 
-      // Process each income record
-      const periodMonthlyResults = [];
-      const periodIncomeRecordsWithNet = [];
-
-      for (const record of periodIncomeRecords) {
-        // Convert gross income to residency currency for tax calculation
-        const localGross = convertCurrency(
-          record.amount,
-          record.currency,
-          residencyImpl.getCurrency(),
-          data.exchangeRates,
-          record.year,
-          record.month
-        );
-
-        // Calculate taxes for this record
-        const taxResult = residencyImpl.calculateTax(
-          localGross,
-          record.incomeType,
-          {
-            residency: period,
-            specialRegime: period.specialRegimeStatus,
-            year: record.year,
-            sourceCountry: record.sourceCountry,
-            aggregate: record.aggregate,
-            freelanceType: record.freelanceType,
-            expenses: record.expenses,
-            incomeRecord: record,
-          }
-        );
-
-        // Enrich result with metadata
-        const fullResult = {
-          ...record,
-          ...taxResult,
-          ResidencyCountry: residencyCountry,
-          SpecialRegimeStatus: period.specialRegimeStatus
-            ? period.specialRegimeStatus.regime || 'Standard'
-            : 'Standard',
-        };
-
-        periodMonthlyResults.push(fullResult);
-        periodIncomeRecordsWithNet.push(fullResult);
-      }
-
-      // Calculate annual summary for this residency period
-      const annualResult = calculateAnnualSummaryForPeriod(
-        period,
-        periodMonthlyResults,
-        residencyImpl
+      // Convert gross income to residency currency for tax calculation
+      const localGross = convertCurrency(
+        record.amount,
+        record.currency,
+        recordImpl.getCurrency(),
+        data.exchangeRates,
+        record.year,
+        record.month
       );
-      const typeResults = calculateAnnualTypeResultsForPeriod(
-        period,
-        periodMonthlyResults
+
+      // Calculate taxes for this record
+      const taxResult = recordImpl.calculateTax(localGross, record.incomeType, {
+        residency: period,
+        specialRegime: period.specialRegimeStatus,
+        year: period.year,
+        sourceCountry: record.sourceCountry,
+        aggregate: record.aggregate,
+        freelanceType: record.freelanceType,
+        expenses: record.expenses,
+        incomeRecord: record,
+        previousResults: periodMonthlyResults,
+      });
+
+      // Enrich result with metadata
+      const fullResult = {
+        ...record,
+        ...taxResult,
+        ResidencyCountry: residencyCountry,
+        SpecialRegimeStatus: period.specialRegimeStatus
+          ? period.specialRegimeStatus.regime || 'Standard'
+          : 'Standard',
+      };
+
+      resultReferences.set(
+        fullResult,
+        describeReferences(recordImpl, fullResult, period.year)
       );
 
-      results.monthly.push(...periodMonthlyResults);
-      results.annual.push(annualResult);
-      results.annualByType.push(...typeResults);
+      periodMonthlyResults.push(fullResult);
+      periodIncomeRecordsWithNet.push(fullResult);
     }
+
+    // Calculate annual summary for this residency period
+    const periodImpl = reference.residencyOn(
+      residencyCountry,
+      period.endDate,
+      period.year
+    );
+    const annualResult = calculateAnnualSummaryForPeriod(
+      period,
+      periodMonthlyResults,
+      periodImpl
+    );
+    resultReferences.set(
+      annualResult,
+      describeReferences(periodImpl, annualResult, period.year)
+    );
+    const typeResults = calculateAnnualTypeResultsForPeriod(
+      period,
+      periodMonthlyResults
+    );
+
+    results.monthly.push(...periodMonthlyResults);
+    results.annual.push(annualResult);
+    results.annualByType.push(...typeResults);
   }
 
   return results;
 }
 
+/**
+ * Create residency implementations over the reference rows in force on a
+ * date and for a tax year.
+ *
+ * Countries whose reference data has no EffectiveFrom, EffectiveTo or
+ * Status metadata and covers the year keep their single implementation;
+ * otherwise one is created per distinct selection of rows and reused.
+ *
+ * @param {Map} countries - Residency implementations keyed by country code
+ * @param {Object} referenceData - Reference data keyed by country code
+ * @param {Object} options - { proposed } as in selectRowsInForce(), the
+ *   fallback policy and the warnings array fallbacks are added to
+ * @returns {Object} { residencyOn(countryCode, date, year) }
+ * @throws {Error} From residencyOn() when a table lacks the year under the
+ *   strict policy
+ */
+function createReferenceViews(
+  countries,
+  referenceData,
+  { proposed, fallback, warnings }
+) {
+  const views = new Map();
+  const warned = new Set();
+
+  return {
+    residencyOn(countryCode, date, year) {
+      const residencyImpl = countries.get(countryCode);
+      const countryData = referenceData[countryCode] || {};
+      const tables = getReferenceTables(residencyImpl);
+
+      const view = {};
+      const selections = [];
+      for (const [key, table] of Object.entries(countryData)) {
+        if (!Array.isArray(table)) {
+          view[key] = table;
+          continue;
+        }
+        const keys = tables[key]?.keys ?? [];
+        let rows = selectRowsInForce(table, date, { proposed, keys });
+
+        if (tables[key]?.yearly) {
+          const projection = projectToYear(rows, year, keys);
+          for (const fallbackYear of new Set(
+            projection.fallbacks.map(group => group.fallbackYear)
+          )) {
+            const groups = projection.fallbacks.filter(
+              group => group.fallbackYear === fallbackYear
+            );
+            // Name the groups only when others of the table have the year
+            const label = `${countryCode} ${key}${projection.covered > 0 ? describeGroups(groups) : ''}`;
+            if (fallback === 'strict') {
+              throw new Error(
+                `${label} has no reference rows for ${year} (latest is ${fallbackYear})`
+              );
+            }
+            const message = `${label} has no reference rows for ${year}; the ${fallbackYear} rows are used`;
+            if (fallback === 'warn' && !warned.has(message)) {
+              warned.add(message);
+              warnings.push({
+                country: countryCode,
+                table: key,
+                year,
+                fallbackYear,
+                file: groups[0].file,
+                message,
+              });
+            }
+          }
+          rows = projection.rows;
+        }
+
+        view[key] = rows;
+        if (rows !== table) {
+          const indices = rows.map(row =>
+            table.indexOf(projectedRows.get(row) ?? row)
+          );
+          selections.push(
+            `${key}:${indices.join(',')}${rows.some(row => projectedRows.has(row)) ? `>${year}` : ''}`
+          );
+        }
+      }
+      if (selections.length === 0) return residencyImpl;
+
+      const signature = `${countryCode} ${selections.join(' ')}`;
+      if (!views.has(signature)) {
+        views.set(signature, getResidency(countryCode, view));
+      }
+      return views.get(signature);
+    },
+  };
+}
+
+/**
+ * Get the key columns of a residency's reference tables and whether they
+ * are kept per Year
+ *
+ * @param {Object} residencyImpl - Residency implementation
+ * @returns {Object} { keys, yearly } keyed by reference data key
+ */
+function getReferenceTables(residencyImpl) {
+  const tables = {};
+  const schemas = residencyImpl?.getReferenceSchemas?.() || {};
+  for (const [file, schema] of Object.entries(schemas)) {
+    tables[getReferenceDataKey(file)] = {
+      keys: Object.keys(schema).filter(column => schema[column].key),
+      yearly: Boolean(schema.Year),
+    };
+  }
+  return tables;
+}
+
+/**
+ * Copy the rows of the latest earlier Year into a year for each group of
+ * key columns without rows for that year
+ *
+ * @param {Array} rows - Reference rows
+ * @param {number} year - Tax year
+ * @param {Array} keys - Key columns grouping the rows with Year
+ * @returns {Object} { rows, fallbacks, covered }: the rows with the
+ *   copies (the same array without any), per copied group { keys,
+ *   fallbackYear, file }, and the number of groups with rows for the year
+ */
+function projectToYear(rows, year, keys) {
+  const groups = new Map();
+  for (const row of rows) {
+    if (!Number.isInteger(row.Year)) continue;
+    const group = JSON.stringify(keys.map(column => row[column] ?? null));
+    if (!groups.has(group)) groups.set(group, { covered: false, latest: null });
+    const state = groups.get(group);
+    if (row.Year === year) {
+      state.covered = true;
+    } else if (
+      row.Year < year &&
+      (state.latest === null || row.Year > state.latest)
+    ) {
+      state.latest = row.Year;
+    }
+  }
+
+  const copies = [];
+  const fallbacks = [];
+  for (const [group, state] of groups) {
+    if (state.covered || state.latest === null) continue;
+
+    const groupRows = rows.filter(
+      row =>
+        row.Year === state.latest &&
+        JSON.stringify(keys.map(column => row[column] ?? null)) === group
+    );
+    for (const row of groupRows) {
+      const copy = { ...row, Year: year };
+      projectedRows.set(copy, row);
+      copies.push(copy);
+    }
+    fallbacks.push({
+      keys: Object.fromEntries(
+        keys.map(column => [column, groupRows[0][column]])
+      ),
+      fallbackYear: state.latest,
+      file: getRecordSource(groupRows[0])?.file ?? null,
+    });
+  }
+  const covered = [...groups.values()].filter(state => state.covered).length;
+  if (copies.length === 0) return { rows, fallbacks, covered };
+
+  return {
+    rows: [...rows, ...copies].sort((a, b) => (a.Year ?? 0) - (b.Year ?? 0)),
+    fallbacks,
+    covered,
+  };
+}
+
+/**
+ * Describe the key column values of groups of reference rows
+ *
+ * @param {Array} groups - Groups with their key column values in `keys`
+ *   (e.g. [{ keys: { Land: 'BW' } }])
+ * @returns {string} e.g. " (Land BW; Land BY)", empty without key columns
+ */
+function describeGroups(groups) {
+  const values = groups
+    .map(group =>
+      Object.entries(group.keys)
+        .filter(
+          ([, value]) => value !== null && value !== undefined && value !== ''
+        )
+        .map(([column, value]) => `${column} ${value}`)
+        .join(', ')
+    )
+    .filter(Boolean);
+  return values.length > 0 ? ` (${values.join('; ')})` : '';
+}
+
+/**
+ * Describe the reference rows behind the figures of a result
+ *
+ * The tables behind each figure come from the residency's
+ * getReferenceFigures(); of each table the rows of the latest Year up to
+ * the result's year are listed.
+ *
+ * @param {Object} residencyImpl - Residency implementation the result was
+ *   calculated with
+ * @param {Object} result - Monthly or annual result
+ * @param {number} year - Tax year of the result
+ * @returns {Object} Rows described by describeReferenceRow(), keyed by
+ *   result field (e.g. { taxAmount: [...], socialSecurity: [...] })
+ */
+function describeReferences(residencyImpl, result, year) {
+  const references = {};
+  const figures = residencyImpl.getReferenceFigures?.() || {};
+
+  for (const [figure, tables] of Object.entries(figures)) {
+    const field = [figure, figure[0].toUpperCase() + figure.slice(1)].find(
+      name => name in result
+    );
+    if (!field) continue;
+
+    references[field] = tables.flatMap(table =>
+      getRowsOfYear(residencyImpl.referenceData?.[table], year).map(row =>
+        describeReferenceRow(table, row)
+      )
+    );
+  }
+
+  return references;
+}
+
+/**
+ * Get the rows of the latest Year up to a year (all rows of tables
+ * without a Year column)
+ *
+ * @param {Array|undefined} rows - Reference rows
+ * @param {number} year - Tax year
+ * @returns {Array} Rows of that Year
+ */
+function getRowsOfYear(rows, year) {
+  if (!Array.isArray(rows)) return [];
+  if (rows.every(row => row.Year === undefined || row.Year === null)) {
+    return rows;
+  }
+
+  let latest = null;
+  for (const row of rows) {
+    if (row.Year <= year && (latest === null || row.Year > latest)) {
+      latest = row.Year;
+    }
+  }
+  return rows.filter(row => row.Year === latest);
+}
+
+/**
+ * Describe a reference row by its table, source location and metadata
+ *
+ * @param {string} table - Reference data key (e.g. taxBrackets)
+ * @param {Object} row - Reference row
+ * @returns {Object} { table, file, row, Year, Source, Status,
+ *   EffectiveFrom, EffectiveTo }; file and row are null for rows not built
+ *   by buildDataset(), Status defaults to enacted, and rows reused from
+ *   an earlier year by a fallback are described with that Year
+ */
+function describeReferenceRow(table, row) {
+  const original = projectedRows.get(row) ?? row;
+  const source = getRecordSource(original);
+  return {
+    table,
+    file: source?.file ?? null,
+    row: source?.row ?? null,
+    Year: original.Year ?? null,
+    Source: row.Source ?? null,
+    Status: row.Status ?? 'enacted',
+    EffectiveFrom: row.EffectiveFrom ?? null,
+    EffectiveTo: row.EffectiveTo ?? null,
+  };
+}
+
+/**
+ * Get the reference rows behind the figures of a result.
+ *
+ * @param {Object} result - Monthly or annual result of calculateNetIncome()
+ * @returns {Object} Rows described by table, file, row and metadata, keyed
+ *   by result field; empty for other objects
+ *
+ * @example
+ * const { monthly } = calculateNetIncome(loadData('./data'));
+ * getResultReferences(monthly[0]).taxAmount;
+ * // [{ table: 'taxBrackets', file: 'PT/TaxBrackets.csv', row: 2, Year: 2025, Source: null, Status: 'enacted', ... }, ...]
+ */
+function getResultReferences(result) {
+  return resultReferences.get(result) || {};
+}
+
+/**
+ * Format a date as YYYY-MM-DD
+ *
+ * @param {number} year - Year
+ * @param {number} month - Month (1-12)
+ * @param {number} day - Day of month
+ * @returns {string} ISO date
+ */
+function toISODate(year, month, day) {
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
 /**
  * Filter income records for a specific residency period
  *
+ * Keeps the records dated from the period's `startDate` to its `endDate`
+ * (see ResidencyDetermination.determinePeriods()).
+ *
  * @param {Object} period - Residency period definition
  * @param {Array} incomeRecords - All income records (or Map)
- * @returns {Array} Records falling within period
+ * @returns {Array} Records falling within period, in date order
  */
 function getIncomeForPeriod(period, incomeRecords) {
   // Handle if incomeRecords is a Map (grouped by country) or Array
@@ -160,26 +522,16 @@ function getIncomeForPeriod(period, incomeRecords) {
     allRecords = Object.values(incomeRecords).flat();
   }
 
-  return allRecords.filter(record => {
-    // Check year
-    if (record.year !== period.year) return false;
-
-    // Check start date (inclusive)
-    if (period.startMonth && period.startDay) {
-      if (record.month < period.startMonth) return false;
-      if (record.month === period.startMonth && record.day < period.startDay)
-        return false;
-    }
-
-    // Check end date (inclusive)
-    if (period.endMonth && period.endDay) {
-      if (record.month > period.endMonth) return false;
-      if (record.month === period.endMonth && record.day > period.endDay)
-        return false;
-    }
-
-    return true;
-  });
+  // Records without a day count as mid-month; payments are calculated in
+  // date order so that year-to-date limits see the earlier ones
+  const dateOf = record =>
+    toISODate(record.year, record.month, record.day ?? 15);
+  return allRecords
+    .filter(record => {
+      const date = dateOf(record);
+      return date >= period.startDate && date <= period.endDate;
+    })
+    .sort((a, b) => dateOf(a).localeCompare(dateOf(b)));
 }
 
 /**
@@ -187,7 +539,7 @@ function getIncomeForPeriod(period, incomeRecords) {
  *
  * @param {Object} period - Residency period
  * @param {Array} monthlyResults - Calculated monthly results
- * @param {Object} _residencyImpl - Residency implementation
+ * @param {Object} residencyImpl - Residency implementation
  * @returns {Object} Annual summary
  */
 function calculateAnnualSummaryForPeriod(
@@ -195,8 +547,12 @@ function calculateAnnualSummaryForPeriod(
   monthlyResults,
   residencyImpl
 ) {
-  if (residencyImpl.calculateAnnualSummary) {
-    return residencyImpl.calculateAnnualSummary(period, monthlyResults);
+  const summary = residencyImpl.calculateAnnualSummary?.(
+    period,
+    monthlyResults
+  );
+  if (summary) {
+    return summary;
   }
 
   // Default implementation if country doesn't provide one
@@ -254,7 +610,7 @@ function calculateAnnualSummaryForPeriod(
   }
 
   return {
-    Year: period.year,
+    Year: period.taxYear ?? period.year,
     ResidencyCountry: period.country,
     GrossIncome: totalGross.toFixed(2),
     TaxAmount: totalTax.toFixed(2),
@@ -319,7 +675,7 @@ function calculateAnnualTypeResultsForPeriod(period, monthlyResults) {
   const results = [];
   for (const [type, stats] of byType.entries()) {
     results.push({
-      Year: period.year,
+      Year: period.taxYear ?? period.year,
       IncomeType: type,
       SpecialRegimeStatus: period.specialRegimeStatus
         ? period.specialRegimeStatus.regime || 'Standard'
@@ -337,6 +693,7 @@ function calculateAnnualTypeResultsForPeriod(period, monthlyResults) {
 
 module.exports = {
   calculateNetIncome,
+  getResultReferences,
   loadData,
   getResidency,
 };
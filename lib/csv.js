@@ -0,0 +1,246 @@
+/**
+ * @module csv
+ * CSV Parsing
+ *
+ * RFC 4180 parser for the data files. Works on strings only, so it can be
+ * used without filesystem access (see buildDataset() in lib/dataset.js).
+ *
+ * @example
+ * const { parseCSV } = require('./lib/csv');
+ * parseCSV('Year,Rate\n2025,0.15'); // [{ Year: 2025, Rate: 0.15 }]
+ */
+
+const { inferValue } = require('./schemas');
+
+/**
+ * CSV line number each row returned by parseCSV() starts on
+ * @type {WeakMap<Object, number>}
+ */
+const rowLines = new WeakMap();
+
+/**
+ * Parse CSV content into array of objects.
+ *
+ * RFC 4180 parser that:
+ * - Supports quoted fields containing commas, line breaks and escaped
+ *   quotes (`"Acme, ""Lda"""` → `Acme, "Lda"`)
+ * - Accepts LF and CRLF line endings and strips a UTF-8 byte order mark
+ * - Skips blank lines and `#` comment lines (`#` as the first non-blank
+ *   character of a line); `#` anywhere else is data
+ * - Trims unquoted values, keeps quoted values verbatim
+ * - Converts numbers (e.g., "123.45" → 123.45) and booleans
+ *   ("true"/"false" → true/false) unless `raw` is set; buildDataset()
+ *   keeps the strings and coerces them by the file schema instead
+ * - Empty strings become null
+ *
+ * Rows with fewer fields than the header leave the missing keys unset;
+ * extra non-empty fields are an error.
+ *
+ * @param {string} content - CSV file content as string
+ * @param {Object} [options] - Parse options
+ * @param {boolean} [options.raw=false] - Keep values as strings
+ * @returns {Array} Array of row objects with keys from CSV header
+ *   (empty when there is no data row)
+ * @throws {Error} On malformed CSV; the error carries `line` and `column`
+ *   (1-based) of the offending character
+ *
+ * @example
+ * const csv = "Year,Rate\n2025,0.15\n2026,0.16";
+ * const data = parseCSV(csv);
+ * // Returns [{ Year: 2025, Rate: 0.15 }, { Year: 2026, Rate: 0.16 }]
+ */
+function parseCSV(content, { raw = false } = {}) {
+  const [header, ...records] = tokenizeCSV(content);
+  if (!header || records.length === 0) return [];
+  const headers = header.fields;
+
+  return records.map(record => {
+    const extra = record.fields.findIndex(
+      (value, i) => i >= headers.length && value !== ''
+    );
+    if (extra !== -1) {
+      throw csvError(
+        `row has ${record.fields.length} fields but the header has ${headers.length}`,
+        record.line,
+        record.columns[extra]
+      );
+    }
+
+    const row = {};
+    headers.forEach((h, i) => {
+      const val = record.fields[i];
+      if (val === undefined) return;
+      if (raw) {
+        row[h] = val === '' ? null : val;
+      } else {
+        row[h] = inferValue(val);
+      }
+    });
+    rowLines.set(row, record.line);
+    return row;
+  });
+}
+
+/**
+ * Split CSV content into records of raw field values.
+ *
+ * @param {string} content - CSV file content
+ * @returns {Array<{line: number, fields: string[], columns: number[]}>}
+ *   Non-blank records with the line they start on and the column of
+ *   each field
+ * @throws {Error} On unterminated quotes or stray quote characters
+ */
+function tokenizeCSV(content) {
+  const text = content.charCodeAt(0) === 0xfeff ? content.slice(1) : content;
+  const records = [];
+
+  let fields = [];
+  let columns = [];
+  let field = '';
+  let quoted = false; // current field started with a quote
+  let inQuotes = false; // inside a quoted section
+  let afterQuote = false; // quoted section closed, only whitespace may follow
+  let quotedFirst = false; // keeps a lone `""` line from counting as blank
+  let inComment = false;
+  let line = 1;
+  let column = 0;
+  let recordLine = 1;
+  let fieldColumn = 1;
+  let quoteLine = 0;
+  let quoteColumn = 0;
+
+  const endField = () => {
+    fields.push(quoted ? field : field.trim());
+    columns.push(fieldColumn);
+    field = '';
+    quoted = false;
+    afterQuote = false;
+  };
+
+  const endRecord = () => {
+    endField();
+    const blank = fields.length === 1 && fields[0] === '' && !quotedFirst;
+    if (!blank) records.push({ line: recordLine, fields, columns });
+    fields = [];
+    columns = [];
+    inComment = false;
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    let ch = text[i];
+    if (ch === '\r') {
+      if (text[i + 1] === '\n') i++;
+      ch = '\n';
+    }
+    column++;
+
+    if (inQuotes) {
+      if (ch === '"') {
+        if (text[i + 1] === '"') {
+          field += '"';
+          i++;
+          column++;
+        } else {
+          inQuotes = false;
+          afterQuote = true;
+        }
+      } else {
+        field += ch;
+        if (ch === '\n') {
+          line++;
+          column = 0;
+        }
+      }
+      continue;
+    }
+
+    if (ch === '\n') {
+      endRecord();
+      quotedFirst = false;
+      line++;
+      column = 0;
+      recordLine = line;
+      fieldColumn = 1;
+      continue;
+    }
+
+    if (inComment) continue;
+
+    if (ch === ',') {
+      endField();
+      fieldColumn = column + 1;
+      continue;
+    }
+
+    if (ch === '#' && fields.length === 0 && !quoted && field.trim() === '') {
+      inComment = true;
+      continue;
+    }
+
+    if (afterQuote) {
+      if (/\s/.test(ch)) continue;
+      throw csvError(
+        `unexpected character '${ch}' after closing quote`,
+        line,
+        column
+      );
+    }
+
+    if (ch === '"') {
+      if (field.trim() !== '') {
+        throw csvError(
+          'quote inside unquoted field (quote the whole field and escape quotes as "")',
+          line,
+          column
+        );
+      }
+      field = '';
+      quoted = true;
+      inQuotes = true;
+      quoteLine = line;
+      quoteColumn = column;
+      if (fields.length === 0) quotedFirst = true;
+      continue;
+    }
+
+    field += ch;
+  }
+
+  if (inQuotes) {
+    throw csvError('unterminated quoted field', quoteLine, quoteColumn);
+  }
+  endRecord();
+
+  return records;
+}
+
+/**
+ * Create a CSV parse error carrying its position
+ *
+ * @param {string} message - Error description
+ * @param {number} line - 1-based line number
+ * @param {number} column - 1-based column number
+ * @returns {Error} Error with `line` and `column` properties
+ */
+function csvError(message, line, column) {
+  return Object.assign(
+    new Error(`Invalid CSV at line ${line}, column ${column}: ${message}`),
+    { line, column }
+  );
+}
+
+/**
+ * Get the CSV line a row returned by parseCSV() starts on.
+ *
+ * @param {Object} row - Parsed row
+ * @returns {number|undefined} 1-based line number (the header is line 1
+ *   unless comments or blank lines precede it)
+ */
+function getCSVLine(row) {
+  return rowLines.get(row);
+}
+
+module.exports = {
+  getCSVLine,
+  parseCSV,
+};
@@ -0,0 +1,666 @@
+/**
+ * @module dataValidation
+ * Input Data Validation
+ *
+ * Validates a loaded dataset against the rules in docs/file_formats.md and
+ * collects every problem instead of stopping at the first one:
+ * - Income.csv: year range, month/day validity, positive amounts,
+ *   IncomeType enum, ISO 4217 currency, ISO 3166-1 source country
+ * - ExchangeRates.csv: year/month range, currency codes, positive rates
+ * - Accommodation.csv, WorkActivity.csv: availability order, work hours
+ * - TaxResidency.csv: period order, overlaps, countries without data
+ * - Country directories: registered residency and required reference files
+ * - SimulationParameters.csv: parameter values by their definitions,
+ *   parameters no country defines
+ * - Column types, required values and allowed values of every loaded file
+ *   (file schemas, see lib/schemas.js)
+ * - Reference rows for the tax year of every residency period with income
+ * - Exchange rates for every income record not in its residency currency
+ *
+ * Each issue carries the file, CSV row (line number, header = 1) and column
+ * it refers to.
+ *
+ * @example
+ * const report = validateIncomeDataCompleteness(loadData('./data'));
+ * if (!report.valid) report.errors.forEach(e => console.error(formatValidationIssue(e)));
+ */
+
+const {
+  getLoadIssues,
+  getRecordSource,
+  getReferenceDataKey,
+} = require('./dataset');
+const {
+  getResidency,
+  hasResidency,
+  listAvailableCountries,
+} = require('./residency');
+const { ResidencyDetermination } = require('./residency/determination');
+const { getRecordDate } = require('./residency/presence');
+const {
+  INCOME_TYPES,
+  SIMULATION_PARAMETERS,
+  buildSettings,
+} = require('./schemas');
+const { getExchangeRate } = require('./utils/currency');
+
+const MIN_YEAR = 2020;
+const MAX_YEAR = 2050;
+
+/**
+ * Collects issues of a validation pass, at most one per CSV cell
+ */
+class ValidationReport {
+  constructor() {
+    this.errors = [];
+    this.warnings = [];
+    this.cells = new Set();
+  }
+
+  add(severity, file, row, column, message) {
+    if (row !== null && column !== null) {
+      const cell = `${file}|${row}|${column}`;
+      if (this.cells.has(cell)) return;
+      this.cells.add(cell);
+    }
+    const issue = { severity, file, row, column, message };
+    (severity === 'error' ? this.errors : this.warnings).push(issue);
+  }
+
+  error(file, row, column, message) {
+    this.add('error', file, row, column, message);
+  }
+
+  warning(file, row, column, message) {
+    this.add('warning', file, row, column, message);
+  }
+
+  toJSON() {
+    return {
+      valid: this.errors.length === 0,
+      errors: this.errors,
+      warnings: this.warnings,
+    };
+  }
+}
+
+function isInteger(value) {
+  return typeof value === 'number' && Number.isInteger(value);
+}
+
+function checkYear(report, file, row, value, column = 'Year') {
+  if (value === null || value === undefined) {
+    report.error(file, row, column, `${column} is required`);
+  } else if (!isInteger(value) || value < MIN_YEAR || value > MAX_YEAR) {
+    report.error(
+      file,
+      row,
+      column,
+      `${column} must be an integer between ${MIN_YEAR} and ${MAX_YEAR} (got ${value})`
+    );
+  }
+}
+
+function checkCurrency(report, file, row, column, value) {
+  if (typeof value !== 'string' || !/^[A-Z]{3}$/.test(value)) {
+    report.error(
+      file,
+      row,
+      column,
+      `Invalid currency code: ${value}. Must be ISO 4217 (e.g., EUR, GBP, USD)`
+    );
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Column an income record used for a field (first present candidate)
+ */
+function columnOf(record, candidates) {
+  return candidates.find(c => record[c] !== undefined) || candidates[0];
+}
+
+/**
+ * Validate Income.csv records
+ */
+function validateIncomeRecords(report, incomeRecords) {
+  incomeRecords.forEach((record, index) => {
+    const source = getRecordSource(record) || {
+      file: `${record.SourceCountry || record.sourceCountry}/Income.csv`,
+      row: index + 2,
+    };
+    const { file, row } = source;
+
+    const year = record.Year ?? record.year;
+    checkYear(report, file, row, year);
+
+    const month = record.Month ?? record.month;
+    const monthValid = isInteger(month) && month >= 1 && month <= 12;
+    if (month === null || month === undefined) {
+      report.error(file, row, 'Month', 'Month is required');
+    } else if (!monthValid) {
+      report.error(file, row, 'Month', `Month must be 1-12 (got ${month})`);
+    }
+
+    const day = record.Day;
+    if (day !== null && day !== undefined) {
+      if (!isInteger(day) || day < 1 || day > 31) {
+        report.error(file, row, 'Day', `Day must be 1-31 (got ${day})`);
+      } else if (monthValid && isInteger(year)) {
+        const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+        if (day > daysInMonth) {
+          report.error(
+            file,
+            row,
+            'Day',
+            `Day ${day} does not exist in ${year}-${String(month).padStart(2, '0')}`
+          );
+        }
+      }
+    }
+
+    const amountColumn = columnOf(record, ['GrossIncome', 'Amount']);
+    const amount = record.GrossIncome ?? record.Amount ?? record.amount;
+    if (amount === null || amount === undefined) {
+      report.error(file, row, amountColumn, `${amountColumn} is required`);
+    } else if (typeof amount !== 'number' || !(amount > 0)) {
+      report.error(
+        file,
+        row,
+        amountColumn,
+        `${amountColumn} must be a positive number (got ${amount})`
+      );
+    }
+
+    const incomeType = record.IncomeType ?? record.incomeType;
+    if (
+      incomeType !== null &&
+      incomeType !== undefined &&
+      !INCOME_TYPES.includes(incomeType)
+    ) {
+      report.error(
+        file,
+        row,
+        'IncomeType',
+        `Invalid income type: ${incomeType} (must be one of: ${INCOME_TYPES.join(', ')})`
+      );
+    }
+
+    // Currency is optional and defaults to EUR in the loader
+    const currency = record.SourceCurrency ?? record.Currency;
+    if (currency !== null && currency !== undefined) {
+      checkCurrency(
+        report,
+        file,
+        row,
+        columnOf(record, ['SourceCurrency', 'Currency']),
+        currency
+      );
+    }
+
+    const sourceCountry = record.SourceCountry ?? record.sourceCountry;
+    if (
+      sourceCountry !== null &&
+      sourceCountry !== undefined &&
+      !/^[A-Z]{2}$/.test(sourceCountry)
+    ) {
+      report.error(
+        file,
+        row,
+        'SourceCountry',
+        `Invalid country code format: ${sourceCountry}. Must be ISO 3166-1 alpha-2 (e.g., PT, GB, DE)`
+      );
+    }
+  });
+}
+
+/**
+ * Validate ExchangeRates.csv rows
+ */
+function validateExchangeRates(report, exchangeRates) {
+  const file = 'ExchangeRates.csv';
+  const seen = new Map();
+
+  exchangeRates.forEach((rate, index) => {
+    const source = getRecordSource(rate);
+    const row = source ? source.row : index + 2;
+
+    const key = `${rate.Year}|${rate.Month || 0}|${rate.FromCurrency}|${rate.ToCurrency}`;
+    if (seen.has(key)) {
+      report.warning(
+        file,
+        row,
+        'Rate',
+        `Duplicate rate ${rate.FromCurrency} → ${rate.ToCurrency} for ${rate.Year}-${rate.Month || 'annual'}; row ${seen.get(key)} is used`
+      );
+    } else {
+      seen.set(key, row);
+    }
+
+    checkYear(report, file, row, rate.Year);
+
+    if (
+      rate.Month !== null &&
+      rate.Month !== undefined &&
+      rate.Month !== 0 &&
+      (!isInteger(rate.Month) || rate.Month < 1 || rate.Month > 12)
+    ) {
+      report.error(
+        file,
+        row,
+        'Month',
+        `Month must be 1-12, or empty/0 for an annual average (got ${rate.Month})`
+      );
+    }
+
+    checkCurrency(report, file, row, 'FromCurrency', rate.FromCurrency);
+    checkCurrency(report, file, row, 'ToCurrency', rate.ToCurrency);
+
+    if (typeof rate.Rate !== 'number' || !(rate.Rate > 0)) {
+      report.error(
+        file,
+        row,
+        'Rate',
+        `Rate must be a positive number (got ${rate.Rate})`
+      );
+    }
+  });
+}
+
+/**
+ * Validate ranges across columns of Accommodation.csv and WorkActivity.csv
+ * (types and enums are checked by the file schemas)
+ */
+function validatePresenceData(report, data) {
+  (data.accommodation || []).forEach((row, index) => {
+    const { row: line } = getRecordSource(row) || { row: index + 2 };
+    if (
+      typeof row.AvailableFrom === 'string' &&
+      typeof row.AvailableTo === 'string' &&
+      row.AvailableFrom > row.AvailableTo
+    ) {
+      report.error(
+        'Accommodation.csv',
+        line,
+        'AvailableTo',
+        `AvailableTo ${row.AvailableTo} is before AvailableFrom ${row.AvailableFrom}`
+      );
+    }
+  });
+
+  (data.workActivity || []).forEach((row, index) => {
+    const { row: line } = getRecordSource(row) || { row: index + 2 };
+    if (
+      typeof row.WorkHours === 'number' &&
+      (row.WorkHours < 0 || row.WorkHours > 24)
+    ) {
+      report.error(
+        'WorkActivity.csv',
+        line,
+        'WorkHours',
+        `WorkHours must be 0-24 (got ${row.WorkHours})`
+      );
+    }
+  });
+}
+
+/**
+ * Validate TaxResidency.csv overrides: period order, overlaps and countries
+ * without a data directory
+ */
+function validateResidencyOverrides(report, taxResidency, referenceData) {
+  const file = 'TaxResidency.csv';
+  const dayOf = (month, day) => month * 100 + day;
+
+  for (const override of Object.values(taxResidency || {})) {
+    const periods = Array.isArray(override) ? override : [override];
+    let previous = null;
+
+    for (const period of periods) {
+      const source = getRecordSource(period);
+      const row = source ? source.row : null;
+      const start = dayOf(period.startMonth || 1, period.startDay || 1);
+      const end = dayOf(period.endMonth || 12, period.endDay || 31);
+
+      if (start > end) {
+        report.error(
+          file,
+          row,
+          'ResidencyEndDate',
+          `Residency in ${period.country} ends before it starts in ${period.year}`
+        );
+      } else if (previous && start <= previous.end) {
+        report.error(
+          file,
+          row,
+          'ResidencyStartDate',
+          `Residency in ${period.country} overlaps residency in ${previous.country} in ${period.year}`
+        );
+      }
+
+      if (!referenceData[period.country]) {
+        report.error(
+          file,
+          row,
+          'Country',
+          `Residency country ${period.country} has no ${period.country}/ data directory`
+        );
+      }
+
+      previous = { country: period.country, end };
+    }
+  }
+}
+
+/**
+ * Determine the residency periods by tax year, or null if that fails
+ */
+function determineResidencyPeriods(report, data, residencies) {
+  try {
+    const determination = new ResidencyDetermination(residencies);
+    return determination.determinePeriods(data, data.taxResidency || {});
+  } catch (error) {
+    report.error(
+      null,
+      null,
+      null,
+      `Residency determination failed: ${error.message}`
+    );
+    return null;
+  }
+}
+
+/**
+ * Whether an income record is dated within a residency period
+ */
+function isInPeriod(period, record) {
+  const date = getRecordDate(record);
+  return Boolean(date) && date >= period.startDate && date <= period.endDate;
+}
+
+/**
+ * Validate country directories and required reference files
+ *
+ * @returns {Map} Country code → residency implementation for registered countries
+ */
+function validateCountries(report, referenceData) {
+  const residencies = new Map();
+
+  for (const [countryCode, countryData] of Object.entries(referenceData)) {
+    if (!hasResidency(countryCode)) {
+      report.error(
+        `${countryCode}/`,
+        null,
+        null,
+        `Unsupported country: ${countryCode}. Available countries: ${listAvailableCountries().join(', ')}`
+      );
+      continue;
+    }
+
+    residencies.set(countryCode, getResidency(countryCode, countryData));
+  }
+
+  return residencies;
+}
+
+function validateReferenceFiles(report, countryCode, residency, countryData) {
+  for (const file of residency.getRequiredReferenceFiles()) {
+    const rows = countryData?.[getReferenceDataKey(file)];
+    if (!rows) {
+      report.error(
+        `${countryCode}/${file}`,
+        null,
+        null,
+        `Missing required reference file ${countryCode}/${file}`
+      );
+    } else if (rows.length === 0) {
+      report.error(
+        `${countryCode}/${file}`,
+        null,
+        null,
+        `Reference file ${countryCode}/${file} has no data rows`
+      );
+    }
+  }
+}
+
+/**
+ * Check that the yearly reference files of each residency period with
+ * income have rows for its tax year or an earlier one; the calculation
+ * can fall back to earlier years but not to later ones
+ */
+function validateReferenceYears(
+  report,
+  periods,
+  incomeRecords,
+  residencies,
+  referenceData
+) {
+  const reported = new Set();
+
+  for (const period of periods) {
+    const residency = residencies.get(period.country);
+    if (!residency) continue;
+    const hasIncome = incomeRecords.some(record => {
+      const year = record.year ?? record.Year;
+      return (
+        isInteger(year) &&
+        year >= MIN_YEAR &&
+        year <= MAX_YEAR &&
+        isInPeriod(period, record)
+      );
+    });
+    if (!hasIncome) continue;
+
+    for (const file of residency.getRequiredReferenceFiles()) {
+      const rows =
+        referenceData[period.country]?.[getReferenceDataKey(file)] || [];
+      const years = rows.map(row => row.Year).filter(isInteger);
+      const key = `${period.country}/${file}|${period.year}`;
+      if (years.length === 0 || reported.has(key)) continue;
+
+      if (!years.some(year => year <= period.year)) {
+        reported.add(key);
+        report.error(
+          `${period.country}/${file}`,
+          null,
+          'Year',
+          `No reference rows for tax year ${period.taxYear} (${period.startDate} - ${period.endDate}, earliest Year is ${Math.min(...years)})`
+        );
+      }
+    }
+  }
+}
+
+/**
+ * Validate the SimulationParameters.csv values of a country. Parameters of
+ * other countries are accepted, as one file often serves several countries.
+ */
+function validateSettings(report, countryCode, residency, rows) {
+  const file = `${countryCode}/SimulationParameters.csv`;
+  const rowOf = index => getRecordSource(rows[index])?.row ?? index + 2;
+  const parameters = {
+    ...SIMULATION_PARAMETERS,
+    ...residency.getSettingsSchema(),
+  };
+
+  for (const issue of buildSettings(rows, parameters).issues) {
+    report.add(
+      issue.severity,
+      file,
+      rowOf(issue.index),
+      issue.column,
+      issue.message
+    );
+  }
+
+  const known = new Set(Object.keys(SIMULATION_PARAMETERS));
+  for (const code of listAvailableCountries()) {
+    Object.keys(getResidency(code, null).getSettingsSchema()).forEach(name =>
+      known.add(name)
+    );
+  }
+
+  rows.forEach((row, index) => {
+    if (row.Parameter && !known.has(row.Parameter)) {
+      report.warning(
+        file,
+        rowOf(index),
+        'Parameter',
+        `Unknown parameter ${row.Parameter}`
+      );
+    }
+  });
+}
+
+/**
+ * Check that every income record can be converted to its residency currency
+ */
+function validateExchangeRateCoverage(
+  report,
+  incomeRecords,
+  exchangeRates,
+  periods,
+  residencies
+) {
+  incomeRecords.forEach((record, index) => {
+    const year = record.year ?? record.Year;
+    const month = record.month ?? record.Month;
+    const currency = record.currency;
+    if (!isInteger(month) || month < 1 || month > 12) return;
+
+    for (const period of periods) {
+      if (!isInPeriod(period, record)) continue;
+      const residency = residencies.get(period.country);
+      if (!residency || !/^[A-Z]{3}$/.test(currency || '')) continue;
+
+      const target = residency.getCurrency();
+      if (currency === target) continue;
+
+      try {
+        getExchangeRate(currency, target, exchangeRates, year, month);
+      } catch {
+        const source = getRecordSource(record);
+        report.error(
+          source ? source.file : 'ExchangeRates.csv',
+          source ? source.row : index + 2,
+          columnOf(record, ['SourceCurrency', 'Currency']),
+          `Missing exchange rate ${currency} → ${target} for ${year}-${month} in ExchangeRates.csv`
+        );
+      }
+    }
+  });
+}
+
+/**
+ * Validate a loaded dataset and collect all errors and warnings
+ *
+ * @param {Object} data - Dataset from loadData() (incomeRecords, exchangeRates, referenceData)
+ * @returns {Object} { valid, errors, warnings } where each issue is
+ *   { severity, file, row, column, message } (row/column null when not applicable)
+ */
+function validateIncomeDataCompleteness(data) {
+  const report = new ValidationReport();
+
+  if (!data || !Array.isArray(data.incomeRecords)) {
+    report.error(null, null, null, 'Income records required');
+    return report.toJSON();
+  }
+
+  if (data.incomeRecords.length === 0) {
+    report.error(null, null, null, 'No income records found');
+  }
+
+  // Schema problems found by loadData() come first, so a value that could
+  // not be converted is reported once, as a type error
+  for (const { severity, file, row, column, message } of getLoadIssues(data)) {
+    report.add(severity, file, row, column, message);
+  }
+
+  validateIncomeRecords(report, data.incomeRecords);
+  validateExchangeRates(report, data.exchangeRates || []);
+
+  const referenceData = data.referenceData || {};
+  validatePresenceData(report, data);
+  validateResidencyOverrides(report, data.taxResidency, referenceData);
+  const residencies = validateCountries(report, referenceData);
+
+  const periods =
+    residencies.size > 0 && data.incomeRecords.length > 0
+      ? determineResidencyPeriods(report, data, residencies)
+      : null;
+
+  // Reference files are required for countries that are a residency in some
+  // year; without a determination every registered country is checked
+  const residencyCountries = periods
+    ? new Set(periods.map(period => period.country))
+    : new Set(residencies.keys());
+
+  for (const [countryCode, residency] of residencies) {
+    validateSettings(
+      report,
+      countryCode,
+      residency,
+      referenceData[countryCode]?.simulationParameters || []
+    );
+  }
+
+  for (const countryCode of residencyCountries) {
+    const residency = residencies.get(countryCode);
+    if (residency) {
+      validateReferenceFiles(
+        report,
+        countryCode,
+        residency,
+        referenceData[countryCode]
+      );
+    }
+  }
+
+  if (periods) {
+    validateReferenceYears(
+      report,
+      periods,
+      data.incomeRecords,
+      residencies,
+      referenceData
+    );
+    validateExchangeRateCoverage(
+      report,
+      data.incomeRecords,
+      data.exchangeRates || [],
+      periods,
+      residencies
+    );
+  }
+
+  return report.toJSON();
+}
+
+/**
+ * Format a validation issue as a single line
+ *
+ * @param {Object} issue - Issue from validateIncomeDataCompleteness()
+ * @returns {string} e.g. "ERROR PT/Income.csv, row 3, column Month: Month must be 1-12 (got 13)"
+ *
+ * @example
+ * formatValidationIssue({ severity: 'warning', file: 'PT/Income.csv', row: 2, column: 'Currency', message: '...' });
+ */
+function formatValidationIssue(issue) {
+  const location = [
+    issue.file,
+    issue.row ? `row ${issue.row}` : null,
+    issue.column ? `column ${issue.column}` : null,
+  ]
+    .filter(Boolean)
+    .join(', ');
+
+  return `${issue.severity.toUpperCase()} ${location ? `${location}: ` : ''}${issue.message}`;
+}
+
+module.exports = {
+  INCOME_TYPES,
+  formatValidationIssue,
+  validateIncomeDataCompleteness,
+};
@@ -0,0 +1,821 @@
+/**
+ * @module dataset
+ * Dataset Building and Normalization
+ *
+ * Builds the dataset calculateNetIncome() expects from plain objects or
+ * CSV text, without filesystem access, so the library can run in browser
+ * bundles and serverless functions. loadData() reads a data directory or
+ * dataset document and hands its contents to buildDataset(), so every
+ * source goes through the same schema coercion and income record
+ * normalization.
+ *
+ * @example
+ * const { buildDataset } = require('./lib/dataset');
+ *
+ * const data = buildDataset({
+ *   income: { PT: 'Year,Month,GrossIncome\n2025,1,3000' },
+ *   exchangeRates: [{ Year: 2025, Month: 1, FromCurrency: 'GBP', ToCurrency: 'EUR', Rate: 1.17 }],
+ *   reference: { PT: { 'TaxBrackets.csv': taxBracketsCSV } },
+ * });
+ */
+
+const YAML = require('yaml');
+const { getCSVLine, parseCSV } = require('./csv');
+const { getResidency, hasResidency } = require('./residency');
+const {
+  FILE_SCHEMAS,
+  REFERENCE_COLUMNS,
+  applySchema,
+  inferValue,
+} = require('./schemas');
+
+/**
+ * Source location of dataset rows (file relative to the data directory or
+ * document path, and row number), kept outside the records so it never
+ * leaks into calculation output
+ * @type {WeakMap<Object, {file: string, row: number}>}
+ */
+const recordSources = new WeakMap();
+
+/**
+ * Schema problems found while building a dataset (unknown columns and
+ * files, values not matching their column type), keyed by the dataset
+ * @type {WeakMap<Object, Array>}
+ */
+const loadIssues = new WeakMap();
+
+/**
+ * Origin of the reference tables of a dataset (bundled and user rows),
+ * keyed by the dataset
+ * @type {WeakMap<Object, Array>}
+ */
+const referenceProvenance = new WeakMap();
+
+/**
+ * Tables of the buildDataset() input other than `reference`, with the
+ * file whose schema their rows follow and their dataset document property
+ */
+const DATASET_TABLES = {
+  income: { file: 'Income.csv', property: 'incomeRecords' },
+  exchangeRates: { file: 'ExchangeRates.csv', property: 'exchangeRates' },
+  location: { file: 'Location.csv', property: 'location' },
+  workActivity: { file: 'WorkActivity.csv', property: 'workActivity' },
+  accommodation: { file: 'Accommodation.csv', property: 'accommodation' },
+  taxResidency: { file: 'TaxResidency.csv', property: 'taxResidency' },
+};
+
+/**
+ * YAML spellings of null; YAML documents are read with every scalar as a
+ * string so values are typed by the file schemas, as in CSV files
+ */
+const YAML_NULL = /^(~|null|Null|NULL)?$/;
+
+/**
+ * Build a dataset from plain objects or CSV text.
+ *
+ * Each table is CSV text (as in the data files) or an array of rows keyed
+ * like the CSV columns; rows are copied, the input is never modified:
+ * - `income`: Income.csv rows, either one table whose rows all need a
+ *   SourceCountry or an object of tables keyed by country code (the
+ *   default SourceCountry of its rows)
+ * - `exchangeRates`, `location`, `workActivity`, `accommodation`,
+ *   `taxResidency`: rows of the root-level files (all optional)
+ * - `reference`: country code → reference file name or data key (e.g.
+ *   `TaxBrackets.csv` or `taxBrackets`) → table
+ * - `defaults`: bundled reference data in the shape of `reference`; the
+ *   user's rows replace the bundled rows with the same Year and key
+ *   columns (see layerReferenceRows()), the rest are kept
+ *
+ * Values are coerced by the file schemas and income records get their
+ * lowercase aliases (`amount`, `currency`, `year`, ...). Schema problems
+ * are collected as load issues (see getLoadIssues()) and every row keeps
+ * its source (see getRecordSource()): the CSV file the table stands for
+ * (`PT/Income.csv`) and the CSV line, counting an array's first row as
+ * line 2 after the header. With `options.document` they are the document
+ * path (`data.json/incomeRecords`) and the 1-based position instead.
+ * Bundled rows are attributed to `PT/TaxBrackets.csv (bundled)`, and
+ * getReferenceProvenance() summarises which tables mix both.
+ *
+ * @param {Object} input - Dataset tables
+ * @param {Object} [options] - Build options
+ * @param {string} [options.document] - Name of the dataset document the
+ *   tables were read from
+ * @returns {Object} Dataset as returned by loadData()
+ * @throws {Error} If a table is neither CSV text nor an array of objects,
+ *   or its CSV text is malformed (prefixed with the table's file name)
+ *
+ * @example
+ * const data = buildDataset({
+ *   income: [{ Year: 2025, Month: 1, GrossIncome: 3000, SourceCountry: 'PT' }],
+ *   reference: { PT: { taxBrackets: [...] } },
+ * });
+ * getRecordSource(data.incomeRecords[0]); // { file: 'Income.csv', row: 2 }
+ */
+function buildDataset(input, { document } = {}) {
+  if (!isPlainObject(input)) {
+    throw new Error('Dataset input must be an object');
+  }
+
+  const issues = [];
+  const warn = (file, message) =>
+    issues.push({
+      severity: 'warning',
+      file,
+      row: null,
+      column: null,
+      message,
+    });
+  const read = (table, file, schema) =>
+    readTable(table, file, schema, issues, Boolean(document));
+
+  for (const key of Object.keys(input)) {
+    if (!DATASET_TABLES[key] && key !== 'reference' && key !== 'defaults') {
+      warn(document ?? null, `Unknown dataset table ${key}`);
+    }
+  }
+
+  // 1. Income records of a single table need their own SourceCountry
+  const incomeRecords = [];
+  const countryIncome = isPlainObject(input.income) ? input.income : {};
+  if (!isPlainObject(input.income)) {
+    const file = tableName(document, 'income');
+    const records = read(input.income, file, FILE_SCHEMAS['Income.csv']);
+    for (const record of records) {
+      if (!record.SourceCountry) {
+        issues.push({
+          severity: 'error',
+          file,
+          row: recordSources.get(record).row,
+          column: 'SourceCountry',
+          message: 'SourceCountry is required',
+        });
+      }
+      normalizeIncomeRecord(record);
+    }
+    incomeRecords.push(...records);
+  }
+
+  // 2. Root-level tables
+  const tables = {};
+  for (const key of Object.keys(DATASET_TABLES)) {
+    if (key === 'income') continue;
+    tables[key] = read(
+      input[key],
+      tableName(document, key),
+      FILE_SCHEMAS[DATASET_TABLES[key].file]
+    );
+  }
+
+  // 3. Reference data and income of every country
+  const reference = input.reference ?? {};
+  if (!isPlainObject(reference)) {
+    throw new Error(`${tableName(document, 'reference')} must be an object`);
+  }
+  const defaults = input.defaults ?? {};
+  if (!isPlainObject(defaults)) {
+    throw new Error('defaults must be an object');
+  }
+
+  const referenceData = {};
+  const provenance = [];
+  const countries = new Set([
+    ...Object.keys(reference),
+    ...Object.keys(countryIncome),
+    ...Object.keys(defaults),
+  ]);
+  for (const countryCode of countries) {
+    if (!/^[A-Z]{2}$/.test(countryCode)) {
+      const key = countryCode in countryIncome ? 'income' : 'reference';
+      warn(
+        tableName(document, key, countryCode),
+        `${countryCode} is not an ISO 3166-1 alpha-2 code; ignored`
+      );
+      continue;
+    }
+
+    const countryData = reference[countryCode] ?? {};
+    if (!isPlainObject(countryData)) {
+      throw new Error(
+        `${tableName(document, 'reference', countryCode)} must be an object`
+      );
+    }
+    const countryDefaults = defaults[countryCode] ?? {};
+    if (!isPlainObject(countryDefaults)) {
+      throw new Error(`defaults/${countryCode} must be an object`);
+    }
+
+    const schemas = getReferenceSchemas(countryCode);
+    const files = { ...FILE_SCHEMAS };
+    for (const [file, schema] of Object.entries(schemas ?? {})) {
+      files[file] = { ...schema, ...REFERENCE_COLUMNS };
+    }
+    const schemaFileOf = entry =>
+      entry.endsWith('.csv')
+        ? files[entry] && entry
+        : Object.keys(files).find(f => getReferenceDataKey(f) === entry);
+
+    const bundled = {};
+    for (const [entry, table] of Object.entries(countryDefaults)) {
+      const schemaFile = schemaFileOf(entry);
+      const file = `${countryCode}/${schemaFile || entry} (bundled)`;
+      bundled[getReferenceDataKey(entry)] = {
+        file,
+        rows: readTable(
+          table,
+          file,
+          schemaFile ? files[schemaFile] : undefined,
+          issues,
+          false
+        ),
+      };
+    }
+
+    referenceData[countryCode] = {};
+    for (const [entry, table] of Object.entries(countryData)) {
+      const schemaFile = schemaFileOf(entry);
+      const file = tableName(
+        document,
+        'reference',
+        countryCode,
+        document ? entry : schemaFile || entry
+      );
+      if (!schemaFile && schemas && Object.keys(schemas).length > 0) {
+        warn(
+          file,
+          typeof table === 'string'
+            ? 'Unknown reference file; column types are inferred'
+            : 'Unknown reference data; value types are inferred'
+        );
+      }
+      const key = getReferenceDataKey(entry);
+      const schema = schemaFile ? files[schemaFile] : undefined;
+      const rows = read(table, file, schema);
+      if (bundled[key]) {
+        const layered = layerReferenceRows(bundled[key].rows, rows, schema);
+        referenceData[countryCode][key] = layered.rows;
+        provenance.push({
+          country: countryCode,
+          key,
+          file,
+          bundled: bundled[key].rows.length - layered.replaced,
+          user: rows.length,
+          replaced: layered.replaced,
+        });
+        delete bundled[key];
+      } else {
+        referenceData[countryCode][key] = rows;
+        provenance.push({
+          country: countryCode,
+          key,
+          file,
+          bundled: 0,
+          user: rows.length,
+          replaced: 0,
+        });
+      }
+    }
+
+    for (const [key, { file, rows }] of Object.entries(bundled)) {
+      referenceData[countryCode][key] = rows;
+      provenance.push({
+        country: countryCode,
+        key,
+        file,
+        bundled: rows.length,
+        user: 0,
+        replaced: 0,
+      });
+    }
+
+    if (countryIncome[countryCode] !== undefined) {
+      const records = read(
+        countryIncome[countryCode],
+        tableName(document, 'income', countryCode),
+        FILE_SCHEMAS['Income.csv']
+      );
+      records.forEach(record => normalizeIncomeRecord(record, countryCode));
+      incomeRecords.push(...records);
+    }
+  }
+
+  const data = {
+    incomeRecords,
+    exchangeRates: tables.exchangeRates,
+    location: tables.location,
+    workActivity: tables.workActivity,
+    accommodation: tables.accommodation,
+    taxResidency: buildResidencyOverrides(tables.taxResidency),
+    referenceData,
+  };
+  loadIssues.set(data, issues);
+  referenceProvenance.set(data, provenance);
+
+  return data;
+}
+
+/**
+ * Layer a user's reference rows over the bundled rows of the same table.
+ *
+ * Rows are grouped by Year and the schema's `key` columns (e.g. GB
+ * TaxBrackets.csv by Year, IncomeType and Region); a group present in the
+ * user's rows replaces the whole bundled group, so a user's 2026 brackets
+ * never mix with bundled 2026 brackets. Rows with another EffectiveFrom
+ * or Status form groups of their own: a user's proposed 2026 brackets sit
+ * next to the enacted ones instead of replacing them. User rows take the place of the
+ * group they replace; new groups follow, and the result stays ordered by
+ * Year. Without a schema the user's rows replace the table.
+ *
+ * @param {Array} bundled - Bundled rows (coerced)
+ * @param {Array} rows - User rows (coerced)
+ * @param {Object} [schema] - Column schema of the table
+ * @returns {{rows: Array, replaced: number}} Layered rows and the number
+ *   of bundled rows replaced
+ *
+ * @example
+ * layerReferenceRows(
+ *   [{ Year: 2025, Rate: 0.1 }, { Year: 2026, Rate: 0.1 }],
+ *   [{ Year: 2026, Rate: 0.2 }],
+ *   { Year: { type: 'integer' }, Rate: { type: 'number' } }
+ * );
+ * // { rows: [{ Year: 2025, Rate: 0.1 }, { Year: 2026, Rate: 0.2 }], replaced: 1 }
+ */
+function layerReferenceRows(bundled, rows, schema) {
+  if (!schema) {
+    return rows.length > 0
+      ? { rows, replaced: bundled.length }
+      : { rows: bundled, replaced: 0 };
+  }
+
+  const columns = Object.keys(schema).filter(
+    column => column === 'Year' || schema[column].key
+  );
+  const groupOf = row =>
+    JSON.stringify([
+      ...columns.map(c => row[c] ?? null),
+      row.EffectiveFrom ?? null,
+      row.Status ?? 'enacted',
+    ]);
+  const userGroups = new Map();
+  for (const row of rows) {
+    const group = groupOf(row);
+    if (!userGroups.has(group)) userGroups.set(group, []);
+    userGroups.get(group).push(row);
+  }
+
+  const layered = [];
+  const placed = new Set();
+  let replaced = 0;
+  for (const row of bundled) {
+    const group = groupOf(row);
+    if (!userGroups.has(group)) {
+      layered.push(row);
+      continue;
+    }
+    replaced++;
+    if (!placed.has(group)) {
+      layered.push(...userGroups.get(group));
+      placed.add(group);
+    }
+  }
+  for (const [group, groupRows] of userGroups) {
+    if (!placed.has(group)) layered.push(...groupRows);
+  }
+
+  if (columns.includes('Year')) {
+    layered.sort((a, b) => (a.Year ?? 0) - (b.Year ?? 0));
+  }
+
+  return { rows: layered, replaced };
+}
+
+/**
+ * Load a dataset from a parsed JSON or YAML document.
+ *
+ * The document has the logical structure of a data directory, with rows
+ * keyed like the CSV columns:
+ * - `incomeRecords`: Income.csv rows; each needs a SourceCountry
+ * - `exchangeRates`, `location`, `workActivity`, `accommodation`,
+ *   `taxResidency`: rows of the root-level files (all optional)
+ * - `referenceData`: country code → reference data key (e.g.
+ *   `taxBrackets`, `simulationParameters`) → rows
+ *
+ * The sections are built by buildDataset(); schema problems are collected
+ * as load issues (see getLoadIssues()) with the document path as file
+ * (e.g. `data.json/incomeRecords`) and the 1-based position in the array
+ * as row.
+ *
+ * @param {Object} document - Parsed dataset document
+ * @param {string} [file='dataset'] - Document name used in issues
+ * @param {Object} [options] - Load options
+ * @param {Object} [options.defaults] - Bundled reference data to layer
+ *   the document's reference data over (see buildDataset())
+ * @returns {Object} Dataset as returned by loadData()
+ * @throws {Error} If the document or one of its sections has the wrong
+ *   shape, or it has no income records
+ *
+ * @example
+ * const data = loadDataDocument({
+ *   incomeRecords: [{ Year: 2025, Month: 1, GrossIncome: 3000, SourceCountry: 'PT' }],
+ *   referenceData: { PT: { taxBrackets: [...] } },
+ * });
+ */
+function loadDataDocument(document, file = 'dataset', { defaults } = {}) {
+  if (!isPlainObject(document)) {
+    throw new Error(`${file}: dataset must be an object`);
+  }
+  if (
+    document.incomeRecords !== undefined &&
+    !Array.isArray(document.incomeRecords)
+  ) {
+    throw new Error(`${file}/incomeRecords must be an array`);
+  }
+
+  const input = { defaults };
+  const warnings = [];
+  for (const [property, value] of Object.entries(document)) {
+    const key =
+      property === 'referenceData'
+        ? 'reference'
+        : Object.keys(DATASET_TABLES).find(
+            k => DATASET_TABLES[k].property === property
+          );
+    if (key) {
+      input[key] = value;
+    } else {
+      warnings.push({
+        severity: 'warning',
+        file,
+        row: null,
+        column: null,
+        message: `Unknown dataset property ${property}`,
+      });
+    }
+  }
+
+  const data = buildDataset(input, { document: file });
+  if (data.incomeRecords.length === 0) {
+    throw new Error(`${file}: incomeRecords must contain income records`);
+  }
+  loadIssues.set(data, [...warnings, ...getLoadIssues(data)]);
+
+  return data;
+}
+
+/**
+ * Parse a JSON or YAML dataset document.
+ *
+ * YAML scalars are all read as strings (nulls as null), so values are
+ * typed by the file schemas like CSV values: `0123` keeps its leading
+ * zero and `2025-01-31` stays a date string.
+ *
+ * @param {string} content - Document content
+ * @param {string} format - `json` or `yaml`
+ * @param {string} [file='dataset'] - Document name used in errors
+ * @returns {*} Parsed document
+ * @throws {Error} On malformed content; YAML errors carry `line` and
+ *   `column`
+ */
+function parseDataDocument(content, format, file = 'dataset') {
+  try {
+    if (format === 'json') return JSON.parse(content);
+    if (format === 'yaml') {
+      return withYAMLNulls(YAML.parse(content, { schema: 'failsafe' }));
+    }
+  } catch (error) {
+    const position = error.linePos?.[0];
+    throw Object.assign(
+      new Error(`${file}: Invalid ${format.toUpperCase()}: ${error.message}`),
+      position ? { line: position.line, column: position.col } : {}
+    );
+  }
+  throw new Error(`Unsupported dataset format: ${format}`);
+}
+
+/**
+ * Replace YAML null spellings in a document parsed with the failsafe schema
+ *
+ * @param {*} value - Parsed value
+ * @returns {*} Value with nulls
+ */
+function withYAMLNulls(value) {
+  if (typeof value === 'string') return YAML_NULL.test(value) ? null : value;
+  if (Array.isArray(value)) return value.map(withYAMLNulls);
+  if (isPlainObject(value)) {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, withYAMLNulls(item)])
+    );
+  }
+  return value;
+}
+
+/**
+ * Whether a value is a mapping (not an array or null)
+ *
+ * @param {*} value - Value to check
+ * @returns {boolean} True for objects
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Name of a dataset table in issues, errors and record sources
+ *
+ * @param {string|undefined} document - Dataset document name
+ * @param {string} key - Input table (`income`, `reference`, ...)
+ * @param {string} [countryCode] - Country of the table
+ * @param {string} [entry] - Reference file name or data key
+ * @returns {string} CSV file path (`PT/Income.csv`) or document path
+ *   (`data.json/referenceData/PT/taxBrackets`)
+ */
+function tableName(document, key, countryCode, entry) {
+  const table = DATASET_TABLES[key];
+  if (document) {
+    const property = table ? table.property : 'referenceData';
+    return [document, property, countryCode, entry].filter(Boolean).join('/');
+  }
+  if (!countryCode) return table ? table.file : key;
+  return `${countryCode}/${table ? table.file : (entry ?? '')}`;
+}
+
+/**
+ * Read the rows of a dataset table, recording their source location, and
+ * coerce them by the table's schema (types are inferred without one)
+ *
+ * @param {string|Array|undefined} table - CSV text or rows (undefined when absent)
+ * @param {string} file - Table name
+ * @param {Object|undefined} schema - Column schema of the rows
+ * @param {Array} issues - Collects schema problems
+ * @param {boolean} positions - Number array rows by position (documents)
+ *   instead of the CSV line they would have
+ * @returns {Array} Rows, copied from an array table
+ * @throws {Error} If the table is neither CSV text nor an array of
+ *   objects, or its CSV text is malformed
+ */
+function readTable(table, file, schema, issues, positions) {
+  if (table === undefined || table === null) return [];
+
+  let rows;
+  let header = 1;
+  if (typeof table === 'string') {
+    try {
+      rows = parseCSV(table, { raw: Boolean(schema) });
+    } catch (error) {
+      error.message = `${file}: ${error.message}`;
+      throw error;
+    }
+    rows.forEach(row => recordSources.set(row, { file, row: getCSVLine(row) }));
+  } else if (Array.isArray(table)) {
+    const offset = positions ? 1 : 2;
+    if (positions) header = null;
+    rows = table.map((entry, index) => {
+      if (!isPlainObject(entry)) {
+        throw new Error(`${file}/${index + 1} must be an object`);
+      }
+      const row = { ...entry };
+      recordSources.set(row, { file, row: index + offset });
+      return row;
+    });
+    if (!schema) {
+      for (const row of rows) {
+        for (const [key, value] of Object.entries(row)) {
+          if (typeof value === 'string') row[key] = inferValue(value);
+        }
+      }
+    }
+  } else {
+    throw new Error(`${file} must be an array or CSV text`);
+  }
+
+  if (schema) {
+    for (const issue of applySchema(rows, schema)) {
+      issues.push({
+        severity: issue.severity,
+        file,
+        row:
+          issue.index === null
+            ? header
+            : recordSources.get(rows[issue.index]).row,
+        column: issue.column,
+        message: issue.message,
+      });
+    }
+  }
+
+  if (schema?.EffectiveTo) {
+    for (const row of rows) {
+      if (
+        row.EffectiveFrom &&
+        row.EffectiveTo &&
+        row.EffectiveTo < row.EffectiveFrom
+      ) {
+        issues.push({
+          severity: 'error',
+          file,
+          row: recordSources.get(row).row,
+          column: 'EffectiveTo',
+          message: `EffectiveTo ${row.EffectiveTo} is before EffectiveFrom ${row.EffectiveFrom}`,
+        });
+      }
+    }
+  }
+
+  return rows;
+}
+
+/**
+ * Normalize an income record for the calculator: keep the original
+ * columns and add lowercase aliases (FreelanceExpenses as `expenses`)
+ *
+ * @param {Object} record - Income record (coerced by the Income.csv schema)
+ * @param {string} [countryCode] - Default SourceCountry
+ */
+function normalizeIncomeRecord(record, countryCode) {
+  if (!record.SourceCountry) {
+    record.SourceCountry = countryCode;
+  }
+  record.amount = record.GrossIncome ?? record.Amount ?? record.amount;
+  record.currency =
+    record.SourceCurrency ?? record.Currency ?? record.currency ?? 'EUR';
+  record.incomeType = record.IncomeType ?? record.incomeType ?? 'employment';
+  record.sourceCountry = record.SourceCountry;
+  record.year = record.Year ?? record.year;
+  record.month = record.Month ?? record.month;
+  record.day = record.Day ?? record.day ?? 15;
+  if (record.FreelanceExpenses != null) {
+    record.expenses = record.FreelanceExpenses;
+  }
+}
+
+/**
+ * Convert TaxResidency.csv rows into the manual residency overrides of
+ * ResidencyDetermination: year → residency periods, in date order.
+ *
+ * Resident and SplitYear rows become a period in their country from
+ * ResidencyStartDate (default 1 January) to ResidencyEndDate (default
+ * 31 December); dates outside the row's year are clamped to it. Several
+ * rows for one year split the year. NonResident rows and rows with an
+ * invalid Year or Country are left to the automatic determination.
+ *
+ * @param {Array} rows - TaxResidency.csv rows (coerced by the file schema)
+ * @returns {Object} Periods keyed by year:
+ *   { [year]: [{ year, country, method: 'manual', startMonth, startDay, endMonth, endDay, ... }] }
+ *
+ * @example
+ * buildResidencyOverrides([
+ *   { Year: 2025, Country: 'PT', ResidencyStatus: 'Resident', ResidencyEndDate: '2025-06-30' },
+ * ]);
+ * // { 2025: [{ year: 2025, country: 'PT', method: 'manual', startMonth: 1, startDay: 1, endMonth: 6, endDay: 30 }] }
+ */
+function buildResidencyOverrides(rows) {
+  const overrides = {};
+
+  for (const row of rows) {
+    if (
+      row.ResidencyStatus === 'NonResident' ||
+      !Number.isInteger(row.Year) ||
+      !/^[A-Z]{2}$/.test(row.Country)
+    ) {
+      continue;
+    }
+
+    const year = row.Year;
+    const [startMonth, startDay] = clampToYear(
+      row.ResidencyStartDate,
+      year,
+      [1, 1]
+    );
+    const [endMonth, endDay] = clampToYear(
+      row.ResidencyEndDate,
+      year,
+      [12, 31]
+    );
+
+    const period = {
+      year,
+      country: row.Country,
+      method: 'manual',
+      startMonth,
+      startDay,
+      endMonth,
+      endDay,
+    };
+    if (row.CalculationMethod) period.calculationMethod = row.CalculationMethod;
+    if (row.Notes) period.notes = row.Notes;
+
+    const source = recordSources.get(row);
+    if (source) recordSources.set(period, source);
+
+    (overrides[year] = overrides[year] || []).push(period);
+  }
+
+  for (const periods of Object.values(overrides)) {
+    periods.sort(
+      (a, b) => a.startMonth - b.startMonth || a.startDay - b.startDay
+    );
+  }
+
+  return overrides;
+}
+
+/**
+ * Month and day of a YYYY-MM-DD date within a year
+ *
+ * @param {string} date - Date (optional)
+ * @param {number} year - Year to clamp to
+ * @param {Array} fallback - [month, day] when the date is missing or invalid
+ * @returns {Array} [month, day]
+ */
+function clampToYear(date, year, fallback) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(date || '');
+  if (!match) return fallback;
+
+  const dateYear = Number(match[1]);
+  if (dateYear < year) return [1, 1];
+  if (dateYear > year) return [12, 31];
+  return [Number(match[2]), Number(match[3])];
+}
+
+/**
+ * Get the reference data key of a country CSV file.
+ *
+ * @param {string} file - CSV file name (e.g. `PT_TaxBrackets.csv`)
+ * @returns {string} camelCase key without country prefix (e.g. `taxBrackets`)
+ */
+function getReferenceDataKey(file) {
+  const name = file
+    .split('/')
+    .pop()
+    .replace(/\.csv$/, '');
+  // Remove country prefix if present (PT_TaxBrackets → TaxBrackets)
+  const cleanName = name.replace(/^[A-Z]{2}_/, '');
+
+  // Normalize keys to camelCase
+  return cleanName.charAt(0).toLowerCase() + cleanName.slice(1);
+}
+
+/**
+ * Get the reference file schemas declared by a country's residency.
+ *
+ * @param {string} countryCode - ISO 3166-1 alpha-2 code
+ * @returns {Object|null} Schemas keyed by file name, or null for
+ *   countries without a registered residency
+ */
+function getReferenceSchemas(countryCode) {
+  if (!hasResidency(countryCode)) return null;
+  return getResidency(countryCode, null).getReferenceSchemas();
+}
+
+/**
+ * Get the schema problems found while building a dataset.
+ *
+ * @param {Object} data - Dataset returned by buildDataset() or loadData()
+ * @returns {Array} Issues { severity, file, row, column, message }; row 1
+ *   (the header) for column problems of CSV files, null for file problems
+ */
+function getLoadIssues(data) {
+  return loadIssues.get(data) || [];
+}
+
+/**
+ * Get where the reference tables of a dataset came from.
+ *
+ * @param {Object} data - Dataset returned by buildDataset() or loadData()
+ * @returns {Array} One entry per reference table: { country, key, file,
+ *   bundled, user, replaced } with the user's file (the bundled one if
+ *   the user has none) and the number of bundled rows kept, user rows and
+ *   bundled rows the user's replaced
+ *
+ * @example
+ * getReferenceProvenance(loadData('./data'));
+ * // [{ country: 'PT', key: 'taxBrackets', file: 'PT/TaxBrackets.csv', bundled: 9, user: 9, replaced: 0 }, ...]
+ */
+function getReferenceProvenance(data) {
+  return referenceProvenance.get(data) || [];
+}
+
+/**
+ * Get the source location of a dataset row.
+ *
+ * @param {Object} record - Income record, exchange rate or reference row
+ * @returns {Object|null} { file, row } or null for records not built by
+ *   buildDataset()
+ *
+ * @example
+ * getRecordSource(data.incomeRecords[0]); // { file: 'PT/Income.csv', row: 2 }
+ */
+function getRecordSource(record) {
+  return recordSources.get(record) || null;
+}
+
+module.exports = {
+  buildDataset,
+  buildResidencyOverrides,
+  getLoadIssues,
+  getRecordSource,
+  getReferenceDataKey,
+  getReferenceProvenance,
+  layerReferenceRows,
+  loadDataDocument,
+  parseDataDocument,
+};
@@ -7,17 +7,31 @@
  */
 
 const calculator = require('./calculator');
+const dataset = require('./dataset');
+const dataValidation = require('./dataValidation');
 const loader = require('./loader');
 const residency = require('./residency');
+const presence = require('./residency/presence');
 const temporal = require('./temporal');
 
 module.exports = {
   calculateNetIncome: calculator.calculateNetIncome,
+  getResultReferences: calculator.getResultReferences,
   parseIncomeRecord: calculator.parseIncomeRecord,
   loadReferenceData: loader.loadReferenceData,
-  validateIncomeDataCompleteness: loader.validateIncomeDataCompleteness,
+  loadData: loader.loadData,
+  loadDataDocument: loader.loadDataDocument,
+  buildDataset: dataset.buildDataset,
+  getReferenceProvenance: dataset.getReferenceProvenance,
+  validateIncomeDataCompleteness: dataValidation.validateIncomeDataCompleteness,
+  formatValidationIssue: dataValidation.formatValidationIssue,
   parseCSV: loader.parseCSV,
   getTemporalMatch: temporal.getTemporalMatch,
+  getTemporalRows: temporal.getTemporalRows,
   getExactMatch: temporal.getExactMatch,
+  getExactRows: temporal.getExactRows,
+  selectRowsInForce: temporal.selectRowsInForce,
+  PresenceLedger: presence.PresenceLedger,
+  getPresenceLedger: presence.getPresenceLedger,
   ...residency,
 };
@@ -1,15 +1,20 @@
 /**
  * @module loader
- * Data Loading and Parsing Module
+ * Data Loading Module
  *
  * Loads CSV data files from the filesystem using a strict multi-country directory structure:
- * - **Global files**: ExchangeRates.csv, Location.csv, etc. at the root level
+ * - **Global files**: ExchangeRates.csv, Location.csv, WorkActivity.csv,
+ *   Accommodation.csv and TaxResidency.csv at the root level (all optional)
  * - **Country directories**: ISO 3166-1 alpha-2 codes (PT, GB, DE) containing:
  *   - Income.csv (required)
  *   - TaxBrackets.csv and other reference CSV files
  *
- * Handles CSV parsing and type conversion for tax reference data
- * (brackets, rates, deductions, etc.).
+ * A single JSON or YAML document with the same logical structure can be
+ * loaded instead of a directory (see loadDataDocument()).
+ *
+ * The files are only read here; parsing, schema coercion and income record
+ * normalization happen in buildDataset() (lib/dataset.js), which needs no
+ * filesystem and is re-exported with the CSV parser for compatibility.
  *
  * @example
  * const { loadData } = require('./lib/loader');
@@ -22,19 +27,68 @@
 
 const fs = require('fs');
 const path = require('path');
+const { parseCSV } = require('./csv');
+const {
+  buildDataset,
+  buildResidencyOverrides,
+  getLoadIssues,
+  getRecordSource,
+  getReferenceDataKey,
+  getReferenceProvenance,
+  loadDataDocument,
+  parseDataDocument,
+} = require('./dataset');
+const { getResidencyMetadata } = require('./residency');
+
+/**
+ * Optional root-level files with the buildDataset() table each is read into
+ */
+const ROOT_FILES = {
+  exchangeRates: 'ExchangeRates.csv',
+  location: 'Location.csv',
+  workActivity: 'WorkActivity.csv',
+  accommodation: 'Accommodation.csv',
+  taxResidency: 'TaxResidency.csv',
+};
 
 /**
- * Load all data from a data directory.
+ * Dataset document file extensions and their format
+ */
+const DOCUMENT_FORMATS = {
+  '.json': 'json',
+  '.yaml': 'yaml',
+  '.yml': 'yaml',
+};
+
+/**
+ * Load all data from a data directory or a dataset document.
  *
  * Expects a strict directory structure:
  * - Global CSV files (ExchangeRates.csv, Location.csv, etc.) at the root
  * - Country subdirectories with ISO 3166-1 alpha-2 codes (PT, GB, DE)
  * - Each country directory must contain Income.csv and tax reference files
  *
- * @param {string} dataPath - Path to data directory
+ * A `.json`, `.yaml` or `.yml` file is read as a dataset document instead
+ * (see loadDataDocument()). The contents are built into the dataset by
+ * buildDataset().
+ *
+ * Reference files are optional: each country package ships its reference
+ * data (see readBundledReferenceFiles()), and the user's files replace
+ * bundled rows by Year and key columns (see getReferenceProvenance() for
+ * what came from where).
+ *
+ * @param {string} dataPath - Path to data directory or dataset document
+ * @param {Object} [options] - Load options
+ * @param {boolean} [options.bundledReference=true] - Layer the user's
+ *   reference data over the bundled reference data; false uses the
+ *   user's files only
  * @returns {Object} Complete dataset with:
  *   - `incomeRecords`: {Array} Parsed income records
  *   - `exchangeRates`: {Array} Parsed exchange rate records
+ *   - `location`, `workActivity`, `accommodation`: {Array} Parsed rows of
+ *     Location.csv, WorkActivity.csv and Accommodation.csv (empty if absent)
+ *   - `taxResidency`: {Object} TaxResidency.csv overrides keyed by year
+ *     (see buildResidencyOverrides)
  *   - `referenceData`: {Object} Country-specific tax data keyed by ISO code
  * @throws {Error} If data directory not found or no valid country directories found
  *
@@ -42,162 +96,131 @@ const path = require('path');
  * const data = loadData('./data');
  * // Returns { incomeRecords: [...], referenceData: { PT: {...}, GB: {...} }, ... }
  */
-function loadData(dataPath) {
+function loadData(dataPath, { bundledReference = true } = {}) {
   if (!fs.existsSync(dataPath)) {
     throw new Error(`Data directory not found: ${dataPath}`);
   }
 
-  const incomeRecords = [];
-  const referenceData = {};
-  const entries = fs.readdirSync(dataPath, { withFileTypes: true });
+  const format = DOCUMENT_FORMATS[path.extname(dataPath).toLowerCase()];
+  if (format && fs.statSync(dataPath).isFile()) {
+    const file = path.basename(dataPath);
+    const document = parseDataDocument(
+      fs.readFileSync(dataPath, 'utf8'),
+      format,
+      file
+    );
+    const defaults = {};
+    if (bundledReference) {
+      for (const countryCode of Object.keys(document?.referenceData ?? {})) {
+        if (/^[A-Z]{2}$/.test(countryCode)) {
+          defaults[countryCode] = readBundledReferenceFiles(countryCode);
+        }
+      }
+    }
+    return loadDataDocument(document, file, { defaults });
+  }
 
-  // 1. Load Global CSVs (ExchangeRates.csv, Location.csv, etc.)
-  const exchangeRatesFile = path.join(dataPath, 'ExchangeRates.csv');
-  const exchangeRates = fs.existsSync(exchangeRatesFile)
-    ? parseCSV(fs.readFileSync(exchangeRatesFile, 'utf8'))
-    : [];
+  // 1. Global CSVs (ExchangeRates.csv, Location.csv, etc.)
+  const input = { income: {}, reference: {}, defaults: {} };
+  for (const [key, file] of Object.entries(ROOT_FILES)) {
+    input[key] = readFile(path.join(dataPath, file));
+  }
 
-  // 2. Scan for Country Directories (ISO 3166-1 alpha-2 codes)
+  // 2. Country Directories (ISO 3166-1 alpha-2 codes)
+  const entries = fs.readdirSync(dataPath, { withFileTypes: true });
   for (const entry of entries) {
     // STRICT CHECK: Only process directories with 2-letter uppercase names (ISO codes)
     if (entry.isDirectory() && /^[A-Z]{2}$/.test(entry.name)) {
       const countryCode = entry.name;
       const countryDir = path.join(dataPath, countryCode);
 
-      // A. Load Reference Data (TaxBrackets.csv, etc.) from inside countryDir
-      referenceData[countryCode] = loadCountryReferenceData(countryDir);
-
-      // B. Load Income.csv from inside countryDir
-      const incomeFile = path.join(countryDir, 'Income.csv');
-      if (fs.existsSync(incomeFile)) {
-        const countryIncome = parseCSV(fs.readFileSync(incomeFile, 'utf8'));
-        // Normalize and augment income records for calculator compatibility
-        countryIncome.forEach(record => {
-          // Add SourceCountry if missing
-          if (!record.SourceCountry) {
-            record.SourceCountry = countryCode;
-          }
-          // Normalize fields - keep original uppercase fields and add lowercase aliases
-          record.amount = record.GrossIncome ?? record.Amount ?? record.amount;
-          record.currency =
-            record.SourceCurrency ??
-            record.Currency ??
-            record.currency ??
-            'EUR';
-          record.incomeType =
-            record.IncomeType ?? record.incomeType ?? 'employment';
-          // Add lowercase aliases for calculator compatibility
-          record.sourceCountry = record.SourceCountry;
-          record.year = record.Year ?? record.year;
-          record.month = record.Month ?? record.month;
-          record.day = record.Day ?? record.day ?? 15;
-        });
-        incomeRecords.push(...countryIncome);
+      input.reference[countryCode] = readCountryReferenceFiles(countryDir);
+      if (bundledReference) {
+        input.defaults[countryCode] = readBundledReferenceFiles(countryCode);
       }
+      const income = readFile(path.join(countryDir, 'Income.csv'));
+      if (income !== undefined) input.income[countryCode] = income;
     }
   }
 
-  if (incomeRecords.length === 0) {
+  const data = buildDataset(input);
+  if (data.incomeRecords.length === 0) {
     throw new Error(
       `No Income.csv files found in country subdirectories. Expected structure: ${dataPath}/{PT,GB,DE}/Income.csv`
     );
   }
 
-  return {
-    incomeRecords,
-    exchangeRates,
-    referenceData,
-  };
+  return data;
 }
 
 /**
- * Load all CSV reference data for a country from a directory.
+ * Read the reference CSV files of a country directory.
  *
- * Reads all CSV files (except Income.csv, Residency.csv, ExchangeRates.csv)
- * and parses them into objects. Converts filenames to camelCase keys:
- * - `TaxBrackets.csv` → `taxBrackets`
- * - `SocialSecurity.csv` → `socialSecurity`
- * - `PT_TaxBrackets.csv` → `taxBrackets` (prefix stripped)
+ * Reads all CSV files except Income.csv, Residency.csv and
+ * ExchangeRates.csv; buildDataset() keys them by camelCase file name
+ * (`TaxBrackets.csv` → `taxBrackets`, `PT_TaxBrackets.csv` → `taxBrackets`).
  *
  * @param {string} dir - Path to country directory containing CSV files
- * @returns {Object} Parsed data keyed by CSV filename (camelCase)
+ * @returns {Object} CSV content keyed by file name
  *
  * @example
- * const refData = loadCountryReferenceData('./data/PT');
- * // Returns { taxBrackets: [...], socialSecurity: [...], deductions: [...], ... }
+ * readCountryReferenceFiles('./data/PT');
+ * // Returns { 'TaxBrackets.csv': 'Year,MinIncome,...', ... }
  */
-function loadCountryReferenceData(dir) {
-  const files = fs.readdirSync(dir);
-  const data = {};
-  for (const file of files) {
+function readCountryReferenceFiles(dir) {
+  const files = {};
+  for (const file of fs.readdirSync(dir)) {
     if (
       file.endsWith('.csv') &&
       file !== 'Income.csv' &&
       file !== 'Residency.csv' &&
       file !== 'ExchangeRates.csv'
     ) {
-      const name = path.basename(file, '.csv');
-      // Remove country prefix if present (PT_TaxBrackets → TaxBrackets)
-      const cleanName = name.replace(/^[A-Z]{2}_/, '');
-
-      // Normalize keys to camelCase
-      const key = cleanName.charAt(0).toLowerCase() + cleanName.slice(1);
-      data[key] = parseCSV(fs.readFileSync(path.join(dir, file), 'utf8'));
+      files[file] = readFile(path.join(dir, file));
     }
   }
-  return data;
+  return files;
 }
 
 /**
- * Parse CSV content into array of objects.
- *
- * Simple CSV parser that:
- * - Splits on commas (doesn't handle quoted commas)
- * - Converts numbers (e.g., "123.45" → 123.45)
- * - Converts booleans ("true"/"false" → true/false)
- * - Preserves strings as-is
- * - Empty strings become null
+ * Read the reference CSV files a country package ships.
  *
- * @param {string} content - CSV file content as string
- * @returns {Array} Array of row objects with keys from CSV header
- * @throws {Error} If content has fewer than 2 lines (no data)
+ * They live in the `reference/` directory of the registered residency
+ * package (e.g. lib/residency/pt/reference/), so packages registered with
+ * discoverResidencies() can ship their own.
  *
- * @example
- * const csv = "Year,Rate\n2025,0.15\n2026,0.16";
- * const data = parseCSV(csv);
- * // Returns [{ Year: 2025, Rate: 0.15 }, { Year: 2026, Rate: 0.16 }]
+ * @param {string} countryCode - ISO 3166-1 alpha-2 code
+ * @returns {Object} CSV content keyed by file name (empty for countries
+ *   without a package or bundled files)
  */
-function parseCSV(content) {
-  const lines = content.trim().split('\n');
-  if (lines.length < 2) return [];
-  const headers = lines[0].split(',').map(h => h.trim());
-
-  return lines.slice(1).map(line => {
-    // Handle simple CSV splitting (doesn't handle quoted commas)
-    const values = line.split(',').map(v => v.trim());
-    const row = {};
-    headers.forEach((h, i) => {
-      // Try to convert numbers
-      const val = values[i];
-      if (val === undefined) return;
+function readBundledReferenceFiles(countryCode) {
+  const packageDir = getResidencyMetadata(countryCode)?.path;
+  const dir = packageDir && path.join(packageDir, 'reference');
+  if (!dir || !fs.existsSync(dir)) return {};
+  return readCountryReferenceFiles(dir);
+}
 
-      if (val === '') {
-        row[h] = null;
-      } else if (!isNaN(val)) {
-        row[h] = Number(val);
-      } else if (val.toLowerCase() === 'true') {
-        row[h] = true;
-      } else if (val.toLowerCase() === 'false') {
-        row[h] = false;
-      } else {
-        row[h] = val;
-      }
-    });
-    return row;
-  });
+/**
+ * Read a text file
+ *
+ * @param {string} filePath - Path to the file
+ * @returns {string|undefined} Content, or undefined if the file is missing
+ */
+function readFile(filePath) {
+  return fs.existsSync(filePath)
+    ? fs.readFileSync(filePath, 'utf8')
+    : undefined;
 }
 
 module.exports = {
+  buildDataset,
+  buildResidencyOverrides,
+  getLoadIssues,
+  getRecordSource,
+  getReferenceDataKey,
+  getReferenceProvenance,
   loadData,
+  loadDataDocument,
   parseCSV,
+  parseDataDocument,
 };
@@ -1,3 +1,6 @@
+const { SIMULATION_PARAMETERS, buildSettings } = require('../schemas');
+const { getPresenceLedger } = require('./presence');
+
 /**
  * @class TaxResidency
  * Abstract base class for tax residency implementations.
@@ -8,6 +11,15 @@
  * Only generic concepts are exposed here. Country-specific tax components
  * (social security, solidarity tax, special regimes, etc.) are implemented
  * directly by each country's residency class.
+ *
+ * Contract:
+ * - Required: getCountryCode(), getCurrency(), calculateTax()
+ * - Optional with defaults: residency tests and OECD tie-breaker hooks,
+ *   fiscal year, output, withholding and reference metadata, and annual
+ *   hooks
+ *
+ * Implementations can be checked against the contract with
+ * checkResidencyConformance() from ./conformance.
  */
 class TaxResidency {
   constructor(referenceData) {
@@ -39,7 +51,9 @@ class TaxResidency {
    * Calculate tax for income with given parameters
    * @param {number} grossIncome - Gross income amount
    * @param {string} incomeType - Type of income (employment, freelance, dividend)
-   * @param {Object} _options - Calculation options (year, sourceCountry, etc.)
+   * @param {Object} _options - Calculation options (year, sourceCountry,
+   *   incomeRecord, previousResults with the earlier results of the
+   *   period, etc.)
    * @returns {Object} Tax calculation result with standard fields:
    *   - taxableIncome: number
    *   - taxAmount: number
@@ -78,6 +92,267 @@ class TaxResidency {
 
     return { isResident: false };
   }
+
+  // --- OECD Tie-Breaker Hooks ---
+
+  /**
+   * Check if taxpayer has a permanent home in this country
+   * Default: no permanent home, so the tie-breaker moves on to vital interests
+   *
+   * @param {number} _year - Tax year
+   * @param {Object} _data - Complete dataset
+   * @returns {boolean} True if permanent home in this country
+   */
+  hasPermanentHome(_year, _data) {
+    return false;
+  }
+
+  /**
+   * Calculate strength of vital interests in this country
+   * Default: no vital interests
+   *
+   * @param {number} _year - Tax year
+   * @param {Object} _data - Complete dataset
+   * @returns {number} Strength of vital interests (0-100)
+   */
+  calculateVitalInterestsStrength(_year, _data) {
+    return 0;
+  }
+
+  /**
+   * Get the share of the year's income records from sources in this
+   * country, a measure of economic ties for the vital interests test
+   *
+   * @param {number} year - Tax year
+   * @param {Object} data - Complete dataset with incomeRecords
+   * @returns {number} Share in percent (0-100; 0 without income)
+   */
+  getIncomeShare(year, data) {
+    const records = (data.incomeRecords || []).filter(
+      r => r.Year === year || r.year === year
+    );
+    if (records.length === 0) return 0;
+
+    const country = this.getCountryCode();
+    const domestic = records.filter(
+      r => r.SourceCountry === country || r.sourceCountry === country
+    );
+    return Math.round((domestic.length / records.length) * 100);
+  }
+
+  /**
+   * Count the days present in this country in a tax year, from the
+   * Location.csv presence ledger (see lib/residency/presence.js) by the
+   * ResidencyDayCountingMethod setting and the fiscal year mapping
+   *
+   * @param {number} year - Tax year
+   * @param {Object} data - Complete dataset with location
+   * @returns {number} Days present
+   */
+  countDaysPresent(year, data) {
+    return getPresenceLedger(data).countDaysInTaxYear(
+      this.getCountryCode(),
+      year,
+      {
+        method: this.getSettings().ResidencyDayCountingMethod,
+        fiscalYear: this.getFiscalYearMapping(),
+      }
+    );
+  }
+
+  /**
+   * Split a resident tax year into the part before and after the person
+   * arrives or leaves
+   * Default: no split-year treatment
+   *
+   * @param {number} _year - Tax year
+   * @param {Object} _data - Complete dataset
+   * @returns {Object|null} { case, leaving, overseasPart, ukPart } with
+   *   the parts as { from, to } ISO dates, or null for a whole year
+   */
+  getSplitYear(_year, _data) {
+    return null;
+  }
+
+  // --- Metadata ---
+
+  /**
+   * Get the default currency for amounts in reference data
+   * @returns {string} ISO 4217 currency code
+   */
+  getDefaultCurrency() {
+    return this.getCurrency();
+  }
+
+  /**
+   * Get fiscal year definition
+   * Default: calendar year
+   *
+   * @returns {Object} { type: 'calendar'|'custom', startMonth, startDay, description }
+   */
+  getFiscalYearMapping() {
+    return {
+      type: 'calendar',
+      startMonth: 1,
+      startDay: 1,
+      description: 'Calendar year (January 1 - December 31)',
+    };
+  }
+
+  /**
+   * Get name of the special tax regime (e.g. NHR)
+   * @returns {string} Regime name or 'None'
+   */
+  getSpecialRegimeName() {
+    return 'None';
+  }
+
+  /**
+   * Get output columns supported by this country
+   * @returns {Object} Output field flags
+   */
+  getOutputFields() {
+    return {
+      includePersonalDeductions: false,
+      includeSocialSecurity: true,
+      includeForeignWithholding: false,
+      includeTaxType: true,
+      includeRegimeStatus: false,
+      regimeStatusLabel: 'SpecialRegimeStatus',
+    };
+  }
+
+  /**
+   * Get withholding rates by income type
+   * Values are rates (0-1) or the name of a withholding method
+   *
+   * @returns {Object} { employment, freelance, dividend }
+   */
+  getWithholdingRates() {
+    return {
+      employment: 0,
+      freelance: 0,
+      dividend: 0,
+    };
+  }
+
+  /**
+   * Get deduction functions module for this residency
+   * @returns {Object|null} Deduction functions module or null if none
+   */
+  getDeductionsModule() {
+    return null;
+  }
+
+  /**
+   * Get reference CSV files the country directory must provide
+   * @returns {Array} File names (e.g. ['TaxBrackets.csv'])
+   */
+  getRequiredReferenceFiles() {
+    return [];
+  }
+
+  /**
+   * Get column schemas of the country's reference CSV files
+   * (column types as in lib/schemas.js); files without a schema are loaded
+   * with inferred types
+   * @returns {Object} Schemas keyed by file name (e.g. { 'TaxBrackets.csv': { Year: { type: 'integer' } } })
+   */
+  getReferenceSchemas() {
+    return {};
+  }
+
+  /**
+   * Get the reference tables behind each figure of the tax results, so
+   * results can record the reference rows they were calculated from
+   * (see getResultReferences() in lib/calculator.js)
+   * @returns {Object} Reference data keys keyed by result field (e.g. { taxAmount: ['taxBrackets'] })
+   */
+  getReferenceFigures() {
+    return {};
+  }
+
+  /**
+   * Get definitions of the country's own SimulationParameters.csv
+   * parameters (beyond SIMULATION_PARAMETERS in lib/schemas.js)
+   * @returns {Object} Parameters keyed by name (e.g. { Region: { type: 'string', default: 'default' } })
+   */
+  getSettingsSchema() {
+    return {};
+  }
+
+  /**
+   * Get the typed simulation settings: every common and country parameter,
+   * from SimulationParameters.csv or its default
+   * @returns {Object} Settings keyed by parameter name
+   */
+  getSettings() {
+    return buildSettings(this.referenceData?.simulationParameters || [], {
+      ...SIMULATION_PARAMETERS,
+      ...this.getSettingsSchema(),
+    }).settings;
+  }
+
+  // --- Component Hooks ---
+
+  /**
+   * Calculate tax withheld at source for income
+   * Default: no withholding
+   *
+   * @param {number} _grossIncome - Gross income amount
+   * @param {string} _incomeType - Income type
+   * @param {string} _sourceCountry - Source country code
+   * @param {number} _year - Tax year
+   * @returns {number} Amount withheld
+   */
+  calculateWithholdingForIncome(
+    _grossIncome,
+    _incomeType,
+    _sourceCountry,
+    _year
+  ) {
+    return 0;
+  }
+
+  /**
+   * Calculate social security contributions for income
+   * Default: no contributions
+   *
+   * @param {number} _grossIncome - Gross income amount
+   * @param {string} _incomeType - Income type
+   * @param {string} _freelanceType - Freelance activity type
+   * @param {number} _year - Tax year
+   * @returns {number} Contributions
+   */
+  getSocialSecurityAmount(_grossIncome, _incomeType, _freelanceType, _year) {
+    return 0;
+  }
+
+  // --- Annual Hooks ---
+
+  /**
+   * Get annual adjustments applied after the year's tax is known
+   * Default: none
+   *
+   * @param {number} _amount - Annual reference amount (country-specific)
+   * @param {number} _year - Tax year
+   * @returns {Object} Adjustment fields
+   */
+  getAnnualAdjustments(_amount, _year) {
+    return {};
+  }
+
+  /**
+   * Calculate annual summary for a residency period
+   * Default: null, so the calculator sums the monthly results generically
+   *
+   * @param {Object} _period - Residency period
+   * @param {Array} _monthlyResults - Calculated monthly results
+   * @returns {Object|null} Annual summary or null for the generic summary
+   */
+  calculateAnnualSummary(_period, _monthlyResults) {
+    return null;
+  }
 }
 
 module.exports = { TaxResidency };
@@ -0,0 +1,295 @@
+/**
+ * @module conformance
+ * TaxResidency Contract Conformance Checks
+ *
+ * Verifies that a residency implementation provides every method of the
+ * TaxResidency contract and that its results have the standard shape the
+ * calculator and the residency determination rely on. Framework-agnostic:
+ * checks return a list of violations, so any test runner (or a plugin's
+ * own CI) can run them against a country.
+ *
+ * @example
+ * const violations = checkResidencyConformance(new SpainResidency(refData), {
+ *   year: 2025,
+ *   samples: [{ grossIncome: 3000, incomeType: 'employment' }],
+ * });
+ * // [] when the implementation conforms
+ */
+
+const { checkSchemas } = require('../schemas');
+const { validateCurrencyCode } = require('../utils/validation');
+
+/**
+ * Methods every residency implementation must provide
+ * (TaxResidency subclasses inherit defaults for all but the first three)
+ */
+const RESIDENCY_METHODS = [
+  'getCountryCode',
+  'getCurrency',
+  'calculateTax',
+  'testResidency',
+  'hasPermanentHome',
+  'calculateVitalInterestsStrength',
+  'countDaysPresent',
+  'getSplitYear',
+  'getDefaultCurrency',
+  'getFiscalYearMapping',
+  'getSpecialRegimeName',
+  'getOutputFields',
+  'getWithholdingRates',
+  'getDeductionsModule',
+  'getRequiredReferenceFiles',
+  'getReferenceSchemas',
+  'getReferenceFigures',
+  'getSettingsSchema',
+  'getSettings',
+  'calculateWithholdingForIncome',
+  'getSocialSecurityAmount',
+  'getAnnualAdjustments',
+  'calculateAnnualSummary',
+];
+
+/**
+ * Numeric fields every calculateTax() result must contain
+ */
+const TAX_RESULT_FIELDS = [
+  'taxableIncome',
+  'taxAmount',
+  'socialSecurity',
+  'solidarityTax',
+];
+
+function isFiniteNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+/**
+ * Check a calculateTax() result against the standard result shape
+ *
+ * @param {Object} result - calculateTax() result
+ * @returns {Array} Violation messages (empty if conforming)
+ */
+function checkTaxResult(result) {
+  if (!result || typeof result !== 'object') {
+    return ['calculateTax() must return an object'];
+  }
+
+  const violations = [];
+
+  for (const field of TAX_RESULT_FIELDS) {
+    if (!isFiniteNumber(result[field])) {
+      violations.push(
+        `calculateTax() result field ${field} must be a finite number (got ${result[field]})`
+      );
+    }
+  }
+
+  if (typeof result.isExempt !== 'boolean') {
+    violations.push('calculateTax() result field isExempt must be a boolean');
+  }
+
+  if (isFiniteNumber(result.taxAmount) && result.taxAmount < 0) {
+    violations.push(
+      'calculateTax() result field taxAmount must not be negative'
+    );
+  }
+
+  return violations;
+}
+
+/**
+ * Run a contract check, turning exceptions into violations
+ */
+function check(violations, label, fn) {
+  try {
+    const message = fn();
+    if (message) violations.push(`${label} ${message}`);
+  } catch (error) {
+    violations.push(`${label} threw: ${error.message}`);
+  }
+}
+
+/**
+ * Check a residency instance against the TaxResidency contract
+ *
+ * @param {Object} residency - Residency instance (with reference data for samples)
+ * @param {Object} [options] - Check options
+ * @param {number} [options.year=2025] - Tax year for the residency and tie-breaker hooks
+ * @param {Object} [options.data] - Dataset for testResidency() and the tie-breaker hooks
+ * @param {Array} [options.samples] - calculateTax() inputs: { grossIncome, incomeType, options }
+ * @returns {Array} Violation messages (empty if conforming)
+ */
+function checkResidencyConformance(
+  residency,
+  { year = 2025, data = { incomeRecords: [] }, samples = [] } = {}
+) {
+  const missing = RESIDENCY_METHODS.filter(
+    method => typeof residency?.[method] !== 'function'
+  );
+  if (missing.length > 0) {
+    return missing.map(method => `missing method ${method}()`);
+  }
+
+  const violations = [];
+
+  check(violations, 'getCountryCode()', () => {
+    const code = residency.getCountryCode();
+    return /^[A-Z]{2}$/.test(code)
+      ? null
+      : `must return an ISO 3166-1 alpha-2 code (got ${code})`;
+  });
+
+  for (const method of ['getCurrency', 'getDefaultCurrency']) {
+    check(violations, `${method}()`, () => {
+      const currency = residency[method]();
+      return validateCurrencyCode(currency).valid
+        ? null
+        : `must return an ISO 4217 code (got ${currency})`;
+    });
+  }
+
+  check(violations, 'getFiscalYearMapping()', () => {
+    const mapping = residency.getFiscalYearMapping();
+    if (!['calendar', 'custom'].includes(mapping?.type)) {
+      return `type must be calendar or custom (got ${mapping?.type})`;
+    }
+    if (!(mapping.startMonth >= 1 && mapping.startMonth <= 12)) {
+      return `startMonth must be 1-12 (got ${mapping.startMonth})`;
+    }
+    if (!(mapping.startDay >= 1 && mapping.startDay <= 31)) {
+      return `startDay must be 1-31 (got ${mapping.startDay})`;
+    }
+    return null;
+  });
+
+  check(violations, 'getSpecialRegimeName()', () =>
+    typeof residency.getSpecialRegimeName() === 'string'
+      ? null
+      : 'must return a string'
+  );
+
+  check(violations, 'getOutputFields()', () => {
+    const fields = residency.getOutputFields();
+    return fields && typeof fields === 'object'
+      ? null
+      : 'must return an object';
+  });
+
+  check(violations, 'getRequiredReferenceFiles()', () => {
+    const files = residency.getRequiredReferenceFiles();
+    return Array.isArray(files) && files.every(f => /^\w+\.csv$/.test(f))
+      ? null
+      : 'must return an array of CSV file names';
+  });
+
+  check(violations, 'getReferenceSchemas()', () => {
+    const schemas = residency.getReferenceSchemas();
+    if (!schemas || typeof schemas !== 'object') return 'must return an object';
+    const problems = checkSchemas(schemas);
+    const unschemed = residency
+      .getRequiredReferenceFiles()
+      .filter(file => !schemas[file]);
+    if (Object.keys(schemas).length > 0 && unschemed.length > 0) {
+      problems.push(`no schema for required ${unschemed.join(', ')}`);
+    }
+    return problems.length > 0 ? problems.join('; ') : null;
+  });
+
+  check(violations, 'getReferenceFigures()', () => {
+    const figures = residency.getReferenceFigures();
+    if (!figures || typeof figures !== 'object') return 'must return an object';
+    const invalid = Object.entries(figures).find(
+      ([, tables]) =>
+        !Array.isArray(tables) || !tables.every(t => typeof t === 'string')
+    );
+    return invalid
+      ? `${invalid[0]} must list reference data keys (got ${invalid[1]})`
+      : null;
+  });
+
+  check(violations, 'getSettingsSchema()', () => {
+    const parameters = residency.getSettingsSchema();
+    if (!parameters || typeof parameters !== 'object') {
+      return 'must return an object';
+    }
+    const problems = checkSchemas({ 'SimulationParameters.csv': parameters });
+    return problems.length > 0 ? problems.join('; ') : null;
+  });
+
+  check(violations, 'getSettings()', () => {
+    const settings = residency.getSettings();
+    return settings && typeof settings === 'object'
+      ? null
+      : 'must return an object';
+  });
+
+  check(violations, 'getWithholdingRates()', () => {
+    const rates = residency.getWithholdingRates();
+    if (!rates || typeof rates !== 'object') return 'must return an object';
+    const invalid = Object.entries(rates).find(
+      ([, rate]) => !isFiniteNumber(rate) && typeof rate !== 'string'
+    );
+    return invalid
+      ? `${invalid[0]} must be a rate or a method name (got ${invalid[1]})`
+      : null;
+  });
+
+  check(violations, 'testResidency()', () =>
+    typeof residency.testResidency(year, data)?.isResident === 'boolean'
+      ? null
+      : 'must return { isResident: boolean }'
+  );
+
+  check(violations, 'hasPermanentHome()', () =>
+    typeof residency.hasPermanentHome(year, data) === 'boolean'
+      ? null
+      : 'must return a boolean'
+  );
+
+  check(violations, 'calculateVitalInterestsStrength()', () => {
+    const strength = residency.calculateVitalInterestsStrength(year, data);
+    return isFiniteNumber(strength) && strength >= 0 && strength <= 100
+      ? null
+      : `must return a number between 0 and 100 (got ${strength})`;
+  });
+
+  for (const sample of samples) {
+    const label = `calculateTax(${sample.grossIncome}, ${sample.incomeType})`;
+    check(violations, label, () => {
+      const result = residency.calculateTax(
+        sample.grossIncome,
+        sample.incomeType,
+        { year, ...sample.options }
+      );
+      const resultViolations = checkTaxResult(result);
+      return resultViolations.length > 0 ? resultViolations.join('; ') : null;
+    });
+  }
+
+  return violations;
+}
+
+/**
+ * Assert that a residency instance conforms to the TaxResidency contract
+ *
+ * @param {Object} residency - Residency instance
+ * @param {Object} [options] - See checkResidencyConformance()
+ * @throws {Error} Listing all violations
+ */
+function assertResidencyConformance(residency, options = {}) {
+  const violations = checkResidencyConformance(residency, options);
+  if (violations.length > 0) {
+    const code = residency?.countryCode || 'residency';
+    throw new Error(
+      `${code} does not conform to the TaxResidency contract:\n- ${violations.join('\n- ')}`
+    );
+  }
+}
+
+module.exports = {
+  RESIDENCY_METHODS,
+  TAX_RESULT_FIELDS,
+  assertResidencyConformance,
+  checkResidencyConformance,
+  checkTaxResult,
+};
@@ -0,0 +1,59 @@
+/**
+ * @module deChurchTax
+ * German Church Tax (Kirchensteuer)
+ *
+ * Members of a tax-levying church pay a percentage of their income tax,
+ * set by the federal state (Land) of residence: 8% in Bavaria and
+ * Baden-Württemberg, 9% elsewhere.
+ *
+ * Rates are loaded from ChurchTax.csv, keyed by Land code (e.g. BY, BE).
+ */
+
+const { getTemporalMatch } = require('../../temporal');
+
+/**
+ * Get the church tax rate for a Land
+ * @param {number} year - Tax year
+ * @param {string} land - Land code (e.g. 'BY')
+ * @param {Array} churchTaxData - ChurchTax.csv rows
+ * @returns {number} Church tax rate (e.g. 0.09)
+ * @throws {Error} If no rate is found for the Land
+ */
+function getChurchTaxRate(year, land, churchTaxData) {
+  const data = getTemporalMatch(churchTaxData || [], year, 'Land', land);
+  if (!data) {
+    throw new Error(
+      `No church tax rate found for Land ${land} in year ${year}`
+    );
+  }
+  return data.Rate;
+}
+
+/**
+ * Calculate church tax on an income tax amount
+ * @param {number} incomeTax - Income tax (or Lohnsteuer)
+ * @param {number} rate - Church tax rate
+ * @returns {number} Church tax amount
+ */
+function calculateChurchTax(incomeTax, rate) {
+  if (!incomeTax || incomeTax <= 0 || !rate) return 0;
+  return incomeTax * rate;
+}
+
+/**
+ * Effective Abgeltungsteuer rate for church members (§32d(1) EStG).
+ * Church tax is deductible from the flat tax, which lowers it to
+ * rate / (1 + rate × churchTaxRate), e.g. 24.51% at 9%.
+ * @param {number} capitalIncomeRate - Flat rate on capital income (0.25)
+ * @param {number} churchTaxRate - Church tax rate (0 for non-members)
+ * @returns {number} Effective flat rate
+ */
+function getCapitalIncomeRateWithChurchTax(capitalIncomeRate, churchTaxRate) {
+  return capitalIncomeRate / (1 + capitalIncomeRate * (churchTaxRate || 0));
+}
+
+module.exports = {
+  calculateChurchTax,
+  getCapitalIncomeRateWithChurchTax,
+  getChurchTaxRate,
+};
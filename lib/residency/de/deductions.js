@@ -0,0 +1,47 @@
+/**
+ * @module deDeductions
+ * German Allowances (Pauschbeträge)
+ *
+ * Lump-sum allowances applied when no higher actual expenses are declared:
+ * - Arbeitnehmer-Pauschbetrag: employee work expenses (§9a EStG)
+ * - Sonderausgaben-Pauschbetrag: special expenses (§10c EStG)
+ * - Sparer-Pauschbetrag: saver's allowance on capital income (§20 EStG)
+ */
+
+const { getTemporalMatch } = require('../../temporal');
+
+function getGermanDeductionDataForYear(year, deductionsData) {
+  const data = getTemporalMatch(deductionsData, year);
+  if (!data) {
+    throw new Error(`No deductions data found for year ${year}`);
+  }
+  return data;
+}
+
+function calculateEmployeeAllowance(employmentGross, year, deductionsData) {
+  const data = getGermanDeductionDataForYear(year, deductionsData);
+  return Math.min(data.EmployeeAllowance || 0, Math.max(0, employmentGross));
+}
+
+function getSpecialExpensesAllowance(year, deductionsData) {
+  const data = getGermanDeductionDataForYear(year, deductionsData);
+  return data.SpecialExpensesAllowance || 0;
+}
+
+function calculateSaverAllowance(capitalIncome, year, deductionsData) {
+  const data = getGermanDeductionDataForYear(year, deductionsData);
+  return Math.min(data.SaverAllowance || 0, Math.max(0, capitalIncome));
+}
+
+function getCapitalIncomeRate(year, deductionsData) {
+  const data = getGermanDeductionDataForYear(year, deductionsData);
+  return data.CapitalIncomeRate || 0;
+}
+
+module.exports = {
+  calculateEmployeeAllowance,
+  calculateSaverAllowance,
+  getCapitalIncomeRate,
+  getGermanDeductionDataForYear,
+  getSpecialExpensesAllowance,
+};
@@ -0,0 +1,92 @@
+/**
+ * @module deFamily
+ * German Family Benefits (Kindergeld / Kinderfreibetrag)
+ *
+ * Parents receive Kindergeld monthly for each child. In the annual
+ * assessment the tax office compares it with the tax saving from the
+ * child allowances (Kinderfreibetrag + BEA-Freibetrag) and applies the
+ * allowances when they are worth more (Günstigerprüfung, §31 EStG).
+ *
+ * Children qualify from their birth month until the month they reach the
+ * age limit, or until an explicit EligibleUntil date (e.g. in education).
+ *
+ * Dependants are loaded from Dependants.csv; amounts and limits from
+ * FamilyBenefits.csv.
+ */
+
+const { getTemporalMatch } = require('../../temporal');
+
+function getFamilyBenefitsForYear(year, familyBenefitsData) {
+  const data = getTemporalMatch(familyBenefitsData || [], year);
+  if (!data) {
+    throw new Error(`No family benefits data found for year ${year}`);
+  }
+  return data;
+}
+
+function parseDate(value, field, name) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value || '').trim());
+  if (!match) {
+    throw new Error(`Invalid ${field} for dependant ${name}: ${value}`);
+  }
+  return { year: parseInt(match[1]), month: parseInt(match[2]) };
+}
+
+/**
+ * Count the months of a year in which a child qualifies for Kindergeld
+ * @param {Object} dependant - Dependants.csv row (Name, BirthDate, EligibleUntil)
+ * @param {number} year - Tax year
+ * @param {number} ageLimit - Age up to which children qualify
+ * @returns {number} Eligible months (0-12)
+ * @throws {Error} If a date is not in YYYY-MM-DD format
+ */
+function countEligibleMonths(dependant, year, ageLimit) {
+  const name = dependant.Name || 'unnamed';
+  const birth = parseDate(dependant.BirthDate, 'BirthDate', name);
+  const until = dependant.EligibleUntil
+    ? parseDate(dependant.EligibleUntil, 'EligibleUntil', name)
+    : { year: birth.year + ageLimit, month: birth.month };
+
+  const first = birth.year < year ? 1 : birth.year === year ? birth.month : 13;
+  const last = until.year > year ? 12 : until.year === year ? until.month : 0;
+
+  return Math.max(0, last - first + 1);
+}
+
+/**
+ * Calculate the annual Kindergeld and child allowances for the dependants
+ * @param {Array} dependants - Dependants.csv rows
+ * @param {number} year - Tax year
+ * @param {Array} familyBenefitsData - FamilyBenefits.csv rows
+ * @returns {Object} { children, childBenefit, childAllowance } with the
+ *   allowance prorated by eligible months
+ */
+function calculateChildBenefits(dependants, year, familyBenefitsData) {
+  const data = getFamilyBenefitsForYear(year, familyBenefitsData);
+
+  let children = 0;
+  let months = 0;
+  for (const dependant of dependants || []) {
+    const eligible = countEligibleMonths(
+      dependant,
+      year,
+      data.ChildBenefitAgeLimit
+    );
+    if (eligible > 0) {
+      children++;
+      months += eligible;
+    }
+  }
+
+  return {
+    children,
+    childBenefit: months * data.ChildBenefit,
+    childAllowance: (months / 12) * data.ChildAllowance,
+  };
+}
+
+module.exports = {
+  calculateChildBenefits,
+  countEligibleMonths,
+  getFamilyBenefitsForYear,
+};
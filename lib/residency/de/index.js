@@ -0,0 +1,28 @@
+/**
+ * @module de
+ * Germany-Specific Utilities Index
+ *
+ * Exports all German tax residency utilities and the GermanyResidency class.
+ */
+
+const churchTax = require('./churchTax');
+const deductions = require('./deductions');
+const family = require('./family');
+const progressive = require('./progressive');
+const GermanyResidency = require('./residency');
+const socialSecurity = require('./socialSecurity');
+const solidarity = require('./solidarity');
+const tradeTax = require('./tradeTax');
+const wageTax = require('./wageTax');
+
+module.exports = {
+  ...churchTax,
+  ...deductions,
+  ...family,
+  ...progressive,
+  ...solidarity,
+  ...socialSecurity,
+  ...tradeTax,
+  ...wageTax,
+  GermanyResidency,
+};
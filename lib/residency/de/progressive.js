@@ -0,0 +1,60 @@
+/**
+ * @module deProgressive
+ * German Income Tax Tariff (§32a EStG)
+ *
+ * Germany does not use tax brackets. The tariff is a piecewise polynomial
+ * over the taxable income (zu versteuerndes Einkommen, zvE), split into
+ * zones loaded from TaxFormula.csv and evaluated by the shared formula
+ * engine (lib/utils/formulaTax.js).
+ *
+ * Zone 1 (up to the Grundfreibetrag) has all coefficients at 0, zones 2-3
+ * are the progressive polynomials and zones 4-5 are linear (42% / 45%).
+ * Both zvE and the resulting tax are rounded down to full euros.
+ *
+ * Married couples assessed jointly use the splitting tariff (§32a(5)):
+ * twice the tax on half the joint taxable income.
+ */
+
+const {
+  calculateFormulaTax,
+  getFormulaZones,
+} = require('../../utils/formulaTax');
+
+/**
+ * Get the tariff zones for a tax year
+ * @param {number} year - Tax year
+ * @param {Array} taxFormulaData - TaxFormula.csv rows
+ * @returns {Array} Zones sorted by MinIncome
+ */
+function getTaxFormulaZones(year, taxFormulaData) {
+  if (!taxFormulaData || !Array.isArray(taxFormulaData)) {
+    throw new Error('taxFormulaData must be an array');
+  }
+
+  return getFormulaZones(year, taxFormulaData);
+}
+
+/**
+ * Calculate German income tax (Einkommensteuer) for a taxable income
+ * @param {number} taxableIncome - Taxable income (zvE)
+ * @param {number} year - Tax year
+ * @param {Array} taxFormulaData - TaxFormula.csv rows
+ * @param {boolean} [splitting=false] - Apply the splitting tariff (joint assessment)
+ * @returns {number} Income tax in full euros
+ */
+function calculateGermanIncomeTax(
+  taxableIncome,
+  year,
+  taxFormulaData,
+  splitting = false
+) {
+  return calculateFormulaTax(taxableIncome, year, taxFormulaData, {
+    splitting,
+    roundDown: true,
+  });
+}
+
+module.exports = {
+  calculateGermanIncomeTax,
+  getTaxFormulaZones,
+};
@@ -0,0 +1,851 @@
+/**
+ * @module deResidency
+ * Germany Tax Residency
+ *
+ * Tax residency implementation for Germany.
+ * All tax rules loaded from reference data (no hardcoded values).
+ */
+
+const { TaxResidency } = require('../base');
+const {
+  calculateChurchTax,
+  getCapitalIncomeRateWithChurchTax,
+  getChurchTaxRate,
+} = require('./churchTax');
+const {
+  calculateEmployeeAllowance,
+  calculateSaverAllowance,
+  getCapitalIncomeRate,
+  getSpecialExpensesAllowance,
+} = require('./deductions');
+const {
+  calculateChildBenefits,
+  getFamilyBenefitsForYear,
+} = require('./family');
+const { calculateGermanIncomeTax } = require('./progressive');
+const {
+  calculateGermanSocialInsurance,
+  calculateGermanSocialSecurity,
+} = require('./socialSecurity');
+const { calculateSolidaritySurcharge } = require('./solidarity');
+const {
+  calculateTradeTax,
+  calculateTradeTaxCredit,
+  getHebesatz,
+} = require('./tradeTax');
+const {
+  calculateMonthlyWageTax,
+  getTaxClassData,
+  normalizeTaxClass,
+} = require('./wageTax');
+
+class GermanyResidency extends TaxResidency {
+  constructor(referenceData) {
+    super(referenceData);
+    this.countryCode = 'DE';
+    this.countryName = 'Germany';
+  }
+
+  getCountryCode() {
+    return this.countryCode;
+  }
+
+  getCurrency() {
+    return 'EUR';
+  }
+
+  getFiscalYearMapping() {
+    return {
+      type: 'calendar',
+      startMonth: 1,
+      startDay: 1,
+      description: 'Calendar year (January 1 - December 31)',
+    };
+  }
+
+  getSpecialRegimeName() {
+    return 'None';
+  }
+
+  getOutputFields() {
+    return {
+      includeSolidarityTax: true,
+      includePersonalDeductions: true,
+      includeSocialSecurity: true,
+      includeForeignWithholding: true,
+      includeTaxType: true,
+      includeRegimeStatus: false,
+      regimeStatusLabel: 'SpecialRegimeStatus',
+    };
+  }
+
+  getDefaultCurrency() {
+    return 'EUR';
+  }
+
+  /**
+   * Whether income is assessed jointly with a spouse (Zusammenveranlagung),
+   * which applies the splitting tariff.
+   * @returns {boolean} True for joint assessment
+   */
+  isJointAssessment() {
+    return this.getSettings().JointAssessment;
+  }
+
+  /**
+   * Whether the employee pays the childless surcharge on care insurance
+   * (Kinderlosenzuschlag).
+   * @returns {boolean} True if childless
+   */
+  isChildless() {
+    return this.getSettings().Childless;
+  }
+
+  /**
+   * Church tax rate for the taxpayer. Members of a tax-levying church set
+   * `ChurchMember` and their `Land` in the simulation parameters.
+   * @param {number} year - Tax year
+   * @returns {number} Church tax rate (0 for non-members)
+   */
+  getChurchTaxRate(year) {
+    const settings = this.getSettings();
+    if (!settings.ChurchMember) {
+      return 0;
+    }
+
+    if (!settings.Land) {
+      throw new Error('Land simulation parameter is required for church tax');
+    }
+
+    return getChurchTaxRate(year, settings.Land, this.referenceData.churchTax);
+  }
+
+  /**
+   * Resolve whether freelance income is from a liberal profession
+   * (`professional`, Freiberufler) or a trade (`trade`, Gewerbebetrieb).
+   * Only trade income is subject to Gewerbesteuer.
+   * @param {Object} [options] - calculateTax options
+   * @returns {string} 'professional' or 'trade'
+   */
+  getFreelanceType(options = {}) {
+    const value =
+      options.freelanceType ??
+      options.incomeRecord?.FreelanceType ??
+      options.incomeRecord?.freelanceType ??
+      this.getSettings().FreelanceType;
+
+    if (value !== 'professional' && value !== 'trade') {
+      throw new Error(
+        `Invalid freelance type for Germany: ${value} (must be professional or trade)`
+      );
+    }
+
+    return value;
+  }
+
+  /**
+   * Municipal trade tax Hebesatz for the `Municipality` simulation parameter
+   * @param {number} year - Tax year
+   * @returns {number} Hebesatz in percent
+   */
+  getHebesatz(year) {
+    const municipality = this.getSettings().Municipality;
+    if (!municipality) {
+      throw new Error(
+        'Municipality simulation parameter is required for trade tax'
+      );
+    }
+
+    return getHebesatz(year, municipality, this.referenceData.tradeTaxRates);
+  }
+
+  /**
+   * Resolve the tax class (Steuerklasse) for an income record.
+   * The Income.csv `TaxClass` column takes precedence over the
+   * `TaxClass` simulation parameter; class I is the default.
+   * @param {Object} [incomeRecord] - Income record
+   * @returns {number} Tax class 1-6
+   */
+  getTaxClass(incomeRecord = {}) {
+    const value =
+      incomeRecord.TaxClass ??
+      incomeRecord.taxClass ??
+      this.getSettings().TaxClass;
+    return normalizeTaxClass(value);
+  }
+
+  /**
+   * Get deduction functions module for this residency
+   * @returns {Object} Deduction functions module
+   */
+  getDeductionsModule() {
+    return require('./deductions');
+  }
+
+  getRequiredReferenceFiles() {
+    return [
+      'TaxFormula.csv',
+      'SocialSecurity.csv',
+      'Deductions.csv',
+      'TaxClasses.csv',
+      'Solidarity.csv',
+    ];
+  }
+
+  getReferenceSchemas() {
+    return require('./schemas');
+  }
+
+  getReferenceFigures() {
+    return {
+      taxAmount: ['taxFormula', 'taxClasses', 'deductions', 'familyBenefits'],
+      socialSecurity: ['socialSecurity'],
+      solidarityTax: ['solidarity'],
+      churchTax: ['churchTax'],
+      tradeTax: ['tradeTax', 'tradeTaxRates'],
+    };
+  }
+
+  getSettingsSchema() {
+    return require('./settings');
+  }
+
+  /**
+   * Test if taxpayer is resident in Germany for the given year
+   * For MVP, assumes German residency if income records exist
+   * @param {number} year - Tax year
+   * @param {Object} data - Complete dataset
+   * @returns {Object} Residency test result
+   */
+  testResidency(year, data) {
+    const hasDEIncome = this._hasGermanIncome(year, data);
+
+    return {
+      isResident: hasDEIncome,
+      test: hasDEIncome ? 'income-presence' : 'no-income',
+    };
+  }
+
+  /**
+   * Check if taxpayer has a permanent home in Germany
+   * For MVP, returns true if there's German income
+   * @param {number} year - Tax year
+   * @param {Object} data - Complete dataset
+   * @returns {boolean} True if permanent home in Germany
+   */
+  hasPermanentHome(year, data) {
+    return this._hasGermanIncome(year, data);
+  }
+
+  /**
+   * Calculate strength of vital interests in Germany
+   * For MVP, returns high value if German income exists
+   * @param {number} year - Tax year
+   * @param {Object} data - Complete dataset
+   * @returns {number} Strength of vital interests (0-100)
+   */
+  calculateVitalInterestsStrength(year, data) {
+    return this._hasGermanIncome(year, data) ? 100 : 0;
+  }
+
+  _hasGermanIncome(year, data) {
+    return Boolean(
+      data.incomeRecords &&
+      data.incomeRecords.some(
+        r =>
+          (r.SourceCountry === 'DE' || r.sourceCountry === 'DE') &&
+          (r.Year === year || r.year === year)
+      )
+    );
+  }
+
+  getWithholdingRates() {
+    return {
+      employment: 'LOHNSTEUER',
+      freelance: 0,
+      dividend: 'ABGELTUNGSTEUER',
+    };
+  }
+
+  // --- Main Calculation Method ---
+
+  calculateTax(grossIncome, incomeType, options = {}) {
+    if (!this.referenceData) {
+      throw new Error('Reference data not set for GermanyResidency');
+    }
+
+    const { year, expenses = 0, incomeRecord, previousResults } = options;
+
+    switch (incomeType) {
+      case 'employment':
+      case 'pension':
+        return this.calculateEmploymentTax(
+          grossIncome,
+          year,
+          this.getTaxClass(incomeRecord),
+          this.getContributionHistory(
+            year,
+            incomeRecord?.month ?? incomeRecord?.Month,
+            previousResults
+          )
+        );
+
+      case 'freelance':
+        return this.calculateFreelanceTax(
+          grossIncome,
+          expenses,
+          year,
+          this.getFreelanceType(options)
+        );
+
+      case 'dividend':
+      case 'interest':
+        return this.calculateCapitalIncomeTax(grossIncome, year);
+
+      default:
+        throw new Error(`Unsupported income type: ${incomeType}`);
+    }
+  }
+
+  // --- Specific Tax Calculations ---
+
+  /**
+   * Employment income is a monthly payment subject to Lohnsteuer
+   * withholding by tax class. The final tax is settled by the annual
+   * assessment in calculateAnnualSummary(). Social insurance is charged
+   * up to the ceilings left by the earlier payments of the year
+   * (see getContributionHistory()).
+   */
+  calculateEmploymentTax(grossIncome, year, taxClass = 1, history = {}) {
+    const insurance = calculateGermanSocialInsurance(
+      grossIncome,
+      'employment',
+      year,
+      this.referenceData.socialSecurity,
+      { ...history, childless: this.isChildless() }
+    );
+    const socialSecurity = insurance.total;
+    const { taxableIncome, wageTax, annualWageTax } = calculateMonthlyWageTax(
+      grossIncome,
+      socialSecurity,
+      year,
+      taxClass,
+      this.referenceData
+    );
+
+    // Surcharges are withheld on the annualised Lohnsteuer as well
+    const toMonthly = amount => Math.floor((amount / 12) * 100) / 100;
+    const solidarityTax = toMonthly(
+      calculateSolidaritySurcharge(
+        annualWageTax,
+        year,
+        this.referenceData.solidarity,
+        { splitting: taxClass === 3 }
+      )
+    );
+    const churchTax = toMonthly(
+      calculateChurchTax(annualWageTax, this.getChurchTaxRate(year))
+    );
+
+    return {
+      taxType: 'LOHNSTEUER',
+      taxClass,
+      grossIncome,
+      taxableIncome,
+      taxAmount: wageTax,
+      socialSecurity,
+      pensionInsurance: insurance.pension,
+      unemploymentInsurance: insurance.unemployment,
+      healthInsurance: insurance.health,
+      careInsurance: insurance.care,
+      solidarityTax,
+      churchTax,
+      isExempt: false,
+      netIncome:
+        grossIncome - wageTax - solidarityTax - churchTax - socialSecurity,
+    };
+  }
+
+  /**
+   * Get the months with contributory pay and the pay charged per social
+   * insurance branch before a payment, by replaying the earlier
+   * employment results of the year in the order they were calculated.
+   * @param {number} year - Tax year
+   * @param {number} [month] - Month of the payment
+   * @param {Array} [previousResults=[]] - Earlier results of the period
+   * @returns {Object} { months, contributoryPay } for
+   *   calculateGermanSocialInsurance() (the defaults without a month)
+   */
+  getContributionHistory(year, month, previousResults = []) {
+    if (!month) return {};
+
+    const months = new Set();
+    const contributoryPay = {};
+    for (const result of previousResults) {
+      if (
+        result.taxType !== 'LOHNSTEUER' ||
+        result.year !== year ||
+        !(result.month <= month)
+      ) {
+        continue;
+      }
+      months.add(result.month);
+      const insurance = calculateGermanSocialInsurance(
+        result.grossIncome,
+        'employment',
+        year,
+        this.referenceData.socialSecurity,
+        { months: months.size, contributoryPay }
+      );
+      for (const [branch, pay] of Object.entries(insurance.contributoryPay)) {
+        contributoryPay[branch] = (contributoryPay[branch] || 0) + pay;
+      }
+    }
+    months.add(month);
+
+    return { months: months.size, contributoryPay };
+  }
+
+  /**
+   * Freelance income is a monthly profit taxed with the tariff as an
+   * estimate of the prepayments: the profit is annualised like the
+   * Lohnsteuer, less the Sonderausgaben-Pauschbetrag, and one twelfth of
+   * the tax is charged. Trade tax and its §35 credit are settled in the
+   * annual assessment.
+   */
+  calculateFreelanceTax(grossIncome, expenses, year, freelanceType) {
+    const socialSecurity = calculateGermanSocialSecurity(
+      grossIncome,
+      'freelance',
+      year,
+      this.referenceData.socialSecurity
+    );
+    const specialExpensesAllowance = getSpecialExpensesAllowance(
+      year,
+      this.referenceData.deductions
+    );
+    const joint = this.isJointAssessment();
+
+    const annualTaxableIncome = Math.max(
+      0,
+      (grossIncome - (expenses || 0)) * 12 - specialExpensesAllowance
+    );
+    const annualTax = calculateGermanIncomeTax(
+      annualTaxableIncome,
+      year,
+      this.referenceData.taxFormula,
+      joint
+    );
+
+    const toMonthly = amount => Math.floor((amount / 12) * 100) / 100;
+    const taxableIncome = annualTaxableIncome / 12;
+    const taxAmount = toMonthly(annualTax);
+    const solidarityTax = toMonthly(
+      calculateSolidaritySurcharge(
+        annualTax,
+        year,
+        this.referenceData.solidarity,
+        { splitting: joint }
+      )
+    );
+    const churchTax = toMonthly(
+      calculateChurchTax(annualTax, this.getChurchTaxRate(year))
+    );
+
+    return {
+      taxType: 'PROGRESSIVE',
+      taxableIncome,
+      taxAmount,
+      socialSecurity,
+      solidarityTax,
+      churchTax,
+      isExempt: false,
+      grossIncome,
+      freelanceType: freelanceType || 'professional',
+      expenses: expenses || 0,
+      netIncome:
+        grossIncome - taxAmount - solidarityTax - churchTax - socialSecurity,
+    };
+  }
+
+  /**
+   * Capital income (dividends, interest) is taxed separately from the
+   * tariff at the flat Abgeltungsteuer rate. Records are taxed before the
+   * saver's allowance, which the annual assessment deducts once for the
+   * year.
+   */
+  calculateCapitalIncomeTax(grossIncome, year) {
+    const churchTaxRate = this.getChurchTaxRate(year);
+    const rate = getCapitalIncomeRateWithChurchTax(
+      getCapitalIncomeRate(year, this.referenceData.deductions),
+      churchTaxRate
+    );
+
+    const taxableIncome = Math.max(0, grossIncome);
+    const taxAmount = taxableIncome * rate;
+    const solidarityTax = calculateSolidaritySurcharge(
+      taxAmount,
+      year,
+      this.referenceData.solidarity,
+      { flatRate: true }
+    );
+    const churchTax = calculateChurchTax(taxAmount, churchTaxRate);
+
+    return {
+      taxType: 'CAPITAL_FLAT',
+      taxableIncome,
+      taxAmount,
+      socialSecurity: 0,
+      solidarityTax,
+      churchTax,
+      isExempt: false,
+      grossIncome,
+      netIncome: grossIncome - taxAmount - solidarityTax - churchTax,
+    };
+  }
+
+  // --- Annual Assessment ---
+
+  /**
+   * Final annual assessment (Veranlagung) of the year's income.
+   * Employment and freelance income are taxed together with the tariff;
+   * capital income is taxed at the flat rate after one saver's allowance
+   * (doubled for joint assessment). Trade profit also bears trade tax,
+   * which is credited against the income tax (§35 EStG).
+   * @param {number} year - Tax year
+   * @param {Object} totals - Annual totals by income type
+   * @param {number} totals.employment - Gross employment income
+   * @param {number} totals.socialSecurity - Employee social contributions
+   * @param {number} totals.freelance - Gross professional (Freiberufler) income
+   * @param {number} totals.expenses - Professional expenses
+   * @param {number} totals.trade - Gross trade (Gewerbe) income
+   * @param {number} totals.tradeExpenses - Trade expenses
+   * @param {number} totals.capital - Dividends and interest
+   * @param {number} [taxClass=1] - Tax class (class II grants the single parent relief)
+   * @returns {Object} Assessed taxes; the income* fields exclude capital income
+   */
+  calculateAnnualAssessment(year, totals, taxClass = 1) {
+    const {
+      employment = 0,
+      socialSecurity = 0,
+      freelance = 0,
+      expenses = 0,
+      trade = 0,
+      tradeExpenses = 0,
+      capital = 0,
+    } = totals;
+    const deductions = this.referenceData.deductions;
+    const joint = this.isJointAssessment();
+
+    const employmentIncome =
+      employment - calculateEmployeeAllowance(employment, year, deductions);
+    const tradeProfit = Math.max(0, trade - tradeExpenses);
+    const freelanceIncome = Math.max(0, freelance - expenses) + tradeProfit;
+    const singleParentAllowance =
+      taxClass === 2
+        ? getTaxClassData(year, taxClass, this.referenceData.taxClasses)
+            .SingleParentAllowance || 0
+        : 0;
+
+    const taxableIncome = Math.max(
+      0,
+      employmentIncome +
+        freelanceIncome -
+        socialSecurity -
+        getSpecialExpensesAllowance(year, deductions) * (joint ? 2 : 1) -
+        singleParentAllowance
+    );
+    const tariff = income =>
+      employmentIncome + freelanceIncome > 0
+        ? calculateGermanIncomeTax(
+            income,
+            year,
+            this.referenceData.taxFormula,
+            joint
+          )
+        : 0;
+    const family = this.getAnnualAdjustments(taxableIncome, year);
+    const tariffTax = tariff(taxableIncome - family.childAllowance);
+
+    const tradeTaxResult = calculateTradeTax(
+      tradeProfit,
+      year,
+      this.referenceData.tradeTax,
+      tradeProfit > 0 ? this.getHebesatz(year) : 0
+    );
+    // Capped by the tariff tax: the Kindergeld added back is not tax on
+    // the trade income
+    const tradeTaxCredit = calculateTradeTaxCredit(
+      tradeTaxResult,
+      tariffTax,
+      tradeProfit / (employmentIncome + freelanceIncome || 1),
+      year,
+      this.referenceData.tradeTax
+    );
+    const incomeTax = tariffTax + family.childBenefitOffset - tradeTaxCredit;
+    // Surcharges always use the tax with child allowances (§3(2a) SolZG)
+    const surchargeBase = Math.max(
+      0,
+      tariff(taxableIncome - family.surchargeAllowance) - tradeTaxCredit
+    );
+
+    const churchTaxRate = this.getChurchTaxRate(year);
+
+    let capitalIncomeTax = 0;
+    if (capital > 0) {
+      const saverAllowance =
+        calculateSaverAllowance(capital, year, deductions) * (joint ? 2 : 1);
+      capitalIncomeTax =
+        Math.max(0, capital - saverAllowance) *
+        getCapitalIncomeRateWithChurchTax(
+          getCapitalIncomeRate(year, deductions),
+          churchTaxRate
+        );
+    }
+
+    const incomeSolidarityTax = calculateSolidaritySurcharge(
+      surchargeBase,
+      year,
+      this.referenceData.solidarity,
+      { splitting: joint }
+    );
+    const capitalSolidarityTax = calculateSolidaritySurcharge(
+      capitalIncomeTax,
+      year,
+      this.referenceData.solidarity,
+      { flatRate: true }
+    );
+
+    return {
+      taxableIncome,
+      incomeTax,
+      tradeTax: tradeTaxResult.tradeTax,
+      tradeTaxCredit,
+      capitalIncomeTax,
+      taxAmount: incomeTax + capitalIncomeTax,
+      incomeSolidarityTax,
+      solidarityTax: incomeSolidarityTax + capitalSolidarityTax,
+      incomeChurchTax: calculateChurchTax(surchargeBase, churchTaxRate),
+      churchTax: calculateChurchTax(
+        surchargeBase + capitalIncomeTax,
+        churchTaxRate
+      ),
+      childBenefit: family.childBenefit,
+      childAllowance: family.childAllowance,
+      elterngeldWarning: family.elterngeldWarning,
+    };
+  }
+
+  /**
+   * Annual family adjustments to the assessment.
+   *
+   * Günstigerprüfung: the child allowances replace the Kindergeld when the
+   * tax saving exceeds it; the Kindergeld already paid is then added back
+   * to the income tax. Without joint assessment each parent is entitled to
+   * half of the allowances and half of the Kindergeld is offset.
+   *
+   * Also flags when the taxable income exceeds the Elterngeld income limit.
+   * @param {number} taxableIncome - Taxable income before child allowances
+   * @param {number} year - Tax year
+   * @returns {Object} { childBenefit, childAllowance, childBenefitOffset,
+   *   surchargeAllowance, elterngeldWarning }
+   */
+  getAnnualAdjustments(taxableIncome, year) {
+    const adjustments = {
+      childBenefit: 0,
+      childAllowance: 0,
+      childBenefitOffset: 0,
+      surchargeAllowance: 0,
+      elterngeldWarning: null,
+    };
+    const dependants = this.referenceData.dependants || [];
+    const familyBenefits = this.referenceData.familyBenefits;
+
+    if (dependants.length === 0 && !familyBenefits) {
+      return adjustments;
+    }
+
+    const data = getFamilyBenefitsForYear(year, familyBenefits);
+
+    if (
+      data.ElterngeldIncomeLimit &&
+      taxableIncome > data.ElterngeldIncomeLimit
+    ) {
+      adjustments.elterngeldWarning = `Taxable income ${taxableIncome.toFixed(2)} exceeds the Elterngeld income limit of ${data.ElterngeldIncomeLimit}`;
+    }
+
+    const benefits = calculateChildBenefits(dependants, year, familyBenefits);
+    if (benefits.children === 0) {
+      return adjustments;
+    }
+
+    const joint = this.isJointAssessment();
+    const share = joint ? 1 : 0.5;
+    const allowance = benefits.childAllowance * share;
+    const offset = benefits.childBenefit * share;
+    const tariff = income =>
+      calculateGermanIncomeTax(
+        income,
+        year,
+        this.referenceData.taxFormula,
+        joint
+      );
+    const saving = tariff(taxableIncome) - tariff(taxableIncome - allowance);
+
+    adjustments.childBenefit = benefits.childBenefit;
+    adjustments.surchargeAllowance = allowance;
+    if (saving > offset) {
+      adjustments.childAllowance = allowance;
+      adjustments.childBenefitOffset = offset;
+    }
+
+    return adjustments;
+  }
+
+  /**
+   * Annual summary comparing the Lohnsteuer withheld during the year with
+   * the final assessment. TaxSettlement is the balance of the annual
+   * return on the tariff income, including the solidarity surcharge and
+   * church tax: positive for an additional payment, negative for a refund.
+   * Capital income tax is final at source.
+   * @param {Object} period - Residency period
+   * @param {Array} monthlyResults - Per-record results
+   * @returns {Object} Annual summary
+   */
+  calculateAnnualSummary(period, monthlyResults) {
+    const totals = {
+      employment: 0,
+      socialSecurity: 0,
+      freelance: 0,
+      expenses: 0,
+      trade: 0,
+      tradeExpenses: 0,
+      capital: 0,
+    };
+    const insurance = { pension: 0, unemployment: 0, health: 0, care: 0 };
+    let totalGross = 0;
+    let totalSocialSecurity = 0;
+    let taxWithheld = 0;
+    let surchargesWithheld = 0;
+    let taxClass = null;
+
+    for (const result of monthlyResults) {
+      const grossIncome = parseFloat(result.grossIncome ?? result.amount ?? 0);
+      const socialSecurity = parseFloat(result.socialSecurity || 0);
+
+      totalGross += grossIncome;
+      totalSocialSecurity += socialSecurity;
+      insurance.pension += parseFloat(result.pensionInsurance || 0);
+      insurance.unemployment += parseFloat(result.unemploymentInsurance || 0);
+      insurance.health += parseFloat(result.healthInsurance || 0);
+      insurance.care += parseFloat(result.careInsurance || 0);
+
+      switch (result.incomeType) {
+        case 'employment':
+        case 'pension':
+          totals.employment += grossIncome;
+          totals.socialSecurity += socialSecurity;
+          taxWithheld += parseFloat(result.taxAmount || 0);
+          surchargesWithheld +=
+            parseFloat(result.solidarityTax || 0) +
+            parseFloat(result.churchTax || 0);
+          taxClass = taxClass ?? result.taxClass;
+          break;
+
+        case 'freelance':
+          if (result.freelanceType === 'trade') {
+            totals.trade += grossIncome;
+            totals.tradeExpenses += parseFloat(result.expenses || 0);
+          } else {
+            totals.freelance += grossIncome;
+            totals.expenses += parseFloat(result.expenses || 0);
+          }
+          break;
+
+        case 'dividend':
+        case 'interest':
+          totals.capital += grossIncome;
+          break;
+      }
+    }
+
+    const assessment = this.calculateAnnualAssessment(
+      period.year,
+      totals,
+      taxClass ?? this.getTaxClass()
+    );
+    const adjustmentFields = {};
+    if (assessment.childBenefit > 0) {
+      adjustmentFields.ChildBenefit = assessment.childBenefit.toFixed(2);
+      adjustmentFields.ChildAllowance = assessment.childAllowance.toFixed(2);
+    }
+    if (assessment.elterngeldWarning) {
+      adjustmentFields.ElterngeldWarning = assessment.elterngeldWarning;
+    }
+
+    const taxSettlement =
+      assessment.incomeTax +
+      assessment.incomeSolidarityTax +
+      assessment.incomeChurchTax -
+      taxWithheld -
+      surchargesWithheld;
+
+    return {
+      Year: period.year,
+      ResidencyCountry: period.country,
+      GrossIncome: totalGross.toFixed(2),
+      TaxableIncome: assessment.taxableIncome.toFixed(2),
+      TaxAmount: assessment.taxAmount.toFixed(2),
+      TaxWithheld: taxWithheld.toFixed(2),
+      TaxSettlement: taxSettlement.toFixed(2),
+      SocialSecurity: totalSocialSecurity.toFixed(2),
+      PensionInsurance: insurance.pension.toFixed(2),
+      UnemploymentInsurance: insurance.unemployment.toFixed(2),
+      HealthInsurance: insurance.health.toFixed(2),
+      CareInsurance: insurance.care.toFixed(2),
+      PersonalDeductions: (0).toFixed(2),
+      SolidarityTax: assessment.solidarityTax.toFixed(2),
+      ChurchTax: assessment.churchTax.toFixed(2),
+      TradeTax: assessment.tradeTax.toFixed(2),
+      TradeTaxCredit: assessment.tradeTaxCredit.toFixed(2),
+      NetIncome: (
+        totalGross +
+        assessment.childBenefit -
+        assessment.taxAmount -
+        assessment.tradeTax -
+        assessment.solidarityTax -
+        assessment.churchTax -
+        totalSocialSecurity
+      ).toFixed(2),
+      SpecialRegimeStatus: period.specialRegimeStatus
+        ? period.specialRegimeStatus.regime || 'Standard'
+        : 'Standard',
+      ...adjustmentFields,
+    };
+  }
+
+  calculateWithholdingForIncome(
+    _grossIncome,
+    _incomeType,
+    _sourceCountry,
+    _year
+  ) {
+    return 0;
+  }
+
+  getSocialSecurityAmount(grossIncome, incomeType, _freelanceType, year) {
+    if (!this.referenceData) {
+      throw new Error('Reference data not set for GermanyResidency');
+    }
+
+    return calculateGermanSocialSecurity(
+      grossIncome,
+      incomeType,
+      year,
+      this.referenceData.socialSecurity,
+      { childless: this.isChildless() }
+    );
+  }
+}
+
+module.exports = GermanyResidency;
@@ -0,0 +1,101 @@
+/**
+ * @module schemas
+ * Germany Reference File Schemas
+ *
+ * Column definitions of the CSV files in a DE/ data directory
+ * (see lib/schemas.js for the column types).
+ */
+
+const YEAR = { type: 'integer', required: true };
+const AMOUNT = { type: 'number' };
+
+module.exports = {
+  'TaxFormula.csv': {
+    Year: YEAR,
+    Zone: { type: 'integer', required: true },
+    MinIncome: { type: 'number', required: true },
+    MaxIncome: AMOUNT,
+    Offset: AMOUNT,
+    Divisor: AMOUNT,
+    Quadratic: AMOUNT,
+    Linear: AMOUNT,
+    Constant: AMOUNT,
+  },
+  'SocialSecurity.csv': {
+    Year: YEAR,
+    Branch: {
+      type: 'string',
+      required: true,
+      values: ['pension', 'unemployment', 'health', 'care'],
+      key: true,
+    },
+    EmployeeRate: { type: 'number', required: true },
+    AdditionalRate: AMOUNT,
+    ChildlessSurcharge: AMOUNT,
+    AnnualCeiling: AMOUNT,
+  },
+  'Deductions.csv': {
+    Year: YEAR,
+    EmployeeAllowance: AMOUNT,
+    SpecialExpensesAllowance: AMOUNT,
+    SaverAllowance: AMOUNT,
+    CapitalIncomeRate: AMOUNT,
+  },
+  'TaxClasses.csv': {
+    Year: YEAR,
+    TaxClass: {
+      type: 'integer',
+      required: true,
+      values: [1, 2, 3, 4, 5, 6],
+      key: true,
+    },
+    Tariff: {
+      type: 'string',
+      required: true,
+      values: ['basic', 'splitting', 'secondary'],
+    },
+    EmployeeAllowance: AMOUNT,
+    SpecialExpensesAllowance: AMOUNT,
+    SingleParentAllowance: AMOUNT,
+    Limit1: AMOUNT,
+    Limit2: AMOUNT,
+    Limit3: AMOUNT,
+    MinimumRate: AMOUNT,
+    MarginalRate: AMOUNT,
+    TopRate: AMOUNT,
+  },
+  'Solidarity.csv': {
+    Year: YEAR,
+    Rate: { type: 'number', required: true },
+    Threshold: AMOUNT,
+    MitigationRate: AMOUNT,
+  },
+  'ChurchTax.csv': {
+    Year: YEAR,
+    Land: { type: 'string', required: true, key: true },
+    Rate: { type: 'number', required: true },
+  },
+  'TradeTax.csv': {
+    Year: YEAR,
+    Allowance: AMOUNT,
+    BaseRate: { type: 'number', required: true },
+    CreditFactor: AMOUNT,
+  },
+  'TradeTaxRates.csv': {
+    Year: YEAR,
+    Municipality: { type: 'string', required: true, key: true },
+    Hebesatz: { type: 'number', required: true },
+  },
+  'FamilyBenefits.csv': {
+    Year: YEAR,
+    ChildBenefit: AMOUNT,
+    ChildAllowance: AMOUNT,
+    ChildBenefitAgeLimit: { type: 'integer' },
+    ElterngeldIncomeLimit: AMOUNT,
+  },
+  'Dependants.csv': {
+    Name: { type: 'string' },
+    BirthDate: { type: 'date', required: true },
+    EligibleUntil: { type: 'date' },
+  },
+};
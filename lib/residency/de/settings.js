@@ -0,0 +1,22 @@
+/**
+ * @module settings
+ * Germany Simulation Parameters
+ *
+ * Parameters of DE/SimulationParameters.csv beyond the common ones
+ * (see SIMULATION_PARAMETERS in lib/schemas.js and docs/de.md).
+ */
+
+module.exports = {
+  JointAssessment: { type: 'boolean', default: false },
+  Childless: { type: 'boolean', default: false },
+  ChurchMember: { type: 'boolean', default: false },
+  Land: { type: 'string' },
+  FreelanceType: {
+    type: 'string',
+    values: ['professional', 'trade'],
+    default: 'professional',
+  },
+  Municipality: { type: 'string' },
+  // Steuerklasse 1-6 or I-VI
+  TaxClass: { type: 'any', default: 1 },
+};
@@ -0,0 +1,138 @@
+/**
+ * @module deSocialSecurity
+ * German Statutory Social Insurance Calculator (Sozialversicherung)
+ *
+ * Employee contributions are computed per branch, each on the wage up to
+ * the branch's contribution ceiling (Beitragsbemessungsgrenze):
+ * - pension (Rentenversicherung) and unemployment (Arbeitslosenversicherung)
+ * - health (Krankenversicherung), plus the employee half of the
+ *   Zusatzbeitrag as AdditionalRate
+ * - care (Pflegeversicherung), plus the childless surcharge paid by
+ *   employees without children
+ *
+ * The ceilings apply to the pay of the year so far: a payment is charged
+ * up to AnnualCeiling / 12 for each month with contributory pay, less the
+ * pay already charged in those months. Several payments in a month share
+ * its ceiling, and a one-off payment uses the ceiling earlier months left
+ * unused (anteilige Jahres-BBG).
+ *
+ * Rules:
+ * - Employment/Pension: Per-branch employee contributions
+ * - Freelance: 0 (self-employed are not compulsorily insured)
+ * - Dividend/Interest: No social insurance
+ *
+ * Rates and ceilings are loaded from SocialSecurity.csv.
+ */
+
+const { getTemporalRows } = require('../../temporal');
+
+const BRANCHES = ['pension', 'unemployment', 'health', 'care'];
+
+/**
+ * Get the social insurance branches applicable to a year
+ * @param {number} year - Tax year
+ * @param {Array} socialSecurityData - SocialSecurity.csv rows
+ * @returns {Array} Branch rows of the most recent year <= target
+ * @throws {Error} If no data applies to the year
+ */
+function getSocialSecurityDataForYear(year, socialSecurityData) {
+  const rows = getTemporalRows(socialSecurityData || [], year);
+  if (rows.length === 0) {
+    throw new Error(`No social security data found for year ${year}`);
+  }
+  return rows;
+}
+
+/**
+ * Calculate employee social insurance contributions per branch
+ * @param {number} grossIncome - Gross monthly income
+ * @param {string} incomeType - Income type
+ * @param {number} year - Tax year
+ * @param {Array} socialSecurityData - SocialSecurity.csv rows
+ * @param {Object} [options] - Calculation options
+ * @param {boolean} [options.childless=false] - Apply the care insurance childless surcharge
+ * @param {number} [options.months=1] - Months of the year so far with
+ *   contributory pay, including the month of this payment
+ * @param {Object} [options.contributoryPay={}] - Pay already charged in
+ *   those months per branch
+ * @returns {Object} { pension, unemployment, health, care, total,
+ *   contributoryPay }: contributoryPay is the pay charged per branch
+ */
+function calculateGermanSocialInsurance(
+  grossIncome,
+  incomeType,
+  year,
+  socialSecurityData,
+  { childless = false, months = 1, contributoryPay = {} } = {}
+) {
+  const contributions = { pension: 0, unemployment: 0, health: 0, care: 0 };
+  const charged = { pension: 0, unemployment: 0, health: 0, care: 0 };
+
+  if (
+    !grossIncome ||
+    grossIncome <= 0 ||
+    (incomeType !== 'employment' && incomeType !== 'pension')
+  ) {
+    return { ...contributions, total: 0, contributoryPay: charged };
+  }
+
+  for (const branch of getSocialSecurityDataForYear(year, socialSecurityData)) {
+    if (!BRANCHES.includes(branch.Branch)) continue;
+
+    const ceiling = branch.AnnualCeiling
+      ? Math.max(
+          0,
+          (branch.AnnualCeiling / 12) * months -
+            (contributoryPay[branch.Branch] || 0)
+        )
+      : Infinity;
+    const rate =
+      (branch.EmployeeRate || 0) +
+      (branch.AdditionalRate || 0) +
+      (childless ? branch.ChildlessSurcharge || 0 : 0);
+
+    charged[branch.Branch] = Math.min(grossIncome, ceiling);
+    contributions[branch.Branch] = charged[branch.Branch] * rate;
+  }
+
+  return {
+    ...contributions,
+    total:
+      contributions.pension +
+      contributions.unemployment +
+      contributions.health +
+      contributions.care,
+    contributoryPay: charged,
+  };
+}
+
+/**
+ * Calculate total employee social insurance contributions
+ * @param {number} grossIncome - Gross monthly income
+ * @param {string} incomeType - Income type
+ * @param {number} year - Tax year
+ * @param {Array} socialSecurityData - SocialSecurity.csv rows
+ * @param {Object} [options] - See calculateGermanSocialInsurance()
+ * @returns {number} Total contributions
+ */
+function calculateGermanSocialSecurity(
+  grossIncome,
+  incomeType,
+  year,
+  socialSecurityData,
+  options = {}
+) {
+  return calculateGermanSocialInsurance(
+    grossIncome,
+    incomeType,
+    year,
+    socialSecurityData,
+    options
+  ).total;
+}
+
+module.exports = {
+  calculateGermanSocialInsurance,
+  calculateGermanSocialSecurity,
+  getSocialSecurityDataForYear,
+};
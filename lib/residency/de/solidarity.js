@@ -0,0 +1,61 @@
+/**
+ * @module deSolidarity
+ * German Solidarity Surcharge (Solidaritätszuschlag)
+ *
+ * SolZ is levied at a flat rate on the income tax, but only once the tax
+ * exceeds an exemption threshold (Freigrenze, doubled for the splitting
+ * tariff). Just above the threshold the surcharge is capped at a share of
+ * the excess (Milderungszone), so it phases in instead of jumping.
+ *
+ * Capital income tax (Abgeltungsteuer) is surcharged without threshold.
+ *
+ * Rates and thresholds are loaded from Solidarity.csv.
+ */
+
+const { getTemporalMatch } = require('../../temporal');
+
+function getSolidarityDataForYear(year, solidarityData) {
+  const data = getTemporalMatch(solidarityData || [], year);
+  if (!data) {
+    throw new Error(`No solidarity surcharge data found for year ${year}`);
+  }
+  return data;
+}
+
+/**
+ * Calculate the solidarity surcharge on an income tax amount
+ * @param {number} incomeTax - Income tax (or annual Lohnsteuer)
+ * @param {number} year - Tax year
+ * @param {Array} solidarityData - Solidarity.csv rows
+ * @param {Object} [options] - Calculation options
+ * @param {boolean} [options.splitting=false] - Double the threshold (splitting tariff)
+ * @param {boolean} [options.flatRate=false] - No threshold (capital income tax)
+ * @returns {number} Surcharge amount
+ */
+function calculateSolidaritySurcharge(
+  incomeTax,
+  year,
+  solidarityData,
+  { splitting = false, flatRate = false } = {}
+) {
+  if (!incomeTax || incomeTax <= 0) return 0;
+
+  const data = getSolidarityDataForYear(year, solidarityData);
+
+  if (flatRate) {
+    return incomeTax * data.Rate;
+  }
+
+  const threshold = (data.Threshold || 0) * (splitting ? 2 : 1);
+  if (incomeTax <= threshold) return 0;
+
+  return Math.min(
+    incomeTax * data.Rate,
+    (incomeTax - threshold) * data.MitigationRate
+  );
+}
+
+module.exports = {
+  calculateSolidaritySurcharge,
+  getSolidarityDataForYear,
+};
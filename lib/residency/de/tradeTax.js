@@ -0,0 +1,113 @@
+/**
+ * @module deTradeTax
+ * German Trade Tax (Gewerbesteuer)
+ *
+ * Trade income of a Gewerbetreibender is subject to municipal trade tax;
+ * Freiberufler (liberal professions) are exempt. For individuals:
+ *
+ * - Trade income is rounded down to full 100 euros, less the allowance
+ * - Base amount (Messbetrag) = income × BaseRate (Steuermesszahl)
+ * - Trade tax = Messbetrag × the municipal Hebesatz
+ *
+ * Trade tax is credited against income tax (§35 EStG) up to CreditFactor ×
+ * Messbetrag, limited to the trade tax actually due and to the income tax
+ * attributable to the trade income.
+ *
+ * Federal parameters are loaded from TradeTax.csv, Hebesätze (in percent)
+ * from TradeTaxRates.csv keyed by Municipality.
+ */
+
+const { getTemporalMatch } = require('../../temporal');
+
+function getTradeTaxDataForYear(year, tradeTaxData) {
+  const data = getTemporalMatch(tradeTaxData || [], year);
+  if (!data) {
+    throw new Error(`No trade tax data found for year ${year}`);
+  }
+  return data;
+}
+
+/**
+ * Get the municipal Hebesatz
+ * @param {number} year - Tax year
+ * @param {string} municipality - Municipality name
+ * @param {Array} tradeTaxRateData - TradeTaxRates.csv rows
+ * @returns {number} Hebesatz in percent (e.g. 490)
+ * @throws {Error} If no Hebesatz is found for the municipality
+ */
+function getHebesatz(year, municipality, tradeTaxRateData) {
+  const data = getTemporalMatch(
+    tradeTaxRateData || [],
+    year,
+    'Municipality',
+    municipality
+  );
+  if (!data) {
+    throw new Error(
+      `No trade tax Hebesatz found for ${municipality} in year ${year}`
+    );
+  }
+  return data.Hebesatz;
+}
+
+/**
+ * Calculate trade tax on the annual trade profit
+ * @param {number} tradeProfit - Annual trade profit
+ * @param {number} year - Tax year
+ * @param {Array} tradeTaxData - TradeTax.csv rows
+ * @param {number} hebesatz - Municipal Hebesatz in percent
+ * @returns {Object} { tradeIncome, baseAmount, tradeTax }
+ */
+function calculateTradeTax(tradeProfit, year, tradeTaxData, hebesatz) {
+  if (!tradeProfit || tradeProfit <= 0) {
+    return { tradeIncome: 0, baseAmount: 0, tradeTax: 0 };
+  }
+
+  const data = getTradeTaxDataForYear(year, tradeTaxData);
+
+  const tradeIncome = Math.max(
+    0,
+    Math.floor(tradeProfit / 100) * 100 - (data.Allowance || 0)
+  );
+  const baseAmount = tradeIncome * data.BaseRate;
+
+  return {
+    tradeIncome,
+    baseAmount,
+    tradeTax: baseAmount * (hebesatz / 100),
+  };
+}
+
+/**
+ * Calculate the §35 EStG trade tax credit against income tax
+ * @param {Object} tradeTaxResult - Result of calculateTradeTax()
+ * @param {number} incomeTax - Income tax before the credit
+ * @param {number} tradeShare - Share of trade profit in the total income (0-1)
+ * @param {number} year - Tax year
+ * @param {Array} tradeTaxData - TradeTax.csv rows
+ * @returns {number} Credit amount
+ */
+function calculateTradeTaxCredit(
+  tradeTaxResult,
+  incomeTax,
+  tradeShare,
+  year,
+  tradeTaxData
+) {
+  if (!tradeTaxResult.baseAmount || incomeTax <= 0) return 0;
+
+  const data = getTradeTaxDataForYear(year, tradeTaxData);
+
+  return Math.min(
+    tradeTaxResult.baseAmount * data.CreditFactor,
+    tradeTaxResult.tradeTax,
+    incomeTax * tradeShare
+  );
+}
+
+module.exports = {
+  calculateTradeTax,
+  calculateTradeTaxCredit,
+  getHebesatz,
+  getTradeTaxDataForYear,
+};
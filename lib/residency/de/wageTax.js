@@ -0,0 +1,192 @@
+/**
+ * @module deWageTax
+ * German Wage Tax Withholding (Lohnsteuer)
+ *
+ * Employers withhold Lohnsteuer monthly according to the employee's tax
+ * class (Steuerklasse). The monthly wage is annualised, reduced by the
+ * class allowances and the employee's social contributions, taxed with
+ * the class tariff and divided back into twelve instalments:
+ *
+ * - Class I / IV: basic tariff
+ * - Class II: basic tariff with the single parent relief
+ * - Class III: splitting tariff
+ * - Class V / VI: secondary tariff (§39b(2) EStG)
+ *
+ * The final liability is settled by the annual assessment, so withholding
+ * and assessment can differ (refund or additional payment).
+ *
+ * Class parameters are loaded from TaxClasses.csv.
+ */
+
+const { getTemporalMatch } = require('../../temporal');
+const { calculateGermanIncomeTax } = require('./progressive');
+
+const ROMAN_TAX_CLASSES = { I: 1, II: 2, III: 3, IV: 4, V: 5, VI: 6 };
+
+/**
+ * Normalize a tax class given as a number (1-6) or Roman numeral (I-VI)
+ * @param {number|string} value - Tax class
+ * @returns {number} Tax class 1-6
+ * @throws {Error} If the tax class is invalid
+ */
+function normalizeTaxClass(value) {
+  const taxClass =
+    typeof value === 'string' && ROMAN_TAX_CLASSES[value.trim().toUpperCase()]
+      ? ROMAN_TAX_CLASSES[value.trim().toUpperCase()]
+      : Number(value);
+
+  if (!Number.isInteger(taxClass) || taxClass < 1 || taxClass > 6) {
+    throw new Error(`Invalid tax class: ${value} (must be 1-6 or I-VI)`);
+  }
+
+  return taxClass;
+}
+
+function getTaxClassData(year, taxClass, taxClassData) {
+  const data = getTemporalMatch(taxClassData || [], year, 'TaxClass', taxClass);
+  if (!data) {
+    throw new Error(
+      `No tax class data found for class ${taxClass} in year ${year}`
+    );
+  }
+  return data;
+}
+
+/**
+ * Secondary tariff for classes V and VI (§39b(2) sentence 7 EStG):
+ * twice the difference between the tax on 125% and 75% of the income,
+ * at least the minimum rate, with fixed marginal rates above the limits.
+ */
+function calculateSecondaryTariff(taxableIncome, year, taxFormulaData, data) {
+  const base = income => {
+    const difference =
+      2 *
+      (calculateGermanIncomeTax(income * 1.25, year, taxFormulaData) -
+        calculateGermanIncomeTax(income * 0.75, year, taxFormulaData));
+    return Math.max(Math.floor(income * data.MinimumRate), difference);
+  };
+
+  const income = Math.floor(taxableIncome);
+
+  if (income > data.Limit2) {
+    const atLimit2 = base(data.Limit2);
+    if (income > data.Limit3) {
+      return Math.floor(
+        atLimit2 +
+          (data.Limit3 - data.Limit2) * data.MarginalRate +
+          (income - data.Limit3) * data.TopRate
+      );
+    }
+    return Math.floor(atLimit2 + (income - data.Limit2) * data.MarginalRate);
+  }
+
+  const tax = base(income);
+  if (income > data.Limit1) {
+    const capped = Math.floor(
+      base(data.Limit1) + (income - data.Limit1) * data.MarginalRate
+    );
+    return Math.min(tax, capped);
+  }
+
+  return tax;
+}
+
+/**
+ * Calculate annual wage tax for an annual wage in a tax class
+ * @param {number} annualWage - Annual gross wage
+ * @param {number} annualSocialSecurity - Employee social contributions for the year
+ * @param {number} year - Tax year
+ * @param {number} taxClass - Tax class 1-6
+ * @param {Object} referenceData - DE reference data (taxClasses, taxFormula)
+ * @returns {Object} { taxableIncome, wageTax }
+ */
+function calculateAnnualWageTax(
+  annualWage,
+  annualSocialSecurity,
+  year,
+  taxClass,
+  referenceData
+) {
+  const data = getTaxClassData(year, taxClass, referenceData.taxClasses);
+
+  const taxableIncome = Math.max(
+    0,
+    annualWage -
+      Math.min(data.EmployeeAllowance || 0, annualWage) -
+      (data.SpecialExpensesAllowance || 0) -
+      (data.SingleParentAllowance || 0) -
+      annualSocialSecurity
+  );
+
+  let wageTax;
+  switch (data.Tariff) {
+    case 'splitting':
+      wageTax = calculateGermanIncomeTax(
+        taxableIncome,
+        year,
+        referenceData.taxFormula,
+        true
+      );
+      break;
+
+    case 'secondary':
+      wageTax = calculateSecondaryTariff(
+        taxableIncome,
+        year,
+        referenceData.taxFormula,
+        data
+      );
+      break;
+
+    default:
+      wageTax = calculateGermanIncomeTax(
+        taxableIncome,
+        year,
+        referenceData.taxFormula
+      );
+  }
+
+  return { taxableIncome, wageTax };
+}
+
+/**
+ * Calculate the Lohnsteuer withheld from a monthly wage payment
+ * @param {number} monthlyWage - Gross wage paid in the month
+ * @param {number} monthlySocialSecurity - Employee social contributions for the month
+ * @param {number} year - Tax year
+ * @param {number} taxClass - Tax class 1-6
+ * @param {Object} referenceData - DE reference data (taxClasses, taxFormula)
+ * @returns {Object} { taxableIncome, wageTax, annualWageTax } for the month
+ */
+function calculateMonthlyWageTax(
+  monthlyWage,
+  monthlySocialSecurity,
+  year,
+  taxClass,
+  referenceData
+) {
+  if (!monthlyWage || monthlyWage <= 0) {
+    return { taxableIncome: 0, wageTax: 0, annualWageTax: 0 };
+  }
+
+  const annual = calculateAnnualWageTax(
+    monthlyWage * 12,
+    monthlySocialSecurity * 12,
+    year,
+    taxClass,
+    referenceData
+  );
+
+  return {
+    taxableIncome: annual.taxableIncome / 12,
+    wageTax: Math.floor((annual.wageTax / 12) * 100) / 100,
+    annualWageTax: annual.wageTax,
+  };
+}
+
+module.exports = {
+  calculateAnnualWageTax,
+  calculateMonthlyWageTax,
+  getTaxClassData,
+  normalizeTaxClass,
+};
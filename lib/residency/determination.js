@@ -14,10 +14,83 @@
  * // Manual override for complex case
  * const taxResidency = {
  *   '2025': { country: 'PT', method: 'manual' },
+ *   '2024': [
+ *     { country: 'GB', method: 'manual', startMonth: 1, startDay: 1, endMonth: 6, endDay: 30 },
+ *     { country: 'PT', method: 'manual', startMonth: 7, startDay: 1, endMonth: 12, endDay: 31 },
+ *   ],
  *   '2026': { country: 'GB', method: 'tie-breaker-vital-interests', dualResident: ['PT', 'GB'] }
  * };
  */
 
+const {
+  formatTaxYear,
+  getPresenceLedger,
+  getRecordDate,
+  getTaxYearOf,
+  getTaxYearRange,
+  toDate,
+  toDayNumber,
+} = require('./presence');
+
+/**
+ * Fields of a residency period that give its dates within its year
+ */
+const PERIOD_DATES = [
+  'startMonth',
+  'startDay',
+  'endMonth',
+  'endDay',
+  'startDate',
+  'endDate',
+];
+
+/**
+ * Give a day range to a residency period, taking it from the segments
+ * that cover it
+ *
+ * @param {Array} segments - Date-ordered { from, to, period } day ranges
+ * @param {Object} claim - { from, to, period } day range
+ * @returns {Array} Date-ordered segments
+ */
+function coverDays(segments, claim) {
+  const covered = [];
+  for (const segment of segments) {
+    if (segment.to < claim.from || segment.from > claim.to) {
+      covered.push(segment);
+      continue;
+    }
+    if (segment.from < claim.from) {
+      covered.push({ ...segment, to: claim.from - 1 });
+    }
+    if (segment.to > claim.to) {
+      covered.push({ ...segment, from: claim.to + 1 });
+    }
+  }
+  covered.push(claim);
+  return covered.sort((a, b) => a.from - b.from);
+}
+
+/**
+ * Find the day ranges of a calendar year no segment covers
+ *
+ * @param {Array} segments - Date-ordered { from, to } day ranges
+ * @param {number} year - Calendar year
+ * @returns {Array} { from, to } day ranges
+ */
+function findGaps(segments, year) {
+  const last = toDayNumber(`${year}-12-31`);
+  const gaps = [];
+  let day = toDayNumber(`${year}-01-01`);
+  for (const segment of segments) {
+    if (segment.to < day) continue;
+    if (segment.from > last) break;
+    if (segment.from > day) gaps.push({ from: day, to: segment.from - 1 });
+    day = segment.to + 1;
+  }
+  if (day <= last) gaps.push({ from: day, to: last });
+  return gaps;
+}
+
 class ResidencyDetermination {
   /**
    * @param {Map} countries - Map of CountryCode → TaxResidency instance
@@ -28,166 +101,326 @@ class ResidencyDetermination {
 
   /**
    * Determine tax residency for all years in dataset
-   * Auto-detects split-year from location data when person permanently relocates
+   * Splits the years the resident country applies split-year treatment to
+   *
+   * Besides the calendar years of the data, the tax years its dates fall
+   * in under each country's fiscal year are determined when a country
+   * claims them, so UK income of March 2025 is covered by tax year 2024.
+   * A calendar year no country claims is left out when the tax years
+   * determined before it cover all of its records.
    *
    * @param {Object} data - Complete dataset with location, work, accommodation, income
-   * @param {Object} manualOverrides - TaxResidency.csv data (optional)
-   * @returns {Map} Year → ResidencyPeriod[] or Year → ResidencyPeriod
+   * @param {Object} manualOverrides - TaxResidency.csv data (optional):
+   *   Year → ResidencyPeriod, or ResidencyPeriod[] for a split year
+   * @returns {Map} Year → ResidencyPeriod[]
    */
   determineResidency(data, manualOverrides) {
     const years = this.getUniqueYears(data);
+    const taxYears = this.getTaxYearsOfDates(data);
     const residencyByYear = new Map();
 
-    for (const year of years) {
+    for (const year of Array.from(new Set([...years, ...taxYears])).sort(
+      (a, b) => a - b
+    )) {
       // Check manual override first
-      if (manualOverrides && manualOverrides[year]) {
-        residencyByYear.set(year, [manualOverrides[year]]);
+      const override = manualOverrides && manualOverrides[year];
+      if (override) {
+        residencyByYear.set(
+          year,
+          Array.isArray(override) ? override : [override]
+        );
         continue;
       }
 
-      // Auto-detect split-year from location data
-      const splitYear = this.detectSplitYear(year, data.location);
+      const required =
+        years.includes(year) &&
+        !this.isCoveredYear(year, data, residencyByYear, manualOverrides);
+      const residency = this.determineForYear(year, data, { required });
+      if (!residency) continue;
 
-      if (splitYear) {
-        // Process each period separately
-        const periods = [];
-        for (const period of splitYear) {
-          const residency = this.determineForPeriod(period, data);
-          periods.push(residency);
-        }
-        residencyByYear.set(year, periods);
-      } else {
-        // Full year - single residency determination
-        const residency = this.determineForYear(year, data);
-        residencyByYear.set(year, [residency]);
-      }
+      // Full year, split when the resident country applies split-year
+      // treatment
+      residencyByYear.set(year, this.splitYear(year, residency, data));
     }
 
     return residencyByYear;
   }
 
   /**
-   * Detect split-year from location data
-   * Identifies permanent relocation between countries
+   * Get the tax years the dates of a dataset fall in under the fiscal
+   * year of each country (see TaxResidency.getFiscalYearMapping())
    *
-   * @param {number} year - Target year
-   * @param {Array} locationData - Location tracking data
-   * @returns {Array|null} Split-year periods or null if no change detected
+   * @param {Object} data - Complete dataset
+   * @returns {Array} Sorted list of tax years
    */
-  detectSplitYear(year, locationData) {
-    const sortedLocations = (locationData || [])
-      .filter(loc => new Date(loc.Date).getFullYear() === year)
-      .sort((a, b) => new Date(a.Date) - new Date(b.Date));
-
-    // Look for permanent relocation pattern
-    const relocations = [];
-    let currentCountry = null;
-
-    for (const location of sortedLocations) {
-      if (
-        location.LocationType === 'Travel' &&
-        location.FromCountry !== location.ToCountry
-      ) {
-        // Potential relocation
-        if (currentCountry && currentCountry !== location.ToCountry) {
-          relocations.push({
-            from: currentCountry,
-            to: location.ToCountry,
-            date: location.Date,
-            previousCountry: location.FromCountry,
-          });
-        }
-        currentCountry = location.ToCountry;
-      } else if (location.LocationType === 'Residence') {
-        // Current country established
-        currentCountry = location.ToCountry;
-      }
+  getTaxYearsOfDates(data) {
+    const dates = this.getDates(data);
+    const years = new Set();
+    for (const residencyImpl of this.countries.values()) {
+      const fiscalYear = residencyImpl.getFiscalYearMapping();
+      dates.forEach(date => years.add(getTaxYearOf(date, fiscalYear)));
     }
+    return Array.from(years).sort((a, b) => a - b);
+  }
 
-    // Filter out single-day travels
-    const filteredRelocations = relocations.filter(reloc => {
-      // Must have at least 30 days between relocations
-      const daysDiff =
-        (new Date(reloc.date) - new Date(reloc.previousDate)) /
-        (1000 * 60 * 24);
-      return daysDiff >= 30;
-    });
-
-    if (filteredRelocations.length === 0) {
-      return null; // No permanent relocation detected
-    }
+  /**
+   * Whether the periods determined so far cover every record of a
+   * calendar year; records without a date (accommodation rows, income
+   * records without a month) are never covered
+   *
+   * @param {number} year - Calendar year
+   * @param {Object} data - Complete dataset
+   * @param {Map} residencyByYear - Year → ResidencyPeriod[] determined so far
+   * @param {Object} manualOverrides - TaxResidency.csv data (optional)
+   * @returns {boolean} Whether the year's records are covered
+   */
+  isCoveredYear(year, data, residencyByYear, manualOverrides) {
+    const undated = [
+      ...(data.accommodation || []),
+      ...(data.income || []),
+      ...(data.incomeRecords || []).filter(record => !getRecordDate(record)),
+    ];
+    if (undated.some(row => (row.Year ?? row.year) === year)) return false;
+
+    const ranges = Array.from(residencyByYear).flatMap(([taxYear, periods]) =>
+      periods.map(period =>
+        this.getPeriodRange(
+          taxYear,
+          period,
+          Boolean(manualOverrides && manualOverrides[taxYear])
+        )
+      )
+    );
+    const dates = this.getDates(data).filter(
+      date => Number(date.slice(0, 4)) === year
+    );
+    return (
+      dates.length > 0 &&
+      dates.every(date =>
+        ranges.some(range => date >= range.from && date <= range.to)
+      )
+    );
+  }
 
-    // Find the first permanent relocation
-    const permanentRelocation = filteredRelocations[0];
+  /**
+   * Get the dates of a dataset's location, work and income rows
+   *
+   * @param {Object} data - Complete dataset
+   * @returns {Array} ISO dates (income records without a month have none)
+   */
+  getDates(data) {
+    return [
+      ...(data.location || []).map(row => row.Date),
+      ...(data.workActivity || []).map(row => row.Date),
+      ...(data.incomeRecords || []).map(getRecordDate),
+    ].filter(Boolean);
+  }
 
-    if (!permanentRelocation) {
-      throw new Error(
-        `Cannot determine split-year for ${year}. ` +
-          `Expected permanent relocation but none detected in Location.csv. ` +
-          `Add a relocation entry showing permanent move from ${permanentRelocation.from} to ${permanentRelocation.to} on ${permanentRelocation.date}.`
-      );
+  /**
+   * Split a year's residency into periods when the resident country
+   * applies split-year treatment (see TaxResidency.getSplitYear())
+   *
+   * Each part covers its dates in the tax year of the resident country.
+   * The overseas part goes to the country with the most nights in it, or
+   * to no period when no other country has any.
+   *
+   * @param {number} year - Tax year
+   * @param {Object} residency - Full-year residency from determineForYear()
+   * @param {Object} data - Complete dataset
+   * @returns {Array} Residency periods in date order, each with its
+   *   `startDate` and `endDate` and the `splitYear` of the country
+   *   ({ case, leaving, overseasPart, ukPart })
+   */
+  splitYear(year, residency, data) {
+    const split = this.countries
+      .get(residency.country)
+      .getSplitYear(year, data);
+    if (!split) return [residency];
+
+    const overseasCountry = this.findOverseasCountry(
+      split.overseasPart,
+      residency.country,
+      data
+    );
+    return [
+      {
+        ...residency,
+        method: 'split-year',
+        splitYear: split,
+        startDate: split.ukPart.from,
+        endDate: split.ukPart.to,
+      },
+      overseasCountry && {
+        year,
+        country: overseasCountry,
+        method: 'split-year',
+        splitYear: split,
+        startDate: split.overseasPart.from,
+        endDate: split.overseasPart.to,
+      },
+    ]
+      .filter(Boolean)
+      .sort((a, b) => a.startDate.localeCompare(b.startDate));
+  }
+
+  /**
+   * Determine residency periods by tax year of the resident country
+   *
+   * Each year's periods from determineResidency() cover their dates:
+   * manual overrides with dates the calendar dates in their year,
+   * split-year parts their `startDate` - `endDate`, and other periods
+   * the tax year of their country (see
+   * TaxResidency.getFiscalYearMapping()). Later years take over the
+   * dates they share with earlier ones. Income of a calendar year
+   * determined automatically that no period covers stays with the
+   * country of the period right before it, or else the period after.
+   *
+   * The periods are then cut at the tax years of their country, so UK
+   * residency from 1 January to 5 April 2025 is a period of tax year
+   * 2024 ('2024/25'). Periods starting after the last calendar year in
+   * the data are left out: no record falls in them.
+   *
+   * @param {Object} data - Complete dataset with location, work, accommodation, income
+   * @param {Object} manualOverrides - TaxResidency.csv data (optional),
+   *   as for determineResidency()
+   * @returns {Array} Residency periods in date order, each with its tax
+   *   `year`, `taxYear` label (see formatTaxYear()), `startDate` and
+   *   `endDate` (ISO dates)
+   */
+  determinePeriods(data, manualOverrides) {
+    const residencyByYear = this.determineResidency(data, manualOverrides);
+    const years = Array.from(residencyByYear.keys()).sort((a, b) => a - b);
+
+    let segments = [];
+    for (const year of years) {
+      const manual = Boolean(manualOverrides && manualOverrides[year]);
+      for (const period of residencyByYear.get(year)) {
+        const { from, to } = this.getPeriodRange(year, period, manual);
+        segments = coverDays(segments, {
+          from: toDayNumber(from),
+          to: toDayNumber(to),
+          period,
+        });
+      }
     }
 
-    // Create split-year periods
+    // Income no period covers stays with the country next to it
+    const calendarYears = this.getUniqueYears(data);
+    const incomeDays = (data.incomeRecords || [])
+      .map(getRecordDate)
+      .filter(Boolean)
+      .map(toDayNumber);
+    for (const year of calendarYears) {
+      if (manualOverrides && manualOverrides[year]) continue;
+      for (const gap of findGaps(segments, year)) {
+        if (!incomeDays.some(day => day >= gap.from && day <= gap.to)) {
+          continue;
+        }
+        const neighbour =
+          segments.find(segment => segment.to === gap.from - 1) ||
+          segments.find(segment => segment.from > gap.to);
+        if (neighbour) {
+          segments = coverDays(segments, { ...neighbour, ...gap });
+        }
+      }
+    }
+
+    /** @type {Array<Object>} */
     const periods = [];
-    let currentPeriod = {
-      startYear: year,
-      startMonth: 1,
-      startDay: 1,
-      country: permanentRelocation.from,
-      startDate: permanentRelocation.date,
-    };
-
-    // Find when relocation happened
-    let relocationDate = new Date(permanentRelocation.date);
-    while (relocationDate.getFullYear() < year) {
-      relocationDate = new Date(
-        relocationDate.getFullYear() + 1,
-        relocationDate.getMonth(),
-        relocationDate.getDate()
+    for (const { from, to, period } of segments) {
+      const fiscalYear =
+        this.countries.get(period.country)?.getFiscalYearMapping() || {};
+      const residency = Object.fromEntries(
+        Object.entries(period).filter(([key]) => !PERIOD_DATES.includes(key))
       );
-    }
 
-    const relocationMonth = permanentRelocation.date.getMonth();
-    const relocationDay = permanentRelocation.date.getDate();
-
-    // First period: January 1 - relocation day in old country
-    if (relocationMonth < 7) {
-      currentPeriod.endMonth = 12;
-      currentPeriod.endYear = year - 1;
-      currentPeriod.endDay = 31;
-    } else {
-      currentPeriod.endMonth = relocationMonth;
-      currentPeriod.endYear = year;
-      currentPeriod.endDay = relocationDay;
+      for (let day = from; day <= to; ) {
+        const year = getTaxYearOf(toDate(day), fiscalYear);
+        const end = Math.min(
+          to,
+          toDayNumber(getTaxYearRange(year, fiscalYear).to)
+        );
+        const last = periods[periods.length - 1];
+
+        if (
+          last &&
+          last.country === period.country &&
+          last.year === year &&
+          toDayNumber(last.endDate) === day - 1
+        ) {
+          last.endDate = toDate(end);
+        } else {
+          periods.push({
+            ...residency,
+            year,
+            taxYear: formatTaxYear(year, fiscalYear),
+            startDate: toDate(day),
+            endDate: toDate(end),
+          });
+        }
+        day = end + 1;
+      }
     }
 
-    periods.push(currentPeriod);
-
-    // Second period: day after relocation in new country
-    let secondPeriodStart = new Date(year, relocationMonth, relocationDay + 1);
+    // Only years in the data determine residency: the rest of a last
+    // split year abroad falls in a later tax year of no period
+    const lastDay = `${calendarYears[calendarYears.length - 1]}-12-31`;
+    return periods.filter(period => period.startDate <= lastDay);
+  }
 
-    if (relocationMonth === 12) {
-      secondPeriodStart = new Date(year + 1, 0, 1); // January 1 of next year
-    } else {
-      secondPeriodStart = new Date(year, relocationMonth, 1, relocationDay);
+  /**
+   * Get the dates a year's residency period covers (see determinePeriods())
+   *
+   * @param {number} year - Year the period was determined for
+   * @param {Object} period - Residency period
+   * @param {boolean} manual - Whether the period is a manual override
+   * @returns {Object} { from, to } ISO dates
+   */
+  getPeriodRange(year, period, manual) {
+    if (period.startDate && period.endDate) {
+      return { from: period.startDate, to: period.endDate };
+    }
+    if (manual && PERIOD_DATES.some(key => period[key] != null)) {
+      const pad = value => String(value).padStart(2, '0');
+      const {
+        startMonth = 1,
+        startDay = 1,
+        endMonth = 12,
+        endDay = 31,
+      } = period;
+      return {
+        from: `${year}-${pad(startMonth)}-${pad(startDay)}`,
+        to: `${year}-${pad(endMonth)}-${pad(endDay)}`,
+      };
     }
+    return getTaxYearRange(
+      year,
+      this.countries.get(period.country)?.getFiscalYearMapping()
+    );
+  }
 
-    const secondPeriod = {
-      startYear: year,
-      startMonth: secondPeriodStart.getMonth() + 1,
-      startDay: secondPeriodStart.getDate(),
-      country: permanentRelocation.to,
-      startDate: secondPeriodStart,
-      endDate: new Date(year, 11, 30),
-      endYear: year,
-      endMonth: 10,
-      endDay: 30,
-    };
-
-    periods.push(secondPeriod);
-
-    return periods;
+  /**
+   * Find the country of the overseas part of a split year: the country
+   * with an implementation and the most nights in it
+   *
+   * @param {Object} part - Overseas part { from, to }
+   * @param {string} splitCountry - Country applying split-year treatment
+   * @param {Object} data - Dataset with location
+   * @returns {string|null} Country code
+   */
+  findOverseasCountry(part, splitCountry, data) {
+    const ledger = getPresenceLedger(data);
+    let best = null;
+    let bestDays = 0;
+    for (const countryCode of this.countries.keys()) {
+      if (countryCode === splitCountry) continue;
+      const days = ledger.countDays(countryCode, part.from, part.to);
+      if (days > bestDays) {
+        best = countryCode;
+        bestDays = days;
+      }
+    }
+    return best;
   }
 
   /**
@@ -195,9 +428,13 @@ class ResidencyDetermination {
    *
    * @param {number} year - Tax year
    * @param {Object} data - Complete dataset
-   * @returns {Object} Residency period
+   * @param {Object} [options]
+   * @param {boolean} [options.required=true] - Throw when no country
+   *   claims the year; otherwise return null
+   * @returns {Object|null} Residency period, with the `evidence` of the
+   *   residency test when the country reports it
    */
-  determineForYear(year, data) {
+  determineForYear(year, data, { required = true } = {}) {
     // Ask each country: "Is taxpayer resident in you?"
     const residentCountries = [];
 
@@ -211,15 +448,18 @@ class ResidencyDetermination {
 
     // Handle results
     if (residentCountries.length === 0) {
+      if (!required) return null;
       throw new Error(`No tax residency determined for ${year}`);
     }
 
     if (residentCountries.length === 1) {
+      const { result } = residentCountries[0];
       return {
         year,
         country: residentCountries[0].country,
         method: 'automatic',
-        test: residentCountries[0].result.test,
+        test: result.test,
+        ...(result.evidence && { evidence: result.evidence }),
       };
     }
 
@@ -274,7 +514,7 @@ class ResidencyDetermination {
     const daysByCountry = residentCountries
       .map(r => ({
         country: r.country,
-        days: this.countDaysInCountry(year, r.country, data.location),
+        days: this.countDaysInCountry(year, r.country, data),
       }))
       .sort((a, b) => b.days - a.days);
 
@@ -296,30 +536,23 @@ class ResidencyDetermination {
   }
 
   /**
-   * Count days in country - generic helper
+   * Count days in country from the presence ledger
+   *
+   * Each country counts by its own ResidencyDayCountingMethod and fiscal
+   * year (see TaxResidency.countDaysPresent()); countries without an
+   * implementation count overnight days in the calendar year.
    *
    * @param {number} year - Tax year
    * @param {string} countryCode - Country code
-   * @param {Array} locationData - Location tracking data
+   * @param {Object} data - Dataset with location
    * @returns {number} Days present in country
    */
-  countDaysInCountry(year, countryCode, locationData) {
-    // Default implementation - can be overridden by country
-    let days = 0;
-
-    const countryLocations = (locationData || []).filter(
-      loc => loc.Country === countryCode && loc.LocationType === 'Residence'
-    );
-
-    for (const location of countryLocations) {
-      const locDate = new Date(location.Date);
-      if (locDate.getFullYear() === year) {
-        // Count days with overnight stays
-        days += 1;
-      }
+  countDaysInCountry(year, countryCode, data) {
+    const residencyImpl = this.countries.get(countryCode);
+    if (residencyImpl) {
+      return residencyImpl.countDaysPresent(year, data);
     }
-
-    return days;
+    return getPresenceLedger(data).countDaysInTaxYear(countryCode, year);
   }
 
   /**
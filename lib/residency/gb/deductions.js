@@ -5,6 +5,8 @@
  * Handles UK-specific deductions like personal allowance and trading allowance.
  */
 
+const { getExactMatch } = require('../../temporal');
+
 /**
  * Calculate UK trading allowance for freelance income
  * @param {number} grossIncome - Gross freelance income
@@ -13,9 +15,9 @@
  * @returns {number} Trading allowance amount
  */
 function calculateUKTradingAllowance(grossIncome, year, deductions) {
-  const tradingData = deductions.find(
-    d => d.Year === year && d.Type === 'TradingAllowance'
-  );
+  const tradingData = getExactMatch(deductions, year, {
+    Type: 'TradingAllowance',
+  });
 
   if (!tradingData) {
     throw new Error(`Trading allowance data not found for year ${year}`);
@@ -40,9 +42,9 @@ function calculateUKTradingAllowance(grossIncome, year, deductions) {
  * @returns {number} Dividend allowance amount
  */
 function calculateUKDividendAllowance(grossIncome, year, deductions) {
-  const dividendData = deductions.find(
-    d => d.Year === year && d.Type === 'DividendAllowance'
-  );
+  const dividendData = getExactMatch(deductions, year, {
+    Type: 'DividendAllowance',
+  });
 
   if (!dividendData) {
     throw new Error(`Dividend allowance data not found for year ${year}`);
@@ -98,12 +100,10 @@ function calculateUKPersonalSavingsAllowance(
     return 0;
   }
 
-  const psaData = deductions.find(
-    d =>
-      d.Year === year &&
-      d.Type === 'PersonalSavingsAllowance' &&
-      d.TaxBand === taxBand
-  );
+  const psaData = getExactMatch(deductions, year, {
+    Type: 'PersonalSavingsAllowance',
+    TaxBand: taxBand,
+  });
 
   if (!psaData) {
     throw new Error(
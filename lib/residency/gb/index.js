@@ -9,10 +9,14 @@ const deductions = require('./deductions');
 const nationalInsurance = require('./nationalInsurance');
 const progressive = require('./progressive');
 const GBResidency = require('./residency');
+const splitYear = require('./splitYear');
+const statutoryResidence = require('./statutoryResidence');
 
 module.exports = {
   ...deductions,
   ...nationalInsurance,
   ...progressive,
+  ...splitYear,
+  ...statutoryResidence,
   GBResidency,
 };
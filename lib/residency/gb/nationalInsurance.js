@@ -5,6 +5,8 @@
  * Calculates UK National Insurance contributions for different income types.
  */
 
+const { getExactMatch, getExactRows } = require('../../temporal');
+
 /**
  * Calculate UK National Insurance for employment income (Class 1)
  * @param {number} grossIncome - Gross employment income
@@ -13,7 +15,7 @@
  * @returns {number} NI amount
  */
 function calculateUKEmploymentNI(grossIncome, year, niData) {
-  const class1Data = niData.filter(ni => ni.Year === year && ni.Class == 1);
+  const class1Data = getExactRows(niData, year, { Class: 1 });
 
   if (class1Data.length === 0) {
     throw new Error(`Class 1 NI data not found for year ${year}`);
@@ -51,8 +53,8 @@ function calculateUKEmploymentNI(grossIncome, year, niData) {
  * @returns {Object} NI breakdown {class2, class4, total}
  */
 function calculateUKFreelanceNI(grossIncome, year, niData) {
-  const class2Data = niData.find(ni => ni.Year === year && ni.Class == 2);
-  const class4Data = niData.filter(ni => ni.Year === year && ni.Class == 4);
+  const class2Data = getExactMatch(niData, year, { Class: 2 });
+  const class4Data = getExactRows(niData, year, { Class: 4 });
 
   if (!class2Data || class4Data.length === 0) {
     throw new Error(`Class 2 or Class 4 NI data not found for year ${year}`);
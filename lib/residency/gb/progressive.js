@@ -16,6 +16,8 @@
  * in calculateUKPersonalAllowance(), not as a separate tax bracket.
  */
 
+const { getExactMatch, getExactRows } = require('../../temporal');
+
 /**
  * Calculate UK income tax using progressive tax bands
  * @param {number} taxableIncome - Taxable income after personal allowance
@@ -24,7 +26,7 @@
  * @returns {number} Tax amount
  */
 function calculateUKProgressiveTax(taxableIncome, year, taxBands) {
-  const bands = taxBands.filter(band => band.Year === year);
+  const bands = getExactRows(taxBands, year);
 
   if (bands.length === 0) {
     throw new Error(`No tax bands found for year ${year}`);
@@ -76,9 +78,9 @@ function calculateUKProgressiveTax(taxableIncome, year, taxBands) {
  * @returns {number} Personal allowance amount
  */
 function calculateUKPersonalAllowance(grossIncome, year, deductions) {
-  const deductionData = deductions.find(
-    d => d.Year === year && d.Type === 'PersonalAllowance'
-  );
+  const deductionData = getExactMatch(deductions, year, {
+    Type: 'PersonalAllowance',
+  });
 
   if (!deductionData) {
     throw new Error(`Personal allowance data not found for year ${year}`);
@@ -6,7 +6,9 @@
  * All tax rules loaded from reference data (no hardcoded values).
  */
 
+const { getExactMatch, getExactRows } = require('../../temporal');
 const { TaxResidency } = require('../base');
+const { getRecordDate, getTaxYearRange } = require('../presence');
 const {
   calculateUKTradingAllowance,
   calculateUKDividendAllowance,
@@ -20,6 +22,16 @@ const {
   calculateUKProgressiveTax,
   calculateUKPersonalAllowance,
 } = require('./progressive');
+const { testSplitYear } = require('./splitYear');
+const { testStatutoryResidence } = require('./statutoryResidence');
+
+/**
+ * TaxBrackets.csv Region of each Region setting (null: rest of the UK)
+ */
+const BRACKET_REGIONS = {
+  default: null,
+  scotland: 'Scottish',
+};
 
 class GBResidency extends TaxResidency {
   constructor(referenceData) {
@@ -75,63 +87,126 @@ class GBResidency extends TaxResidency {
     return require('./deductions');
   }
 
+  getRequiredReferenceFiles() {
+    return ['TaxBrackets.csv', 'Deductions.csv', 'SocialSecurity.csv'];
+  }
+
+  getReferenceSchemas() {
+    return require('./schemas');
+  }
+
+  getReferenceFigures() {
+    return {
+      taxAmount: ['taxBrackets', 'deductions'],
+      socialSecurity: ['socialSecurity'],
+    };
+  }
+
+  getSettingsSchema() {
+    return require('./settings');
+  }
+
   /**
-   * Test if taxpayer is resident in the UK for the given year
-   * For MVP, assumes UK residency if income records exist
+   * Test if taxpayer is resident in the UK for the tax year starting in
+   * the given year with the Statutory Residence Test (see
+   * ./statutoryResidence). Without Location.csv, WorkActivity.csv and
+   * Accommodation.csv rows, or with ResidencyTestSRT off, UK income for
+   * the year is taken as residence.
    * @param {number} year - Tax year
    * @param {Object} data - Complete dataset
-   * @returns {Object} Residency test result
+   * @returns {Object} Residency test result with the deciding `test` and
+   *   the `evidence` (tests passed, ties counted)
    */
   testResidency(year, data) {
-    const hasGBIncome =
-      data.incomeRecords &&
-      data.incomeRecords.some(
-        r =>
-          (r.SourceCountry === 'GB' || r.sourceCountry === 'GB') &&
-          (r.Year === year || r.year === year)
-      );
+    const settings = this.getSettings();
+    if (!settings.ResidencyTestSRT || !this._hasPresenceData(data)) {
+      const hasGBIncome = this._hasUKIncome(year, data);
+      return {
+        isResident: hasGBIncome,
+        test: hasGBIncome ? 'income-presence' : 'no-income',
+      };
+    }
 
-    return {
-      isResident: hasGBIncome,
-      test: hasGBIncome ? 'income-presence' : 'no-income',
-    };
+    return testStatutoryResidence(
+      year,
+      data,
+      settings,
+      this.getFiscalYearMapping()
+    );
   }
 
   /**
-   * Check if taxpayer has a permanent home in the UK
-   * For MVP, returns true if there's UK income
+   * Split a UK resident tax year into its overseas and UK parts under
+   * Cases 1-8 of the split-year rules (see ./splitYear). Needs the
+   * Statutory Residence Test and presence data.
+   * @param {number} year - Tax year
+   * @param {Object} data - Complete dataset
+   * @returns {Object|null} { case, leaving, overseasPart, ukPart }, or
+   *   null for a whole year
+   */
+  getSplitYear(year, data) {
+    const settings = this.getSettings();
+    if (!settings.ResidencyTestSRT || !this._hasPresenceData(data)) {
+      return null;
+    }
+    return testSplitYear(year, data, settings, this.getFiscalYearMapping());
+  }
+
+  /**
+   * Check if taxpayer has a permanent home in the UK: an Accommodation.csv
+   * row for GB marked IsPermanentHome available in the tax year (UK
+   * income for the year without Accommodation.csv rows)
    * @param {number} year - Tax year
    * @param {Object} data - Complete dataset
    * @returns {boolean} True if permanent home in the UK
    */
   hasPermanentHome(year, data) {
-    return (
-      data.incomeRecords &&
-      data.incomeRecords.some(
-        r =>
-          (r.SourceCountry === 'GB' || r.sourceCountry === 'GB') &&
-          (r.Year === year || r.year === year)
-      )
+    if ((data.accommodation || []).length === 0) {
+      return this._hasUKIncome(year, data);
+    }
+
+    const { from, to } = getTaxYearRange(year, this.getFiscalYearMapping());
+    return data.accommodation.some(
+      row =>
+        row.Country === 'GB' &&
+        row.IsPermanentHome === true &&
+        row.AvailableFrom <= to &&
+        row.AvailableTo >= from
     );
   }
 
   /**
-   * Calculate strength of vital interests in the UK
-   * For MVP, returns high value if UK income exists
+   * Calculate strength of vital interests in the UK from economic ties:
+   * the share of the year's income records from UK sources
    * @param {number} year - Tax year
    * @param {Object} data - Complete dataset
    * @returns {number} Strength of vital interests (0-100)
    */
   calculateVitalInterestsStrength(year, data) {
-    const hasGBIncome =
-      data.incomeRecords &&
-      data.incomeRecords.some(
-        r =>
-          (r.SourceCountry === 'GB' || r.sourceCountry === 'GB') &&
-          (r.Year === year || r.year === year)
-      );
+    return this.getIncomeShare(year, data);
+  }
+
+  _hasPresenceData(data) {
+    return ['location', 'workActivity', 'accommodation'].some(
+      key => (data[key] || []).length > 0
+    );
+  }
 
-    return hasGBIncome ? 100 : 0;
+  /**
+   * Whether UK-sourced income falls in the tax year (see
+   * getRecordDate()); records without a month count for the tax year
+   * starting in their Year
+   * @param {number} year - Tax year
+   * @param {Object} data - Dataset with incomeRecords
+   * @returns {boolean} Whether there is UK income in the tax year
+   */
+  _hasUKIncome(year, data) {
+    const { from, to } = getTaxYearRange(year, this.getFiscalYearMapping());
+    return (data.incomeRecords || []).some(r => {
+      if (r.SourceCountry !== 'GB' && r.sourceCountry !== 'GB') return false;
+      const date = getRecordDate(r);
+      return date ? date >= from && date <= to : (r.Year ?? r.year) === year;
+    });
   }
 
   getWithholdingRates() {
@@ -212,6 +287,14 @@ class GBResidency extends TaxResidency {
 
   // --- Main Calculation Method ---
 
+  /**
+   * Calculate tax for income with given parameters
+   * @param {number} grossIncome - Gross income amount
+   * @param {string} incomeType - Type of income
+   * @param {Object} options - Calculation options; the TaxBrackets.csv
+   *   Region (region) defaults to the one of the Region setting
+   * @returns {Object} Tax calculation result
+   */
   calculateTax(grossIncome, incomeType, options = {}) {
     if (!this.referenceData) {
       throw new Error('Reference data not set for UKResidency');
@@ -224,7 +307,7 @@ class GBResidency extends TaxResidency {
       freelanceType,
       expenses,
       aggregate = false,
-      region,
+      region = BRACKET_REGIONS[this.getSettings().Region],
       allocatedPersonalAllowance,
     } = options;
 
@@ -295,29 +378,32 @@ class GBResidency extends TaxResidency {
   // --- Helper for Tax Brackets ---
 
   _getShiftedTaxBrackets(year, type, region = null) {
-    let brackets = this.referenceData.taxBrackets.filter(
-      b => b.IncomeType === type
-    );
+    let brackets = getExactRows(this.referenceData.taxBrackets, year, {
+      IncomeType: type,
+    });
 
+    // Regional rows replace the UK-wide ones for their region only
     if (
-      region &&
       brackets.some(
         b => b.Region !== undefined && b.Region !== null && b.Region !== ''
       )
     ) {
-      const regionSpecific = brackets.filter(b => b.Region === region);
-      if (regionSpecific.length > 0) {
-        brackets = regionSpecific;
-      }
+      const regionSpecific = region
+        ? brackets.filter(b => b.Region === region)
+        : [];
+      brackets =
+        regionSpecific.length > 0
+          ? regionSpecific
+          : brackets.filter(b => !b.Region);
     }
 
     if (type !== 'income') {
       return brackets;
     }
 
-    const stdPADeduction = this.referenceData.deductions.find(
-      d => d.Year == year && d.Type === 'PersonalAllowance'
-    );
+    const stdPADeduction = getExactMatch(this.referenceData.deductions, year, {
+      Type: 'PersonalAllowance',
+    });
     const stdPA = stdPADeduction ? parseFloat(stdPADeduction.Amount) : 0;
 
     return brackets
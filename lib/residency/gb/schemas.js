@@ -0,0 +1,45 @@
+/**
+ * @module schemas
+ * United Kingdom Reference File Schemas
+ *
+ * Column definitions of the CSV files in a GB/ data directory
+ * (see lib/schemas.js for the column types).
+ */
+
+const YEAR = { type: 'integer', required: true };
+const TAX_BAND = { type: 'string' };
+
+module.exports = {
+  'TaxBrackets.csv': {
+    Year: YEAR,
+    IncomeType: { type: 'string', required: true, key: true },
+    MinIncome: { type: 'number', required: true },
+    MaxIncome: { type: 'number' },
+    Rate: { type: 'number', required: true },
+    TaxBand: TAX_BAND,
+    Region: { type: 'string', key: true },
+  },
+  'Deductions.csv': {
+    Year: YEAR,
+    Type: { type: 'string', required: true, key: true },
+    Amount: { type: 'number', required: true },
+    TaxBand: TAX_BAND,
+    MaxIncome: { type: 'number' },
+    ReductionThreshold: { type: 'number' },
+    ReductionRate: { type: 'number' },
+  },
+  'SocialSecurity.csv': {
+    Year: YEAR,
+    Class: {
+      type: 'integer',
+      required: true,
+      values: [1, 2, 3, 4],
+      key: true,
+    },
+    Threshold: { type: 'number' },
+    UpperThreshold: { type: 'number' },
+    Rate: { type: 'number' },
+    SmallProfitThreshold: { type: 'number' },
+    WeeklyRate: { type: 'number' },
+  },
+};
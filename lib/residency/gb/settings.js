@@ -0,0 +1,33 @@
+/**
+ * @module settings
+ * United Kingdom Simulation Parameters
+ *
+ * Parameters of GB/SimulationParameters.csv beyond the common ones
+ * (see SIMULATION_PARAMETERS in lib/schemas.js).
+ */
+
+const TIE = { type: 'boolean', default: true };
+
+module.exports = {
+  ResidencyTestSRT: { type: 'boolean', default: true },
+  SRT_AutoOverseasDaysThreshold: { type: 'integer', default: 16 },
+  SRT_AutoOverseasArriverDaysThreshold: { type: 'integer', default: 46 },
+  SRT_AutoUKDaysThreshold: { type: 'integer', default: 183 },
+  SRT_TiesRequired: TIE,
+  SRT_FamilyTieRequired: TIE,
+  SRT_AccommodationTieRequired: TIE,
+  SRT_WorkTieRequired: TIE,
+  SRT_90DayTieRequired: TIE,
+  SRT_CountryTieRequired: TIE,
+  // Family tie: a spouse, civil partner or minor child resident in the UK
+  SRT_FamilyInUK: { type: 'boolean', default: false },
+  // Split-year Cases 2 and 7: the day the overseas (Case 1) or UK (Case 6)
+  // part of the spouse or civil partner's split year starts
+  SRT_PartnerSplitYearDate: { type: 'date' },
+  // Income tax bands: rest of the UK or Scottish
+  Region: {
+    type: 'string',
+    values: ['default', 'scotland'],
+    default: 'default',
+  },
+};
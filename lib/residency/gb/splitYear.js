@@ -0,0 +1,445 @@
+/**
+ * @module splitYear
+ * UK Split-Year Treatment (Finance Act 2013, Schedule 45, Part 3)
+ *
+ * A UK resident tax year is split into an overseas part and a UK part
+ * when one of eight cases applies. Leaving the UK (resident in the
+ * previous tax year, not resident in the next):
+ * - Case 1: starting full-time work overseas
+ * - Case 2: the partner of someone starting full-time work overseas
+ * - Case 3: ceasing to have a UK home
+ * Arriving in the UK (resident in the next tax year):
+ * - Case 4: starting to have the only home in the UK
+ * - Case 5: starting full-time work in the UK
+ * - Case 6: ceasing full-time work overseas
+ * - Case 7: the partner of someone ceasing full-time work overseas
+ * - Case 8: starting to have a home in the UK
+ *
+ * When several cases apply, the order of priority of paragraph 55
+ * decides: Case 1, then the earlier of Cases 2 and 3 for leavers; Case 6,
+ * Case 7, then the earliest of Cases 5, 4 and 8 for arrivers.
+ *
+ * Days, work and homes are read as by the Statutory Residence Test (see
+ * statutoryResidence.js). The permitted limits of the overseas part
+ * (90 UK days and 30 UK work days) are reduced by one twelfth for each
+ * whole month of the tax year outside it.
+ *
+ * Simplifications: the partner cases take the date the partner's split
+ * year changes parts from the SRT_PartnerSplitYearDate setting and the
+ * person's move from the presence ledger; the arriving cases do not check
+ * the sufficient ties test for the overseas part; a sufficient link with
+ * the overseas country (Case 3) is an overseas home or six months spent
+ * there, not residence under its law.
+ */
+
+const {
+  getPresenceLedger,
+  getTaxYearRange,
+  toDate,
+  toDayNumber,
+} = require('../presence');
+const {
+  FULL_TIME_HOURS,
+  countWorkDays,
+  findFullTimeUKWork,
+  getWorkHoursByDay,
+  testStatutoryResidence,
+  wasResident,
+} = require('./statutoryResidence');
+
+/**
+ * Descriptions of the split-year cases by number
+ */
+const SPLIT_YEAR_CASES = {
+  1: 'Starting full-time work overseas',
+  2: 'Partner of someone starting full-time work overseas',
+  3: 'Ceasing to have a home in the UK',
+  4: 'Starting to have only home in the UK',
+  5: 'Starting full-time work in the UK',
+  6: 'Ceasing full-time work overseas',
+  7: 'Partner of someone ceasing full-time work overseas',
+  8: 'Starting to have a home in the UK',
+};
+
+/**
+ * Permitted limits of the overseas part for a full year: UK days and UK
+ * work days (Cases 1, 2 and 6)
+ */
+const PERMITTED_UK_DAYS = 90;
+const PERMITTED_UK_WORK_DAYS = 30;
+
+/**
+ * UK days allowed in the overseas part of Case 3
+ */
+const CASE_3_UK_DAYS = 16;
+
+/**
+ * Months within which a Case 3 leaver must have a sufficient link with
+ * the overseas country
+ */
+const SUFFICIENT_LINK_MONTHS = 6;
+
+/**
+ * Add whole months to a day number
+ */
+function addMonths(day, months) {
+  const [year, month, date] = toDate(day).split('-').map(Number);
+  return toDayNumber(
+    new Date(Date.UTC(year, month - 1 + months, date))
+      .toISOString()
+      .slice(0, 10)
+  );
+}
+
+/**
+ * Reduce a permitted limit by one twelfth for each whole month of the
+ * tax year outside a part of it
+ *
+ * @param {number} limit - Limit for a full year
+ * @param {number} partStart - First day number of the part
+ * @param {number} partEnd - Last day number of the part
+ * @param {Object} range - Tax year { from, to }
+ * @returns {number} Permitted limit of the part
+ */
+function getPermittedLimit(limit, partStart, partEnd, range) {
+  const countMonths = (from, to) => {
+    let months = 0;
+    while (addMonths(from, months + 1) <= to + 1) months++;
+    return months;
+  };
+  const outside =
+    countMonths(toDayNumber(range.from), partStart - 1) +
+    countMonths(partEnd + 1, toDayNumber(range.to));
+  return (limit * (12 - outside)) / 12;
+}
+
+/**
+ * Full-time work overseas in a part of the year, within its permitted
+ * limits of UK days and UK work days (Cases 1 and 6)
+ */
+function worksFullTimeOverseasIn(context, start, end) {
+  const { work, ledger, method, range } = context;
+  let overseasHours = 0;
+  for (let day = start; day <= end; day++) {
+    overseasHours += work.get(day)?.overseas || 0;
+  }
+  const part = { from: toDate(start), to: toDate(end) };
+
+  return (
+    overseasHours / ((end - start + 1) / 7) >= FULL_TIME_HOURS &&
+    countWorkDays(work, part) <=
+      getPermittedLimit(PERMITTED_UK_WORK_DAYS, start, end, range) &&
+    ledger.countDays('GB', part.from, part.to, method) <=
+      getPermittedLimit(PERMITTED_UK_DAYS, start, end, range)
+  );
+}
+
+/**
+ * Homes (Accommodation.csv rows marked IsPermanentHome) in or outside the
+ * UK available on any day between two day numbers
+ */
+function findHomes(accommodation, uk, start, end) {
+  return (accommodation || []).filter(
+    row =>
+      row.IsPermanentHome === true &&
+      (row.Country === 'GB') === uk &&
+      toDayNumber(row.AvailableFrom) <= end &&
+      toDayNumber(row.AvailableTo) >= start
+  );
+}
+
+/**
+ * First day on or after a date the person is (or is not) in the UK at
+ * midnight, within the tax year
+ */
+function findMove(ledger, from, inUK, yearEnd) {
+  for (let day = toDayNumber(from); day <= yearEnd; day++) {
+    const overnight = ledger.getDay(toDate(day))?.overnight;
+    if (overnight && (overnight === 'GB') === inUK) return day;
+  }
+  return null;
+}
+
+/**
+ * Case 1: the overseas part starts on the first day of full-time work
+ * overseas that lasts to the end of the year; the next year must be
+ * non-resident by the third automatic overseas test
+ */
+function findCase1(context) {
+  const { work, yearStart, yearEnd, next } = context;
+  if (!next.evidence.passed.includes('third-automatic-overseas')) return null;
+
+  for (let day = yearStart + 1; day <= yearEnd; day++) {
+    if (
+      (work.get(day)?.overseas || 0) > 0 &&
+      worksFullTimeOverseasIn(context, day, yearEnd)
+    ) {
+      return day;
+    }
+  }
+  return null;
+}
+
+/**
+ * Case 2: the overseas part starts when the person joins their partner
+ * overseas, with no UK home after it (unless also one overseas)
+ */
+function findCase2(context) {
+  const { data, ledger, method, settings, yearStart, yearEnd, range } = context;
+  const partnerDate = settings.SRT_PartnerSplitYearDate;
+  if (!partnerDate || partnerDate < range.from || partnerDate > range.to) {
+    return null;
+  }
+
+  const day = findMove(ledger, partnerDate, false, yearEnd);
+  if (day === null || day <= yearStart) return null;
+
+  const ukDays = ledger.countDays('GB', toDate(day), range.to, method);
+  const ukHome =
+    findHomes(data.accommodation, true, day, yearEnd).length > 0 &&
+    findHomes(data.accommodation, false, day, yearEnd).length === 0;
+  return ukDays <= getPermittedLimit(PERMITTED_UK_DAYS, day, yearEnd, range) &&
+    !ukHome
+    ? day
+    : null;
+}
+
+/**
+ * Case 3: the overseas part starts the day after the last UK home ends,
+ * with fewer than 16 UK days after it and, within six months, an
+ * overseas home or six months spent in one overseas country
+ */
+function findCase3(context) {
+  const { data, ledger, method, yearStart, yearEnd, range } = context;
+  const homes = findHomes(data.accommodation, true, yearStart, yearEnd);
+  if (!homes.some(home => toDayNumber(home.AvailableFrom) <= yearStart)) {
+    return null;
+  }
+
+  const day = Math.max(...homes.map(home => toDayNumber(home.AvailableTo))) + 1;
+  if (day > yearEnd) return null;
+  if (ledger.countDays('GB', toDate(day), range.to, method) >= CASE_3_UK_DAYS) {
+    return null;
+  }
+
+  const linkEnd = addMonths(day, SUFFICIENT_LINK_MONTHS) - 1;
+  const overseasHome = findHomes(data.accommodation, false, day, linkEnd);
+  const country = ledger.getDay(toDate(day))?.overnight;
+  let stayed = Boolean(country) && country !== 'GB';
+  for (let d = day; stayed && d <= linkEnd; d++) {
+    stayed = ledger.getDay(toDate(d))?.overnight === country;
+  }
+  return overseasHome.length > 0 || stayed ? day : null;
+}
+
+/**
+ * Case 4: the UK part starts on the day the only home in the UK starts,
+ * kept to the end of the year
+ */
+function findCase4(context) {
+  const { data, yearStart, yearEnd } = context;
+  const days = findHomes(data.accommodation, true, yearStart, yearEnd)
+    .map(home => toDayNumber(home.AvailableFrom))
+    .filter(
+      day =>
+        day > yearStart &&
+        findHomes(data.accommodation, true, day, yearEnd).some(
+          home => toDayNumber(home.AvailableTo) >= yearEnd
+        ) &&
+        findHomes(data.accommodation, false, day, yearEnd).length === 0
+    );
+  return days.length > 0 ? Math.min(...days) : null;
+}
+
+/**
+ * Case 5: the UK part starts on the first UK work day of a 365-day
+ * period of full-time UK work starting in the year
+ */
+function findCase5(context) {
+  const { work, yearStart, yearEnd, range } = context;
+  const start = findFullTimeUKWork(work, range, yearStart);
+  if (start === null) return null;
+
+  for (let day = start; day <= yearEnd; day++) {
+    if ((work.get(day)?.uk || 0) > 0) return day > yearStart ? day : null;
+  }
+  return null;
+}
+
+/**
+ * Case 6: the UK part starts the day after full-time work overseas from
+ * the start of the year ends; the previous year must be non-resident by
+ * the third automatic overseas test
+ */
+function findCase6(context) {
+  const { work, yearStart, yearEnd, previous } = context;
+  if (!previous?.evidence.passed.includes('third-automatic-overseas')) {
+    return null;
+  }
+
+  for (let day = yearEnd - 1; day >= yearStart; day--) {
+    if (
+      (work.get(day)?.overseas || 0) > 0 &&
+      worksFullTimeOverseasIn(context, yearStart, day)
+    ) {
+      return day + 1;
+    }
+  }
+  return null;
+}
+
+/**
+ * Case 7: the UK part starts when the person joins their partner in the
+ * UK
+ */
+function findCase7(context) {
+  const { ledger, settings, yearStart, yearEnd, range } = context;
+  const partnerDate = settings.SRT_PartnerSplitYearDate;
+  if (!partnerDate || partnerDate < range.from || partnerDate > range.to) {
+    return null;
+  }
+
+  const day = findMove(ledger, partnerDate, true, yearEnd);
+  return day !== null && day > yearStart ? day : null;
+}
+
+/**
+ * Case 8: the UK part starts on the day a UK home kept to the end of the
+ * year starts, without a UK home at the start of the year
+ */
+function findCase8(context) {
+  const { data, yearStart, yearEnd } = context;
+  const homes = findHomes(data.accommodation, true, yearStart, yearEnd);
+  if (homes.some(home => toDayNumber(home.AvailableFrom) <= yearStart)) {
+    return null;
+  }
+
+  const days = homes
+    .filter(home => toDayNumber(home.AvailableTo) >= yearEnd)
+    .map(home => toDayNumber(home.AvailableFrom));
+  return days.length > 0 ? Math.min(...days) : null;
+}
+
+/**
+ * Pick the case that applies: the first in order of priority, or the
+ * earliest date within a group of equal priority
+ *
+ * @param {Array} groups - Groups of [case, finder] in order of priority
+ * @param {Object} context - Tax year context
+ * @returns {Object|null} { case, day }
+ */
+function pickCase(groups, context) {
+  for (const group of groups) {
+    const found = group
+      .map(([number, find]) => ({ case: number, day: find(context) }))
+      .filter(({ day }) => day !== null);
+    if (found.length > 0) {
+      return found.reduce((earliest, candidate) =>
+        candidate.day < earliest.day ? candidate : earliest
+      );
+    }
+  }
+  return null;
+}
+
+/**
+ * Apply split-year treatment to a UK tax year
+ *
+ * @param {number} year - Tax year (the year it starts in)
+ * @param {Object} data - Complete dataset with location, workActivity,
+ *   accommodation and taxResidency
+ * @param {Object} settings - GB simulation settings (SRT_* parameters and
+ *   ResidencyDayCountingMethod)
+ * @param {Object} fiscalYear - Fiscal year mapping { startMonth, startDay }
+ * @param {Map} [memo] - SRT results of the years already tested
+ * @returns {Object|null} { case, leaving, overseasPart, ukPart } with
+ *   the parts as { from, to } ISO dates, or null when the person is not
+ *   UK resident in the year or no case applies
+ *
+ * @example
+ * testSplitYear(2025, data, settings, { startMonth: 4, startDay: 6 });
+ * // { case: 3, leaving: true,
+ * //   overseasPart: { from: '2025-09-01', to: '2026-04-05' },
+ * //   ukPart: { from: '2025-04-06', to: '2025-08-31' } }
+ */
+function testSplitYear(year, data, settings, fiscalYear, memo = new Map()) {
+  if (
+    !testStatutoryResidence(year, data, settings, fiscalYear, memo).isResident
+  ) {
+    return null;
+  }
+
+  const range = getTaxYearRange(year, fiscalYear);
+  const ledger = getPresenceLedger(data);
+  const previousResident = wasResident(
+    year - 1,
+    data,
+    settings,
+    fiscalYear,
+    memo
+  );
+  const context = {
+    data,
+    settings,
+    range,
+    ledger,
+    method: settings.ResidencyDayCountingMethod,
+    work: getWorkHoursByDay(data.workActivity),
+    yearStart: toDayNumber(range.from),
+    yearEnd: toDayNumber(range.to),
+    next: testStatutoryResidence(year + 1, data, settings, fiscalYear, memo),
+  };
+
+  let found = null;
+  if (previousResident && !context.next.isResident) {
+    found = pickCase(
+      [
+        [[1, findCase1]],
+        [
+          [2, findCase2],
+          [3, findCase3],
+        ],
+      ],
+      context
+    );
+  } else if (!previousResident && context.next.isResident) {
+    if (ledger.getDay(getTaxYearRange(year - 1, fiscalYear).to)) {
+      context.previous = testStatutoryResidence(
+        year - 1,
+        data,
+        settings,
+        fiscalYear,
+        memo
+      );
+    }
+    found = pickCase(
+      [
+        [[6, findCase6]],
+        [[7, findCase7]],
+        [
+          [5, findCase5],
+          [4, findCase4],
+          [8, findCase8],
+        ],
+      ],
+      context
+    );
+  }
+  if (!found) return null;
+
+  const leaving = found.case <= 3;
+  const first = { from: range.from, to: toDate(found.day - 1) };
+  const second = { from: toDate(found.day), to: range.to };
+  return {
+    case: found.case,
+    leaving,
+    overseasPart: leaving ? second : first,
+    ukPart: leaving ? first : second,
+  };
+}
+
+module.exports = {
+  SPLIT_YEAR_CASES,
+  getPermittedLimit,
+  testSplitYear,
+};
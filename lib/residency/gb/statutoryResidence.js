@@ -0,0 +1,457 @@
+/**
+ * @module statutoryResidence
+ * UK Statutory Residence Test (Finance Act 2013, Schedule 45)
+ *
+ * Decides UK residence for a tax year (6 April - 5 April) in three steps:
+ * 1. Automatic overseas tests: not resident if any is met
+ *    - fewer than 16 UK days, resident in one of the previous 3 tax years
+ *    - fewer than 46 UK days, not resident in the previous 3 tax years
+ *    - full-time work overseas with fewer than 91 UK days and fewer than
+ *      31 UK work days
+ * 2. Automatic UK tests: resident if any is met
+ *    - 183 or more UK days
+ *    - a UK home held for 91+ days (30+ in the year, with 30+ days there)
+ *      and no overseas home lived in for 30+ days in the year
+ *    - full-time work in the UK for a 365-day period overlapping the year
+ * 3. Sufficient ties test: resident with enough UK ties for the days spent
+ *    in the UK (see ARRIVER_TIES and LEAVER_TIES)
+ *
+ * Days come from the Location.csv presence ledger (by the
+ * ResidencyDayCountingMethod setting; the SRT counts days present at
+ * midnight: `overnight`), work from WorkActivity.csv (a work day has more
+ * than 3 hours of work) and homes from Accommodation.csv. Residence in the
+ * previous tax years comes from TaxResidency.csv, or from this test for
+ * years the presence ledger covers.
+ *
+ * Simplifications: full-time work averages the hours over the whole
+ * period without deducting leave or checking for significant breaks, a
+ * home is an Accommodation.csv row marked IsPermanentHome and time spent
+ * in the country of a home counts as time spent there. The family tie is
+ * the SRT_FamilyInUK setting.
+ */
+
+const {
+  getPresenceLedger,
+  getTaxYearRange,
+  toDayNumber,
+} = require('../presence');
+
+/**
+ * Full-time work thresholds: average weekly hours, UK days and UK work
+ * days (third automatic overseas test)
+ */
+const FULL_TIME_HOURS = 35;
+const FULL_TIME_OVERSEAS_UK_DAYS = 91;
+const FULL_TIME_OVERSEAS_UK_WORK_DAYS = 31;
+
+/**
+ * Hours that make a day a work day
+ */
+const WORK_DAY_HOURS = 3;
+
+/**
+ * Share of work days that must be UK work days (third automatic UK test)
+ */
+const FULL_TIME_UK_SHARE = 0.75;
+
+/**
+ * Length of a home period, and days of it in the year and spent in the
+ * home (second automatic UK test)
+ */
+const HOME_PERIOD_DAYS = 91;
+const HOME_DAYS = 30;
+
+/**
+ * UK work days that make a work tie
+ */
+const WORK_TIE_DAYS = 40;
+
+/**
+ * UK days in a previous tax year that make a 90-day tie
+ */
+const NINETY_DAY_TIE_DAYS = 90;
+
+/**
+ * Nights in the home of a close relative that make an accommodation tie
+ */
+const RELATIVE_HOME_NIGHTS = 16;
+
+/**
+ * Ties needed from a number of UK days, for people not resident in any
+ * of the previous 3 tax years (arrivers) and for the others (leavers):
+ * [first day count, ties needed]
+ */
+const ARRIVER_TIES = [
+  [46, 4],
+  [91, 3],
+  [121, 2],
+];
+const LEAVER_TIES = [
+  [16, 4],
+  [46, 3],
+  [91, 2],
+  [121, 1],
+];
+
+/**
+ * Get the ties needed for a number of UK days
+ *
+ * @param {number} days - UK days in the tax year
+ * @param {boolean} leaver - Resident in one of the previous 3 tax years
+ * @returns {number|null} Ties needed, or null if no number of ties makes
+ *   the person resident
+ */
+function getTiesNeeded(days, leaver) {
+  let needed = null;
+  for (const [from, ties] of leaver ? LEAVER_TIES : ARRIVER_TIES) {
+    if (days >= from) needed = ties;
+  }
+  return needed;
+}
+
+/**
+ * Sum WorkActivity.csv hours per day
+ *
+ * @param {Array} workActivity - WorkActivity.csv rows
+ * @returns {Map} Day number → { uk, overseas } hours
+ */
+function getWorkHoursByDay(workActivity) {
+  const byDay = new Map();
+  for (const row of workActivity || []) {
+    const hours = Number(row.WorkHours) || 0;
+    if (hours <= 0 || !row.Date) continue;
+
+    const day = toDayNumber(row.Date);
+    const entry = byDay.get(day) || { uk: 0, overseas: 0 };
+    entry[row.Country === 'GB' ? 'uk' : 'overseas'] += hours;
+    byDay.set(day, entry);
+  }
+  return byDay;
+}
+
+/**
+ * Count the days of a date range
+ */
+function lengthInDays(from, to) {
+  return toDayNumber(to) - toDayNumber(from) + 1;
+}
+
+/**
+ * Count the overlap of two date ranges in days
+ */
+function overlapDays(from, to, rangeFrom, rangeTo) {
+  const start = Math.max(toDayNumber(from), toDayNumber(rangeFrom));
+  const end = Math.min(toDayNumber(to), toDayNumber(rangeTo));
+  return Math.max(0, end - start + 1);
+}
+
+/**
+ * Count the days present in a country between two dates, within a range
+ */
+function countDaysWithin(ledger, country, method, from, to, range) {
+  const start = from > range.from ? from : range.from;
+  const end = to < range.to ? to : range.to;
+  return start > end ? 0 : ledger.countDays(country, start, end, method);
+}
+
+/**
+ * Count the UK work days (more than 3 hours of UK work) in a date range
+ */
+function countWorkDays(work, range) {
+  let workDays = 0;
+  for (let day = toDayNumber(range.from); day <= toDayNumber(range.to); day++) {
+    if ((work.get(day)?.uk || 0) > WORK_DAY_HOURS) workDays++;
+  }
+  return workDays;
+}
+
+/**
+ * Third automatic overseas test: full-time work overseas over the year
+ */
+function worksFullTimeOverseas(work, range, daysInUK) {
+  let overseasHours = 0;
+  for (let day = toDayNumber(range.from); day <= toDayNumber(range.to); day++) {
+    overseasHours += work.get(day)?.overseas || 0;
+  }
+
+  const weeks = lengthInDays(range.from, range.to) / 7;
+  return (
+    overseasHours / weeks >= FULL_TIME_HOURS &&
+    daysInUK < FULL_TIME_OVERSEAS_UK_DAYS &&
+    countWorkDays(work, range) < FULL_TIME_OVERSEAS_UK_WORK_DAYS
+  );
+}
+
+/**
+ * Find a 365-day period of full-time UK work: 35+ hours a week on
+ * average, more than 75% of its work days in the UK and a UK work day in
+ * the year
+ *
+ * @param {Map} work - Work hours by day (see getWorkHoursByDay)
+ * @param {Object} range - Tax year { from, to }
+ * @param {number} [first] - Earliest start day number (by default the
+ *   periods overlapping the year, as for the third automatic UK test)
+ * @returns {number|null} Day number the earliest period starts on
+ */
+function findFullTimeUKWork(
+  work,
+  range,
+  first = toDayNumber(range.from) - 364
+) {
+  const yearStart = toDayNumber(range.from);
+  const yearEnd = toDayNumber(range.to);
+
+  const sums = { hours: [0], workDays: [0], ukWorkDays: [0] };
+  for (let day = first; day <= yearEnd + 364; day++) {
+    const hours = work.get(day) || { uk: 0, overseas: 0 };
+    const push = (key, value) =>
+      sums[key].push(sums[key][sums[key].length - 1] + value);
+    push('hours', hours.uk);
+    push('workDays', hours.uk + hours.overseas > WORK_DAY_HOURS ? 1 : 0);
+    push('ukWorkDays', hours.uk > WORK_DAY_HOURS ? 1 : 0);
+  }
+  const sum = (key, from, to) =>
+    sums[key][to - first + 1] - sums[key][from - first];
+
+  for (let start = first; start <= yearEnd; start++) {
+    const end = start + 364;
+    const workDays = sum('workDays', start, end);
+    if (
+      sum('hours', start, end) / (365 / 7) >= FULL_TIME_HOURS &&
+      workDays > 0 &&
+      sum('ukWorkDays', start, end) / workDays > FULL_TIME_UK_SHARE &&
+      sum('ukWorkDays', Math.max(start, yearStart), Math.min(end, yearEnd)) > 0
+    ) {
+      return start;
+    }
+  }
+  return null;
+}
+
+/**
+ * Second automatic UK test: a UK home held for 91+ days, 30+ of them in
+ * the year with 30+ days spent there, and no overseas home lived in for
+ * 30+ days in the year
+ */
+function hasOnlyHomeInUK(accommodation, ledger, method, range) {
+  const homes = (accommodation || []).filter(
+    row => row.IsPermanentHome === true
+  );
+  const daysInHome = row =>
+    countDaysWithin(
+      ledger,
+      row.Country,
+      method,
+      row.AvailableFrom,
+      row.AvailableTo,
+      range
+    );
+
+  return homes.some(
+    home =>
+      home.Country === 'GB' &&
+      lengthInDays(home.AvailableFrom, home.AvailableTo) >= HOME_PERIOD_DAYS &&
+      overlapDays(home.AvailableFrom, home.AvailableTo, range.from, range.to) >=
+        HOME_DAYS &&
+      daysInHome(home) >= HOME_DAYS &&
+      !homes.some(
+        other =>
+          other.Country !== 'GB' &&
+          overlapDays(
+            other.AvailableFrom,
+            other.AvailableTo,
+            home.AvailableFrom,
+            home.AvailableTo
+          ) > 0 &&
+          daysInHome(other) >= HOME_DAYS
+      )
+  );
+}
+
+/**
+ * Accommodation tie: UK accommodation available for 91+ consecutive days
+ * in the year with a night spent there (16 nights at a close relative's)
+ */
+function hasAccommodationTie(accommodation, ledger, method, range) {
+  return (accommodation || []).some(row => {
+    if (row.Country !== 'GB') return false;
+    if (
+      overlapDays(row.AvailableFrom, row.AvailableTo, range.from, range.to) <
+      HOME_PERIOD_DAYS
+    ) {
+      return false;
+    }
+    const nights = countDaysWithin(
+      ledger,
+      'GB',
+      method,
+      row.AvailableFrom,
+      row.AvailableTo,
+      range
+    );
+    return (
+      nights >= (row.AccommodationType === 'Family' ? RELATIVE_HOME_NIGHTS : 1)
+    );
+  });
+}
+
+/**
+ * Country tie: the UK is (one of) the countries with the most midnights
+ */
+function hasCountryTie(ledger, range) {
+  const days = country =>
+    ledger.countDays(country, range.from, range.to, 'overnight');
+  const uk = days('GB');
+  return (
+    uk > 0 &&
+    ledger
+      .getCountries()
+      .every(country => country === 'GB' || days(country) <= uk)
+  );
+}
+
+/**
+ * Check UK residence in another tax year: the TaxResidency.csv override
+ * of the year, or the SRT for years the presence ledger covers
+ *
+ * @param {number} year - Tax year
+ * @param {Object} data - Complete dataset
+ * @param {Object} settings - GB simulation settings
+ * @param {Object} fiscalYear - Fiscal year mapping { startMonth, startDay }
+ * @param {Map} memo - Results of the years already tested
+ * @returns {boolean} True if resident
+ */
+function wasResident(year, data, settings, fiscalYear, memo) {
+  const override = data.taxResidency?.[year];
+  if (override) {
+    return [].concat(override).some(period => period.country === 'GB');
+  }
+
+  const { to } = getTaxYearRange(year, fiscalYear);
+  if (!getPresenceLedger(data).getDay(to)) return false;
+  return testStatutoryResidence(year, data, settings, fiscalYear, memo)
+    .isResident;
+}
+
+/**
+ * Apply the Statutory Residence Test to a tax year
+ *
+ * @param {number} year - Tax year (the year it starts in)
+ * @param {Object} data - Complete dataset with location, workActivity,
+ *   accommodation and taxResidency
+ * @param {Object} settings - GB simulation settings (SRT_* parameters and
+ *   ResidencyDayCountingMethod)
+ * @param {Object} fiscalYear - Fiscal year mapping { startMonth, startDay }
+ * @param {Map} [memo] - Results of the years already tested
+ * @returns {Object} { isResident, test, evidence }: test is
+ *   'automatic-overseas', 'automatic-uk', 'sufficient-ties' or
+ *   'not-resident'; evidence lists the tax year, the UK days, the
+ *   previous 3 tax years the person was resident in, the tests `passed`,
+ *   the `ties` counted and the `tiesNeeded`
+ */
+function testStatutoryResidence(
+  year,
+  data,
+  settings,
+  fiscalYear,
+  memo = new Map()
+) {
+  if (memo.has(year)) return memo.get(year);
+
+  const method = settings.ResidencyDayCountingMethod;
+  const range = getTaxYearRange(year, fiscalYear);
+  const ledger = getPresenceLedger(data);
+  const work = getWorkHoursByDay(data.workActivity);
+  const days = ledger.countDays('GB', range.from, range.to, method);
+
+  const residentInPriorYears = [year - 3, year - 2, year - 1].filter(prior =>
+    wasResident(prior, data, settings, fiscalYear, memo)
+  );
+  const leaver = residentInPriorYears.length > 0;
+
+  const passed = [];
+  if (leaver && days < settings.SRT_AutoOverseasDaysThreshold) {
+    passed.push('first-automatic-overseas');
+  }
+  if (!leaver && days < settings.SRT_AutoOverseasArriverDaysThreshold) {
+    passed.push('second-automatic-overseas');
+  }
+  if (worksFullTimeOverseas(work, range, days)) {
+    passed.push('third-automatic-overseas');
+  }
+  if (days >= settings.SRT_AutoUKDaysThreshold) {
+    passed.push('first-automatic-uk');
+  }
+  if (hasOnlyHomeInUK(data.accommodation, ledger, method, range)) {
+    passed.push('second-automatic-uk');
+  }
+  if (findFullTimeUKWork(work, range) !== null) {
+    passed.push('third-automatic-uk');
+  }
+
+  const evidence = {
+    taxYear: range,
+    days,
+    method,
+    residentInPriorYears,
+    passed,
+    ties: [],
+    tiesNeeded: null,
+  };
+  const decide = (isResident, test) => {
+    const result = { isResident, test, evidence };
+    memo.set(year, result);
+    return result;
+  };
+
+  if (passed.some(test => test.endsWith('automatic-overseas'))) {
+    return decide(false, 'automatic-overseas');
+  }
+  if (passed.length > 0) {
+    return decide(true, 'automatic-uk');
+  }
+  if (!settings.SRT_TiesRequired) {
+    return decide(false, 'not-resident');
+  }
+
+  const ties = {
+    family: settings.SRT_FamilyTieRequired && settings.SRT_FamilyInUK,
+    accommodation:
+      settings.SRT_AccommodationTieRequired &&
+      hasAccommodationTie(data.accommodation, ledger, method, range),
+    work:
+      settings.SRT_WorkTieRequired &&
+      countWorkDays(work, range) >= WORK_TIE_DAYS,
+    '90-day':
+      settings.SRT_90DayTieRequired &&
+      [year - 2, year - 1].some(prior => {
+        const { from, to } = getTaxYearRange(prior, fiscalYear);
+        return ledger.countDays('GB', from, to, method) > NINETY_DAY_TIE_DAYS;
+      }),
+    country:
+      settings.SRT_CountryTieRequired && leaver && hasCountryTie(ledger, range),
+  };
+  evidence.ties = Object.keys(ties).filter(tie => ties[tie]);
+  evidence.tiesNeeded = getTiesNeeded(days, leaver);
+
+  if (
+    evidence.tiesNeeded !== null &&
+    evidence.ties.length >= evidence.tiesNeeded
+  ) {
+    passed.push('sufficient-ties');
+    return decide(true, 'sufficient-ties');
+  }
+  return decide(false, 'not-resident');
+}
+
+module.exports = {
+  ARRIVER_TIES,
+  LEAVER_TIES,
+  FULL_TIME_HOURS,
+  countWorkDays,
+  findFullTimeUKWork,
+  getTiesNeeded,
+  getWorkHoursByDay,
+  testStatutoryResidence,
+  wasResident,
+};
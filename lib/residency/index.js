@@ -4,79 +4,239 @@
  * Manages available tax residency implementations.
  * Uses strict ISO 3166-1 alpha-2 country codes only.
  * No fallbacks or country names.
+ *
+ * Built-in countries (de/, gb/, pt/ next to this file) are registered
+ * explicitly, so loading the library reads no directories and works in
+ * browser bundles. Additional countries can be registered with
+ * registerResidency() or discovered from a directory with
+ * discoverResidencies() (the CLI's --plugins), so private country modules
+ * need no core changes.
+ *
+ * A country package is a directory named after the lowercase country code
+ * containing a residency.js that exports the residency class:
+ *
+ * @example
+ * // plugins/es/residency.js → module.exports = SpainResidency;
+ * discoverResidencies('/path/to/plugins'); // ['ES']
+ * registerResidency('NL', NetherlandsResidency, { name: 'Netherlands' });
  */
 
+const fs = require('fs');
+const path = require('path');
 const { validateCountryCode } = require('../utils/validation');
+const { TaxResidency } = require('./base');
+const {
+  assertResidencyConformance,
+  checkResidencyConformance,
+} = require('./conformance');
+const GermanyResidency = require('./de/residency');
 const GBResidency = require('./gb/residency');
 const PortugalResidency = require('./pt/residency');
 
 /**
- * Available residency implementations
+ * Registered implementations keyed by country code
+ * @type {Map<string, {ResidencyClass: typeof TaxResidency, metadata: Object}>}
+ */
+const registry = new Map();
+
+/**
+ * Default metadata read from an instance without reference data
  *
- * @returns {Array} List of supported country codes
+ * @param {typeof TaxResidency} ResidencyClass - Residency class
+ * @param {string} countryCode - Country code
+ * @returns {Object} { name, currency }
  */
-const AVAILABLE_COUNTRIES = ['PT', 'GB', 'DE'];
+function describeResidency(ResidencyClass, countryCode) {
+  try {
+    /** @type {TaxResidency & {countryName?: string}} */
+    const probe = new ResidencyClass(null);
+    return {
+      name: probe.countryName || countryCode,
+      currency: probe.getCurrency(),
+    };
+  } catch {
+    return { name: countryCode };
+  }
+}
 
 /**
- * Get residency implementation for country
+ * Check that a residency implementation can be registered for a country
  *
  * @param {string} countryCode - ISO 3166-1 alpha-2 code
- * @param {Object} referenceData - Tax reference data
- * @returns {TaxResidency} Residency implementation
- * @throws {Error} If unsupported country or implementation not found
+ * @param {typeof TaxResidency} ResidencyClass - Class implementing the TaxResidency interface
+ * @returns {string} Uppercase country code
+ * @throws {Error} If the code or class is invalid, or the country is already registered
  */
-function getResidency(countryCode, referenceData) {
+function checkRegistration(countryCode, ResidencyClass) {
   validateCountryCode(countryCode);
 
   const normalized = countryCode.toUpperCase();
 
-  // Check if country code is supported
-  if (!AVAILABLE_COUNTRIES.includes(normalized)) {
+  if (
+    typeof ResidencyClass !== 'function' ||
+    typeof ResidencyClass.prototype?.calculateTax !== 'function'
+  ) {
     throw new Error(
-      `Unsupported country: ${countryCode}. Available countries: ${AVAILABLE_COUNTRIES.join(', ')}`
+      `Residency for ${normalized} must be a class implementing calculateTax()`
     );
   }
 
-  const residencyMap = {
-    PT: PortugalResidency,
-    GB: GBResidency,
+  if (registry.has(normalized)) {
+    throw new Error(`Residency already registered for ${normalized}`);
+  }
+
+  return normalized;
+}
+
+/**
+ * Register a residency implementation for a country
+ *
+ * @param {string} countryCode - ISO 3166-1 alpha-2 code
+ * @param {typeof TaxResidency} ResidencyClass - Class implementing the TaxResidency interface
+ * @param {Object} [metadata] - Descriptive metadata (name, currency, path, ...)
+ * @returns {Object} Registered metadata
+ * @throws {Error} If the code or class is invalid, or the country is already registered
+ */
+function registerResidency(countryCode, ResidencyClass, metadata = {}) {
+  const normalized = checkRegistration(countryCode, ResidencyClass);
+
+  const entry = {
+    ResidencyClass,
+    metadata: {
+      code: normalized,
+      ...describeResidency(ResidencyClass, normalized),
+      ...metadata,
+    },
   };
+  registry.set(normalized, entry);
+
+  return { ...entry.metadata };
+}
+
+/**
+ * Remove a registered residency implementation
+ *
+ * @param {string} countryCode - ISO 3166-1 alpha-2 code
+ * @returns {boolean} True if an implementation was removed
+ */
+function unregisterResidency(countryCode) {
+  return registry.delete(String(countryCode).toUpperCase());
+}
 
-  const ResidencyClass = residencyMap[normalized];
-  if (ResidencyClass) {
-    return new ResidencyClass(referenceData);
+/**
+ * Discover and register country packages in a directory
+ *
+ * Each subdirectory named after a country code (e.g. `es/`) with a
+ * `residency.js` is registered under the uppercase code. Every package is
+ * checked before any is registered, so a failed discovery leaves the
+ * registry unchanged.
+ *
+ * @param {string} directory - Directory containing country packages
+ * @returns {Array} Country codes registered from the directory
+ * @throws {Error} If the directory does not exist, or a package cannot be
+ *   registered (see registerResidency())
+ */
+function discoverResidencies(directory) {
+  if (!fs.existsSync(directory) || !fs.statSync(directory).isDirectory()) {
+    throw new Error(`Residency directory not found: ${directory}`);
   }
 
-  throw new Error(
-    `Implementation missing for supported country: ${normalized}`
-  );
+  const packages = [];
+
+  for (const entry of fs.readdirSync(directory, { withFileTypes: true })) {
+    if (!entry.isDirectory() || !/^[a-z]{2}$/i.test(entry.name)) continue;
+
+    const packageDir = path.join(directory, entry.name);
+    const modulePath = path.join(packageDir, 'residency.js');
+    if (!fs.existsSync(modulePath)) continue;
+
+    const ResidencyClass = require(modulePath);
+    const countryCode = checkRegistration(entry.name, ResidencyClass);
+    if (packages.some(found => found.countryCode === countryCode)) {
+      throw new Error(
+        `Residency package for ${countryCode} found twice in ${directory}`
+      );
+    }
+    packages.push({ countryCode, ResidencyClass, packageDir });
+  }
+
+  for (const { countryCode, ResidencyClass, packageDir } of packages) {
+    registerResidency(countryCode, ResidencyClass, { path: packageDir });
+  }
+
+  return packages.map(found => found.countryCode);
+}
+
+/**
+ * Get residency implementation for country
+ *
+ * @param {string} countryCode - ISO 3166-1 alpha-2 code
+ * @param {Object} referenceData - Tax reference data
+ * @returns {TaxResidency} Residency implementation
+ * @throws {Error} If unsupported country
+ */
+function getResidency(countryCode, referenceData) {
+  validateCountryCode(countryCode);
+
+  const normalized = countryCode.toUpperCase();
+  const entry = registry.get(normalized);
+
+  if (!entry) {
+    throw new Error(
+      `Unsupported country: ${countryCode}. Available countries: ${listAvailableCountries().join(', ')}`
+    );
+  }
+
+  return new entry.ResidencyClass(referenceData);
 }
 
 /**
  * Check if residency implementation exists for country
  *
  * @param {string} countryCode - ISO 3166-1 alpha-2 code
- * @returns {boolean} True if supported
- * @throws {Error} If unsupported country or implementation not found
+ * @returns {boolean} True if registered
  */
 function hasResidency(countryCode) {
-  return AVAILABLE_COUNTRIES.includes(countryCode.toUpperCase());
+  return registry.has(String(countryCode).toUpperCase());
 }
 
 /**
  * List all available countries
  *
- * @returns {Array} Array of supported country codes
- * @throws {Error} If error occurs
+ * @returns {Array} Registered country codes in registration order
  */
 function listAvailableCountries() {
-  return [...AVAILABLE_COUNTRIES];
+  return Array.from(registry.keys());
+}
+
+/**
+ * Get metadata of a registered residency implementation
+ *
+ * @param {string} countryCode - ISO 3166-1 alpha-2 code
+ * @returns {Object|null} Metadata or null if not registered
+ */
+function getResidencyMetadata(countryCode) {
+  const entry = registry.get(String(countryCode).toUpperCase());
+  return entry ? { ...entry.metadata } : null;
 }
 
+// Built-in countries; `path` locates their bundled reference/ files
+registerResidency('DE', GermanyResidency, { path: `${__dirname}/de` });
+registerResidency('GB', GBResidency, { path: `${__dirname}/gb` });
+registerResidency('PT', PortugalResidency, { path: `${__dirname}/pt` });
+
 module.exports = {
+  assertResidencyConformance,
+  checkResidencyConformance,
+  discoverResidencies,
   getResidency,
+  getResidencyMetadata,
   hasResidency,
   listAvailableCountries,
+  registerResidency,
+  unregisterResidency,
+  TaxResidency,
   PortugalResidency,
   GBResidency,
+  GermanyResidency,
 };
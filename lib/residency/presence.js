@@ -0,0 +1,423 @@
+/**
+ * @module presence
+ * Presence Ledger
+ *
+ * Expands the rows of Location.csv into a day-by-day timeline of the
+ * countries a person was in, so residency tests can count days without a
+ * row for every day. Each row is a segment:
+ * - a stay (`FromCountry` = `ToCountry`, e.g. Residence or Business): the
+ *   person is in that country on that date
+ * - a journey (`FromCountry` ≠ `ToCountry`, e.g. Travel): the person
+ *   leaves `FromCountry` at `DepartureTime` and reaches `ToCountry` at
+ *   `ArrivalTime`, on the next day when it is earlier than the departure
+ *
+ * Between rows the person stays where the previous row left them, and
+ * after the last row in its destination; days before the first row are
+ * unknown and count for no country.
+ *
+ * Days are counted by the `ResidencyDayCountingMethod` setting:
+ * - `overnight`: the country the person is in at the end of the day
+ *   (nights in transit count for none)
+ * - `partial_day`: every country the person is in for any part of the day
+ * - `calendar_day`: only days spent wholly in one country (days with an
+ *   international journey count for none)
+ *
+ * @example
+ * const ledger = new PresenceLedger([
+ *   { Date: '2025-03-01', FromCountry: 'GB', ToCountry: 'PT', DepartureTime: '09:00', ArrivalTime: '12:30' },
+ *   { Date: '2025-09-30', FromCountry: 'PT', ToCountry: 'GB', DepartureTime: '16:00', ArrivalTime: '19:30' },
+ * ]);
+ * ledger.countDays('PT', '2025-01-01', '2025-12-31'); // 213 (1 March - 29 September)
+ * ledger.countDays('PT', '2025-01-01', '2025-12-31', 'partial_day'); // 214
+ */
+
+const { SIMULATION_PARAMETERS } = require('../schemas');
+
+const DAY_COUNTING_METHODS =
+  SIMULATION_PARAMETERS.ResidencyDayCountingMethod.values;
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Ledgers of the Location.csv arrays counted (see getPresenceLedger)
+ */
+const ledgers = new WeakMap();
+
+/**
+ * Location.csv columns the timeline is built from
+ */
+const LEDGER_COLUMNS = [
+  'Date',
+  'FromCountry',
+  'ToCountry',
+  'DepartureTime',
+  'ArrivalTime',
+];
+
+/**
+ * Convert a YYYY-MM-DD date to a day number
+ *
+ * @param {string} date - ISO date
+ * @returns {number} Days since 1970-01-01
+ */
+function toDayNumber(date) {
+  const [year, month, day] = String(date).split('-').map(Number);
+  return Math.round(Date.UTC(year, month - 1, day) / MS_PER_DAY);
+}
+
+/**
+ * Convert a day number to a YYYY-MM-DD date
+ *
+ * @param {number} dayNumber - Days since 1970-01-01
+ * @returns {string} ISO date
+ */
+function toDate(dayNumber) {
+  return new Date(dayNumber * MS_PER_DAY).toISOString().slice(0, 10);
+}
+
+/**
+ * Get the first and last day of a tax year
+ *
+ * Tax year `year` starts on the fiscal year's start date in `year`, so
+ * the UK tax year 2025 runs 6 April 2025 - 5 April 2026.
+ *
+ * @param {number} year - Tax year
+ * @param {Object} [fiscalYear] - Fiscal year mapping { startMonth, startDay }
+ *   (see getFiscalYearMapping()); calendar year by default
+ * @returns {Object} { from, to } ISO dates
+ */
+function getTaxYearRange(year, fiscalYear = {}) {
+  const { startMonth = 1, startDay = 1 } = fiscalYear;
+  const start = Date.UTC(year, startMonth - 1, startDay) / MS_PER_DAY;
+  const end = Date.UTC(year + 1, startMonth - 1, startDay) / MS_PER_DAY - 1;
+  return { from: toDate(start), to: toDate(end) };
+}
+
+/**
+ * Get the date of an income record, mid-month when it has no day
+ *
+ * @param {Object} record - Income record (Year, Month, Day or year,
+ *   month, day)
+ * @returns {string|null} ISO date, or null without a month
+ */
+function getRecordDate(record) {
+  const month = record.Month ?? record.month;
+  if (!month) return null;
+  const day = record.Day ?? record.day ?? 15;
+  return [
+    record.Year ?? record.year,
+    String(month).padStart(2, '0'),
+    String(day).padStart(2, '0'),
+  ].join('-');
+}
+
+/**
+ * Get the tax year a date falls in
+ *
+ * @param {string} date - ISO date
+ * @param {Object} [fiscalYear] - Fiscal year mapping { startMonth, startDay };
+ *   calendar year by default
+ * @returns {number} Tax year (see getTaxYearRange())
+ */
+function getTaxYearOf(date, fiscalYear = {}) {
+  const year = Number(String(date).slice(0, 4));
+  const { from } = getTaxYearRange(year, fiscalYear);
+  return date < from ? year - 1 : year;
+}
+
+/**
+ * Label a tax year: the year itself for a calendar tax year, or the two
+ * years it spans ('2025/26') otherwise
+ *
+ * @param {number} year - Tax year
+ * @param {Object} [fiscalYear] - Fiscal year mapping { startMonth, startDay };
+ *   calendar year by default
+ * @returns {number|string} Tax year label
+ */
+function formatTaxYear(year, fiscalYear = {}) {
+  const { startMonth = 1, startDay = 1 } = fiscalYear;
+  if (startMonth === 1 && startDay === 1) return year;
+  return `${year}/${String((year + 1) % 100).padStart(2, '0')}`;
+}
+
+function checkMethod(method) {
+  if (!DAY_COUNTING_METHODS.includes(method)) {
+    throw new Error(
+      `Day counting method must be one of: ${DAY_COUNTING_METHODS.join(', ')} (got ${method})`
+    );
+  }
+}
+
+/**
+ * Order of the rows of a day: rows without times first, then by the
+ * earlier of their times
+ */
+function timeOf(row) {
+  const times = [row.DepartureTime, row.ArrivalTime].filter(Boolean).sort();
+  return times[0] || '';
+}
+
+class PresenceLedger {
+  /**
+   * @param {Array} [location] - Location.csv rows
+   *   { Date, FromCountry, ToCountry, DepartureTime?, ArrivalTime? };
+   *   rows without a valid Date or countries are ignored
+   */
+  constructor(location = []) {
+    const rows = (location || [])
+      .filter(
+        row =>
+          /^\d{4}-\d{2}-\d{2}$/.test(row?.Date) &&
+          row.FromCountry &&
+          row.ToCountry
+      )
+      .map(row => ({ row, day: toDayNumber(row.Date), time: timeOf(row) }))
+      .sort((a, b) => a.day - b.day || a.time.localeCompare(b.time));
+
+    /** Timeline entries from the first to the last row, by day number */
+    this.days = [];
+    this.firstDay = rows.length > 0 ? rows[0].day : null;
+    /** Country after the last row, which lasts indefinitely */
+    this.lastCountry = null;
+
+    if (rows.length === 0) return;
+
+    // Through the last row, and the arrival day of an overnight journey
+    const lastDay = rows[rows.length - 1].day;
+    let current = null;
+    let arriving = null;
+    let next = 0;
+    for (let day = this.firstDay; day <= lastDay || arriving; day++) {
+      const countries = new Set();
+      let travel = arriving !== null;
+      if (arriving !== null) {
+        countries.add(arriving);
+        current = arriving;
+        arriving = null;
+      } else if (current) {
+        countries.add(current);
+      }
+
+      for (; next < rows.length && rows[next].day === day; next++) {
+        const { row } = rows[next];
+        countries.add(row.FromCountry);
+        if (row.FromCountry === row.ToCountry) {
+          current = row.ToCountry;
+          continue;
+        }
+
+        travel = true;
+        if (
+          row.DepartureTime &&
+          row.ArrivalTime &&
+          row.ArrivalTime < row.DepartureTime
+        ) {
+          arriving = row.ToCountry;
+          current = null;
+        } else {
+          countries.add(row.ToCountry);
+          current = row.ToCountry;
+        }
+      }
+
+      this.days.push({
+        date: toDate(day),
+        countries: [...countries],
+        overnight: current,
+        travel: travel || arriving !== null,
+      });
+    }
+    this.lastCountry = current;
+  }
+
+  /**
+   * Get where the person was on a day
+   *
+   * @param {string} date - ISO date
+   * @returns {Object|null} { date, countries, overnight, travel }: the
+   *   countries present during the day, the country at the end of the day
+   *   (null in transit) and whether an international journey touched the
+   *   day; null before the first row
+   */
+  getDay(date) {
+    if (this.firstDay === null) return null;
+    const day = toDayNumber(date);
+    if (day < this.firstDay) return null;
+
+    const entry = this.days[day - this.firstDay];
+    if (entry) return entry;
+    return {
+      date: toDate(day),
+      countries: this.lastCountry ? [this.lastCountry] : [],
+      overnight: this.lastCountry,
+      travel: false,
+    };
+  }
+
+  /**
+   * Check whether a day counts for a country
+   *
+   * @param {string} country - ISO 3166-1 alpha-2 code
+   * @param {string} date - ISO date
+   * @param {string} [method='overnight'] - Day counting method
+   * @returns {boolean} True if the day counts as a day in the country
+   */
+  isPresent(country, date, method = 'overnight') {
+    checkMethod(method);
+    return this._counts(this.getDay(date), country, method);
+  }
+
+  _counts(entry, country, method) {
+    if (!entry) return false;
+    if (method === 'overnight') return entry.overnight === country;
+    if (method === 'partial_day') return entry.countries.includes(country);
+    return (
+      !entry.travel &&
+      entry.countries.length === 1 &&
+      entry.countries[0] === country
+    );
+  }
+
+  /**
+   * Count the days in a country between two dates (inclusive)
+   *
+   * @param {string} country - ISO 3166-1 alpha-2 code
+   * @param {string} from - First ISO date
+   * @param {string} to - Last ISO date
+   * @param {string} [method='overnight'] - Day counting method
+   * @returns {number} Days counted
+   */
+  countDays(country, from, to, method = 'overnight') {
+    checkMethod(method);
+    let days = 0;
+    for (let day = toDayNumber(from); day <= toDayNumber(to); day++) {
+      if (this._counts(this.getDay(toDate(day)), country, method)) days++;
+    }
+    return days;
+  }
+
+  /**
+   * Count the days in a country in a tax year
+   *
+   * @param {string} country - ISO 3166-1 alpha-2 code
+   * @param {number} year - Tax year
+   * @param {Object} [options]
+   * @param {string} [options.method='overnight'] - Day counting method
+   * @param {Object} [options.fiscalYear] - Fiscal year mapping (see
+   *   getTaxYearRange())
+   * @returns {number} Days counted
+   */
+  countDaysInTaxYear(country, year, { method = 'overnight', fiscalYear } = {}) {
+    const { from, to } = getTaxYearRange(year, fiscalYear);
+    return this.countDays(country, from, to, method);
+  }
+
+  /**
+   * Find the rolling window with the most days in a country among the
+   * windows that start or end between two dates (e.g. any 12-month period
+   * starting or ending in a year)
+   *
+   * @param {string} country - ISO 3166-1 alpha-2 code
+   * @param {Object} options
+   * @param {string} options.from - First start or end date
+   * @param {string} options.to - Last start or end date
+   * @param {number} [options.length=365] - Window length in days
+   * @param {string} [options.method='overnight'] - Day counting method
+   * @returns {Object} { days, from, to }: the days counted and the dates
+   *   of the (earliest) window with the most days
+   */
+  getMaxDaysInWindow(
+    country,
+    { from, to, length = 365, method = 'overnight' }
+  ) {
+    checkMethod(method);
+    const first = toDayNumber(from) - length + 1;
+    const last = toDayNumber(to) + length - 1;
+
+    // Prefix sums over every day a window can cover
+    const counted = [0];
+    for (let day = first; day <= last; day++) {
+      const present = this._counts(this.getDay(toDate(day)), country, method);
+      counted.push(counted[counted.length - 1] + (present ? 1 : 0));
+    }
+
+    let best = { days: -1, from: null, to: null };
+    for (let start = first; start + length - 1 <= last; start++) {
+      const days = counted[start - first + length] - counted[start - first];
+      if (days > best.days) {
+        best = {
+          days,
+          from: toDate(start),
+          to: toDate(start + length - 1),
+        };
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Get the countries the timeline visits
+   * @returns {Array} ISO 3166-1 alpha-2 codes in order of first presence
+   */
+  getCountries() {
+    return [...new Set(this.days.flatMap(entry => entry.countries))];
+  }
+}
+
+/**
+ * Get the presence ledger of a dataset, built once per Location.csv array.
+ *
+ * The ledger keeps a copy of the rows and their timeline columns, and is
+ * rebuilt when the array no longer matches it (rows added, removed,
+ * replaced, reordered or edited).
+ *
+ * @param {Object} data - Dataset with `location` rows
+ * @returns {PresenceLedger} Ledger (empty without Location.csv rows)
+ */
+function getPresenceLedger(data) {
+  const location = data?.location;
+  if (!Array.isArray(location)) return new PresenceLedger();
+
+  const cached = ledgers.get(location);
+  if (cached && isCurrent(cached.snapshot, location)) return cached.ledger;
+
+  const ledger = new PresenceLedger(location);
+  ledgers.set(location, {
+    ledger,
+    snapshot: location.map(row => [
+      row,
+      ...LEDGER_COLUMNS.map(column => row?.[column]),
+    ]),
+  });
+  return ledger;
+}
+
+/**
+ * Check that Location.csv rows still match the copy a ledger was built from
+ *
+ * @param {Array} snapshot - [row, ...LEDGER_COLUMNS values] per row
+ * @param {Array} location - Location.csv rows
+ * @returns {boolean} True when the ledger is current
+ */
+function isCurrent(snapshot, location) {
+  return (
+    snapshot.length === location.length &&
+    snapshot.every(
+      ([row, ...values], i) =>
+        location[i] === row &&
+        LEDGER_COLUMNS.every((column, j) => row?.[column] === values[j])
+    )
+  );
+}
+
+module.exports = {
+  DAY_COUNTING_METHODS,
+  PresenceLedger,
+  formatTaxYear,
+  getPresenceLedger,
+  getRecordDate,
+  getTaxYearOf,
+  getTaxYearRange,
+  toDate,
+  toDayNumber,
+};
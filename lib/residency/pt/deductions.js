@@ -16,7 +16,7 @@
  * increased deduction when professional association fees are paid.
  */
 
-const { getTemporalMatch } = require('../../temporal');
+const { getExactMatch, getTemporalMatch } = require('../../temporal');
 
 function getDeductionDataForYear(year, deductionsData) {
   const data = getTemporalMatch(deductionsData, year);
@@ -27,9 +27,9 @@ function getDeductionDataForYear(year, deductionsData) {
 }
 
 function getPersonalDeductionsForMonth(year, month, personalDeductionsData) {
-  const deduction = personalDeductionsData.find(
-    d => d.Year === year && d.Month === month
-  );
+  const deduction = getExactMatch(personalDeductionsData, year, {
+    Month: month,
+  });
 
   if (!deduction) {
     return {
@@ -9,6 +9,7 @@ const deductions = require('./deductions');
 const foreignTaxCredit = require('./foreignTaxCredit');
 const nhr = require('./nhr');
 const progressive = require('./progressive');
+const residence = require('./residence');
 const PortugalResidency = require('./residency');
 const socialSecurity = require('./socialSecurity');
 const solidarity = require('./solidarity');
@@ -17,6 +18,7 @@ module.exports = {
   ...deductions,
   ...nhr,
   ...progressive,
+  ...residence,
   ...socialSecurity,
   ...solidarity,
   ...foreignTaxCredit,
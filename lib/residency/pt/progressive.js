@@ -5,6 +5,8 @@
  * Applies tax brackets to calculate tax liability
  */
 
+const { getExactRows } = require('../../temporal');
+
 function getTaxBrackets(year, taxBracketsData) {
   if (!year || typeof year !== 'number') {
     throw new Error(`Invalid year parameter: ${year}`);
@@ -14,8 +16,7 @@ function getTaxBrackets(year, taxBracketsData) {
     throw new Error('taxBracketsData must be an array');
   }
 
-  const brackets = taxBracketsData
-    .filter(b => b.Year === year)
+  const brackets = getExactRows(taxBracketsData, year)
     .map(b => ({
       min: b.BracketMin,
       max: b.BracketMax,
@@ -0,0 +1,123 @@
+/**
+ * @module residence
+ * Portuguese Tax Residence Test
+ *
+ * Article 16(1) CIRS: a person is resident in Portugal in a year when,
+ * in any 12-month period starting or ending in that year, they
+ * (a) stayed more than 183 days, consecutive or not, or
+ * (b) stayed for less, but had on any day of that period a dwelling in
+ *     conditions suggesting the intention to keep and occupy it as their
+ *     habitual residence.
+ *
+ * Days come from the Location.csv presence ledger by the
+ * ResidencyDayCountingMethod setting (Article 16(2) counts every day,
+ * complete or partial, with a night spent in Portugal: `overnight`).
+ * Dwellings are Accommodation.csv rows for PT marked IsPermanentHome,
+ * available on a day of the year in which the person stayed at least
+ * ResidencyMinDaysForPermanentHome days in Portugal.
+ *
+ * Results carry their evidence (the 12-month window with the most days
+ * and the dwelling row) so the determination can be shown to the
+ * Autoridade Tributária.
+ */
+
+const { getPresenceLedger, getTaxYearRange } = require('../presence');
+
+/**
+ * Days a stay must exceed in a 12-month period (Article 16(1)(a))
+ */
+const DAYS_THRESHOLD = 183;
+
+/**
+ * Length of the rolling period in days
+ */
+const PERIOD_DAYS = 365;
+
+/**
+ * Find the Accommodation.csv rows of dwellings kept as habitual residence
+ * in Portugal between two dates
+ *
+ * @param {Array} accommodation - Accommodation.csv rows
+ * @param {string} from - First ISO date
+ * @param {string} to - Last ISO date
+ * @returns {Array} Rows for PT with IsPermanentHome available in the range
+ */
+function findHabitualDwellings(accommodation, from, to) {
+  return (accommodation || []).filter(
+    row =>
+      row.Country === 'PT' &&
+      row.IsPermanentHome === true &&
+      row.AvailableFrom <= to &&
+      row.AvailableTo >= from
+  );
+}
+
+/**
+ * Check whether a dataset records where the person was or lived
+ *
+ * @param {Object} data - Complete dataset
+ * @returns {boolean} True with Location.csv or Accommodation.csv rows
+ */
+function hasPresenceData(data) {
+  return (
+    (data.location || []).length > 0 || (data.accommodation || []).length > 0
+  );
+}
+
+/**
+ * Test Portuguese tax residence for a year
+ *
+ * @param {number} year - Tax year
+ * @param {Object} data - Complete dataset with location and accommodation
+ * @param {Object} settings - PT simulation settings
+ *   (ResidencyTest183Days, ResidencyDayCountingMethod,
+ *   ResidencyPermanentHomeTest, ResidencyMinDaysForPermanentHome)
+ * @returns {Object} { isResident, test, evidence }: test is '183-days',
+ *   'habitual-residence' or 'not-resident'; evidence holds
+ *   `days` { days, from, to, method } (the 12-month period with the most
+ *   days), `daysInYear` and `dwelling` (the Accommodation.csv row, or null)
+ */
+function testPortugueseResidence(year, data, settings) {
+  const method = settings.ResidencyDayCountingMethod;
+  const { from, to } = getTaxYearRange(year);
+  const ledger = getPresenceLedger(data);
+
+  const window = ledger.getMaxDaysInWindow('PT', {
+    from,
+    to,
+    length: PERIOD_DAYS,
+    method,
+  });
+  const evidence = {
+    days: { ...window, method },
+    daysInYear: ledger.countDays('PT', from, to, method),
+    dwelling: null,
+  };
+
+  if (settings.ResidencyTest183Days && window.days > DAYS_THRESHOLD) {
+    return { isResident: true, test: '183-days', evidence };
+  }
+
+  if (
+    settings.ResidencyPermanentHomeTest &&
+    evidence.daysInYear >= settings.ResidencyMinDaysForPermanentHome
+  ) {
+    const [dwelling] = findHabitualDwellings(data.accommodation, from, to);
+    if (dwelling) {
+      return {
+        isResident: true,
+        test: 'habitual-residence',
+        evidence: { ...evidence, dwelling },
+      };
+    }
+  }
+
+  return { isResident: false, test: 'not-resident', evidence };
+}
+
+module.exports = {
+  DAYS_THRESHOLD,
+  findHabitualDwellings,
+  hasPresenceData,
+  testPortugueseResidence,
+};
@@ -6,12 +6,19 @@
  * All tax rules loaded from reference data (no hardcoded values).
  */
 
+const { getExactMatch, getExactRows } = require('../../temporal');
 const { convertCurrency } = require('../../utils/currency');
 const { TaxResidency } = require('../base');
+const { getTaxYearRange } = require('../presence');
 const { calculateSpecificDeduction } = require('./deductions');
 const { getWithholdingRate } = require('./foreignTaxCredit');
 const { getNHRStatus, getNHRRegimeData } = require('./nhr');
 const { calculateProgressiveTax } = require('./progressive');
+const {
+  findHabitualDwellings,
+  hasPresenceData,
+  testPortugueseResidence,
+} = require('./residence');
 const {
   calculateSocialSecurity,
   getFreelanceTaxableBase,
@@ -84,7 +91,7 @@ class PortugalResidency extends TaxResidency {
    */
   getTaxBrackets(year) {
     if (!this.referenceData || !this.referenceData.taxBrackets) return [];
-    return this.referenceData.taxBrackets.filter(b => b.Year === year);
+    return getExactRows(this.referenceData.taxBrackets, year);
   }
 
   /**
@@ -94,7 +101,7 @@ class PortugalResidency extends TaxResidency {
    */
   getSocialSecurityRates(year) {
     if (!this.referenceData || !this.referenceData.socialSecurity) return [];
-    return this.referenceData.socialSecurity.filter(s => s.Year === year);
+    return getExactRows(this.referenceData.socialSecurity, year);
   }
 
   /**
@@ -104,8 +111,7 @@ class PortugalResidency extends TaxResidency {
    */
   getSolidarityTaxConfig(year) {
     if (!this.referenceData || !this.referenceData.solidarity) return null;
-    const config = this.referenceData.solidarity.find(s => s.Year === year);
-    return config || null;
+    return getExactMatch(this.referenceData.solidarity, year);
   }
 
   /**
@@ -115,24 +121,27 @@ class PortugalResidency extends TaxResidency {
    */
   getSpecialRegimes(year) {
     if (!this.referenceData || !this.referenceData.specialRegimes) return [];
-    return this.referenceData.specialRegimes.filter(r => r.Year === year);
+    return getExactRows(this.referenceData.specialRegimes, year);
   }
 
   /**
    * Calculate tax for income with given parameters
    * @param {number} grossIncome - Gross income amount
    * @param {string} incomeType - Type of income (employment, freelance, dividend)
-   * @param {Object} options - Calculation options
+   * @param {Object} options - Calculation options; the NHR acquisition date
+   *   (specialRegime) and dividend aggregation (aggregate) default to the
+   *   NHRStatusAcquiredDate and DividendAggregationEligible settings
    * @returns {Object} Tax calculation result
    */
   calculateTax(grossIncome, incomeType, options = {}) {
+    const settings = this.getSettings();
     const {
       year,
-      specialRegime,
+      specialRegime = settings.NHRStatusAcquiredDate,
       sourceCountry = 'PT',
       freelanceType,
-      expenses,
-      aggregate = false,
+      expenses = 0,
+      aggregate = settings.DividendAggregationEligible,
     } = options;
 
     const specialRegimeStatus = specialRegime
@@ -182,63 +191,98 @@ class PortugalResidency extends TaxResidency {
     return require('./deductions');
   }
 
+  getRequiredReferenceFiles() {
+    return [
+      'TaxBrackets.csv',
+      'SocialSecurity.csv',
+      'SolidarityTax.csv',
+      'Deductions.csv',
+      'SpecialRegimes.csv',
+      'ForeignTaxCredit.csv',
+    ];
+  }
+
+  getReferenceSchemas() {
+    return require('./schemas');
+  }
+
+  getReferenceFigures() {
+    return {
+      taxAmount: [
+        'taxBrackets',
+        'deductions',
+        'specialRegimes',
+        'foreignTaxCredit',
+      ],
+      socialSecurity: ['socialSecurity'],
+      solidarityTax: ['solidarity'],
+    };
+  }
+
+  getSettingsSchema() {
+    return require('./settings');
+  }
+
   /**
-   * Test if taxpayer is resident in Portugal for the given year
-   * For MVP, assumes Portuguese residency if income records exist
+   * Test if taxpayer is resident in Portugal for the given year:
+   * more than 183 days in a 12-month period starting or ending in the
+   * year, or a dwelling kept as habitual residence (see ./residence).
+   * Datasets without Location.csv and Accommodation.csv rows fall back to
+   * Portuguese income for the year.
    * @param {number} year - Tax year
    * @param {Object} data - Complete dataset
-   * @returns {Object} Residency test result
+   * @returns {Object} Residency test result with the criterion met
+   *   (`test`) and its `evidence`
    */
   testResidency(year, data) {
-    const hasPTIncome =
-      data.incomeRecords &&
-      data.incomeRecords.some(
-        r =>
-          (r.SourceCountry === 'PT' || r.sourceCountry === 'PT') &&
-          (r.Year === year || r.year === year)
-      );
+    if (!hasPresenceData(data)) {
+      const hasPTIncome = this._hasPortugueseIncome(year, data);
+      return {
+        isResident: hasPTIncome,
+        test: hasPTIncome ? 'income-presence' : 'no-income',
+      };
+    }
 
-    return {
-      isResident: hasPTIncome,
-      test: hasPTIncome ? 'income-presence' : 'no-income',
-    };
+    return testPortugueseResidence(year, data, this.getSettings());
   }
 
   /**
-   * Check if taxpayer has a permanent home in Portugal
-   * For MVP, returns true if there's Portuguese income
+   * Check if taxpayer has a permanent home in Portugal: an
+   * Accommodation.csv dwelling marked IsPermanentHome available in the
+   * year (Portuguese income for the year without Accommodation.csv rows)
    * @param {number} year - Tax year
    * @param {Object} data - Complete dataset
    * @returns {boolean} True if permanent home in Portugal
    */
   hasPermanentHome(year, data) {
-    return (
-      data.incomeRecords &&
-      data.incomeRecords.some(
-        r =>
-          (r.SourceCountry === 'PT' || r.sourceCountry === 'PT') &&
-          (r.Year === year || r.year === year)
-      )
-    );
+    if ((data.accommodation || []).length === 0) {
+      return this._hasPortugueseIncome(year, data);
+    }
+
+    const { from, to } = getTaxYearRange(year);
+    return findHabitualDwellings(data.accommodation, from, to).length > 0;
   }
 
   /**
-   * Calculate strength of vital interests in Portugal
-   * For MVP, returns high value if Portuguese income exists
+   * Calculate strength of vital interests in Portugal from economic ties:
+   * the share of the year's income records from Portuguese sources
    * @param {number} year - Tax year
    * @param {Object} data - Complete dataset
    * @returns {number} Strength of vital interests (0-100)
    */
   calculateVitalInterestsStrength(year, data) {
-    const hasPTIncome =
+    return this.getIncomeShare(year, data);
+  }
+
+  _hasPortugueseIncome(year, data) {
+    return Boolean(
       data.incomeRecords &&
       data.incomeRecords.some(
         r =>
           (r.SourceCountry === 'PT' || r.sourceCountry === 'PT') &&
           (r.Year === year || r.year === year)
-      );
-
-    return hasPTIncome ? 100 : 0;
+      )
+    );
   }
 
   /**
@@ -677,9 +721,7 @@ class PortugalResidency extends TaxResidency {
   getMinimumSubsistenceForYear(year) {
     if (!this.referenceData || !this.referenceData.minimumSubsistence)
       return null;
-    const config = this.referenceData.minimumSubsistence.find(
-      s => s.Year === year
-    );
+    const config = getExactMatch(this.referenceData.minimumSubsistence, year);
     return config && config.Amount > 0 ? config.Amount : null;
   }
 
@@ -0,0 +1,70 @@
+/**
+ * @module schemas
+ * Portugal Reference File Schemas
+ *
+ * Column definitions of the CSV files in a PT/ data directory
+ * (see lib/schemas.js for the column types).
+ */
+
+const YEAR = { type: 'integer', required: true };
+const RATE = { type: 'number' };
+
+module.exports = {
+  'TaxBrackets.csv': {
+    Year: YEAR,
+    BracketMin: { type: 'number', required: true },
+    BracketMax: { type: 'number' },
+    Rate: { type: 'number', required: true },
+    ParcelaAbater: { type: 'number' },
+  },
+  'SocialSecurity.csv': {
+    Year: YEAR,
+    IAS: { type: 'number' },
+    EmploymentRate: RATE,
+    FreelanceRate: RATE,
+    FreelanceCoefficient: RATE,
+    FreelanceCapMonthly: { type: 'number' },
+    DividendRate: RATE,
+  },
+  'SolidarityTax.csv': {
+    Year: YEAR,
+    Threshold1: { type: 'number', required: true },
+    Rate1: { type: 'number', required: true },
+    Threshold2: { type: 'number' },
+    Rate2: RATE,
+  },
+  'Deductions.csv': {
+    Year: YEAR,
+    SpecificDeduction: { type: 'number' },
+    HousingMax: { type: 'number' },
+    IVABooksRate: RATE,
+    GlobalDeductionCap: { type: 'number' },
+  },
+  'SpecialRegimes.csv': {
+    RegimeName: { type: 'string', required: true, key: true },
+    DurationYears: { type: 'integer' },
+    ForeignIncomeExempt: { type: 'boolean' },
+    DomesticEmploymentRate: RATE,
+  },
+  'ForeignTaxCredit.csv': {
+    Year: YEAR,
+    SourceCountry: { type: 'country', required: true, key: true },
+    WithholdingRateEmployment: RATE,
+    WithholdingRateFreelance: RATE,
+    WithholdingRateDividend: RATE,
+  },
+  'MinimumSubsistence.csv': {
+    Year: YEAR,
+    Amount: { type: 'number', required: true },
+  },
+  'MonthlyPersonalDeductions.csv': {
+    Year: YEAR,
+    Month: { type: 'integer', required: true, key: true },
+    HealthExpenses: { type: 'number' },
+    EducationExpenses: { type: 'number' },
+    HousingExpenses: { type: 'number' },
+    IVAGeneral: { type: 'number' },
+    IVABooksCulture: { type: 'number' },
+    OtherDeductions: { type: 'number' },
+  },
+};
@@ -0,0 +1,18 @@
+/**
+ * @module settings
+ * Portugal Simulation Parameters
+ *
+ * Parameters of PT/SimulationParameters.csv beyond the common ones
+ * (see SIMULATION_PARAMETERS in lib/schemas.js).
+ */
+
+module.exports = {
+  // NHR regime start; empty for taxpayers without NHR status
+  NHRStatusAcquiredDate: { type: 'date' },
+  NHRDuration: { type: 'integer' },
+  // Opt for aggregating dividends (50% exempt for PT/EU/EEA sources)
+  DividendAggregationEligible: { type: 'boolean', default: false },
+  DividendFlatRate: { type: 'number' },
+  FreelanceServicesCoefficient: { type: 'number' },
+  FreelanceGoodsCoefficient: { type: 'number' },
+};
@@ -5,6 +5,8 @@
  * Applies additional rates for high earners based on thresholds from reference data
  */
 
+const { getExactMatch } = require('../../temporal');
+
 function calculateSolidarityTax(taxableIncome, year, solidarityData) {
   if (!taxableIncome || taxableIncome <= 0) {
     return 0;
@@ -14,7 +16,7 @@ function calculateSolidarityTax(taxableIncome, year, solidarityData) {
     return 0;
   }
 
-  const solData = solidarityData.find(s => s.Year == year);
+  const solData = getExactMatch(solidarityData, year);
   if (!solData) {
     throw new Error(`No solidarity tax data found for year ${year}`);
   }
@@ -0,0 +1,446 @@
+/**
+ * @module schemas
+ * CSV File Schemas
+ *
+ * Declares the columns of every input file: type, whether a value is
+ * required, allowed values and defaults. loadData() coerces each file by its
+ * schema instead of guessing types from values, so an NIF or postcode like
+ * "0123" stays text, a Month of "01" becomes 1 and dates stay YYYY-MM-DD
+ * strings.
+ *
+ * Column types:
+ * - `integer`, `number`, `boolean`, `string`
+ * - `date` (YYYY-MM-DD), `time` (HH:MM)
+ * - `country` (ISO 3166-1 alpha-2), `currency` (ISO 4217)
+ * - `any` (type inferred from the value, e.g. the German TaxClass)
+ *
+ * The files shared by all countries are declared here; country reference
+ * files are declared by each residency via getReferenceSchemas().
+ * Columns marked `key` identify the rows a user's reference file overrides
+ * in the bundled reference data, and every reference file may add the
+ * metadata columns of REFERENCE_COLUMNS.
+ *
+ * SimulationParameters.csv rows are key-value pairs; their values are typed
+ * by parameter definitions instead (SIMULATION_PARAMETERS for the common
+ * ones, getSettingsSchema() of each residency for the rest, see
+ * buildSettings()).
+ *
+ * @example
+ * const rows = [{ Year: '2025', Month: '01', FromCurrency: 'GBP' }];
+ * applySchema(rows, FILE_SCHEMAS['ExchangeRates.csv']);
+ * // rows[0] → { Year: 2025, Month: 1, FromCurrency: 'GBP' }
+ * // returns [{ severity: 'error', index: 0, column: 'ToCurrency', message: 'ToCurrency is required' }, ...]
+ */
+
+const INCOME_TYPES = [
+  'employment',
+  'freelance',
+  'dividend',
+  'interest',
+  'capital_gain',
+  'pension',
+  'rental',
+  'other',
+];
+
+/**
+ * Infer the type of a CSV value: numbers, booleans, null for empty strings,
+ * everything else as text
+ *
+ * @param {string} value - Raw CSV value
+ * @returns {number|boolean|string|null} Converted value
+ */
+function inferValue(value) {
+  if (value === '') return null;
+  if (value.trim() !== '' && !isNaN(Number(value))) return Number(value);
+  if (value.toLowerCase() === 'true') return true;
+  if (value.toLowerCase() === 'false') return false;
+  return value;
+}
+
+function isValidDate(value) {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return false;
+  }
+  const date = new Date(`${value}T00:00:00Z`);
+  return !isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+}
+
+function matching(pattern) {
+  return value => typeof value === 'string' && pattern.test(value);
+}
+
+/**
+ * Column types: parse() converts a raw CSV string (undefined if invalid),
+ * check() tests an already typed value
+ */
+const COLUMN_TYPES = {
+  integer: {
+    description: 'an integer',
+    parse: value => (/^[+-]?\d+$/.test(value) ? Number(value) : undefined),
+    check: value => Number.isInteger(value),
+  },
+  number: {
+    description: 'a number',
+    parse: value =>
+      value.trim() !== '' && Number.isFinite(Number(value))
+        ? Number(value)
+        : undefined,
+    check: value => typeof value === 'number' && Number.isFinite(value),
+  },
+  boolean: {
+    description: 'true or false',
+    parse: value => ({ true: true, false: false })[value.toLowerCase()],
+    check: value => typeof value === 'boolean',
+  },
+  string: {
+    description: 'text',
+    parse: value => value,
+    check: value => typeof value === 'string',
+  },
+  date: {
+    description: 'a date (YYYY-MM-DD)',
+    parse: value => (isValidDate(value) ? value : undefined),
+    check: isValidDate,
+  },
+  time: {
+    description: 'a time (HH:MM)',
+    parse: value =>
+      /^([01]\d|2[0-3]):[0-5]\d$/.test(value) ? value : undefined,
+    check: matching(/^([01]\d|2[0-3]):[0-5]\d$/),
+  },
+  country: {
+    description: 'an ISO 3166-1 alpha-2 country code',
+    parse: value => (/^[A-Z]{2}$/.test(value) ? value : undefined),
+    check: matching(/^[A-Z]{2}$/),
+  },
+  currency: {
+    description: 'an ISO 4217 currency code',
+    parse: value => (/^[A-Z]{3}$/.test(value) ? value : undefined),
+    check: matching(/^[A-Z]{3}$/),
+  },
+  any: {
+    description: 'any value',
+    parse: inferValue,
+    check: () => true,
+  },
+};
+
+/**
+ * Schemas of the files shared by all countries, keyed by file name.
+ * Each column: { type, required?, values?, default?, key? }
+ *
+ * `key` marks the columns that, with Year, identify a group of reference
+ * rows: a user's rows replace the bundled rows of their group (see
+ * buildDataset()).
+ */
+const FILE_SCHEMAS = {
+  'Income.csv': {
+    Year: { type: 'integer', required: true },
+    Month: { type: 'integer', required: true },
+    Day: { type: 'integer' },
+    GrossIncome: { type: 'number' },
+    Amount: { type: 'number' },
+    IncomeType: { type: 'string', values: INCOME_TYPES, default: 'employment' },
+    SourceCountry: { type: 'country' },
+    ResidencyCountry: { type: 'country' },
+    SourceCurrency: { type: 'currency' },
+    Currency: { type: 'currency' },
+    ExchangeRate: { type: 'number' },
+    NHRStatusAcquiredDate: { type: 'date' },
+    DividendAggregation: { type: 'boolean' },
+    FreelanceExpenses: { type: 'number' },
+    PersonalDeductions: { type: 'number' },
+    Employer: { type: 'string' },
+    Description: { type: 'string' },
+    // Germany: Steuerklasse 1-6 or I-VI, Freiberufler or Gewerbe
+    TaxClass: { type: 'any' },
+    FreelanceType: { type: 'string', values: ['professional', 'trade'] },
+  },
+  'ExchangeRates.csv': {
+    Year: { type: 'integer', required: true },
+    Month: { type: 'integer' },
+    FromCurrency: { type: 'currency', required: true },
+    ToCurrency: { type: 'currency', required: true },
+    Rate: { type: 'number', required: true },
+  },
+  'Location.csv': {
+    Date: { type: 'date', required: true },
+    FromCountry: { type: 'country', required: true },
+    ToCountry: { type: 'country', required: true },
+    DepartureTime: { type: 'time' },
+    ArrivalTime: { type: 'time' },
+    LocationType: {
+      type: 'string',
+      values: ['Residence', 'Business', 'Travel', 'Holiday', 'Other'],
+    },
+  },
+  'WorkActivity.csv': {
+    Date: { type: 'date', required: true },
+    Country: { type: 'country', required: true },
+    WorkHours: { type: 'number' },
+    WorkType: {
+      type: 'string',
+      values: ['Employment', 'Freelance', 'NonWork'],
+    },
+    EmployerCountry: { type: 'country' },
+  },
+  'Accommodation.csv': {
+    Year: { type: 'integer', required: true },
+    Country: { type: 'country', required: true },
+    AccommodationType: {
+      type: 'string',
+      required: true,
+      values: ['Owned', 'Rented', 'Family', 'Hotel', 'Other'],
+    },
+    AvailableFrom: { type: 'date', required: true },
+    AvailableTo: { type: 'date', required: true },
+    IsPermanentHome: { type: 'boolean' },
+  },
+  'TaxResidency.csv': {
+    Year: { type: 'integer', required: true },
+    Country: { type: 'country', required: true },
+    ResidencyStatus: {
+      type: 'string',
+      required: true,
+      values: ['Resident', 'NonResident', 'SplitYear'],
+    },
+    ResidencyStartDate: { type: 'date' },
+    ResidencyEndDate: { type: 'date' },
+    CalculationMethod: {
+      type: 'string',
+      values: ['Manual', 'TreatyElection', 'Automatic', 'SplitYear'],
+    },
+    Notes: { type: 'string' },
+  },
+  'SimulationParameters.csv': {
+    Parameter: { type: 'string', required: true },
+    // Typed by the parameter definitions (see buildSettings)
+    Value: { type: 'string' },
+    Description: { type: 'string' },
+  },
+};
+
+/**
+ * Optional columns of every country reference file, on top of its schema.
+ *
+ * `Source` cites the law the row comes from (e.g. "Lei 33/2024").
+ * `EffectiveFrom` and `EffectiveTo` limit the dates a row applies to
+ * within its Year, so mid-year changes and retroactive amendments can
+ * live next to the original rows. `Status` marks rows of a proposed
+ * budget, which are only used when proposed reference data is asked for;
+ * rows without a Status are enacted (see selectRowsInForce()).
+ */
+const REFERENCE_COLUMNS = {
+  Source: { type: 'string' },
+  EffectiveFrom: { type: 'date' },
+  EffectiveTo: { type: 'date' },
+  Status: { type: 'string', values: ['enacted', 'proposed'] },
+};
+
+/**
+ * Simulation parameters every country reads from its
+ * SimulationParameters.csv, keyed by parameter name.
+ * Each parameter: { type, values?, default? }
+ */
+const SIMULATION_PARAMETERS = {
+  ResidencyTest183Days: { type: 'boolean', default: true },
+  ResidencyDayCountingMethod: {
+    type: 'string',
+    values: ['overnight', 'partial_day', 'calendar_day'],
+    default: 'overnight',
+  },
+  ResidencyPermanentHomeTest: { type: 'boolean', default: true },
+  ResidencyMinDaysForPermanentHome: { type: 'integer', default: 1 },
+};
+
+/**
+ * Coerce one value to its column type
+ *
+ * @param {*} value - Raw CSV string or already typed value
+ * @param {Object} column - Column definition { type }
+ * @returns {Object} { value, valid } (the original value when invalid)
+ * @throws {Error} If the column type is unknown
+ */
+function coerceValue(value, column) {
+  const type = COLUMN_TYPES[column.type];
+  if (!type) {
+    throw new Error(`Unknown column type: ${column.type}`);
+  }
+
+  if (typeof value === 'string') {
+    const parsed = type.parse(value);
+    return parsed === undefined
+      ? { value, valid: false }
+      : { value: parsed, valid: true };
+  }
+  return { value, valid: type.check(value) };
+}
+
+/**
+ * Coerce rows in place by a schema and collect the problems found
+ *
+ * Values are converted to their column type and missing values replaced
+ * by column defaults. Unconvertible values are kept as they are. Columns
+ * not declared in the schema are reported once and keep their raw value.
+ *
+ * @param {Array} rows - Rows with raw string (or typed) values; null for empty
+ * @param {Object} schema - Column definitions keyed by column name
+ * @returns {Array} Issues { severity, index, column, message }; index is
+ *   the row index, or null for problems with the columns themselves
+ */
+function applySchema(rows, schema) {
+  const issues = [];
+  const issue = (severity, index, column, message) =>
+    issues.push({ severity, index, column, message });
+
+  if (rows.length === 0) return issues;
+
+  const present = new Set(rows.flatMap(row => Object.keys(row)));
+
+  for (const column of present) {
+    if (!schema[column]) {
+      issue('warning', null, column, `Unknown column ${column}`);
+    }
+  }
+
+  const missing = Object.keys(schema).filter(
+    column => schema[column].required && !present.has(column)
+  );
+  for (const column of missing) {
+    issue('error', null, column, `Missing required column ${column}`);
+  }
+
+  rows.forEach((row, index) => {
+    for (const [name, column] of Object.entries(schema)) {
+      const raw = row[name];
+
+      if (raw === null || raw === undefined) {
+        if (column.default !== undefined) {
+          row[name] = column.default;
+        } else if (column.required && !missing.includes(name)) {
+          issue('error', index, name, `${name} is required`);
+        }
+        continue;
+      }
+
+      const { value, valid } = coerceValue(raw, column);
+      row[name] = value;
+
+      if (!valid) {
+        issue(
+          'error',
+          index,
+          name,
+          `${name} must be ${COLUMN_TYPES[column.type].description} (got ${raw})`
+        );
+      } else if (column.values && !column.values.includes(value)) {
+        issue(
+          'error',
+          index,
+          name,
+          `${name} must be one of: ${column.values.join(', ')} (got ${value})`
+        );
+      }
+    }
+  });
+
+  return issues;
+}
+
+/**
+ * Build typed settings from SimulationParameters.csv rows
+ *
+ * Every declared parameter gets its value coerced to the parameter type,
+ * or its default (null without one) when it is not set or invalid.
+ * Parameters not declared are ignored; of duplicates the first row is
+ * used.
+ *
+ * @param {Array} rows - { Parameter, Value } rows
+ * @param {Object} parameters - Parameter definitions keyed by name
+ * @returns {Object} { settings, issues } with settings keyed by parameter
+ *   name and issues { severity, index, column, message } as in applySchema()
+ *
+ * @example
+ * buildSettings([{ Parameter: 'ResidencyTest183Days', Value: 'false' }], SIMULATION_PARAMETERS);
+ * // { settings: { ResidencyTest183Days: false, ResidencyDayCountingMethod: 'overnight', ... }, issues: [] }
+ */
+function buildSettings(rows, parameters) {
+  const settings = {};
+  const issues = [];
+  const issue = (severity, index, message) =>
+    issues.push({ severity, index, column: 'Value', message });
+
+  for (const [name, parameter] of Object.entries(parameters)) {
+    settings[name] = parameter.default ?? null;
+  }
+
+  const seen = new Set();
+  rows.forEach((row, index) => {
+    const name = row.Parameter;
+    const parameter = parameters[name];
+    if (!parameter) return;
+
+    if (seen.has(name)) {
+      issue('warning', index, `Duplicate parameter ${name}; the first is used`);
+      return;
+    }
+    seen.add(name);
+
+    if (row.Value === null || row.Value === undefined) return;
+
+    const { value, valid } = coerceValue(row.Value, parameter);
+    if (!valid) {
+      issue(
+        'error',
+        index,
+        `${name} must be ${COLUMN_TYPES[parameter.type].description} (got ${row.Value})`
+      );
+    } else if (parameter.values && !parameter.values.includes(value)) {
+      issue(
+        'error',
+        index,
+        `${name} must be one of: ${parameter.values.join(', ')} (got ${value})`
+      );
+    } else {
+      settings[name] = value;
+    }
+  });
+
+  return { settings, issues };
+}
+
+/**
+ * Check schema definitions for unknown column types
+ *
+ * @param {Object} schemas - Schemas keyed by file name
+ * @returns {Array} Problems (empty if all definitions are valid)
+ */
+function checkSchemas(schemas) {
+  const problems = [];
+
+  for (const [file, schema] of Object.entries(schemas || {})) {
+    for (const [name, column] of Object.entries(schema || {})) {
+      if (!COLUMN_TYPES[column?.type]) {
+        problems.push(
+          `${file} column ${name} has unknown type ${column?.type}`
+        );
+      }
+    }
+  }
+
+  return problems;
+}
+
+module.exports = {
+  COLUMN_TYPES,
+  FILE_SCHEMAS,
+  INCOME_TYPES,
+  REFERENCE_COLUMNS,
+  SIMULATION_PARAMETERS,
+  applySchema,
+  buildSettings,
+  checkSchemas,
+  coerceValue,
+  inferValue,
+};
@@ -6,26 +6,135 @@
  * Used throughout the codebase for tax bracket rates, social security rates,
  * deductions, and other year-based reference data.
  *
+ * Lookups do not depend on the order of the rows: each array is indexed by
+ * Year on its first lookup and re-indexed when it changes. Rows can be
+ * narrowed by several columns at once with a filter object (e.g.
+ * `{ Type: 'PersonalAllowance' }` or `{ IncomeType: 'income', Region:
+ * 'Scottish' }`); values are compared as text, so `{ Class: 1 }` matches a
+ * Class of `'1'`.
+ *
  * @example
  * const brackets = [
+ *   { Year: 2025, Rate: 0.17 },
  *   { Year: 2023, Rate: 0.15 },
- *   { Year: 2024, Rate: 0.16 },
- *   { Year: 2025, Rate: 0.17 }
+ *   { Year: 2024, Rate: 0.16 }
  * ];
  * const bracket2025 = getTemporalMatch(brackets, 2025); // Returns 2025 bracket
  * const bracket2024 = getTemporalMatch(brackets, 2024); // Returns 2024 bracket
  */
 
+/**
+ * Year indexes of the arrays looked up (see indexByYear)
+ */
+const yearIndexes = new WeakMap();
+
+/**
+ * Index rows by year, once per array.
+ *
+ * The index keeps a copy of the rows and their Years, and is rebuilt when
+ * the array no longer matches it (rows added, removed, replaced or given
+ * another Year). Other columns are read at lookup time.
+ *
+ * @param {Array} data - Records with a `Year` property
+ * @returns {Object} { snapshot, years, rows }: the rows and Years indexed,
+ *   the years in ascending order and the rows of each year in their
+ *   original order
+ */
+function indexByYear(data) {
+  const cached = yearIndexes.get(data);
+  if (cached && isCurrent(cached.snapshot, data)) return cached;
+
+  const rows = new Map();
+  for (const row of data) {
+    const rowYear = parseInt(row?.Year);
+    if (isNaN(rowYear)) continue;
+    if (!rows.has(rowYear)) rows.set(rowYear, []);
+    rows.get(rowYear).push(row);
+  }
+  const index = {
+    snapshot: data.map(row => [row, row?.Year]),
+    years: [...rows.keys()].sort((a, b) => a - b),
+    rows,
+  };
+  yearIndexes.set(data, index);
+  return index;
+}
+
+/**
+ * Check that an array still holds the rows and Years of an index
+ *
+ * @param {Array} snapshot - [row, Year] pairs the index was built from
+ * @param {Array} data - Records with a `Year` property
+ * @returns {boolean} True when the index is current
+ */
+function isCurrent(snapshot, data) {
+  return (
+    snapshot.length === data.length &&
+    snapshot.every(
+      ([row, rowYear], i) => data[i] === row && row?.Year === rowYear
+    )
+  );
+}
+
+/**
+ * Build a row predicate from a lookup filter
+ *
+ * @param {string|Object|null} filterKey - Column name, or an object of
+ *   column values
+ * @param {*} filterValue - Value of the column (with a column name)
+ * @returns {Function|null} Predicate, or null without a filter
+ */
+function toPredicate(filterKey, filterValue) {
+  if (filterKey === null || filterKey === undefined) return null;
+
+  const filter =
+    typeof filterKey === 'object' ? filterKey : { [filterKey]: filterValue };
+  const entries = Object.entries(filter);
+  return row =>
+    entries.every(([column, value]) => String(row[column]) === String(value));
+}
+
+/**
+ * Get the matching rows of the latest year up to a year
+ *
+ * @param {Array} data - Records with a `Year` property
+ * @param {number} year - Target year
+ * @param {Function|null} predicate - Row filter
+ * @param {boolean} exact - Only the target year itself
+ * @returns {Array} Matching rows (empty if none)
+ */
+function findRows(data, year, predicate, exact) {
+  if (!Array.isArray(data)) {
+    throw new Error('data must be an array');
+  }
+
+  const index = indexByYear(data);
+  for (let i = index.years.length - 1; i >= 0; i--) {
+    const rowYear = index.years[i];
+    if (rowYear > year) continue;
+    if (exact && rowYear !== year) break;
+
+    const rows = index.rows.get(rowYear);
+    const matches = predicate ? rows.filter(predicate) : [...rows];
+    if (matches.length > 0) return matches;
+    if (exact) break;
+  }
+  return [];
+}
+
 /**
  * Find the best matching record for a given year from time-series data.
  *
- * Returns the most recent record where `Year <= targetYear`. This is useful
- * for finding applicable tax rates, brackets, or deductions for a specific tax year.
- * Data must be sorted by year in ascending order.
+ * Returns the most recent record where `Year <= targetYear` (the last one
+ * of that year). This is useful for finding applicable tax rates,
+ * brackets, or deductions for a specific tax year. calculateNetIncome()
+ * copies earlier years into the year calculated under its fallback policy
+ * before any lookup, so the fallback here only applies to direct calls.
  *
- * @param {Array} data - Array of records with a `Year` property
+ * @param {Array} data - Array of records with a `Year` property (any order)
  * @param {number} year - Target year to find match for
- * @param {string} [filterKey=null] - Optional key to filter by (e.g., 'IncomeType')
+ * @param {string|Object} [filterKey=null] - Optional key to filter by
+ *   (e.g., 'IncomeType'), or an object of column values
  * @param {*} [filterValue=null] - Value to filter by
  * @returns {Object|null} Best matching record, or null if no match found
  *
@@ -37,38 +146,32 @@
  * ];
  *
  * getTemporalMatch(data, 2025); // Returns { Year: 2025, Rate: 0.145 }
- * getTemporalMatch(data, 2025, 'Rate', 0.14); // Returns null (filter doesn't match)
+ * getTemporalMatch(data, 2025, 'Rate', 0.14); // Returns { Year: 2024, Rate: 0.14 }
+ * getTemporalMatch(data, 2025, { Rate: 0.15 }); // Returns null (only in 2026)
  * getTemporalMatch(data, 2027); // Returns { Year: 2026, Rate: 0.15 } (most recent)
  * getTemporalMatch(data, 2023); // Returns null (no records before 2023)
  */
 function getTemporalMatch(data, year, filterKey = null, filterValue = null) {
-  if (!Array.isArray(data)) {
-    throw new Error('data must be an array');
-  }
-
-  let subset = filterKey
-    ? data.filter(r => String(r[filterKey]) === String(filterValue))
-    : data;
-
-  if (!subset.length) {
-    return null;
-  }
-
-  let best = null;
-  for (const row of subset) {
-    const rowYear = parseInt(row.Year);
-    if (isNaN(rowYear)) continue;
-
-    // Found the best match (most recent record <= target year)
-    if (rowYear <= year) {
-      best = row;
-    } else {
-      // Data is sorted, so we can stop
-      break;
-    }
-  }
+  const rows = findRows(data, year, toPredicate(filterKey, filterValue), false);
+  return rows.length > 0 ? rows[rows.length - 1] : null;
+}
 
-  return best;
+/**
+ * Find all matching records of the most recent year up to a given year,
+ * e.g. the brackets of a tax year.
+ *
+ * @param {Array} data - Array of records with a `Year` property (any order)
+ * @param {number} year - Target year
+ * @param {Object} [filter] - Column values the records must have
+ * @returns {Array} Records of that year in their original order (empty if
+ *   none)
+ *
+ * @example
+ * getTemporalRows(taxBrackets, 2027, { IncomeType: 'income' });
+ * // the 2026 income brackets when the data ends in 2026
+ */
+function getTemporalRows(data, year, filter = null) {
+  return findRows(data, year, toPredicate(filter), false);
 }
 
 /**
@@ -77,9 +180,10 @@ function getTemporalMatch(data, year, filterKey = null, filterValue = null) {
  * Returns only records where `Year === targetYear`. Use this when you need
  * an exact match rather than the most recent applicable record.
  *
- * @param {Array} data - Array of records with a `Year` property
+ * @param {Array} data - Array of records with a `Year` property (any order)
  * @param {number} year - Target year to match exactly
- * @param {string} [filterKey=null] - Optional key to filter by
+ * @param {string|Object} [filterKey=null] - Optional key to filter by, or
+ *   an object of column values
  * @param {*} [filterValue=null] - Value to filter by
  * @returns {Object|null} Exact match, or null if no match found
  *
@@ -95,18 +199,96 @@ function getTemporalMatch(data, year, filterKey = null, filterValue = null) {
  * getExactMatch(data, 2024, 'Rate', 0.145); // Returns null (filter doesn't match)
  */
 function getExactMatch(data, year, filterKey = null, filterValue = null) {
-  if (!Array.isArray(data)) {
-    throw new Error('data must be an array');
+  const rows = findRows(data, year, toPredicate(filterKey, filterValue), true);
+  return rows.length > 0 ? rows[0] : null;
+}
+
+/**
+ * Find all matching records of exactly a given year.
+ *
+ * @param {Array} data - Array of records with a `Year` property (any order)
+ * @param {number} year - Target year
+ * @param {Object} [filter] - Column values the records must have
+ * @returns {Array} Records of that year in their original order (empty if
+ *   none)
+ *
+ * @example
+ * getExactRows(nationalInsurance, 2025, { Class: 1 }); // the 2025 Class 1 rows
+ */
+function getExactRows(data, year, filter = null) {
+  return findRows(data, year, toPredicate(filter), true);
+}
+
+/**
+ * Select the reference rows in force on a date.
+ *
+ * Rows may carry the metadata columns of every reference file (see
+ * REFERENCE_COLUMNS in lib/schemas.js):
+ * - rows outside their EffectiveFrom/EffectiveTo range are dropped
+ * - `Status: proposed` rows are dropped unless `proposed` is set
+ * - of the rows left in a group (Year and the `keys` columns) only those
+ *   with the latest EffectiveFrom are kept, proposed before enacted ones
+ *   on the same date
+ *
+ * A mid-year change is a group with a later EffectiveFrom that takes over
+ * from that date; a retroactive amendment is one with an EffectiveFrom
+ * at the start of the year, which takes over for the whole year. Rows
+ * without metadata are always in force, so tables without metadata are
+ * returned as they are.
+ *
+ * @param {Array} rows - Reference rows
+ * @param {string} date - Date (YYYY-MM-DD) the rows must be in force on
+ * @param {Object} [options] - Selection options
+ * @param {boolean} [options.proposed=false] - Include proposed rows
+ * @param {Array} [options.keys=[]] - Columns grouping rows with Year
+ *   (the schema's `key` columns)
+ * @returns {Array} Rows in force, in their original order
+ *
+ * @example
+ * const brackets = [
+ *   { Year: 2024, MinIncome: 0, Rate: 0.145 },
+ *   { Year: 2024, MinIncome: 0, Rate: 0.13, EffectiveFrom: '2024-01-01', Source: 'Lei 33/2024' },
+ * ];
+ * selectRowsInForce(brackets, '2024-03-15'); // the 13% row
+ * selectRowsInForce(brackets, '2023-12-31'); // the 14.5% row
+ */
+function selectRowsInForce(rows, date, { proposed = false, keys = [] } = {}) {
+  if (!Array.isArray(rows)) {
+    throw new Error('rows must be an array');
   }
 
-  let subset = filterKey
-    ? data.filter(r => String(r[filterKey]) === String(filterValue))
-    : data;
+  const hasMetadata = rows.some(
+    row => row.EffectiveFrom || row.EffectiveTo || row.Status === 'proposed'
+  );
+  if (!hasMetadata) return rows;
+
+  const candidates = rows.filter(
+    row =>
+      (proposed || row.Status !== 'proposed') &&
+      (!row.EffectiveFrom || row.EffectiveFrom <= date) &&
+      (!row.EffectiveTo || date <= row.EffectiveTo)
+  );
+
+  const groupOf = row =>
+    JSON.stringify(['Year', ...keys].map(column => row[column] ?? null));
+  const rankOf = row =>
+    `${row.EffectiveFrom || '0000-00-00'}|${row.Status === 'proposed' ? 1 : 0}`;
+  const latest = new Map();
+  for (const row of candidates) {
+    const group = groupOf(row);
+    const rank = rankOf(row);
+    if (!latest.has(group) || rank > latest.get(group)) {
+      latest.set(group, rank);
+    }
+  }
 
-  return subset.find(r => parseInt(r.Year) === year) || null;
+  return candidates.filter(row => rankOf(row) === latest.get(groupOf(row)));
 }
 
 module.exports = {
   getTemporalMatch,
+  getTemporalRows,
   getExactMatch,
+  getExactRows,
+  selectRowsInForce,
 };
@@ -0,0 +1,116 @@
+/**
+ * @module formulaTax
+ * Formula-Based Tax Tariff Engine
+ *
+ * Evaluates tariffs defined as a piecewise polynomial over taxable income
+ * instead of a bracket table (e.g. the German §32a EStG curve). Each zone
+ * is a reference data row:
+ *
+ * - `Year`, `Zone`: tariff year and zone number
+ * - `MinIncome`, `MaxIncome`: inclusive zone bounds (null for the top zone)
+ * - `Offset`, `Divisor`: t = (income - Offset) / Divisor
+ * - `Quadratic`, `Linear`, `Constant`: tax = (Quadratic × t + Linear) × t + Constant
+ *
+ * The applicable year is resolved with getTemporalRows, so a tariff keeps
+ * applying until a later year's zones are published.
+ *
+ * @example
+ * const tax = calculateFormulaTax(50000, 2025, taxFormula, { roundDown: true });
+ * const joint = calculateFormulaTax(90000, 2025, taxFormula, { splitting: true });
+ */
+
+const { getTemporalRows } = require('../temporal');
+
+/**
+ * Get the tariff zones applicable to a year
+ *
+ * @param {number} year - Tax year
+ * @param {Array} formulaData - Zone rows with a `Year` property
+ * @returns {Array} Zones of the most recent year <= target, sorted by MinIncome
+ * @throws {Error} If data is invalid or no zones apply to the year
+ */
+function getFormulaZones(year, formulaData) {
+  if (!formulaData || !Array.isArray(formulaData)) {
+    throw new Error('formulaData must be an array');
+  }
+
+  const zones = getTemporalRows(formulaData, year);
+  if (zones.length === 0) {
+    throw new Error(`No tax formula found for year ${year} in reference data`);
+  }
+  return zones.sort((a, b) => a.MinIncome - b.MinIncome);
+}
+
+/**
+ * Evaluate a single zone polynomial
+ *
+ * @param {number} income - Taxable income within the zone
+ * @param {Object} zone - Zone row
+ * @returns {number} Tax for the income (unrounded)
+ */
+function evaluateZone(income, zone) {
+  const t = (income - (zone.Offset || 0)) / (zone.Divisor || 1);
+  return (
+    ((zone.Quadratic || 0) * t + (zone.Linear || 0)) * t + (zone.Constant || 0)
+  );
+}
+
+/**
+ * Apply the basic tariff to an income using the given zones
+ *
+ * @param {number} income - Taxable income
+ * @param {Array} zones - Zones from getFormulaZones()
+ * @param {boolean} roundDown - Round income and tax down to whole units
+ * @returns {number} Tax amount
+ */
+function applyFormulaTariff(income, zones, roundDown) {
+  const base = roundDown ? Math.floor(income) : income;
+
+  const zone =
+    zones.find(
+      z =>
+        base >= z.MinIncome &&
+        (z.MaxIncome === null ||
+          z.MaxIncome === undefined ||
+          base <= z.MaxIncome)
+    ) || zones[zones.length - 1];
+
+  const tax = Math.max(0, evaluateZone(base, zone));
+  return roundDown ? Math.floor(tax) : tax;
+}
+
+/**
+ * Calculate tax using a formula tariff
+ *
+ * With `splitting`, the tariff is applied to half the income and the
+ * result doubled (joint assessment of married couples / civil partners).
+ *
+ * @param {number} taxableIncome - Taxable income
+ * @param {number} year - Tax year
+ * @param {Array} formulaData - Zone rows
+ * @param {Object} [options] - Calculation options
+ * @param {boolean} [options.splitting=false] - Apply the splitting tariff
+ * @param {boolean} [options.roundDown=false] - Round income and tax down to whole units
+ * @returns {number} Tax amount
+ */
+function calculateFormulaTax(
+  taxableIncome,
+  year,
+  formulaData,
+  { splitting = false, roundDown = false } = {}
+) {
+  if (!taxableIncome || taxableIncome <= 0) return 0;
+
+  const zones = getFormulaZones(year, formulaData);
+
+  if (splitting) {
+    return 2 * applyFormulaTariff(taxableIncome / 2, zones, roundDown);
+  }
+
+  return applyFormulaTariff(taxableIncome, zones, roundDown);
+}
+
+module.exports = {
+  calculateFormulaTax,
+  getFormulaZones,
+};
@@ -5,9 +5,11 @@
  */
 
 const currency = require('./currency');
+const formulaTax = require('./formulaTax');
 const validation = require('./validation');
 
 module.exports = {
   ...currency,
+  ...formulaTax,
   ...validation,
 };